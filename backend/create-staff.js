@@ -0,0 +1,70 @@
+/**
+ * Create a staff account from the command line (use this for the first admin)
+ *
+ * Usage:
+ *   node create-staff.js <username> "<name>" <cashier|kitchen|manager|admin> --password <password>
+ *   node create-staff.js <username> "<name>" <cashier|kitchen|manager|admin> --pin <4-6 digits>
+ *
+ * Add --outlet <outlet-id> to tie the account to one outlet; without it the account works across all outlets.
+ */
+
+require('dotenv').config();
+const { getDatabaseService } = require('./src/services/database');
+const { getAuthService } = require('./src/services/auth');
+const { schemas } = require('./src/middleware/validateRequest');
+
+async function createStaff(args) {
+  const [username, name, role, flag, secret, outletFlag, outletId] = args;
+
+  const { error, value } = schemas.createStaff.validate({
+    username,
+    name,
+    role,
+    ...(flag === '--pin' ? { pin: secret } : { password: secret }),
+    ...(outletFlag === '--outlet' && { outletId })
+  });
+
+  if (error) {
+    throw new Error(error.details.map(detail => detail.message).join(', '));
+  }
+
+  const databaseService = getDatabaseService();
+  const authService = getAuthService();
+
+  if (await databaseService.getStaffByUsername(value.username)) {
+    throw new Error(`Username ${value.username} is already taken`);
+  }
+
+  if (value.outletId && !(await databaseService.getOutletById(value.outletId))) {
+    throw new Error(`Outlet ${value.outletId} does not exist`);
+  }
+
+  const staff = await databaseService.createStaffUser({
+    username: value.username,
+    name: value.name,
+    role: value.role,
+    outlet_id: value.outletId || null,
+    ...(value.password && { password_hash: await authService.hashStaffSecret(value.password) }),
+    ...(value.pin && { pin_hash: await authService.hashStaffSecret(value.pin) })
+  });
+
+  console.log(`✅ Staff account ready: ${staff.username} (${staff.role}, ${staff.outlet_id || 'all outlets'})`);
+  return staff;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.length < 5 || !['--password', '--pin'].includes(args[3])) {
+    console.log('Usage: node create-staff.js <username> "<name>" <cashier|kitchen|manager|admin> <--password|--pin> <secret> [--outlet <outlet-id>]');
+    process.exit(1);
+  }
+
+  createStaff(args).catch((error) => {
+    console.error('❌ Could not create staff account:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createStaff };
@@ -0,0 +1,38 @@
+-- SQL Setup for Checkout Intents
+-- Run this in your Supabase SQL Editor after create_tables.sql
+-- A checkout intent records the server-priced cart behind each Razorpay order,
+-- so payment verification never depends on data re-sent by the browser.
+
+-- 1. Create checkout intents table
+CREATE TABLE IF NOT EXISTS public.checkout_intents (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    razorpay_order_id VARCHAR(255) UNIQUE NOT NULL,
+    user_name VARCHAR(255) NOT NULL,
+    user_email VARCHAR(255) NOT NULL,
+    phone VARCHAR(20),
+    items JSONB NOT NULL,
+    total_amount DECIMAL(10,2) NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'abandoned', 'expired', 'failed')),
+    order_id UUID REFERENCES public.orders(id),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 2. Create indexes for admin listing and expiry sweeps
+CREATE INDEX IF NOT EXISTS idx_checkout_intents_status ON public.checkout_intents(status, expires_at);
+CREATE INDEX IF NOT EXISTS idx_checkout_intents_user_email ON public.checkout_intents(user_email);
+
+-- 3. Keep updated_at current (function is defined in create_tables.sql)
+CREATE TRIGGER update_checkout_intents_updated_at
+    BEFORE UPDATE ON public.checkout_intents
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- 4. Only the backend (service role) may read or change the carts payments are fulfilled from
+ALTER TABLE public.checkout_intents ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON public.checkout_intents FROM anon, authenticated;
+
+COMMENT ON TABLE public.checkout_intents IS 'Server-priced carts linked to Razorpay orders';
+COMMENT ON COLUMN public.checkout_intents.status IS 'pending, paid, abandoned (checkout dismissed), expired (never paid) or failed (Razorpay reported a failed payment)';
+COMMENT ON COLUMN public.checkout_intents.order_id IS 'Canteen order created once the payment was verified';
@@ -0,0 +1,52 @@
+-- SQL Setup for Sequential Daily Tokens
+-- Run this in your Supabase SQL Editor after atomic_token_setup.sql and order_refunds_setup.sql
+-- Tokens are issued from increment_daily_counter as T-001, T-002, ... and restart
+-- every IST day. Each token prefix (one per counter or outlet) has its own sequence.
+
+-- 1. One counter per day per prefix
+ALTER TABLE public.daily_counters ADD COLUMN IF NOT EXISTS counter_key VARCHAR(3) NOT NULL DEFAULT 'T';
+ALTER TABLE public.daily_counters DROP CONSTRAINT IF EXISTS daily_counters_date_key_key;
+ALTER TABLE public.daily_counters DROP CONSTRAINT IF EXISTS daily_counters_date_counter_key;
+ALTER TABLE public.daily_counters ADD CONSTRAINT daily_counters_date_counter_key UNIQUE (date_key, counter_key);
+
+-- 2. Atomic increment for a prefix (replaces the date-only version)
+DROP FUNCTION IF EXISTS increment_daily_counter(DATE);
+
+CREATE OR REPLACE FUNCTION increment_daily_counter(date_input DATE, counter_input VARCHAR DEFAULT 'T')
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    new_counter INTEGER;
+BEGIN
+    INSERT INTO daily_counters (date_key, counter_key, counter)
+    VALUES (date_input, counter_input, 1)
+    ON CONFLICT (date_key, counter_key)
+    DO UPDATE SET counter = daily_counters.counter + 1, updated_at = CURRENT_TIMESTAMP
+    RETURNING counter INTO new_counter;
+
+    RETURN new_counter;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION increment_daily_counter(DATE, VARCHAR) TO anon, authenticated;
+
+-- 3. Tokens repeat across days, so they are only unique within their IST day
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS token_date DATE;
+
+UPDATE public.orders
+SET token_date = (created_at AT TIME ZONE 'Asia/Kolkata')::DATE
+WHERE token_date IS NULL;
+
+ALTER TABLE public.orders ALTER COLUMN token_date SET DEFAULT (CURRENT_TIMESTAMP AT TIME ZONE 'Asia/Kolkata')::DATE;
+ALTER TABLE public.orders ALTER COLUMN token_date SET NOT NULL;
+
+ALTER TABLE public.orders DROP CONSTRAINT IF EXISTS orders_token_key;
+DROP INDEX IF EXISTS public.idx_orders_token;
+CREATE UNIQUE INDEX IF NOT EXISTS orders_token_date_key ON public.orders(token_date, token);
+
+COMMENT ON COLUMN public.orders.token IS 'Daily sequential token (T-001, T-002, etc.), unique per token_date';
+COMMENT ON COLUMN public.orders.token_date IS 'IST day the token was issued for';
+
+-- Test the counter (optional)
+-- SELECT increment_daily_counter((CURRENT_TIMESTAMP AT TIME ZONE 'Asia/Kolkata')::DATE, 'T');
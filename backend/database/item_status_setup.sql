@@ -0,0 +1,18 @@
+-- SQL Setup for Item-Level Preparation Status
+-- Run this in your Supabase SQL Editor after staff_setup.sql
+-- Each line in orders.items carries its own status ('pending', 'preparing', 'ready')
+-- and the station that cooks it. Lines are plain JSONB, so orders need no new columns.
+
+-- 1. Which station (dosa counter, chaat counter, ...) prepares each menu item
+ALTER TABLE public.menu_items ADD COLUMN IF NOT EXISTS station VARCHAR(50);
+
+COMMENT ON COLUMN public.menu_items.station IS 'Kitchen station that prepares this item; NULL means the item category is used';
+
+-- 2. Example station assignments (edit to match your kitchen, or set them from the menu admin)
+-- UPDATE public.menu_items SET station = 'Dosa Counter' WHERE category IN ('South Indian', 'Breakfast');
+-- UPDATE public.menu_items SET station = 'Chaat Counter' WHERE category IN ('Snacks', 'Street Food');
+
+-- 3. Order lines written at checkout look like:
+-- { "id": "1", "name": "Masala Dosa", "price": 45, "quantity": 2, "category": "South Indian",
+--   "station": "Dosa Counter", "status": "preparing", "preparing_at": "...", "ready_at": null }
+COMMENT ON COLUMN public.orders.items IS 'Order lines: menu snapshot plus per-line station, status and preparing_at/ready_at timestamps';
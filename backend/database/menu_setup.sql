@@ -0,0 +1,52 @@
+-- SQL Setup for the Menu Catalog
+-- Run this in your Supabase SQL Editor to manage the menu from the database
+
+-- 1. Create menu items table
+CREATE TABLE IF NOT EXISTS public.menu_items (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(255),
+    price DECIMAL(10,2) NOT NULL CHECK (price > 0),
+    category VARCHAR(50) NOT NULL,
+    image_url TEXT,
+    is_available BOOLEAN DEFAULT TRUE,
+    sort_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 2. Create indexes for menu listing
+CREATE INDEX IF NOT EXISTS idx_menu_items_category ON public.menu_items(category);
+CREATE INDEX IF NOT EXISTS idx_menu_items_sort_order ON public.menu_items(sort_order, id);
+
+-- 3. Keep updated_at current (function is defined in create_tables.sql)
+CREATE TRIGGER update_menu_items_updated_at
+    BEFORE UPDATE ON public.menu_items
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- 4. Only the backend (service role) may change the catalog that checkout prices from
+ALTER TABLE public.menu_items ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON public.menu_items FROM anon, authenticated;
+REVOKE ALL ON SEQUENCE public.menu_items_id_seq FROM anon, authenticated;
+
+-- 5. Seed the catalog with the original static menu
+INSERT INTO public.menu_items (name, description, price, category, sort_order) VALUES
+('Masala Dosa', 'Crispy rice pancake filled with spiced potato curry, served with coconut chutney and sambar', 45, 'South Indian', 1),
+('Aloo Paratha', 'Stuffed flatbread with spiced potato filling, served with curd and pickle', 85, 'Main Course', 2),
+('Veg Biryani', 'Fragrant basmati rice cooked with mixed vegetables and aromatic spices', 70, 'Rice & Biryani', 3),
+('Samosa (2 pcs)', 'Crispy fried pastry filled with spiced potatoes and peas', 20, 'Snacks', 4),
+('Chole Bhature', 'Spicy chickpea curry served with fluffy deep-fried bread', 60, 'North Indian', 5),
+('Idli Sambar (3 pcs)', 'Steamed rice cakes served with lentil-based vegetable stew and coconut chutney', 35, 'South Indian', 6),
+('Pav Bhaji', 'Thick vegetable curry served with buttered and toasted bread rolls', 55, 'Street Food', 7),
+('Rajma Rice', 'Kidney bean curry served with steamed basmati rice', 65, 'Main Course', 8),
+('Poha', 'Flattened rice cooked with onions, tomatoes, and spices, garnished with fresh coriander', 30, 'Breakfast', 9),
+('Vada Pav', 'Deep-fried potato dumpling placed inside a bread bun with chutneys', 25, 'Street Food', 10),
+('Chicken Biryani', 'Aromatic basmati rice cooked with tender chicken pieces and traditional spices', 120, 'Rice & Biryani', 11),
+('Paneer Butter Masala', 'Cottage cheese cubes cooked in creamy tomato-based curry, served with naan', 95, 'Main Course', 12);
+
+COMMENT ON TABLE public.menu_items IS 'Canteen menu catalog managed through /api/menu';
+COMMENT ON COLUMN public.menu_items.sort_order IS 'Display position on the menu (ascending)';
+
+-- Verify the catalog (optional)
+-- SELECT id, name, price, category, is_available FROM public.menu_items ORDER BY sort_order;
@@ -0,0 +1,28 @@
+-- SQL Setup for Offline Pickup Scanning
+-- Run this in your Supabase SQL Editor after web_push_setup.sql
+-- Pickup scanners that lost their connection verify QR codes on the device and queue the
+-- redemptions. Each queued redemption is recorded here when it syncs, so a batch that is
+-- sent again returns the same results instead of reporting its orders as already collected.
+
+-- 1. One row per redemption; the ID is generated on the scanning device
+CREATE TABLE IF NOT EXISTS public.offline_redemptions (
+    id UUID PRIMARY KEY,
+    order_id UUID REFERENCES public.orders(id) ON DELETE SET NULL,
+    token VARCHAR(20),
+    outlet_id VARCHAR(30),
+    redeemed_by VARCHAR(255),
+    scanned_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    result VARCHAR(20) NOT NULL CHECK (result IN ('redeemed', 'conflict')),
+    reason VARCHAR(30),
+    message TEXT,
+    previous_status VARCHAR(20),
+    synced_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE public.offline_redemptions IS 'Pickups scanned offline and synced later, with conflicts for staff to resolve';
+COMMENT ON COLUMN public.offline_redemptions.reason IS 'Conflict reason: invalid_qr, not_found, wrong_outlet, already_collected, cancelled or rejected';
+
+-- 2. Conflicts are reviewed per outlet, newest first
+CREATE INDEX IF NOT EXISTS idx_offline_redemptions_conflicts
+    ON public.offline_redemptions(outlet_id, synced_at DESC)
+    WHERE result = 'conflict';
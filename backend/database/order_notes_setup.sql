@@ -0,0 +1,65 @@
+-- SQL Setup for Special Instructions
+-- Run this in your Supabase SQL Editor after outlets_setup.sql
+-- Students can add order-wide instructions ("pack separately") and a note per item
+-- ("less spicy"). Item notes travel inside the items JSONB as "notes"; order-wide
+-- instructions are saved on the checkout and copied to the order once paid.
+
+-- 1. Order-wide instructions (orders.special_instructions exists in create_tables.sql)
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS special_instructions TEXT;
+ALTER TABLE public.checkout_intents ADD COLUMN IF NOT EXISTS special_instructions TEXT;
+
+COMMENT ON COLUMN public.orders.special_instructions IS 'Order-wide instructions from the student; per-item notes are in items[].notes';
+
+-- 2. Scheduled checkouts keep their instructions (replaces the function from outlets_setup.sql)
+CREATE OR REPLACE FUNCTION create_scheduled_checkout_intent(
+  intent_input JSONB,
+  max_orders INTEGER,
+  max_units INTEGER
+)
+RETURNS public.checkout_intents
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    slot_start TIMESTAMPTZ := (intent_input->>'pickup_at')::TIMESTAMPTZ;
+    slot_outlet VARCHAR := COALESCE(intent_input->>'outlet_id', 'main');
+    cart_units INTEGER := COALESCE((intent_input->>'pickup_units')::INTEGER, 0);
+    booked_orders INTEGER;
+    booked_units INTEGER;
+    new_intent public.checkout_intents;
+BEGIN
+    -- Checkouts for the same outlet and slot take turns until this transaction ends
+    PERFORM pg_advisory_xact_lock(hashtext('pickup_slot:' || slot_outlet || ':' || slot_start::TEXT));
+
+    SELECT COUNT(*), COALESCE(SUM(units), 0)
+    INTO booked_orders, booked_units
+    FROM public.pickup_slot_load
+    WHERE pickup_at = slot_start AND outlet_id = slot_outlet;
+
+    IF (max_orders > 0 AND booked_orders + 1 > max_orders)
+       OR (max_units > 0 AND booked_units + cart_units > max_units) THEN
+        RAISE EXCEPTION 'pickup_slot_full';
+    END IF;
+
+    INSERT INTO public.checkout_intents (
+        razorpay_order_id, user_name, user_email, phone, items, special_instructions,
+        total_amount, pickup_at, pickup_units, outlet_id, status, expires_at
+    )
+    VALUES (
+        intent_input->>'razorpay_order_id',
+        intent_input->>'user_name',
+        intent_input->>'user_email',
+        intent_input->>'phone',
+        intent_input->'items',
+        intent_input->>'special_instructions',
+        (intent_input->>'total_amount')::NUMERIC,
+        slot_start,
+        cart_units,
+        slot_outlet,
+        'pending',
+        (intent_input->>'expires_at')::TIMESTAMPTZ
+    )
+    RETURNING * INTO new_intent;
+
+    RETURN new_intent;
+END;
+$$;
@@ -0,0 +1,23 @@
+-- SQL Setup for Order Cancellation and Refunds
+-- Run this in your Supabase SQL Editor after payment_idempotency_setup.sql
+-- Cancelled orders get their own status and a Razorpay refund; once Razorpay
+-- confirms the refund the order moves on to 'refunded'.
+
+-- 1. Allow cancelled and refunded orders
+ALTER TABLE public.orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE public.orders ADD CONSTRAINT orders_status_check
+    CHECK (status IN ('pending', 'preparing', 'ready', 'completed', 'cancelled', 'refunded'));
+
+-- 2. Record who cancelled and when the money went back
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS cancellation_reason VARCHAR(255);
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP WITH TIME ZONE;
+
+-- 3. Refund status values (column added in payment_webhooks_setup.sql)
+ALTER TABLE public.orders DROP CONSTRAINT IF EXISTS orders_refund_status_check;
+ALTER TABLE public.orders ADD CONSTRAINT orders_refund_status_check
+    CHECK (refund_status IS NULL OR refund_status IN ('pending', 'processed', 'failed', 'not_required'));
+
+COMMENT ON COLUMN public.orders.status IS 'Order status: pending, preparing, ready, completed, cancelled, refunded';
+COMMENT ON COLUMN public.orders.refund_status IS 'pending (requested from Razorpay), processed, failed (needs a retry) or not_required (no payment)';
+COMMENT ON COLUMN public.orders.cancellation_reason IS 'Why the order was cancelled, e.g. by the customer or out of stock';
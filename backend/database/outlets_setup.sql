@@ -0,0 +1,113 @@
+-- SQL Setup for Outlets
+-- Run this in your Supabase SQL Editor after slot_capacity_setup.sql
+-- One deployment can run several outlets (main canteen, juice stall, hostel mess).
+-- Menus, orders, token sequences and pickup slot load belong to an outlet; staff
+-- either work at one outlet or, without an outlet, across all of them.
+
+-- 1. Create outlets table; the ID is a short slug used in URLs (?outlet=juice)
+CREATE TABLE IF NOT EXISTS public.outlets (
+    id VARCHAR(30) PRIMARY KEY CHECK (id ~ '^[a-z0-9-]+$'),
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(255),
+    pickup_location VARCHAR(255),
+    token_prefix VARCHAR(3) NOT NULL UNIQUE CHECK (token_prefix ~ '^[A-Z]{1,3}$'),
+    is_active BOOLEAN DEFAULT TRUE,
+    sort_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 2. Keep updated_at current (function is defined in create_tables.sql)
+CREATE TRIGGER update_outlets_updated_at
+    BEFORE UPDATE ON public.outlets
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON COLUMN public.outlets.pickup_location IS 'Where students collect orders; NULL uses PICKUP_LOCATION';
+COMMENT ON COLUMN public.outlets.token_prefix IS 'Token prefix (T, J, ...); unique so tokens never clash across outlets on the same day';
+
+-- 3. Existing data belongs to the main canteen
+INSERT INTO public.outlets (id, name, token_prefix, sort_order)
+VALUES ('main', 'Main Canteen', 'T', 0)
+ON CONFLICT (id) DO NOTHING;
+
+-- More outlets, for example:
+-- INSERT INTO public.outlets (id, name, pickup_location, token_prefix, sort_order) VALUES
+--   ('juice', 'Juice Stall', 'Near the library', 'J', 1),
+--   ('mess', 'Hostel Mess', 'Hostel Block A', 'M', 2);
+
+-- 4. Scope menus, checkouts and orders to an outlet
+ALTER TABLE public.menu_items ADD COLUMN IF NOT EXISTS outlet_id VARCHAR(30) NOT NULL DEFAULT 'main' REFERENCES public.outlets(id);
+ALTER TABLE public.checkout_intents ADD COLUMN IF NOT EXISTS outlet_id VARCHAR(30) NOT NULL DEFAULT 'main' REFERENCES public.outlets(id);
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS outlet_id VARCHAR(30) NOT NULL DEFAULT 'main' REFERENCES public.outlets(id);
+
+CREATE INDEX IF NOT EXISTS idx_menu_items_outlet ON public.menu_items(outlet_id, sort_order);
+CREATE INDEX IF NOT EXISTS idx_orders_outlet_status ON public.orders(outlet_id, status, release_at);
+
+-- 5. Staff without an outlet work across every outlet
+ALTER TABLE public.staff_users ADD COLUMN IF NOT EXISTS outlet_id VARCHAR(30) REFERENCES public.outlets(id);
+
+COMMENT ON COLUMN public.staff_users.outlet_id IS 'Outlet the staff member works at; NULL means all outlets';
+
+-- 6. Pickup slot load per outlet (replaces the view from slot_capacity_setup.sql)
+CREATE OR REPLACE VIEW public.pickup_slot_load AS
+  SELECT pickup_at, pickup_units AS units, outlet_id
+  FROM public.orders
+  WHERE pickup_at IS NOT NULL AND status NOT IN ('cancelled', 'refunded')
+  UNION ALL
+  SELECT pickup_at, pickup_units AS units, outlet_id
+  FROM public.checkout_intents
+  WHERE pickup_at IS NOT NULL AND status = 'pending' AND expires_at > CURRENT_TIMESTAMP;
+
+-- 7. Slot capacity is per outlet (replaces the function from slot_capacity_setup.sql)
+CREATE OR REPLACE FUNCTION create_scheduled_checkout_intent(
+  intent_input JSONB,
+  max_orders INTEGER,
+  max_units INTEGER
+)
+RETURNS public.checkout_intents
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    slot_start TIMESTAMPTZ := (intent_input->>'pickup_at')::TIMESTAMPTZ;
+    slot_outlet VARCHAR := COALESCE(intent_input->>'outlet_id', 'main');
+    cart_units INTEGER := COALESCE((intent_input->>'pickup_units')::INTEGER, 0);
+    booked_orders INTEGER;
+    booked_units INTEGER;
+    new_intent public.checkout_intents;
+BEGIN
+    -- Checkouts for the same outlet and slot take turns until this transaction ends
+    PERFORM pg_advisory_xact_lock(hashtext('pickup_slot:' || slot_outlet || ':' || slot_start::TEXT));
+
+    SELECT COUNT(*), COALESCE(SUM(units), 0)
+    INTO booked_orders, booked_units
+    FROM public.pickup_slot_load
+    WHERE pickup_at = slot_start AND outlet_id = slot_outlet;
+
+    IF (max_orders > 0 AND booked_orders + 1 > max_orders)
+       OR (max_units > 0 AND booked_units + cart_units > max_units) THEN
+        RAISE EXCEPTION 'pickup_slot_full';
+    END IF;
+
+    INSERT INTO public.checkout_intents (
+        razorpay_order_id, user_name, user_email, phone, items,
+        total_amount, pickup_at, pickup_units, outlet_id, status, expires_at
+    )
+    VALUES (
+        intent_input->>'razorpay_order_id',
+        intent_input->>'user_name',
+        intent_input->>'user_email',
+        intent_input->>'phone',
+        intent_input->'items',
+        (intent_input->>'total_amount')::NUMERIC,
+        slot_start,
+        cart_units,
+        slot_outlet,
+        'pending',
+        (intent_input->>'expires_at')::TIMESTAMPTZ
+    )
+    RETURNING * INTO new_intent;
+
+    RETURN new_intent;
+END;
+$$;
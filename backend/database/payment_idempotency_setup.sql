@@ -0,0 +1,17 @@
+-- SQL Setup for Idempotent Order Creation
+-- Run this in your Supabase SQL Editor after payment_webhooks_setup.sql
+-- One Razorpay payment can only ever produce one canteen order, even when
+-- /payments/verify is retried or races the payment.captured webhook.
+
+-- 1. Find payments that already produced more than one order (resolve these first)
+-- SELECT payment_id, COUNT(*), ARRAY_AGG(token ORDER BY created_at)
+-- FROM public.orders
+-- WHERE payment_id IS NOT NULL
+-- GROUP BY payment_id
+-- HAVING COUNT(*) > 1;
+
+-- 2. Replace the plain lookup index with a unique one (NULL payment IDs stay allowed)
+DROP INDEX IF EXISTS public.idx_orders_payment_id;
+CREATE UNIQUE INDEX IF NOT EXISTS orders_payment_id_key ON public.orders(payment_id);
+
+COMMENT ON INDEX public.orders_payment_id_key IS 'One order per Razorpay payment';
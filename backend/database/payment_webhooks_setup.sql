@@ -0,0 +1,21 @@
+-- SQL Setup for Razorpay Webhooks
+-- Run this in your Supabase SQL Editor after checkout_intents_setup.sql
+-- Webhooks create orders for payments whose browser never reached /payments/verify,
+-- mark failed payments and record processed refunds.
+
+-- 1. Allow checkout intents to be marked as failed (payment.failed)
+ALTER TABLE public.checkout_intents DROP CONSTRAINT IF EXISTS checkout_intents_status_check;
+ALTER TABLE public.checkout_intents ADD CONSTRAINT checkout_intents_status_check
+    CHECK (status IN ('pending', 'paid', 'abandoned', 'expired', 'failed'));
+
+-- 2. Track refunds on orders (refund.processed)
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS refund_id VARCHAR(255);
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS refund_status VARCHAR(20);
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10,2);
+
+-- 3. Webhook lookups find orders by Razorpay payment ID
+CREATE INDEX IF NOT EXISTS idx_orders_payment_id ON public.orders(payment_id);
+
+COMMENT ON COLUMN public.orders.refund_id IS 'Razorpay refund ID';
+COMMENT ON COLUMN public.orders.refund_status IS 'Razorpay refund status, e.g. processed';
+COMMENT ON COLUMN public.orders.refunded_amount IS 'Amount refunded in rupees';
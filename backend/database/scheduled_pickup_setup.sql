@@ -0,0 +1,23 @@
+-- SQL Setup for Scheduled Pickups
+-- Run this in your Supabase SQL Editor after wait_time_setup.sql
+-- Students can order ahead for a pickup slot. Scheduled orders get a token for the
+-- day of their slot and stay out of the kitchen queue until their release time.
+
+-- 1. Chosen slot, carried from checkout to the order
+ALTER TABLE public.checkout_intents ADD COLUMN IF NOT EXISTS pickup_at TIMESTAMPTZ;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS pickup_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.orders.pickup_at IS 'Start of the scheduled pickup slot; NULL means as soon as possible';
+
+-- 2. When the order enters the kitchen queue: immediately, or a lead time before its slot
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS release_at TIMESTAMPTZ;
+
+UPDATE public.orders SET release_at = created_at WHERE release_at IS NULL;
+
+ALTER TABLE public.orders ALTER COLUMN release_at SET DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE public.orders ALTER COLUMN release_at SET NOT NULL;
+
+COMMENT ON COLUMN public.orders.release_at IS 'When the order joins the live kitchen queue';
+
+-- 3. Kitchen queue reads open orders in release order
+CREATE INDEX IF NOT EXISTS idx_orders_status_release_at ON public.orders(status, release_at);
@@ -0,0 +1,82 @@
+-- SQL Setup for Pickup Slot Capacity
+-- Run this in your Supabase SQL Editor after scheduled_pickup_setup.sql
+-- Each pickup slot takes a limited number of orders and/or prep units. A slot's load is
+-- its live orders plus checkouts still waiting for payment, and a new checkout is only
+-- saved while the slot has room, one checkout per slot at a time.
+
+-- 1. How much kitchen work each menu item is (a tea is 1, a thali might be 3)
+ALTER TABLE public.menu_items ADD COLUMN IF NOT EXISTS prep_units SMALLINT NOT NULL DEFAULT 1;
+
+COMMENT ON COLUMN public.menu_items.prep_units IS 'Kitchen work per portion, counted against pickup slot capacity';
+
+-- 2. Prep units of the cart, carried from checkout to the order
+ALTER TABLE public.checkout_intents ADD COLUMN IF NOT EXISTS pickup_units INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS pickup_units INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN public.orders.pickup_units IS 'Prep units the order takes from its pickup slot';
+
+-- 3. Everything holding a place in a slot: orders that still count and unexpired, unpaid checkouts
+CREATE OR REPLACE VIEW public.pickup_slot_load AS
+  SELECT pickup_at, pickup_units AS units
+  FROM public.orders
+  WHERE pickup_at IS NOT NULL AND status NOT IN ('cancelled', 'refunded')
+  UNION ALL
+  SELECT pickup_at, pickup_units AS units
+  FROM public.checkout_intents
+  WHERE pickup_at IS NOT NULL AND status = 'pending' AND expires_at > CURRENT_TIMESTAMP;
+
+-- 4. Save a scheduled checkout only if its slot has room
+-- max_orders / max_units of 0 mean no limit. Raises 'pickup_slot_full' when the slot is full.
+CREATE OR REPLACE FUNCTION create_scheduled_checkout_intent(
+  intent_input JSONB,
+  max_orders INTEGER,
+  max_units INTEGER
+)
+RETURNS public.checkout_intents
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    slot_start TIMESTAMPTZ := (intent_input->>'pickup_at')::TIMESTAMPTZ;
+    cart_units INTEGER := COALESCE((intent_input->>'pickup_units')::INTEGER, 0);
+    booked_orders INTEGER;
+    booked_units INTEGER;
+    new_intent public.checkout_intents;
+BEGIN
+    -- Checkouts for the same slot take turns until this transaction ends
+    PERFORM pg_advisory_xact_lock(hashtext('pickup_slot:' || slot_start::TEXT));
+
+    SELECT COUNT(*), COALESCE(SUM(units), 0)
+    INTO booked_orders, booked_units
+    FROM public.pickup_slot_load
+    WHERE pickup_at = slot_start;
+
+    IF (max_orders > 0 AND booked_orders + 1 > max_orders)
+       OR (max_units > 0 AND booked_units + cart_units > max_units) THEN
+        RAISE EXCEPTION 'pickup_slot_full';
+    END IF;
+
+    INSERT INTO public.checkout_intents (
+        razorpay_order_id, user_name, user_email, phone, items,
+        total_amount, pickup_at, pickup_units, status, expires_at
+    )
+    VALUES (
+        intent_input->>'razorpay_order_id',
+        intent_input->>'user_name',
+        intent_input->>'user_email',
+        intent_input->>'phone',
+        intent_input->'items',
+        (intent_input->>'total_amount')::NUMERIC,
+        slot_start,
+        cart_units,
+        'pending',
+        (intent_input->>'expires_at')::TIMESTAMPTZ
+    )
+    RETURNING * INTO new_intent;
+
+    RETURN new_intent;
+END;
+$$;
+
+-- 5. Slot load is read by pickup time
+CREATE INDEX IF NOT EXISTS idx_orders_pickup_at ON public.orders(pickup_at) WHERE pickup_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_checkout_intents_pickup_at ON public.checkout_intents(pickup_at) WHERE pickup_at IS NOT NULL;
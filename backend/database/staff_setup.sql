@@ -0,0 +1,35 @@
+-- SQL Setup for Staff Accounts
+-- Run this in your Supabase SQL Editor after daily_tokens_setup.sql
+-- Canteen staff sign in with a username and a password or PIN, separately from
+-- student Google login. Their role decides which vendor endpoints they can use.
+
+-- 1. Create staff users table
+CREATE TABLE IF NOT EXISTS public.staff_users (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    username VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('cashier', 'kitchen', 'manager', 'admin')),
+    password_hash VARCHAR(100),
+    pin_hash VARCHAR(100),
+    is_active BOOLEAN DEFAULT TRUE,
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT staff_users_credentials_check CHECK (password_hash IS NOT NULL OR pin_hash IS NOT NULL),
+    CONSTRAINT staff_users_username_lowercase_check CHECK (username = LOWER(username))
+);
+
+-- 2. Keep updated_at current (function is defined in create_tables.sql)
+CREATE TRIGGER update_staff_users_updated_at
+    BEFORE UPDATE ON public.staff_users
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- 3. Only the backend (service role) may read credential hashes
+ALTER TABLE public.staff_users ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON public.staff_users FROM anon, authenticated;
+
+COMMENT ON TABLE public.staff_users IS 'Canteen staff accounts for the vendor portal';
+COMMENT ON COLUMN public.staff_users.role IS 'cashier (pickup and cancellations), kitchen (order progress), manager (reports, refunds, menu) or admin (everything, including staff accounts)';
+
+-- 4. Create the first admin with: npm run staff:create -- <username> "<name>" admin --password <password>
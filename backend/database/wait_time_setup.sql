@@ -0,0 +1,16 @@
+-- SQL Setup for Wait-Time Estimates
+-- Run this in your Supabase SQL Editor after item_status_setup.sql
+-- Records when each order started preparing, became ready and was collected, so
+-- expected ready times can be learned from how long the kitchen actually takes.
+
+-- 1. Status timestamps (written by the backend on every status change)
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS preparing_at TIMESTAMPTZ;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS ready_at TIMESTAMPTZ;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.orders.preparing_at IS 'When the kitchen started the order';
+COMMENT ON COLUMN public.orders.ready_at IS 'When the order became ready for pickup';
+COMMENT ON COLUMN public.orders.completed_at IS 'When the order was collected';
+
+-- 2. Prep-time learning reads recently readied orders
+CREATE INDEX IF NOT EXISTS idx_orders_ready_at ON public.orders(ready_at DESC) WHERE ready_at IS NOT NULL;
@@ -0,0 +1,21 @@
+-- SQL Setup for Web Push Notifications
+-- Run this in your Supabase SQL Editor after order_notes_setup.sql
+-- Browsers that allowed notifications register a push subscription for the signed-in
+-- student, so "order ready" and "order delayed" reach them with the tab closed.
+
+-- 1. One row per browser; the endpoint identifies the browser's push channel
+CREATE TABLE IF NOT EXISTS public.push_subscriptions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_email VARCHAR(255) NOT NULL,
+    endpoint TEXT NOT NULL UNIQUE,
+    p256dh VARCHAR(255) NOT NULL,
+    auth VARCHAR(255) NOT NULL,
+    user_agent VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE public.push_subscriptions IS 'Web Push subscriptions; rows are removed when the push service reports them gone';
+
+-- 2. Notifications look subscriptions up by student
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user ON public.push_subscriptions(user_email);
@@ -4,6 +4,9 @@
  */
 
 const { getAuthService } = require('../services');
+const { hasPermission } = require('../services/staffRoles');
+
+const OUTLET_ID_PATTERN = /^[a-z0-9-]{1,30}$/;
 
 /**
  * Middleware to authenticate requests using JWT
@@ -67,8 +70,108 @@ function extractUserFromToken(req, res, next) {
   }
 }
 
+/**
+ * Work out the staff role of an authenticated user
+ * Staff accounts carry their own role. Google accounts listed in the ADMIN_EMAILS
+ * environment variable (comma separated) are treated as admins.
+ * @param {Object} user - req.user
+ * @returns {string|null} Staff role, or null for students
+ */
+function getUserRole(user) {
+  if (!user) {
+    return null;
+  }
+
+  if (user.isStaff) {
+    return user.role;
+  }
+
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  return adminEmails.includes(user.email?.toLowerCase()) ? 'admin' : null;
+}
+
+/**
+ * Middleware factory to restrict a route to staff whose role grants a permission
+ * Permissions are defined in services/staffRoles.js. Must run after authenticateToken.
+ * @param {string} permission - Permission name, e.g. 'orders:pickup'
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    const role = getUserRole(req.user);
+
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: 'Staff access required'
+      });
+    }
+
+    if (!hasPermission(role, permission)) {
+      console.warn(`⚠️  ${req.user.username || req.user.email} (${role}) denied ${permission}: ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        success: false,
+        message: `Your role (${role}) is not allowed to do this`
+      });
+    }
+
+    req.staffRole = role;
+    next();
+  };
+}
+
+/**
+ * Middleware to work out which outlet a staff request is about
+ * Staff assigned to an outlet always get their own outlet. Staff without one may pick
+ * an outlet with ?outlet=, or leave it out to see every outlet. Sets req.outletId
+ * (null for every outlet). Must run after authenticateToken.
+ */
+function scopeToOutlet(req, res, next) {
+  const requested = req.query.outlet || null;
+  const assigned = req.user?.outletId || null;
+
+  if (requested && !OUTLET_ID_PATTERN.test(requested)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid outlet'
+    });
+  }
+
+  if (assigned && requested && requested !== assigned) {
+    return res.status(403).json({
+      success: false,
+      message: 'You can only work with your own outlet'
+    });
+  }
+
+  req.outletId = assigned || requested;
+  next();
+}
+
+/**
+ * Middleware to restrict a route to canteen administrators
+ * Must run after authenticateToken.
+ */
+function requireAdmin(req, res, next) {
+  if (getUserRole(req.user) !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required'
+    });
+  }
+
+  next();
+}
+
 module.exports = {
   authenticateToken,
   optionalAuth,
-  extractUserFromToken
+  extractUserFromToken,
+  getUserRole,
+  requirePermission,
+  scopeToOutlet,
+  requireAdmin
 };
\ No newline at end of file
@@ -4,6 +4,8 @@
  */
 
 const Joi = require('joi');
+const { TOKEN_PATTERN } = require('../services/orderToken');
+const { STAFF_ROLES } = require('../services/staffRoles');
 
 /**
  * Middleware factory for validating requests
@@ -38,6 +40,33 @@ function validateRequest(schema, property = 'body') {
   };
 }
 
+// Cart line as sent by the client
+const orderItem = Joi.object({
+  id: Joi.number().integer().positive().required().messages({
+    'number.base': 'Item ID must be a valid menu item ID',
+    'any.required': 'Item ID is required'
+  }),
+  quantity: Joi.number().integer().positive().max(20).required(),
+  // Note for the kitchen about this item ("less spicy", "no onion")
+  notes: Joi.string().trim().max(100).allow('').optional()
+});
+
+// Staff credentials
+const staffUsername = Joi.string().trim().lowercase().pattern(/^[a-z0-9._-]{3,50}$/).messages({
+  'string.pattern.base': 'Username must be 3-50 letters, numbers, dots, dashes or underscores'
+});
+const staffPassword = Joi.string().min(8).max(72).messages({
+  'string.min': 'Password must be at least 8 characters'
+});
+const staffPin = Joi.string().pattern(/^\d{4,6}$/).messages({
+  'string.pattern.base': 'PIN must be 4 to 6 digits'
+});
+
+// Outlet slug ("main", "juice-stall")
+const outletId = Joi.string().trim().lowercase().pattern(/^[a-z0-9-]{1,30}$/).messages({
+  'string.pattern.base': 'Outlet must be 1-30 lowercase letters, numbers or dashes'
+});
+
 // Common validation schemas
 const schemas = {
   // Google OAuth login
@@ -50,16 +79,8 @@ const schemas = {
 
   // Order creation
   createOrder: Joi.object({
-    items: Joi.array().items(
-      Joi.object({
-        id: Joi.string().required(),
-        name: Joi.string().required().min(1).max(100),
-        price: Joi.number().positive().precision(2).required(),
-        quantity: Joi.number().integer().positive().max(20).required(),
-        category: Joi.string().optional(),
-        description: Joi.string().optional().max(255)
-      })
-    ).min(1).required().messages({
+    // Only the menu item ID and quantity are trusted; name and price come from the catalog
+    items: Joi.array().items(orderItem).min(1).required().messages({
       'array.min': 'At least one item is required',
       'array.base': 'Items must be an array',
       'any.required': 'Items are required'
@@ -67,7 +88,14 @@ const schemas = {
     phone: Joi.string().pattern(/^[+]?[1-9]\d{9,14}$/).optional().messages({
       'string.pattern.base': 'Phone number must be valid'
     }),
-    specialInstructions: Joi.string().max(500).optional()
+    // Note for the kitchen about the whole order
+    specialInstructions: Joi.string().trim().max(500).allow('').optional(),
+    // Start of a slot from GET /api/slots; omit to collect as soon as possible
+    pickupAt: Joi.string().isoDate().optional().messages({
+      'string.isoDate': 'Pickup time must be an ISO date'
+    }),
+    // Outlet the whole cart is ordered from (defaults to the main outlet)
+    outletId: outletId.optional()
   }),
 
   // Payment verification
@@ -80,18 +108,9 @@ const schemas = {
     }),
     razorpay_signature: Joi.string().required().messages({
       'any.required': 'Razorpay signature is required'
-    }),
-    orderData: Joi.object({
-      items: Joi.array().items(
-        Joi.object({
-          id: Joi.string().required(),
-          name: Joi.string().required(),
-          price: Joi.number().positive().required(),
-          quantity: Joi.number().integer().positive().required()
-        })
-      ).required(),
-      phone: Joi.string().pattern(/^[+]?[1-9]\d{9,14}$/).optional()
-    }).required()
+    })
+    // The order is built from the checkout intent saved at create-order time,
+    // so any cart data re-sent by the client is stripped
   }),
 
   // Update order status
@@ -110,25 +129,245 @@ const schemas = {
     'object.missing': 'Either email or phone is required'
   }),
 
+  // Checkout intent listing query
+  intentQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string().valid('pending', 'paid', 'abandoned', 'expired', 'failed').optional()
+  }),
+
   // Pagination query
   pagination: Joi.object({
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(20),
-    status: Joi.string().valid('pending', 'preparing', 'ready', 'completed').optional()
+    status: Joi.string().valid('pending', 'preparing', 'ready', 'completed', 'cancelled', 'refunded').optional()
+  }),
+
+  // Order cancellation
+  cancelOrder: Joi.object({
+    reason: Joi.string().trim().max(255).optional()
+  }),
+
+  // Telling a student their order is running late
+  delayOrder: Joi.object({
+    minutes: Joi.number().integer().min(1).max(120).required().messages({
+      'any.required': 'Delay minutes are required',
+      'number.max': 'Delay cannot be more than 120 minutes'
+    }),
+    reason: Joi.string().trim().max(120).allow('').optional()
+  }),
+
+  // Pickups scanned offline, synced in scan order
+  redemptionBatch: Joi.object({
+    redemptions: Joi.array().min(1).max(100).items(Joi.object({
+      id: Joi.string().guid({ version: 'uuidv4' }).required(),
+      qrData: Joi.string().trim().max(1000).required(),
+      scannedAt: Joi.date().iso().required()
+    })).required().messages({
+      'array.max': 'Sync at most 100 redemptions at a time'
+    })
   }),
 
   // UUID parameter
   uuidParam: Joi.object({
-    id: Joi.string().guid({ version: 'uuidv4' }).required().messages({
+    orderId: Joi.string().guid({ version: 'uuidv4' }).required().messages({
+      'string.guid': 'Invalid order ID format',
+      'any.required': 'Order ID is required'
+    })
+  }),
+
+  // Staff login (password or PIN)
+  staffLogin: Joi.object({
+    username: staffUsername.required(),
+    password: Joi.string().max(72),
+    pin: Joi.string().max(6)
+  }).xor('password', 'pin').messages({
+    'object.missing': 'Password or PIN is required',
+    'object.xor': 'Send either a password or a PIN, not both'
+  }),
+
+  // Staff account creation
+  createStaff: Joi.object({
+    username: staffUsername.required(),
+    name: Joi.string().trim().min(1).max(100).required(),
+    role: Joi.string().valid(...STAFF_ROLES).required(),
+    // Leave out for staff who work across every outlet
+    outletId: outletId.allow(null).optional(),
+    password: staffPassword,
+    pin: staffPin
+  }).or('password', 'pin').messages({
+    'object.missing': 'A password or PIN is required'
+  }),
+
+  // Staff account update (partial)
+  updateStaff: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    role: Joi.string().valid(...STAFF_ROLES),
+    outletId: outletId.allow(null),
+    isActive: Joi.boolean(),
+    password: staffPassword,
+    pin: staffPin
+  }).min(1).messages({
+    'object.min': 'At least one field is required'
+  }),
+
+  // Staff ID parameter
+  staffIdParam: Joi.object({
+    staffId: Joi.string().guid().required().messages({
+      'string.guid': 'Invalid staff ID format',
+      'any.required': 'Staff ID is required'
+    })
+  }),
+
+  // Menu item creation
+  createMenuItem: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    description: Joi.string().trim().max(255).allow('').optional(),
+    price: Joi.number().positive().precision(2).required(),
+    category: Joi.string().trim().min(1).max(50).required(),
+    station: Joi.string().trim().max(50).allow(null, '').optional(),
+    prepUnits: Joi.number().integer().min(1).max(20).optional(),
+    outletId: outletId.optional(),
+    image: Joi.string().uri().allow(null, '').optional(),
+    isAvailable: Joi.boolean().default(true),
+    sortOrder: Joi.number().integer().min(0).optional()
+  }),
+
+  // Menu item update (partial)
+  updateMenuItem: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    description: Joi.string().trim().max(255).allow(''),
+    price: Joi.number().positive().precision(2),
+    category: Joi.string().trim().min(1).max(50),
+    station: Joi.string().trim().max(50).allow(null, ''),
+    prepUnits: Joi.number().integer().min(1).max(20),
+    outletId,
+    image: Joi.string().uri().allow(null, ''),
+    isAvailable: Joi.boolean(),
+    sortOrder: Joi.number().integer().min(0)
+  }).min(1).messages({
+    'object.min': 'At least one field is required'
+  }),
+
+  // Menu reorder
+  reorderMenu: Joi.object({
+    itemIds: Joi.array().items(Joi.number().integer().positive()).min(1).unique().required().messages({
+      'array.min': 'At least one item ID is required',
+      'array.unique': 'Item IDs must not repeat',
+      'any.required': 'Item IDs are required'
+    })
+  }),
+
+  // Menu item ID parameter
+  menuItemParam: Joi.object({
+    id: Joi.number().integer().positive().required().messages({
+      'number.base': 'Invalid menu item ID',
+      'any.required': 'Menu item ID is required'
+    })
+  }),
+
+  // Order line parameters
+  orderItemParams: Joi.object({
+    orderId: Joi.string().guid({ version: 'uuidv4' }).required().messages({
       'string.guid': 'Invalid order ID format',
       'any.required': 'Order ID is required'
+    }),
+    itemId: Joi.number().integer().positive().required().messages({
+      'number.base': 'Invalid menu item ID',
+      'any.required': 'Menu item ID is required'
     })
   }),
 
+  // Order line status (lines start out pending)
+  updateItemStatus: Joi.object({
+    status: Joi.string().valid('preparing', 'ready').required().messages({
+      'any.only': 'Status must be one of: preparing, ready',
+      'any.required': 'Status is required'
+    })
+  }),
+
+  // Finished kitchen batch (defaults to the whole batch)
+  completeBatch: Joi.object({
+    quantity: Joi.number().integer().min(1).max(500).messages({
+      'number.base': 'Quantity must be a number',
+      'number.min': 'Quantity must be at least 1'
+    })
+  }),
+
+  // Browser push subscription, as returned by PushManager.subscribe().toJSON()
+  pushSubscription: Joi.object({
+    endpoint: Joi.string().uri({ scheme: 'https' }).max(1000).required().messages({
+      'string.uriCustomScheme': 'Push endpoint must be an https URL',
+      'any.required': 'Push endpoint is required'
+    }),
+    expirationTime: Joi.number().allow(null).optional(),
+    keys: Joi.object({
+      p256dh: Joi.string().max(255).required(),
+      auth: Joi.string().max(255).required()
+    }).required()
+  }),
+
+  // Removing a push subscription
+  pushUnsubscribe: Joi.object({
+    endpoint: Joi.string().uri({ scheme: 'https' }).max(1000).required()
+  }),
+
+  // Staff event stream ticket
+  eventTicketQuery: Joi.object({
+    ticket: Joi.string().required().messages({
+      'any.required': 'Event stream ticket is required'
+    })
+  }),
+
+  // Token status lookup for a later pickup day
+  tokenStatusQuery: Joi.object({
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({
+      'string.pattern.base': 'Date must be in YYYY-MM-DD format'
+    })
+  }),
+
+  // Outlet filter for public lists (menu, slots, queue status)
+  outletQuery: Joi.object({
+    outlet: outletId.optional(),
+    category: Joi.string().trim().max(50).optional()
+  }),
+
+  // Outlet creation
+  createOutlet: Joi.object({
+    id: outletId.required(),
+    name: Joi.string().trim().min(1).max(100).required(),
+    description: Joi.string().trim().max(255).allow(null, '').optional(),
+    pickupLocation: Joi.string().trim().max(255).allow(null, '').optional(),
+    tokenPrefix: Joi.string().trim().uppercase().pattern(/^[A-Z]{1,3}$/).required().messages({
+      'string.pattern.base': 'Token prefix must be 1-3 letters'
+    }),
+    isActive: Joi.boolean().default(true),
+    sortOrder: Joi.number().integer().min(0).optional()
+  }),
+
+  // Outlet update (partial; the ID is fixed because orders and menus refer to it)
+  updateOutlet: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    description: Joi.string().trim().max(255).allow(null, ''),
+    pickupLocation: Joi.string().trim().max(255).allow(null, ''),
+    tokenPrefix: Joi.string().trim().uppercase().pattern(/^[A-Z]{1,3}$/).messages({
+      'string.pattern.base': 'Token prefix must be 1-3 letters'
+    }),
+    isActive: Joi.boolean(),
+    sortOrder: Joi.number().integer().min(0)
+  }).min(1).messages({
+    'object.min': 'At least one field is required'
+  }),
+
+  // Outlet ID parameter
+  outletIdParam: Joi.object({
+    outletId: outletId.required()
+  }),
+
   // Token parameter
   tokenParam: Joi.object({
-    token: Joi.string().pattern(/^[A-Z]-\d{3}$/).required().messages({
-      'string.pattern.base': 'Invalid token format',
+    token: Joi.string().trim().uppercase().pattern(TOKEN_PATTERN).required().messages({
+      'string.pattern.base': 'Invalid token format. Expected something like T-001',
       'any.required': 'Token is required'
     })
   })
@@ -142,8 +381,31 @@ const validate = {
   updateStatus: validateRequest(schemas.updateStatus),
   findToken: validateRequest(schemas.findToken),
   pagination: validateRequest(schemas.pagination, 'query'),
+  intentQuery: validateRequest(schemas.intentQuery, 'query'),
+  cancelOrder: validateRequest(schemas.cancelOrder),
+  pushSubscription: validateRequest(schemas.pushSubscription),
+  pushUnsubscribe: validateRequest(schemas.pushUnsubscribe),
+  delayOrder: validateRequest(schemas.delayOrder),
+  redemptionBatch: validateRequest(schemas.redemptionBatch),
   uuidParam: validateRequest(schemas.uuidParam, 'params'),
-  tokenParam: validateRequest(schemas.tokenParam, 'params')
+  tokenParam: validateRequest(schemas.tokenParam, 'params'),
+  tokenStatusQuery: validateRequest(schemas.tokenStatusQuery, 'query'),
+  createMenuItem: validateRequest(schemas.createMenuItem),
+  updateMenuItem: validateRequest(schemas.updateMenuItem),
+  reorderMenu: validateRequest(schemas.reorderMenu),
+  menuItemParam: validateRequest(schemas.menuItemParam, 'params'),
+  staffLogin: validateRequest(schemas.staffLogin),
+  createStaff: validateRequest(schemas.createStaff),
+  updateStaff: validateRequest(schemas.updateStaff),
+  staffIdParam: validateRequest(schemas.staffIdParam, 'params'),
+  eventTicketQuery: validateRequest(schemas.eventTicketQuery, 'query'),
+  completeBatch: validateRequest(schemas.completeBatch),
+  orderItemParams: validateRequest(schemas.orderItemParams, 'params'),
+  updateItemStatus: validateRequest(schemas.updateItemStatus),
+  outletQuery: validateRequest(schemas.outletQuery, 'query'),
+  createOutlet: validateRequest(schemas.createOutlet),
+  updateOutlet: validateRequest(schemas.updateOutlet),
+  outletIdParam: validateRequest(schemas.outletIdParam, 'params')
 };
 
 module.exports = {
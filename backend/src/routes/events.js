@@ -0,0 +1,91 @@
+/**
+ * Event stream routes
+ * Server-Sent Events for live order updates: one order for students, every order for staff
+ */
+
+const express = require('express');
+const { getAuthService, getDatabaseService, getOrderEventService } = require('../services');
+const { validate } = require('../middleware/validateRequest');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { authenticateToken, requirePermission, scopeToOutlet } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/staffRoles');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/events/orders/:orderId
+ * @desc Stream status changes for one order (sends the current status first)
+ * @access Public (order ID required)
+ */
+router.get('/orders/:orderId', validate.uuidParam, asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const databaseService = getDatabaseService();
+  const orderEventService = getOrderEventService();
+
+  const order = await databaseService.getOrderById(orderId);
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  assertStreamCapacity(orderEventService);
+
+  const subscriber = orderEventService.subscribe(req, res, { orderId });
+  orderEventService.send(subscriber, 'order.snapshot', { order: orderEventService.toPublicOrder(order) });
+}));
+
+/**
+ * @route POST /api/events/ticket
+ * @desc Get a short-lived ticket for opening the staff event stream, for one outlet
+ *       (?outlet=, or the staff member's own) or every outlet
+ * @access Staff (orders:view)
+ */
+router.post('/ticket', authenticateToken, requirePermission(PERMISSIONS.ORDERS_VIEW), scopeToOutlet, asyncHandler(async (req, res) => {
+  const authService = getAuthService();
+  const ticket = authService.generateEventTicket(req.user, req.staffRole, req.outletId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Event stream ticket issued',
+    data: { ticket },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route GET /api/events/staff?ticket=
+ * @desc Stream every order created and status change at the ticket's outlet (or every outlet)
+ * @access Staff (ticket from POST /api/events/ticket)
+ */
+router.get('/staff', validate.eventTicketQuery, asyncHandler(async (req, res) => {
+  const authService = getAuthService();
+  const orderEventService = getOrderEventService();
+
+  let staff;
+  try {
+    staff = authService.verifyEventTicket(req.query.ticket);
+  } catch (error) {
+    throw new AppError(error.message, 401);
+  }
+
+  assertStreamCapacity(orderEventService);
+
+  const subscriber = orderEventService.subscribe(req, res, {
+    staff: { id: staff.sub, name: staff.name, role: staff.role, outletId: staff.outletId || null }
+  });
+  orderEventService.send(subscriber, 'ready', { role: staff.role, outletId: staff.outletId || null });
+}));
+
+// Helper functions for event streams
+
+/**
+ * Refuse new streams once the server holds SSE_MAX_CLIENTS open connections
+ * @param {Object} orderEventService - Order event service
+ */
+function assertStreamCapacity(orderEventService) {
+  if (orderEventService.isFull()) {
+    throw new AppError('Live updates are busy, please refresh later', 503);
+  }
+}
+
+module.exports = router;
@@ -1,156 +1,49 @@
 /**
  * Menu routes
- * Handles menu items for the canteen
+ * Handles the canteen menu catalog and its admin management
  */
 
 const express = require('express');
-const { asyncHandler } = require('../middleware/errorHandler');
+const { getDatabaseService } = require('../services');
+const { validate } = require('../middleware/validateRequest');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { authenticateToken, requirePermission, scopeToOutlet } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/staffRoles');
+const { DEFAULT_OUTLET_ID } = require('../services/outlets');
 
 const router = express.Router();
 
-// Static menu data - in production this could come from database
-const menuItems = [
-  {
-    id: 1,
-    name: "Masala Dosa",
-    description: "Crispy rice pancake filled with spiced potato curry, served with coconut chutney and sambar",
-    price: 45,
-    category: "South Indian",
-    image: null,
-    isAvailable: true
-  },
-  {
-    id: 2,
-    name: "Aloo Paratha",
-    description: "Stuffed flatbread with spiced potato filling, served with curd and pickle",
-    price: 85,
-    category: "Main Course",
-    image: null,
-    isAvailable: true
-  },
-  {
-    id: 3,
-    name: "Veg Biryani",
-    description: "Fragrant basmati rice cooked with mixed vegetables and aromatic spices",
-    price: 70,
-    category: "Rice & Biryani",
-    image: null,
-    isAvailable: true
-  },
-  {
-    id: 4,
-    name: "Samosa (2 pcs)",
-    description: "Crispy fried pastry filled with spiced potatoes and peas",
-    price: 20,
-    category: "Snacks",
-    image: null,
-    isAvailable: true
-  },
-  {
-    id: 5,
-    name: "Chole Bhature",
-    description: "Spicy chickpea curry served with fluffy deep-fried bread",
-    price: 60,
-    category: "North Indian",
-    image: null,
-    isAvailable: true
-  },
-  {
-    id: 6,
-    name: "Idli Sambar (3 pcs)",
-    description: "Steamed rice cakes served with lentil-based vegetable stew and coconut chutney",
-    price: 35,
-    category: "South Indian",
-    image: null,
-    isAvailable: true
-  },
-  {
-    id: 7,
-    name: "Pav Bhaji",
-    description: "Thick vegetable curry served with buttered and toasted bread rolls",
-    price: 55,
-    category: "Street Food",
-    image: null,
-    isAvailable: true
-  },
-  {
-    id: 8,
-    name: "Rajma Rice",
-    description: "Kidney bean curry served with steamed basmati rice",
-    price: 65,
-    category: "Main Course",
-    image: null,
-    isAvailable: true
-  },
-  {
-    id: 9,
-    name: "Poha",
-    description: "Flattened rice cooked with onions, tomatoes, and spices, garnished with fresh coriander",
-    price: 30,
-    category: "Breakfast",
-    image: null,
-    isAvailable: true
-  },
-  {
-    id: 10,
-    name: "Vada Pav",
-    description: "Deep-fried potato dumpling placed inside a bread bun with chutneys",
-    price: 25,
-    category: "Street Food",
-    image: null,
-    isAvailable: true
-  },
-  {
-    id: 11,
-    name: "Chicken Biryani",
-    description: "Aromatic basmati rice cooked with tender chicken pieces and traditional spices",
-    price: 120,
-    category: "Rice & Biryani",
-    image: null,
-    isAvailable: true
-  },
-  {
-    id: 12,
-    name: "Paneer Butter Masala",
-    description: "Cottage cheese cubes cooked in creamy tomato-based curry, served with naan",
-    price: 95,
-    category: "Main Course",
-    image: null,
-    isAvailable: true
-  }
-];
-
 /**
  * @route GET /api/menu
- * @desc Get all menu items
+ * @desc Get all available menu items of an outlet (?outlet=, defaults to the main outlet)
  * @access Public
  */
-router.get('/', asyncHandler(async (req, res) => {
-  const { category } = req.query;
-  
-  let filteredItems = menuItems.filter(item => item.isAvailable);
-  
-  if (category && category !== 'all') {
-    filteredItems = filteredItems.filter(item => 
-      item.category.toLowerCase() === category.toLowerCase()
-    );
-  }
+router.get('/', validate.outletQuery, asyncHandler(async (req, res) => {
+  const { category, outlet = DEFAULT_OUTLET_ID } = req.query;
+  const databaseService = getDatabaseService();
+
+  const menuItems = await databaseService.getMenuItems({
+    category: category && category !== 'all' ? category : null,
+    outletId: outlet
+  });
   
   res.json({
     success: true,
     message: 'Menu items retrieved successfully',
-    data: filteredItems,
+    data: menuItems.map(formatMenuItem),
     timestamp: new Date().toISOString()
   });
 }));
 
 /**
  * @route GET /api/menu/categories
- * @desc Get all available categories
+ * @desc Get all available categories of an outlet (?outlet=, defaults to the main outlet)
  * @access Public
  */
-router.get('/categories', asyncHandler(async (req, res) => {
-  const categories = [...new Set(menuItems.map(item => item.category))];
+router.get('/categories', validate.outletQuery, asyncHandler(async (req, res) => {
+  const { outlet = DEFAULT_OUTLET_ID } = req.query;
+  const databaseService = getDatabaseService();
+  const categories = await databaseService.getMenuCategories(outlet);
   
   res.json({
     success: true,
@@ -160,14 +53,80 @@ router.get('/categories', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @route GET /api/menu/manage
+ * @desc Get every menu item, including unavailable ones, of the staff member's outlet
+ *       (or of ?outlet=, or of every outlet for staff without an outlet)
+ * @access Manager, Admin (menu:manage)
+ */
+router.get('/manage', authenticateToken, requirePermission(PERMISSIONS.MENU_MANAGE), scopeToOutlet, asyncHandler(async (req, res) => {
+  const databaseService = getDatabaseService();
+  const menuItems = await databaseService.getMenuItems({ includeUnavailable: true, outletId: req.outletId });
+
+  res.json({
+    success: true,
+    message: 'Menu items retrieved successfully',
+    data: menuItems.map(formatMenuItem),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route PUT /api/menu/reorder
+ * @desc Set the display order of menu items
+ * @access Manager, Admin (menu:manage)
+ */
+router.put('/reorder', authenticateToken, requirePermission(PERMISSIONS.MENU_MANAGE), scopeToOutlet, validate.reorderMenu, asyncHandler(async (req, res) => {
+  const { itemIds } = req.body;
+  const databaseService = getDatabaseService();
+
+  const existingItems = await databaseService.getMenuItems({ includeUnavailable: true, outletId: req.outletId });
+  const existingIds = new Set(existingItems.map(item => item.id));
+  const unknownIds = itemIds.filter(id => !existingIds.has(id));
+
+  if (unknownIds.length > 0) {
+    throw new AppError(`Unknown menu item IDs: ${unknownIds.join(', ')}`, 400);
+  }
+
+  const menuItems = await databaseService.reorderMenuItems(itemIds, req.outletId);
+
+  res.json({
+    success: true,
+    message: 'Menu reordered successfully',
+    data: menuItems.map(formatMenuItem),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route POST /api/menu
+ * @desc Create a menu item
+ * @access Manager, Admin (menu:manage)
+ */
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.MENU_MANAGE), scopeToOutlet, validate.createMenuItem, asyncHandler(async (req, res) => {
+  const outletId = req.body.outletId || req.outletId || DEFAULT_OUTLET_ID;
+  await assertOutletWritable(req, outletId);
+
+  const databaseService = getDatabaseService();
+  const createdItem = await databaseService.createMenuItem(toMenuItemColumns({ ...req.body, outletId }));
+
+  res.status(201).json({
+    success: true,
+    message: 'Menu item created successfully',
+    data: formatMenuItem(createdItem),
+    timestamp: new Date().toISOString()
+  });
+}));
+
 /**
  * @route GET /api/menu/:id
  * @desc Get specific menu item by ID
  * @access Public
  */
-router.get('/:id', asyncHandler(async (req, res) => {
+router.get('/:id', validate.menuItemParam, asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const item = menuItems.find(item => item.id === parseInt(id));
+  const databaseService = getDatabaseService();
+  const item = await databaseService.getMenuItemById(id);
   
   if (!item) {
     return res.status(404).json({
@@ -181,9 +140,146 @@ router.get('/:id', asyncHandler(async (req, res) => {
   res.json({
     success: true,
     message: 'Menu item retrieved successfully',
-    data: item,
+    data: formatMenuItem(item),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route PATCH /api/menu/:id
+ * @desc Update a menu item (price, availability, details)
+ * @access Manager, Admin (menu:manage)
+ */
+router.patch('/:id', authenticateToken, requirePermission(PERMISSIONS.MENU_MANAGE), scopeToOutlet, validate.menuItemParam, validate.updateMenuItem, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const databaseService = getDatabaseService();
+
+  await getScopedMenuItem(req, id);
+
+  // Moving an item to another outlet
+  if (req.body.outletId) {
+    await assertOutletWritable(req, req.body.outletId);
+  }
+
+  const updatedItem = await databaseService.updateMenuItem(id, toMenuItemColumns(req.body));
+
+  if (!updatedItem) {
+    throw new AppError('Menu item not found', 404);
+  }
+
+  res.json({
+    success: true,
+    message: 'Menu item updated successfully',
+    data: formatMenuItem(updatedItem),
     timestamp: new Date().toISOString()
   });
 }));
 
+/**
+ * @route DELETE /api/menu/:id
+ * @desc Delete a menu item
+ * @access Manager, Admin (menu:manage)
+ */
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.MENU_MANAGE), scopeToOutlet, validate.menuItemParam, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const databaseService = getDatabaseService();
+
+  await getScopedMenuItem(req, id);
+
+  const deletedItem = await databaseService.deleteMenuItem(id);
+
+  if (!deletedItem) {
+    throw new AppError('Menu item not found', 404);
+  }
+
+  res.json({
+    success: true,
+    message: 'Menu item deleted successfully',
+    data: formatMenuItem(deletedItem),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// Helper functions for outlet scoping
+
+/**
+ * Load a menu item of the outlet the request works on
+ * Items of other outlets are reported as not found.
+ * @param {object} req - Express request (outletId)
+ * @param {number} itemId - Menu item ID
+ * @returns {object} Menu item row
+ */
+async function getScopedMenuItem(req, itemId) {
+  const item = await getDatabaseService().getMenuItemById(itemId);
+  const outletId = item?.outlet_id || DEFAULT_OUTLET_ID;
+
+  if (!item || (req.outletId && req.outletId !== outletId)) {
+    throw new AppError('Menu item not found', 404);
+  }
+
+  return item;
+}
+
+/**
+ * Make sure the signed-in staff member may put menu items in an outlet
+ * @param {object} req - Express request (user)
+ * @param {string} outletId - Target outlet
+ */
+async function assertOutletWritable(req, outletId) {
+  if (req.user.outletId && req.user.outletId !== outletId) {
+    throw new AppError('You can only work with your own outlet', 403);
+  }
+
+  if (!(await getDatabaseService().getOutletById(outletId))) {
+    throw new AppError('Outlet not found', 400);
+  }
+}
+
+// Helper functions for mapping between API and database shapes
+
+/**
+ * Convert a menu_items row to the API response shape
+ * @param {object} item - Row from menu_items
+ * @returns {object} Menu item for clients
+ */
+function formatMenuItem(item) {
+  return {
+    id: item.id,
+    name: item.name,
+    description: item.description,
+    price: parseFloat(item.price),
+    category: item.category,
+    outletId: item.outlet_id || DEFAULT_OUTLET_ID,
+    station: item.station || null,
+    prepUnits: item.prep_units || 1,
+    image: item.image_url || null,
+    isAvailable: item.is_available,
+    sortOrder: item.sort_order
+  };
+}
+
+/**
+ * Convert a validated request body to menu_items columns
+ * @param {object} body - Validated menu item fields
+ * @returns {object} Column values (only fields that were provided)
+ */
+function toMenuItemColumns(body) {
+  const columns = {
+    name: body.name,
+    description: body.description,
+    price: body.price,
+    category: body.category,
+    outlet_id: body.outletId,
+    station: body.station === '' ? null : body.station,
+    prep_units: body.prepUnits,
+    image_url: body.image === '' ? null : body.image,
+    is_available: body.isAvailable,
+    sort_order: body.sortOrder
+  };
+
+  return Object.fromEntries(
+    Object.entries(columns).filter(([, value]) => value !== undefined)
+  );
+}
+
 module.exports = router;
\ No newline at end of file
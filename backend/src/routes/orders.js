@@ -4,10 +4,14 @@
  */
 
 const express = require('express');
-const { getDatabaseService } = require('../services');
+const { getDatabaseService, getRefundService, getWaitTimeService } = require('../services');
 const { validate } = require('../middleware/validateRequest');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { ACTIVE_STATUSES } = require('../services/orderLifecycle');
+const { createOrderQr } = require('../services/orderQr');
+const { DEFAULT_OUTLET_ID } = require('../services/outlets');
+const { getTokenDate } = require('../services/orderToken');
 
 const router = express.Router();
 
@@ -85,7 +89,11 @@ router.get('/my-orders/:orderId', authenticateToken, validate.uuidParam, asyncHa
   res.status(200).json({
     success: true,
     message: 'Order details retrieved successfully',
-    data: { order },
+    data: {
+      order,
+      // Pickup QR is only issued while the order can still be collected
+      qrCode: ACTIVE_STATUSES.includes(order.status) ? createOrderQr(order) : null
+    },
     timestamp: new Date().toISOString()
   });
 }));
@@ -138,7 +146,7 @@ router.get('/active-order', authenticateToken, asyncHandler(async (req, res) =>
     .from('orders')
     .select('*')
     .eq('user_email', email)
-    .in('status', ['pending', 'preparing', 'ready'])
+    .in('status', ACTIVE_STATUSES)
     .order('created_at', { ascending: false })
     .limit(1);
 
@@ -153,7 +161,52 @@ router.get('/active-order', authenticateToken, asyncHandler(async (req, res) =>
     message: activeOrder ? 'Active order found' : 'No active order found',
     data: { 
       order: activeOrder,
-      hasActiveOrder: !!activeOrder 
+      hasActiveOrder: !!activeOrder,
+      qrCode: activeOrder ? createOrderQr(activeOrder) : null
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route GET /api/orders/active-tokens
+ * @desc Get every token the user can still collect, with its pickup QR, for the offline token wallet
+ * @access Private
+ */
+router.get('/active-tokens', authenticateToken, asyncHandler(async (req, res) => {
+  const { email } = req.user;
+  const databaseService = getDatabaseService();
+
+  // Tokens expire at the end of their day; scheduled pickups on later days are still to come
+  const { data: orders, error } = await databaseService.supabase
+    .from('orders')
+    .select('*')
+    .eq('user_email', email)
+    .in('status', ACTIVE_STATUSES)
+    .gte('token_date', getTokenDate())
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new AppError('Failed to fetch active tokens', 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Active tokens retrieved successfully',
+    data: {
+      tokens: (orders || []).map(order => ({
+        orderId: order.id,
+        token: order.token,
+        tokenDate: order.token_date,
+        status: order.status,
+        items: order.items,
+        specialInstructions: order.special_instructions || null,
+        totalAmount: order.total_amount,
+        createdAt: order.created_at,
+        pickupAt: order.pickup_at || null,
+        outletId: order.outlet_id || DEFAULT_OUTLET_ID,
+        qrCode: createOrderQr(order)
+      }))
     },
     timestamp: new Date().toISOString()
   });
@@ -161,12 +214,12 @@ router.get('/active-order', authenticateToken, asyncHandler(async (req, res) =>
 
 /**
  * @route GET /api/orders/today-stats
- * @desc Get today's order statistics
+ * @desc Get today's order statistics, of every outlet or of ?outlet=
  * @access Public
  */
-router.get('/today-stats', asyncHandler(async (req, res) => {
+router.get('/today-stats', validate.outletQuery, asyncHandler(async (req, res) => {
   const databaseService = getDatabaseService();
-  const stats = await databaseService.getTodayStats();
+  const stats = await databaseService.getTodayStats(req.query.outlet || null);
 
   res.status(200).json({
     success: true,
@@ -178,51 +231,60 @@ router.get('/today-stats', asyncHandler(async (req, res) => {
 
 /**
  * @route GET /api/orders/queue-status
- * @desc Get current queue status and estimated wait time
+ * @desc Get current queue status and estimated wait time of an outlet (?outlet=, defaults to the main outlet)
  * @access Public
  */
-router.get('/queue-status', asyncHandler(async (req, res) => {
+router.get('/queue-status', validate.outletQuery, asyncHandler(async (req, res) => {
+  const { outlet = DEFAULT_OUTLET_ID } = req.query;
   const databaseService = getDatabaseService();
+  const now = new Date().toISOString();
 
-  // Get pending and preparing orders
+  // Get pending and preparing orders (scheduled orders join once released to the kitchen)
   const { data: pendingOrders, error: pendingError } = await databaseService.supabase
     .from('orders')
-    .select('token, created_at')
+    .select('id, token, created_at')
     .eq('status', 'pending')
-    .order('created_at', { ascending: true });
+    .eq('outlet_id', outlet)
+    .lte('release_at', now)
+    .order('release_at', { ascending: true });
 
   const { data: preparingOrders, error: preparingError } = await databaseService.supabase
     .from('orders')
-    .select('token, created_at')
+    .select('id, token, created_at')
     .eq('status', 'preparing')
-    .order('created_at', { ascending: true });
+    .eq('outlet_id', outlet)
+    .order('release_at', { ascending: true });
 
   if (pendingError || preparingError) {
     throw new AppError('Failed to fetch queue status', 500);
   }
 
-  // Calculate estimated wait time (5 minutes per order in queue)
+  // Wait for an order placed now, from learned prep times and the staff on shift
   const queueLength = (pendingOrders?.length || 0) + (preparingOrders?.length || 0);
-  const estimatedWaitMinutes = queueLength * 5; // 5 minutes per order
+  const { estimates, newOrder, activeStaff } = await getWaitTimeService().estimateQueue(new Date(), outlet);
+  const estimatedWaitMinutes = newOrder.estimatedWaitMinutes;
 
   res.status(200).json({
     success: true,
     message: 'Queue status retrieved successfully',
     data: {
+      outletId: outlet,
       queue: {
         pending: pendingOrders?.length || 0,
         preparing: preparingOrders?.length || 0,
-        total: queueLength
+        total: queueLength,
+        activeStaff
       },
       estimatedWait: {
         minutes: estimatedWaitMinutes,
+        readyAt: newOrder.estimatedReadyAt,
         display: estimatedWaitMinutes > 60 
           ? `${Math.floor(estimatedWaitMinutes / 60)}h ${estimatedWaitMinutes % 60}m`
           : `${estimatedWaitMinutes}m`
       },
       currentTokensInQueue: [
-        ...(pendingOrders || []).map(o => ({ token: o.token, status: 'pending' })),
-        ...(preparingOrders || []).map(o => ({ token: o.token, status: 'preparing' }))
+        ...(pendingOrders || []).map(o => ({ token: o.token, status: 'pending', estimatedReadyAt: estimates.get(o.id)?.estimatedReadyAt || null })),
+        ...(preparingOrders || []).map(o => ({ token: o.token, status: 'preparing', estimatedReadyAt: estimates.get(o.id)?.estimatedReadyAt || null }))
       ]
     },
     timestamp: new Date().toISOString()
@@ -231,7 +293,7 @@ router.get('/queue-status', asyncHandler(async (req, res) => {
 
 /**
  * @route POST /api/orders/cancel/:orderId
- * @desc Cancel an order (only if pending)
+ * @desc Cancel an order (only if pending) and refund the payment
  * @access Private
  */
 router.post('/cancel/:orderId', authenticateToken, validate.uuidParam, asyncHandler(async (req, res) => {
@@ -239,6 +301,7 @@ router.post('/cancel/:orderId', authenticateToken, validate.uuidParam, asyncHand
   const { email } = req.user;
 
   const databaseService = getDatabaseService();
+  const refundService = getRefundService();
 
   // Get order and verify ownership
   const order = await databaseService.getOrderById(orderId);
@@ -247,29 +310,15 @@ router.post('/cancel/:orderId', authenticateToken, validate.uuidParam, asyncHand
     throw new AppError('Order not found', 404);
   }
 
-  if (order.status !== 'pending') {
-    throw new AppError('Only pending orders can be cancelled', 400);
-  }
-
-  // Update status to completed (cancelled)
-  const { data: updatedOrder, error } = await databaseService.supabase
-    .from('orders')
-    .update({ 
-      status: 'completed',
-      updated_at: new Date().toISOString()
-    })
-    .eq('id', orderId)
-    .select()
-    .single();
-
-  if (error) {
-    throw new AppError('Failed to cancel order', 500);
-  }
+  // The order lifecycle only lets customers cancel pending orders
+  const cancelledOrder = await refundService.cancelOrder(order, { actor: 'customer' });
 
   res.status(200).json({
     success: true,
-    message: 'Order cancelled successfully',
-    data: { order: updatedOrder },
+    message: cancelledOrder.refund_status === 'failed'
+      ? 'Order cancelled. The refund could not be started yet; canteen staff will retry it.'
+      : 'Order cancelled and refund initiated',
+    data: { order: cancelledOrder },
     timestamp: new Date().toISOString()
   });
 }));
@@ -0,0 +1,179 @@
+/**
+ * Outlet routes
+ * Lists the outlets students can order from and lets admins add and edit them
+ */
+
+const express = require('express');
+const { getDatabaseService } = require('../services');
+const { validate } = require('../middleware/validateRequest');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/staffRoles');
+const { getPickupLocation } = require('../services/outlets');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/outlets
+ * @desc Get the outlets open for ordering
+ * @access Public
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const databaseService = getDatabaseService();
+  const outlets = await databaseService.getOutlets();
+
+  res.status(200).json({
+    success: true,
+    message: `Found ${outlets.length} outlets`,
+    data: { outlets: outlets.map(formatOutlet) },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route GET /api/outlets/manage
+ * @desc Get every outlet, including closed ones
+ * @access Admin (outlets:manage)
+ */
+router.get('/manage', authenticateToken, requirePermission(PERMISSIONS.OUTLETS_MANAGE), asyncHandler(async (req, res) => {
+  const databaseService = getDatabaseService();
+  const outlets = await databaseService.getOutlets({ includeInactive: true });
+
+  res.status(200).json({
+    success: true,
+    message: `Found ${outlets.length} outlets`,
+    data: { outlets: outlets.map(formatOutlet) },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route GET /api/outlets/:outletId
+ * @desc Get an outlet
+ * @access Public
+ */
+router.get('/:outletId', validate.outletIdParam, asyncHandler(async (req, res) => {
+  const databaseService = getDatabaseService();
+  const outlet = await databaseService.getOutletById(req.params.outletId);
+
+  if (!outlet) {
+    throw new AppError('Outlet not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Outlet retrieved successfully',
+    data: formatOutlet(outlet),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route POST /api/outlets
+ * @desc Create an outlet
+ * @access Admin (outlets:manage)
+ */
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.OUTLETS_MANAGE), validate.createOutlet, asyncHandler(async (req, res) => {
+  const databaseService = getDatabaseService();
+
+  if (await databaseService.getOutletById(req.body.id)) {
+    throw new AppError('An outlet with this ID already exists', 409);
+  }
+
+  await assertTokenPrefixFree(req.body.tokenPrefix);
+
+  const createdOutlet = await databaseService.createOutlet({
+    id: req.body.id,
+    ...toOutletColumns(req.body)
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Outlet created successfully',
+    data: formatOutlet(createdOutlet),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route PATCH /api/outlets/:outletId
+ * @desc Update an outlet (name, pickup location, token prefix, open for ordering)
+ * @access Admin (outlets:manage)
+ */
+router.patch('/:outletId', authenticateToken, requirePermission(PERMISSIONS.OUTLETS_MANAGE), validate.outletIdParam, validate.updateOutlet, asyncHandler(async (req, res) => {
+  const { outletId } = req.params;
+
+  if (req.body.tokenPrefix) {
+    await assertTokenPrefixFree(req.body.tokenPrefix, outletId);
+  }
+
+  const databaseService = getDatabaseService();
+  const updatedOutlet = await databaseService.updateOutlet(outletId, toOutletColumns(req.body));
+
+  if (!updatedOutlet) {
+    throw new AppError('Outlet not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Outlet updated successfully',
+    data: formatOutlet(updatedOutlet),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// Helper functions for outlets
+
+/**
+ * Make sure no other outlet issues tokens with a prefix
+ * Tokens are looked up by day and token alone, so prefixes must never clash.
+ * @param {string} tokenPrefix - Prefix to check
+ * @param {string} outletId - Outlet being edited (its own prefix is fine)
+ */
+async function assertTokenPrefixFree(tokenPrefix, outletId = null) {
+  const outlets = await getDatabaseService().getOutlets({ includeInactive: true });
+  const owner = outlets.find(outlet => outlet.token_prefix === tokenPrefix && outlet.id !== outletId);
+
+  if (owner) {
+    throw new AppError(`Token prefix ${tokenPrefix} is already used by ${owner.name}`, 409);
+  }
+}
+
+/**
+ * Convert an outlets row to the API response shape
+ * @param {object} outlet - Row from outlets
+ * @returns {object} Outlet for clients
+ */
+function formatOutlet(outlet) {
+  return {
+    id: outlet.id,
+    name: outlet.name,
+    description: outlet.description || null,
+    pickupLocation: getPickupLocation(outlet),
+    tokenPrefix: outlet.token_prefix,
+    isActive: outlet.is_active,
+    sortOrder: outlet.sort_order
+  };
+}
+
+/**
+ * Convert a validated request body to outlets columns
+ * @param {object} body - Validated outlet fields
+ * @returns {object} Column values (only fields that were provided)
+ */
+function toOutletColumns(body) {
+  const columns = {
+    name: body.name,
+    description: body.description === '' ? null : body.description,
+    pickup_location: body.pickupLocation === '' ? null : body.pickupLocation,
+    token_prefix: body.tokenPrefix,
+    is_active: body.isActive,
+    sort_order: body.sortOrder
+  };
+
+  return Object.fromEntries(
+    Object.entries(columns).filter(([, value]) => value !== undefined)
+  );
+}
+
+module.exports = router;
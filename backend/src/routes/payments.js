@@ -4,11 +4,16 @@
  */
 
 const express = require('express');
-const { getPaymentService, getDatabaseService, getEmailService } = require('../services');
+const { getPaymentService, getDatabaseService, getEmailService, getRefundService, getWaitTimeService } = require('../services');
 const emailService = require('../services/emailService'); // Professional email service
 const { validate } = require('../middleware/validateRequest');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { createOrderQr } = require('../services/orderQr');
+const { getItemStation } = require('../services/orderItems');
+const { findPickupSlot, listPickupSlots, withSlotLoad, hasRoomFor } = require('../services/pickupSlots');
+const { getTokenDate } = require('../services/orderToken');
+const { DEFAULT_OUTLET_ID } = require('../services/outlets');
 
 const router = express.Router();
 
@@ -18,17 +23,40 @@ const router = express.Router();
  * @access Private
  */
 router.post('/create-order', authenticateToken, validate.createOrder, asyncHandler(async (req, res) => {
-  const { items, phone } = req.body;
+  const { phone, pickupAt, outletId = DEFAULT_OUTLET_ID } = req.body;
+  const specialInstructions = req.body.specialInstructions || null;
   const { email, name } = req.user;
 
-  // Calculate total amount
-  const totalAmount = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+  const outlet = await getDatabaseService().getOutletById(outletId);
+  if (!outlet || !outlet.is_active) {
+    throw new AppError('This outlet is not taking orders right now', 400);
+  }
+
+  // Scheduled pickups must start at a slot that can still be booked
+  const pickupSlot = pickupAt ? findPickupSlot(pickupAt) : null;
+  if (pickupAt && !pickupSlot) {
+    throw new AppError('That pickup slot is no longer available. Please choose another time.', 400);
+  }
+
+  // Price the cart from the menu catalog - client-sent prices are never trusted
+  const { items, totalAmount, prepUnits } = await priceOrderItems(req.body.items, outlet.id, getDatabaseService());
 
   if (totalAmount <= 0) {
     throw new AppError('Invalid order total amount', 400);
   }
 
   const paymentService = getPaymentService();
+  const databaseService = getDatabaseService();
+
+  // Turn a full slot away before a Razorpay order is created for it
+  if (pickupSlot) {
+    const bookings = await databaseService.getPickupSlotLoad(pickupSlot.startsAt, pickupSlot.endsAt, outlet.id);
+    const [slot] = withSlotLoad([pickupSlot], bookings);
+
+    if (!hasRoomFor(slot, prepUnits)) {
+      throw new AppError('That pickup slot is full. Please choose another time.', 409);
+    }
+  }
 
   // Create Razorpay order
   const razorpayOrder = await paymentService.createOrder({
@@ -39,6 +67,23 @@ router.post('/create-order', authenticateToken, validate.createOrder, asyncHandl
     items
   });
 
+  // Save the priced cart so verification only trusts what was charged here.
+  // The slot is only claimed here, under a lock: if another checkout filled it since the
+  // check above, this refuses with a 409 and leaves the Razorpay order created above
+  // unused (it is never paid and expires on Razorpay's side).
+  const intent = await databaseService.createCheckoutIntent({
+    razorpay_order_id: razorpayOrder.id,
+    user_name: name,
+    user_email: email,
+    phone,
+    items,
+    special_instructions: specialInstructions,
+    total_amount: totalAmount,
+    pickup_at: pickupSlot?.startsAt || null,
+    pickup_units: pickupSlot ? prepUnits : 0,
+    outlet_id: outlet.id
+  });
+
   res.status(201).json({
     success: true,
     message: 'Payment order created successfully',
@@ -53,8 +98,12 @@ router.post('/create-order', authenticateToken, validate.createOrder, asyncHandl
         totalAmount,
         userEmail: email,
         userName: name,
-        phone
-      }
+        phone,
+        specialInstructions,
+        pickupAt: intent.pickup_at || null,
+        outletId: outlet.id
+      },
+      expiresAt: intent.expires_at
     },
     timestamp: new Date().toISOString()
   });
@@ -69,26 +118,34 @@ router.post('/verify', authenticateToken, validate.verifyPayment, asyncHandler(a
   const { 
     razorpay_order_id, 
     razorpay_payment_id, 
-    razorpay_signature,
-    orderData 
+    razorpay_signature
   } = req.body;
   
-  const { email, name } = req.user;
-  const { items, phone } = orderData;
+  const { email } = req.user;
 
   console.log('🔍 Payment verification request received:', {
     razorpay_order_id,
     razorpay_payment_id,
-    user: email,
-    itemCount: items?.length
+    user: email
   });
 
   try {
     const paymentService = getPaymentService();
     const databaseService = getDatabaseService();
-    const emailService = getEmailService();
 
-    // Step 1: Validate payment with Razorpay
+    // Step 1: Load the checkout intent saved when the Razorpay order was created
+    const intent = await databaseService.getCheckoutIntent(razorpay_order_id);
+
+    if (!intent || intent.user_email !== email) {
+      throw new AppError('Checkout not found for this payment', 404);
+    }
+
+    if (intent.status !== 'pending' && intent.status !== 'paid') {
+      // The student still paid, so honour the intent but leave a trace for admins
+      console.warn(`⚠️  Verifying payment for ${intent.status} checkout intent: ${razorpay_order_id}`);
+    }
+
+    // Step 2: Validate payment with Razorpay
     console.log('📝 Validating payment with Razorpay...');
     const validationResult = await paymentService.validatePaymentCompletion({
       razorpay_order_id,
@@ -103,84 +160,25 @@ router.post('/verify', authenticateToken, validate.verifyPayment, asyncHandler(a
 
     console.log('✅ Payment validated successfully');
 
-    // Step 2: Calculate total and verify amount matches
-    const calculatedTotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    const paidAmount = validationResult.paymentDetails.amount;
-
-    console.log('💰 Amount verification:', { calculatedTotal, paidAmount });
-
-    if (Math.abs(calculatedTotal - paidAmount) > 0.01) { // Allow 1 paisa difference for rounding
-      console.error('❌ Payment amount mismatch:', { calculatedTotal, paidAmount });
-      throw new AppError('Payment amount mismatch', 400);
-    }
-
-    // Step 3: Create order in database
-    console.log('💾 Creating order in database...');
-    console.log('🔍 Items data structure:', JSON.stringify(items, null, 2));
-    
-    const orderDetails = {
-      user_name: name,
-      user_email: email,
-      phone,
-      items,
-      total_amount: calculatedTotal,
-      payment_id: razorpay_payment_id,
-      payment_signature: razorpay_signature
-    };
-
-    let createdOrder;
-    try {
-      createdOrder = await databaseService.createOrder(orderDetails);
-      console.log('✅ Order created successfully:', createdOrder.token);
-    } catch (dbError) {
-      console.error('❌ Database order creation failed:', {
-        error: dbError.message,
-        code: dbError.code,
-        orderDetails: {
-          user_email: email,
-          total_amount: calculatedTotal,
-          payment_id: razorpay_payment_id
-        }
-      });
-      
-      // If it's a token conflict, provide specific error message
-      if (dbError.message.includes('token') || dbError.message.includes('duplicate')) {
-        throw new AppError('Order creation failed due to token conflict. Please try again.', 500);
-      }
-      
-      throw new AppError('Failed to create order. Payment was successful but order could not be processed.', 500);
-    }
+    // Steps 3-5: Check the amount, create the order and send the confirmation email.
+    // The webhook may already have done this, in which case the existing order comes back.
+    const { order: createdOrder, created } = await fulfillCheckoutIntent(intent, {
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature,
+      amount: validationResult.paymentDetails.amount
+    });
 
-    // Step 4: Send professional confirmation email
-    console.log('📧 Sending order confirmation email...');
-    console.log('📧 Email service type:', typeof emailService);
-    console.log('📧 Email service methods:', Object.getOwnPropertyNames(emailService));
-    
-    try {
-      // Use the sendOrderTokenEmail method that exists
-      if (typeof emailService.sendOrderTokenEmail === 'function') {
-        const emailSent = await emailService.sendOrderTokenEmail(createdOrder);
-        
-        if (emailSent) {
-          console.log('✅ Order confirmation email sent successfully');
-        } else {
-          console.log('⚠️  Email service not configured or failed silently');
-        }
-      } else {
-        console.log('❌ sendOrderTokenEmail method not found on emailService');
-        console.log('Available methods:', Object.getOwnPropertyNames(Object.getPrototypeOf(emailService)));
-      }
-    } catch (emailError) {
-      console.error('❌ Email sending failed:', emailError.message);
-      console.error('❌ Email error stack:', emailError.stack);
-      // Important: Don't fail the order if email fails
-    }
+    const estimate = await getWaitTimeService().estimateOrder(createdOrder);
 
-    // Step 5: Return success response
+    // Step 6: Return success response
     console.log('✅ Payment verification completed successfully');
-    res.status(201).json({
+    res.status(created ? 201 : 200).json({
       success: true,
-      message: 'Payment verified and order created successfully',
+      message: !created
+        ? 'Payment already verified, returning existing order'
+        : createdOrder.status === 'pending'
+          ? 'Payment verified and order created successfully'
+          : 'Payment verified, but your pickup slot filled up meanwhile. The order was cancelled and refunded.',
       data: {
         order: {
           id: createdOrder.id,
@@ -188,7 +186,14 @@ router.post('/verify', authenticateToken, validate.verifyPayment, asyncHandler(a
           status: createdOrder.status,
           totalAmount: createdOrder.total_amount,
           items: createdOrder.items,
-          createdAt: createdOrder.created_at
+          specialInstructions: createdOrder.special_instructions || null,
+          createdAt: createdOrder.created_at,
+          tokenDate: createdOrder.token_date,
+          pickupAt: createdOrder.pickup_at || null,
+          outletId: createdOrder.outlet_id || DEFAULT_OUTLET_ID,
+          qrCode: createOrderQr(createdOrder),
+          estimatedReadyAt: estimate?.estimatedReadyAt || null,
+          estimatedWaitMinutes: estimate?.estimatedWaitMinutes ?? null
         },
         payment: {
           id: validationResult.paymentDetails.paymentId,
@@ -207,8 +212,7 @@ router.post('/verify', authenticateToken, validate.verifyPayment, asyncHandler(a
       requestData: {
         user: email,
         orderId: razorpay_order_id,
-        paymentId: razorpay_payment_id,
-        itemCount: items?.length
+        paymentId: razorpay_payment_id
       }
     });
     
@@ -245,6 +249,113 @@ router.post('/verify', authenticateToken, validate.verifyPayment, asyncHandler(a
   }
 }));
 
+/**
+ * @route POST /api/payments/abandon/:razorpayOrderId
+ * @desc Mark the user's pending checkout as abandoned (payment window dismissed)
+ * @access Private
+ */
+router.post('/abandon/:razorpayOrderId', authenticateToken, asyncHandler(async (req, res) => {
+  const { razorpayOrderId } = req.params;
+  const { email } = req.user;
+  const databaseService = getDatabaseService();
+
+  const intent = await databaseService.getCheckoutIntent(razorpayOrderId);
+
+  if (!intent || intent.user_email !== email) {
+    throw new AppError('Checkout not found', 404);
+  }
+
+  if (intent.status !== 'pending') {
+    throw new AppError(`Checkout is already ${intent.status}`, 409);
+  }
+
+  const updatedIntent = await databaseService.updateCheckoutIntent(razorpayOrderId, {
+    status: 'abandoned'
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Checkout marked as abandoned',
+    data: {
+      razorpayOrderId: updatedIntent.razorpay_order_id,
+      status: updatedIntent.status
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route POST /api/payments/webhook
+ * @desc Receive Razorpay webhook events (payment.captured, payment.failed, refund.processed, refund.failed)
+ * @access Public (authenticated by the X-Razorpay-Signature header)
+ */
+router.post('/webhook', asyncHandler(async (req, res) => {
+  const paymentService = getPaymentService();
+  const signature = req.headers['x-razorpay-signature'];
+
+  if (!paymentService.verifyWebhookSignature(req.rawBody, signature)) {
+    throw new AppError('Invalid webhook signature', 400);
+  }
+
+  const { event, payload = {} } = req.body;
+  const handler = webhookHandlers[event];
+
+  console.log(`🔔 Razorpay webhook received: ${event}`);
+
+  if (!handler) {
+    return res.status(200).json({
+      success: true,
+      message: `Webhook event ignored: ${event}`,
+      data: { event, handled: false },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const result = await handler(payload);
+
+    res.status(200).json({
+      success: true,
+      message: `Webhook event processed: ${event}`,
+      data: { event, handled: true, ...result },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    // Client errors (e.g. amount mismatch) won't change on redelivery, so acknowledge them.
+    // Anything else falls through as a 500 and Razorpay retries the webhook.
+    if (error.isOperational && error.statusCode < 500) {
+      console.error(`❌ Webhook ${event} rejected:`, error.message);
+      return res.status(200).json({
+        success: false,
+        message: error.message,
+        data: { event, handled: false },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    throw error;
+  }
+}));
+
+/**
+ * @route GET /api/payments/intents
+ * @desc List checkout intents, e.g. ?status=abandoned or ?status=expired
+ * @access Admin
+ */
+router.get('/intents', authenticateToken, requireAdmin, validate.intentQuery, asyncHandler(async (req, res) => {
+  const { page, limit, status } = req.query;
+  const databaseService = getDatabaseService();
+
+  const result = await databaseService.getCheckoutIntents(page, limit, status);
+
+  res.status(200).json({
+    success: true,
+    message: 'Checkout intents retrieved successfully',
+    data: result,
+    timestamp: new Date().toISOString()
+  });
+}));
+
 /**
  * @route GET /api/payments/order-status/:orderId
  * @desc Check Razorpay order status
@@ -403,4 +514,269 @@ router.get('/health', asyncHandler(async (req, res) => {
   });
 }));
 
+// Helper functions for server-side pricing
+
+/**
+ * Build the order item snapshot and total from the menu catalog
+ * Duplicate lines for the same item are merged, keeping each distinct note. Every item
+ * must be sold by the outlet the order is placed at.
+ * @param {Array} requestedItems - Validated cart lines ({ id, quantity, notes })
+ * @param {string} outletId - Outlet the order is placed at
+ * @param {object} databaseService - Database service instance
+ * @returns {object} { items, totalAmount, prepUnits } priced on the server, prepUnits counting against pickup slot capacity
+ */
+async function priceOrderItems(requestedItems, outletId, databaseService) {
+  const quantities = new Map();
+  const notes = new Map();
+  requestedItems.forEach(({ id, quantity, notes: note }) => {
+    quantities.set(id, (quantities.get(id) || 0) + quantity);
+
+    if (!notes.has(id)) {
+      notes.set(id, new Set());
+    }
+    if (note) {
+      notes.get(id).add(note);
+    }
+  });
+
+  const menuItems = await databaseService.getMenuItemsByIds([...quantities.keys()]);
+  const menuById = new Map(menuItems.map(menuItem => [menuItem.id, menuItem]));
+
+  const unknownIds = [...quantities.keys()].filter(id => !menuById.has(id));
+  if (unknownIds.length > 0) {
+    throw new AppError(`Unknown menu items: ${unknownIds.join(', ')}`, 400);
+  }
+
+  const otherOutlet = [...quantities.keys()]
+    .map(id => menuById.get(id))
+    .filter(menuItem => (menuItem.outlet_id || DEFAULT_OUTLET_ID) !== outletId);
+  if (otherOutlet.length > 0) {
+    throw new AppError(`Not sold at this outlet: ${otherOutlet.map(menuItem => menuItem.name).join(', ')}`, 400);
+  }
+
+  const unavailable = [...quantities.keys()]
+    .map(id => menuById.get(id))
+    .filter(menuItem => !menuItem.is_available);
+  if (unavailable.length > 0) {
+    throw new AppError(`Currently unavailable: ${unavailable.map(menuItem => menuItem.name).join(', ')}`, 400);
+  }
+
+  const items = [...quantities.entries()].map(([id, quantity]) => {
+    const menuItem = menuById.get(id);
+    return {
+      id: String(menuItem.id),
+      name: menuItem.name,
+      price: parseFloat(menuItem.price),
+      quantity,
+      category: menuItem.category,
+      station: getItemStation(menuItem),
+      ...(notes.get(id).size > 0 && { notes: [...notes.get(id)].join('; ') })
+    };
+  });
+
+  // Work in paise to avoid floating point drift
+  const totalPaise = items.reduce((sum, item) => sum + Math.round(item.price * 100) * item.quantity, 0);
+
+  const prepUnits = [...quantities.entries()]
+    .reduce((sum, [id, quantity]) => sum + (menuById.get(id).prep_units || 1) * quantity, 0);
+
+  return {
+    items,
+    totalAmount: totalPaise / 100,
+    prepUnits
+  };
+}
+
+// Helper functions for order fulfillment (shared by /verify and /webhook)
+
+/**
+ * Create the canteen order for a paid checkout intent
+ * Safe to call twice: an intent or payment that already has an order returns that order,
+ * and only the call that created it confirms the order to the student (the order's
+ * lifecycle hook sends the confirmation notification).
+ * @param {object} intent - Checkout intent row
+ * @param {object} payment - { paymentId, signature, amount } with amount in rupees
+ * @returns {object} { order, created }
+ */
+async function fulfillCheckoutIntent(intent, payment) {
+  const databaseService = getDatabaseService();
+
+  if (intent.status === 'paid' && intent.order_id) {
+    const existingOrder = await databaseService.getOrderById(intent.order_id);
+
+    if (existingOrder) {
+      console.log(`ℹ️  Checkout ${intent.razorpay_order_id} already fulfilled with token ${existingOrder.token}`);
+      return { order: existingOrder, created: false };
+    }
+  }
+
+  // Verify the amount paid matches the amount priced at checkout
+  const calculatedTotal = parseFloat(intent.total_amount);
+  const paidAmount = payment.amount;
+
+  console.log('💰 Amount verification:', { calculatedTotal, paidAmount });
+
+  if (Math.abs(calculatedTotal - paidAmount) > 0.01) { // Allow 1 paisa difference for rounding
+    console.error('❌ Payment amount mismatch:', { calculatedTotal, paidAmount });
+    throw new AppError('Payment amount mismatch', 400);
+  }
+
+  // Only a pending, unexpired intent holds its place in the pickup slot (see pickup_slot_load).
+  // A late payment, or a retry after a failed or abandoned attempt, gets the next slot that
+  // day with room, or is refunded if none has.
+  const pickupUnits = intent.pickup_units || 0;
+  const outletId = intent.outlet_id || DEFAULT_OUTLET_ID;
+  const holdsSlot = intent.status === 'paid' || (intent.status === 'pending' && new Date(intent.expires_at) > new Date());
+  let pickupAt = intent.pickup_at || null;
+  let slotLost = false;
+
+  if (pickupAt && !holdsSlot) {
+    const slot = await findSlotWithRoom(pickupAt, pickupUnits, outletId);
+
+    if (!slot) {
+      console.warn(`⚠️  Pickup slot for late payment ${payment.paymentId} is full; the order will be refunded`);
+      slotLost = true;
+    } else if (slot.startsAt !== new Date(pickupAt).toISOString()) {
+      console.warn(`⚠️  Pickup slot for late payment ${payment.paymentId} is full; moved to ${slot.label}`);
+      pickupAt = slot.startsAt;
+    }
+  }
+
+  // Create order in database from the checkout intent
+  console.log('💾 Creating order in database...');
+
+  let createdOrder;
+  let created;
+  try {
+    ({ order: createdOrder, created } = await databaseService.createOrderForPayment({
+      user_name: intent.user_name,
+      user_email: intent.user_email,
+      phone: intent.phone,
+      items: intent.items,
+      special_instructions: intent.special_instructions || null,
+      total_amount: calculatedTotal,
+      pickup_at: pickupAt,
+      pickup_units: pickupUnits,
+      outlet_id: outletId,
+      payment_id: payment.paymentId,
+      payment_signature: payment.signature || null
+    }, { confirm: !slotLost }));
+    console.log(created ? '✅ Order created successfully:' : 'ℹ️  Reusing existing order for payment:', createdOrder.token);
+  } catch (dbError) {
+    console.error('❌ Database order creation failed:', {
+      error: dbError.message,
+      code: dbError.code,
+      orderDetails: {
+        user_email: intent.user_email,
+        total_amount: calculatedTotal,
+        payment_id: payment.paymentId
+      }
+    });
+
+    // If it's a token conflict, provide specific error message
+    if (dbError.message.includes('token') || dbError.message.includes('duplicate')) {
+      throw new AppError('Order creation failed due to token conflict. Please try again.', 500);
+    }
+
+    throw new AppError('Failed to create order. Payment was successful but order could not be processed.', 500);
+  }
+
+  if (intent.status !== 'paid' || intent.order_id !== createdOrder.id) {
+    try {
+      await databaseService.updateCheckoutIntent(intent.razorpay_order_id, {
+        status: 'paid',
+        order_id: createdOrder.id
+      });
+    } catch (intentError) {
+      // The order exists; a stale intent status must not fail the response
+      console.error('❌ Failed to mark checkout intent as paid:', intentError.message);
+    }
+  }
+
+  // The lifecycle hook for 'cancelled' refunds the payment; the student only hears about
+  // the cancellation, as the order was created without a confirmation
+  if (slotLost && created) {
+    createdOrder = await getRefundService().cancelOrder(createdOrder, {
+      actor: 'system',
+      reason: 'Your pickup slot filled up before the payment went through'
+    });
+  }
+
+  return { order: createdOrder, created };
+}
+
+/**
+ * Find the first pickup slot from a given one onwards, on the same day, with room for an order
+ * @param {string} pickupAt - Slot the order was meant for
+ * @param {number} units - Prep units of the order
+ * @param {string} outletId - Outlet ID
+ * @returns {object|null} Slot with its load, or null when the rest of the day is full
+ */
+async function findSlotWithRoom(pickupAt, units, outletId) {
+  const requested = new Date(pickupAt).getTime();
+  const date = getTokenDate(new Date(pickupAt));
+  const slots = listPickupSlots(new Date(), { includeClosed: true })
+    .filter(slot => slot.date === date && new Date(slot.startsAt).getTime() >= requested);
+
+  if (slots.length === 0) {
+    return null;
+  }
+
+  const bookings = await getDatabaseService().getPickupSlotLoad(slots[0].startsAt, slots[slots.length - 1].endsAt, outletId);
+
+  return withSlotLoad(slots, bookings).find(slot => hasRoomFor(slot, units)) || null;
+}
+
+/**
+ * Razorpay webhook event handlers, keyed by event name
+ * Each receives the event payload and returns a summary for the response.
+ */
+const webhookHandlers = {
+  'payment.captured': async (payload) => {
+    const payment = payload.payment?.entity || {};
+    const databaseService = getDatabaseService();
+    const intent = await databaseService.getCheckoutIntent(payment.order_id);
+
+    if (!intent) {
+      console.warn(`⚠️  No checkout intent for captured payment ${payment.id} (order ${payment.order_id})`);
+      return { orderCreated: false };
+    }
+
+    const { order, created } = await fulfillCheckoutIntent(intent, {
+      paymentId: payment.id,
+      amount: payment.amount / 100 // Convert paise to rupees
+    });
+
+    return { orderCreated: created, orderId: order.id, token: order.token };
+  },
+
+  'payment.failed': async (payload) => {
+    const payment = payload.payment?.entity || {};
+    const databaseService = getDatabaseService();
+    const intent = await databaseService.getCheckoutIntent(payment.order_id);
+
+    // A failed attempt can be followed by a successful retry, so only touch open intents
+    if (!intent || !['pending', 'abandoned'].includes(intent.status)) {
+      return { intentUpdated: false };
+    }
+
+    await databaseService.updateCheckoutIntent(payment.order_id, { status: 'failed' });
+    console.log(`❌ Payment ${payment.id} failed: ${payment.error_description || 'no reason given'}`);
+
+    return { intentUpdated: true };
+  },
+
+  'refund.processed': async (payload) => {
+    const order = await getRefundService().applyRazorpayRefund(payload.refund?.entity || {}, 'processed');
+
+    return order ? { orderUpdated: true, orderId: order.id, status: order.status } : { orderUpdated: false };
+  },
+
+  'refund.failed': async (payload) => {
+    const order = await getRefundService().applyRazorpayRefund(payload.refund?.entity || {}, 'failed');
+
+    return order ? { orderUpdated: true, orderId: order.id, status: order.status } : { orderUpdated: false };
+  }
+};
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,77 @@
+/**
+ * Web Push routes
+ * Lets a signed-in student's browser register for order notifications
+ */
+
+const express = require('express');
+const { getDatabaseService, getWebPushService } = require('../services');
+const { validate } = require('../middleware/validateRequest');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/push/public-key
+ * @desc Get the VAPID public key browsers subscribe with (enabled is false when Web Push is off)
+ * @access Public
+ */
+router.get('/public-key', asyncHandler(async (req, res) => {
+  const publicKey = getWebPushService().getPublicKey();
+
+  res.status(200).json({
+    success: true,
+    message: publicKey ? 'Web Push is enabled' : 'Web Push is not configured',
+    data: { enabled: Boolean(publicKey), publicKey },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route POST /api/push/subscriptions
+ * @desc Register this browser for the user's order notifications
+ * @access Private
+ */
+router.post('/subscriptions', authenticateToken, validate.pushSubscription, asyncHandler(async (req, res) => {
+  if (!getWebPushService().isConfigured) {
+    throw new AppError('Web Push is not configured', 503);
+  }
+
+  const { endpoint, keys } = req.body;
+
+  await getDatabaseService().savePushSubscription({
+    user_email: req.user.email,
+    endpoint,
+    p256dh: keys.p256dh,
+    auth: keys.auth,
+    user_agent: req.get('user-agent')?.slice(0, 255) || null
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Order notifications enabled for this browser',
+    data: { endpoint },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route DELETE /api/push/subscriptions
+ * @desc Stop sending the user's order notifications to a browser
+ * @access Private
+ */
+router.delete('/subscriptions', authenticateToken, validate.pushUnsubscribe, asyncHandler(async (req, res) => {
+  const removed = await getDatabaseService().deletePushSubscription(req.body.endpoint, req.user.email);
+
+  if (!removed) {
+    throw new AppError('Push subscription not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Order notifications disabled for this browser',
+    timestamp: new Date().toISOString()
+  });
+}));
+
+module.exports = router;
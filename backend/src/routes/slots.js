@@ -0,0 +1,43 @@
+/**
+ * Pickup slot routes
+ * Lists the time slots students can schedule an order for, with the room left in each
+ */
+
+const express = require('express');
+const { getDatabaseService } = require('../services');
+const { validate } = require('../middleware/validateRequest');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getSlotConfig, listPickupSlots, withSlotLoad } = require('../services/pickupSlots');
+const { DEFAULT_OUTLET_ID } = require('../services/outlets');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/slots
+ * @desc Get the pickup slots that can still be booked, today and the next few days,
+ *       with the remaining capacity at an outlet (?outlet=, defaults to the main outlet)
+ * @access Public
+ */
+router.get('/', validate.outletQuery, asyncHandler(async (req, res) => {
+  const { outlet = DEFAULT_OUTLET_ID } = req.query;
+  const openSlots = listPickupSlots();
+  const bookings = openSlots.length > 0
+    ? await getDatabaseService().getPickupSlotLoad(openSlots[0].startsAt, openSlots[openSlots.length - 1].endsAt, outlet)
+    : [];
+  const slots = withSlotLoad(openSlots, bookings);
+  const { slotMinutes, minNoticeMinutes } = getSlotConfig();
+
+  res.status(200).json({
+    success: true,
+    message: `${slots.filter(slot => !slot.isFull).length} pickup slots available`,
+    data: {
+      outletId: outlet,
+      slots,
+      slotMinutes,
+      minNoticeMinutes
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+module.exports = router;
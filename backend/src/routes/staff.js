@@ -0,0 +1,204 @@
+/**
+ * Staff routes
+ * Handles staff login (password or PIN) and staff account management
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { getAuthService, getDatabaseService } = require('../services');
+const { validate } = require('../middleware/validateRequest');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/staffRoles');
+
+const router = express.Router();
+
+// Slow down PIN and password guessing
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.STAFF_LOGIN_RATE_LIMIT_MAX, 10) || 10,
+  message: {
+    success: false,
+    message: 'Too many login attempts, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * @route POST /api/staff/login
+ * @desc Staff login with username and password or PIN
+ * @access Public
+ */
+router.post('/login', loginLimiter, validate.staffLogin, asyncHandler(async (req, res) => {
+  const { username, password, pin } = req.body;
+  const authService = getAuthService();
+
+  const authResult = await authService.staffLogin(username, { password, pin });
+
+  if (!authResult) {
+    throw new AppError(`Invalid username or ${pin ? 'PIN' : 'password'}`, 401);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Staff login successful',
+    data: authResult,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route GET /api/staff/me
+ * @desc Get the signed-in staff member with their role and permissions
+ * @access Staff
+ */
+router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
+  if (!req.user.isStaff) {
+    throw new AppError('Staff access required', 403);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Staff profile retrieved successfully',
+    data: { user: req.user },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route GET /api/staff
+ * @desc List staff accounts
+ * @access Admin (staff:manage)
+ */
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.STAFF_MANAGE), asyncHandler(async (req, res) => {
+  const databaseService = getDatabaseService();
+  const staff = await databaseService.getStaffUsers();
+
+  res.status(200).json({
+    success: true,
+    message: `Found ${staff.length} staff accounts`,
+    data: { staff: staff.map(formatStaff) },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route POST /api/staff
+ * @desc Create a staff account
+ * @access Admin (staff:manage)
+ */
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.STAFF_MANAGE), validate.createStaff, asyncHandler(async (req, res) => {
+  const { username, name, role, outletId, password, pin } = req.body;
+  const databaseService = getDatabaseService();
+
+  if (await databaseService.getStaffByUsername(username)) {
+    throw new AppError('Username is already taken', 409);
+  }
+
+  await assertOutletExists(outletId);
+
+  const createdStaff = await databaseService.createStaffUser({
+    username,
+    name,
+    role,
+    outlet_id: outletId || null,
+    ...(await hashCredentials({ password, pin }))
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Staff account created successfully',
+    data: formatStaff(createdStaff),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route PATCH /api/staff/:staffId
+ * @desc Update a staff account (name, role, outlet, active flag, password or PIN)
+ * @access Admin (staff:manage)
+ */
+router.patch('/:staffId', authenticateToken, requirePermission(PERMISSIONS.STAFF_MANAGE), validate.staffIdParam, validate.updateStaff, asyncHandler(async (req, res) => {
+  const { staffId } = req.params;
+  const { name, role, outletId, isActive, password, pin } = req.body;
+
+  // Admins cannot lock themselves out
+  if (staffId === req.user.staffId && (isActive === false || (role && role !== 'admin'))) {
+    throw new AppError('You cannot deactivate or demote your own account', 400);
+  }
+
+  await assertOutletExists(outletId);
+
+  const databaseService = getDatabaseService();
+  const updatedStaff = await databaseService.updateStaffUser(staffId, {
+    ...(name !== undefined && { name }),
+    ...(role !== undefined && { role }),
+    ...(outletId !== undefined && { outlet_id: outletId }),
+    ...(isActive !== undefined && { is_active: isActive }),
+    ...(await hashCredentials({ password, pin }))
+  });
+
+  if (!updatedStaff) {
+    throw new AppError('Staff account not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Staff account updated successfully',
+    data: formatStaff(updatedStaff),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// Helper functions for staff accounts
+
+/**
+ * Make sure an outlet a staff account is assigned to exists
+ * @param {string|null|undefined} outletId - Outlet ID (null or undefined for no outlet)
+ */
+async function assertOutletExists(outletId) {
+  if (outletId && !(await getDatabaseService().getOutletById(outletId))) {
+    throw new AppError('Outlet not found', 400);
+  }
+}
+
+/**
+ * Hash whichever credentials were provided
+ * @param {object} credentials - { password, pin }
+ * @returns {object} password_hash and/or pin_hash columns
+ */
+async function hashCredentials({ password, pin }) {
+  const authService = getAuthService();
+  const columns = {};
+
+  if (password) {
+    columns.password_hash = await authService.hashStaffSecret(password);
+  }
+
+  if (pin) {
+    columns.pin_hash = await authService.hashStaffSecret(pin);
+  }
+
+  return columns;
+}
+
+/**
+ * Convert a staff_users row to the API response shape (never includes hashes)
+ * @param {object} staff - Row from staff_users
+ * @returns {object} Staff account for clients
+ */
+function formatStaff(staff) {
+  return {
+    id: staff.id,
+    username: staff.username,
+    name: staff.name,
+    role: staff.role,
+    outletId: staff.outlet_id || null,
+    isActive: staff.is_active,
+    lastLoginAt: staff.last_login_at,
+    createdAt: staff.created_at
+  };
+}
+
+module.exports = router;
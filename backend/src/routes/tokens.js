@@ -4,9 +4,14 @@
  */
 
 const express = require('express');
-const { getDatabaseService } = require('../services');
+const { getDatabaseService, getWaitTimeService } = require('../services');
 const { validate } = require('../middleware/validateRequest');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { authenticateToken, requirePermission, scopeToOutlet } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/staffRoles');
+const { getTokenDate } = require('../services/orderToken');
+const { isReleasedToKitchen } = require('../services/pickupSlots');
+const { DEFAULT_OUTLET_ID } = require('../services/outlets');
 
 const router = express.Router();
 
@@ -30,8 +35,9 @@ router.post('/find', validate.findToken, asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if order is from today using the enhanced validation
-  if (!databaseService.isToday(order.created_at)) {
+  // Check if order is for today using the enhanced validation; scheduled orders for a later day are still upcoming
+  const isUpcoming = order.pickup_at && new Date(order.pickup_at) > new Date();
+  if (!databaseService.isOrderForToday(order) && !isUpcoming) {
     return res.status(400).json({
       success: false,
       message: 'Token expired. Valid only on order date.',
@@ -60,8 +66,12 @@ router.post('/find', validate.findToken, asyncHandler(async (req, res) => {
       token: order.token,
       status: order.status,
       items: order.items,
+      specialInstructions: order.special_instructions || null,
       totalAmount: order.total_amount,
       createdAt: order.created_at,
+      pickupAt: order.pickup_at || null,
+      outletId: order.outlet_id || DEFAULT_OUTLET_ID,
+      tokenDate: order.token_date,
       customerName: order.user_name
     }
   };
@@ -96,6 +106,7 @@ router.get('/:token', validate.tokenParam, asyncHandler(async (req, res) => {
       token: order.token,
       status: order.status,
       items: order.items,
+      specialInstructions: order.special_instructions || null,
       totalAmount: order.total_amount,
       createdAt: order.created_at,
       updatedAt: order.updated_at,
@@ -115,35 +126,44 @@ router.get('/:token', validate.tokenParam, asyncHandler(async (req, res) => {
 
 /**
  * @route GET /api/tokens/:token/status
- * @desc Get only status of an order by token
+ * @desc Get only status of an order by token (?date=YYYY-MM-DD for a pickup scheduled on a later day)
  * @access Public
  */
-router.get('/:token/status', validate.tokenParam, asyncHandler(async (req, res) => {
+router.get('/:token/status', validate.tokenParam, validate.tokenStatusQuery, asyncHandler(async (req, res) => {
   const { token } = req.params;
+  // Only upcoming days can be looked up; earlier tokens have expired
+  const tokenDate = req.query.date > getTokenDate() ? req.query.date : undefined;
   
   const databaseService = getDatabaseService();
-  const order = await databaseService.getOrderByToken(token);
+  const order = await databaseService.getOrderByToken(token, tokenDate);
 
   if (!order) {
     throw new AppError('Order not found with this token', 404);
   }
 
-  // Calculate queue position for pending/preparing orders
+  // Calculate queue position in the outlet's kitchen for pending/preparing orders that have reached it
   let queuePosition = null;
-  if (order.status === 'pending' || order.status === 'preparing') {
+  if ((order.status === 'pending' || order.status === 'preparing') && isReleasedToKitchen(order)) {
     const { data: earlierOrders } = await databaseService.supabase
       .from('orders')
       .select('id')
       .in('status', ['pending', 'preparing'])
-      .lt('created_at', order.created_at);
+      .eq('outlet_id', order.outlet_id || DEFAULT_OUTLET_ID)
+      .lt('release_at', order.release_at);
     
     queuePosition = (earlierOrders?.length || 0) + 1;
   }
 
+  const estimate = await getWaitTimeService().estimateOrder(order);
+
   const responseData = {
     token: order.token,
     status: order.status,
     queuePosition,
+    pickupAt: order.pickup_at || null,
+    outletId: order.outlet_id || DEFAULT_OUTLET_ID,
+    estimatedReadyAt: estimate?.estimatedReadyAt || null,
+    estimatedWaitMinutes: estimate?.estimatedWaitMinutes ?? null,
     lastUpdated: order.updated_at,
     createdAt: order.created_at
   };
@@ -197,6 +217,7 @@ router.get('/validate/:token', validate.tokenParam, asyncHandler(async (req, res
       orderDetails: {
         customerName: order.user_name,
         items: order.items,
+        specialInstructions: order.special_instructions || null,
         totalAmount: order.total_amount,
         createdAt: order.created_at
       }
@@ -227,10 +248,11 @@ router.get('/validate/:token', validate.tokenParam, asyncHandler(async (req, res
 
 /**
  * @route GET /api/tokens/search/:searchTerm
- * @desc Search orders by partial token, name, or email (for customer service)
- * @access Public (but should be protected in production)
+ * @desc Search orders by partial token, name, or email (for customer service); staff assigned
+ *       to an outlet only see its orders, others can narrow the search with ?outlet=
+ * @access Cashier, Manager, Admin (tokens:search)
  */
-router.get('/search/:searchTerm', asyncHandler(async (req, res) => {
+router.get('/search/:searchTerm', authenticateToken, requirePermission(PERMISSIONS.TOKENS_SEARCH), scopeToOutlet, asyncHandler(async (req, res) => {
   const { searchTerm } = req.params;
   const { limit = 10 } = req.query;
 
@@ -241,10 +263,16 @@ router.get('/search/:searchTerm', asyncHandler(async (req, res) => {
   const databaseService = getDatabaseService();
   
   // Search in multiple fields
-  const { data: orders, error } = await databaseService.supabase
+  let query = databaseService.supabase
     .from('orders')
-    .select('id, token, status, user_name, user_email, total_amount, created_at')
-    .or(`token.ilike.%${searchTerm}%,user_name.ilike.%${searchTerm}%,user_email.ilike.%${searchTerm}%`)
+    .select('id, token, status, user_name, user_email, total_amount, outlet_id, created_at')
+    .or(`token.ilike.%${searchTerm}%,user_name.ilike.%${searchTerm}%,user_email.ilike.%${searchTerm}%`);
+
+  if (req.outletId) {
+    query = query.eq('outlet_id', req.outletId);
+  }
+
+  const { data: orders, error } = await query
     .order('created_at', { ascending: false })
     .limit(parseInt(limit));
 
@@ -4,28 +4,38 @@
  */
 
 const express = require('express');
-const { getDatabaseService, getEmailService, checkServiceHealth } = require('../services');
+const { getDatabaseService, getRefundService, getWaitTimeService, getNotificationService, checkServiceHealth } = require('../services');
+const { ACTIVE_STATUSES, OrderTransitionError } = require('../services/orderLifecycle');
+const { verifyOrderQr, getQrPublicKey, QR_VERSION_ECDSA } = require('../services/orderQr');
+const { BATCH_STATUSES, buildBatches, fillBatch } = require('../services/kitchenBatches');
+const { getItemStation } = require('../services/orderItems');
+const { isReleasedToKitchen, listPickupSlots, withSlotLoad } = require('../services/pickupSlots');
+const { DEFAULT_OUTLET_ID } = require('../services/outlets');
 const { validate } = require('../middleware/validateRequest');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { authenticateToken, requirePermission, scopeToOutlet } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../services/staffRoles');
 
 const router = express.Router();
 
-// Note: In production, these routes should have proper admin authentication
-// For now, they're accessible for development purposes
+// Every vendor route needs a signed-in staff member (or ADMIN_EMAILS admin), and works
+// on the staff member's outlet, the ?outlet= one, or every outlet (req.outletId null)
+router.use(authenticateToken, scopeToOutlet);
 
 /**
  * @route GET /api/vendor/orders
  * @desc Get all orders for vendor dashboard
- * @access Admin (should be protected)
+ * @access Staff (orders:view)
  */
-router.get('/orders', validate.pagination, asyncHandler(async (req, res) => {
+router.get('/orders', requirePermission(PERMISSIONS.ORDERS_VIEW), validate.pagination, asyncHandler(async (req, res) => {
   const { page = 1, limit = 20, status } = req.query;
 
   const databaseService = getDatabaseService();
   const result = await databaseService.getVendorOrders(
     parseInt(page), 
     parseInt(limit), 
-    status
+    status,
+    req.outletId
   );
 
   res.status(200).json({
@@ -36,21 +46,203 @@ router.get('/orders', validate.pagination, asyncHandler(async (req, res) => {
   });
 }));
 
+// Fixed /orders/* paths are registered before /orders/:orderId so they are not read as IDs
+
 /**
- * @route GET /api/vendor/orders/:orderId
- * @desc Get specific order details
- * @access Admin
+ * @route GET /api/vendor/orders/queue
+ * @desc Get orders in queue (pending and preparing), plus scheduled orders not yet released to the kitchen
+ * @access Staff (orders:view)
  */
-router.get('/orders/:orderId', validate.uuidParam, asyncHandler(async (req, res) => {
-  const { orderId } = req.params;
+router.get('/orders/queue', requirePermission(PERMISSIONS.ORDERS_VIEW), asyncHandler(async (req, res) => {
+  const databaseService = getDatabaseService();
+
+  let query = databaseService.supabase
+    .from('orders')
+    .select('*')
+    .in('status', ['pending', 'preparing'])
+    .order('release_at', { ascending: true });
+
+  if (req.outletId) {
+    query = query.eq('outlet_id', req.outletId);
+  }
 
+  const { data: openOrders, error } = await query;
+
+  if (error) {
+    throw new AppError('Failed to fetch queue orders', 500);
+  }
+
+  const queueOrders = openOrders?.filter(order => isReleasedToKitchen(order)) || [];
+  const scheduled = (openOrders?.filter(order => !isReleasedToKitchen(order)) || [])
+    .sort((a, b) => new Date(a.pickup_at) - new Date(b.pickup_at));
+
+  // Each outlet's kitchen works through its own queue
+  const outletIds = req.outletId
+    ? [req.outletId]
+    : [...new Set(queueOrders.map(order => order.outlet_id || DEFAULT_OUTLET_ID))];
+  const outletQueues = await Promise.all(
+    (outletIds.length > 0 ? outletIds : [DEFAULT_OUTLET_ID]).map(async outletId => ({
+      outletId,
+      ...(await getWaitTimeService().estimateQueue(new Date(), outletId))
+    }))
+  );
+  const estimates = new Map(outletQueues.flatMap(outletQueue => [...outletQueue.estimates]));
+  const withEstimate = order => ({ ...order, ...estimates.get(order.id) });
+  const singleQueue = outletQueues.length === 1 ? outletQueues[0] : null;
+
+  // Separate by status
+  const pending = queueOrders?.filter(order => order.status === 'pending').map(withEstimate) || [];
+  const preparing = queueOrders?.filter(order => order.status === 'preparing').map(withEstimate) || [];
+
+  res.status(200).json({
+    success: true,
+    message: 'Queue orders retrieved successfully',
+    data: {
+      queue: {
+        pending,
+        preparing,
+        total: queueOrders?.length || 0
+      },
+      scheduled,
+      summary: {
+        pendingCount: pending.length,
+        preparingCount: preparing.length,
+        totalInQueue: queueOrders?.length || 0,
+        scheduledCount: scheduled.length,
+        // Only meaningful for one kitchen; see byOutlet when several outlets are listed
+        activeStaff: singleQueue?.activeStaff ?? null,
+        estimatedWaitTime: singleQueue?.newOrder.estimatedWaitMinutes ?? null, // Minutes for an order placed now
+        byOutlet: outletQueues.map(outletQueue => ({
+          outletId: outletQueue.outletId,
+          activeStaff: outletQueue.activeStaff,
+          estimatedWaitTime: outletQueue.newOrder.estimatedWaitMinutes
+        }))
+      }
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route GET /api/vendor/orders/ready
+ * @desc Get orders ready for pickup
+ * @access Staff (orders:view)
+ */
+router.get('/orders/ready', requirePermission(PERMISSIONS.ORDERS_VIEW), asyncHandler(async (req, res) => {
   const databaseService = getDatabaseService();
-  const order = await databaseService.getOrderById(orderId);
 
-  if (!order) {
-    throw new AppError('Order not found', 404);
+  let query = databaseService.supabase
+    .from('orders')
+    .select('*')
+    .eq('status', 'ready')
+    .order('updated_at', { ascending: true }); // Show oldest ready orders first
+
+  if (req.outletId) {
+    query = query.eq('outlet_id', req.outletId);
+  }
+
+  const { data: readyOrders, error } = await query;
+
+  if (error) {
+    throw new AppError('Failed to fetch ready orders', 500);
   }
 
+  res.status(200).json({
+    success: true,
+    message: 'Ready orders retrieved successfully',
+    data: {
+      orders: readyOrders || [],
+      count: readyOrders?.length || 0
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route GET /api/vendor/batches
+ * @desc Get item quantities summed across pending and preparing orders, with the tokens each batch fills
+ * @access Staff (orders:view)
+ */
+router.get('/batches', requirePermission(PERMISSIONS.ORDERS_VIEW), asyncHandler(async (req, res) => {
+  const databaseService = getDatabaseService();
+  const openOrders = (await databaseService.getOrdersByStatus(BATCH_STATUSES, { outletId: req.outletId })).filter(order => isReleasedToKitchen(order));
+  const batches = buildBatches(openOrders);
+
+  res.status(200).json({
+    success: true,
+    message: `${batches.length} batches across ${openOrders.length} open orders`,
+    data: {
+      batches,
+      summary: {
+        openOrders: openOrders.length,
+        totalPortions: batches.reduce((sum, batch) => sum + batch.totalQuantity, 0)
+      }
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route POST /api/vendor/batches/:id/complete
+ * @desc Mark a batch of one menu item as cooked; its lines on the orders it fully covers are
+ *       marked ready, which moves those orders to ready
+ * @access Kitchen, Manager, Admin (orders:prepare)
+ */
+router.post('/batches/:id/complete', requirePermission(PERMISSIONS.ORDERS_PREPARE), validate.menuItemParam, validate.completeBatch, asyncHandler(async (req, res) => {
+  const itemId = String(req.params.id);
+  const databaseService = getDatabaseService();
+
+  const openOrders = (await databaseService.getOrdersByStatus(BATCH_STATUSES, { outletId: req.outletId })).filter(order => isReleasedToKitchen(order));
+  const batch = buildBatches(openOrders).find(candidate => candidate.itemId === itemId);
+
+  if (!batch) {
+    throw new AppError('No open orders contain this item', 404);
+  }
+
+  const { filled, notCovered, leftover } = fillBatch(batch, req.body.quantity);
+  const readied = [];
+  const errors = [];
+
+  // Oldest first; the order follows its lines to ready (pending orders pass through preparing)
+  for (const entry of filled) {
+    try {
+      let order;
+      for (let line = 0; line < entry.lines; line++) {
+        order = await databaseService.updateOrderItemStatus(entry.orderId, itemId, 'ready', { actor: 'staff' });
+      }
+      if (order.status === 'ready') {
+        readied.push(entry.token);
+      }
+    } catch (error) {
+      errors.push({ token: entry.token, error: error.message });
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${batch.name}: ${readied.length} order(s) ready`,
+    data: {
+      itemId,
+      name: batch.name,
+      readied,
+      failed: errors,
+      // Orders that also need other items, or that the cooked quantity could not cover
+      stillWaiting: notCovered.map(entry => entry.token),
+      leftover
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route GET /api/vendor/orders/:orderId
+ * @desc Get specific order details
+ * @access Staff (orders:view)
+ */
+router.get('/orders/:orderId', requirePermission(PERMISSIONS.ORDERS_VIEW), validate.uuidParam, asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const order = await getScopedOrder(req, orderId);
+
   res.status(200).json({
     success: true,
     message: 'Order details retrieved successfully',
@@ -62,55 +254,164 @@ router.get('/orders/:orderId', validate.uuidParam, asyncHandler(async (req, res)
 /**
  * @route PATCH /api/vendor/orders/:orderId/status
  * @desc Update order status
- * @access Admin
+ * @access Kitchen, Manager, Admin (orders:prepare); completing a ready order also needs orders:pickup
  */
-router.patch('/orders/:orderId/status', validate.uuidParam, validate.updateStatus, asyncHandler(async (req, res) => {
+router.patch('/orders/:orderId/status', requirePermission(PERMISSIONS.ORDERS_PREPARE), validate.uuidParam, validate.updateStatus, asyncHandler(async (req, res) => {
   const { orderId } = req.params;
   const { status } = req.body;
 
+  assertCanHandOver(req, status);
+
   const databaseService = getDatabaseService();
-  const emailService = getEmailService();
+  await getScopedOrder(req, orderId);
 
-  // Get current order to check if status change is valid
-  const currentOrder = await databaseService.getOrderById(orderId);
-  if (!currentOrder) {
-    throw new AppError('Order not found', 404);
-  }
+  // Transition rules and notifications live in the order lifecycle
+  const updatedOrder = await databaseService.updateOrderStatus(orderId, status, { actor: 'staff' });
 
-  // Validate status transition
-  const validTransitions = {
-    pending: ['preparing', 'completed'],
-    preparing: ['ready', 'completed'],
-    ready: ['completed'],
-    completed: [] // Final state
-  };
+  res.status(200).json({
+    success: true,
+    message: `Order status updated to ${status}`,
+    data: { order: updatedOrder },
+    timestamp: new Date().toISOString()
+  });
+}));
 
-  if (!validTransitions[currentOrder.status]?.includes(status)) {
-    throw new AppError(`Cannot change status from ${currentOrder.status} to ${status}`, 400);
-  }
+/**
+ * @route PATCH /api/vendor/orders/:orderId/items/:itemId/status
+ * @desc Mark one line of an order as preparing or ready; the order follows its lines
+ * @access Kitchen, Manager, Admin (orders:prepare)
+ */
+router.patch('/orders/:orderId/items/:itemId/status', requirePermission(PERMISSIONS.ORDERS_PREPARE), validate.orderItemParams, validate.updateItemStatus, asyncHandler(async (req, res) => {
+  const { orderId, itemId } = req.params;
+  const { status } = req.body;
 
-  // Update order status
-  const updatedOrder = await databaseService.updateOrderStatus(orderId, status);
+  const databaseService = getDatabaseService();
+  await getScopedOrder(req, orderId);
+  const updatedOrder = await databaseService.updateOrderItemStatus(orderId, itemId, status, { actor: 'staff' });
 
-  // Send notification email for certain status updates
-  try {
-    if (status === 'ready' || status === 'completed') {
-      await emailService.sendStatusUpdateEmail({
-        user_email: updatedOrder.user_email,
-        user_name: updatedOrder.user_name,
-        token: updatedOrder.token,
-        status,
-        items: updatedOrder.items
-      });
-    }
-  } catch (emailError) {
-    console.error('❌ Failed to send status update email:', emailError.message);
-    // Don't fail the status update if email fails
+  res.status(200).json({
+    success: true,
+    message: `Item marked ${status}. Order is ${updatedOrder.status}`,
+    data: { order: updatedOrder },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route GET /api/vendor/stations
+ * @desc List kitchen stations from the menu, for station-filtered kitchen views
+ * @access Staff (orders:view)
+ */
+router.get('/stations', requirePermission(PERMISSIONS.ORDERS_VIEW), asyncHandler(async (req, res) => {
+  const databaseService = getDatabaseService();
+  const menuItems = await databaseService.getMenuItems({ includeUnavailable: true, outletId: req.outletId });
+  const stations = [...new Set(menuItems.map(getItemStation))].sort();
+
+  res.status(200).json({
+    success: true,
+    message: `Found ${stations.length} stations`,
+    data: { stations },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route GET /api/vendor/slots
+ * @desc Get booked load against capacity for every pickup slot of an outlet, today
+ *       (including slots already under way) and the days that can be booked ahead
+ * @access Staff (orders:view)
+ */
+router.get('/slots', requirePermission(PERMISSIONS.ORDERS_VIEW), asyncHandler(async (req, res) => {
+  const databaseService = getDatabaseService();
+  // Capacity is per outlet, so staff of every outlet see one outlet at a time
+  const outletId = req.outletId || DEFAULT_OUTLET_ID;
+  const allSlots = listPickupSlots(new Date(), { includeClosed: true });
+  const bookings = allSlots.length > 0
+    ? await databaseService.getPickupSlotLoad(allSlots[0].startsAt, allSlots[allSlots.length - 1].endsAt, outletId)
+    : [];
+  const slots = withSlotLoad(allSlots, bookings);
+
+  res.status(200).json({
+    success: true,
+    message: `${slots.filter(slot => slot.isFull).length} of ${slots.length} pickup slots are full`,
+    data: { outletId, slots },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route POST /api/vendor/orders/:orderId/delay
+ * @desc Tell the student an order in the kitchen will take longer than expected
+ * @access Kitchen, Manager, Admin (orders:prepare)
+ */
+router.post('/orders/:orderId/delay', requirePermission(PERMISSIONS.ORDERS_PREPARE), validate.uuidParam, validate.delayOrder, asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const { minutes, reason } = req.body;
+
+  const order = await getScopedOrder(req, orderId);
+
+  if (!['pending', 'preparing'].includes(order.status)) {
+    throw new AppError(`Only orders still in the kitchen can be delayed. Current status: ${order.status}`, 400);
   }
 
+  const result = await getNotificationService().notify('delayed', order, { delayMinutes: minutes, reason: reason || null });
+
   res.status(200).json({
     success: true,
-    message: `Order status updated to ${status}`,
+    message: result.sent.length > 0
+      ? `Student told order ${order.token} is running ${minutes} min late`
+      : 'No notification channel could reach the student',
+    data: { token: order.token, delayMinutes: minutes, channels: result },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route POST /api/vendor/orders/:orderId/cancel
+ * @desc Cancel an order that has not been collected and refund the payment
+ * @access Cashier, Manager, Admin (orders:cancel)
+ */
+router.post('/orders/:orderId/cancel', requirePermission(PERMISSIONS.ORDERS_CANCEL), validate.uuidParam, validate.cancelOrder, asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const { reason } = req.body;
+
+  const refundService = getRefundService();
+  const order = await getScopedOrder(req, orderId);
+
+  const cancelledOrder = await refundService.cancelOrder(order, { reason, actor: 'staff' });
+
+  res.status(200).json({
+    success: true,
+    message: cancelledOrder.refund_status === 'failed'
+      ? 'Order cancelled but the refund failed. Retry the refund from the dashboard.'
+      : 'Order cancelled and refund initiated',
+    data: { order: cancelledOrder },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route POST /api/vendor/orders/:orderId/refund
+ * @desc Retry the refund for a cancelled order whose refund failed
+ * @access Manager, Admin (refunds:manage)
+ */
+router.post('/orders/:orderId/refund', requirePermission(PERMISSIONS.REFUNDS_MANAGE), validate.uuidParam, asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+
+  const refundService = getRefundService();
+  const order = await getScopedOrder(req, orderId);
+
+  if (order.status !== 'cancelled' || order.refund_status !== 'failed') {
+    throw new AppError('Only cancelled orders with a failed refund can be retried', 400);
+  }
+
+  const updatedOrder = await refundService.refundOrder(order);
+
+  res.status(200).json({
+    success: updatedOrder.refund_status !== 'failed',
+    message: updatedOrder.refund_status === 'failed'
+      ? 'Refund failed again. Check the payment in the Razorpay dashboard.'
+      : 'Refund initiated',
     data: { order: updatedOrder },
     timestamp: new Date().toISOString()
   });
@@ -119,9 +420,9 @@ router.patch('/orders/:orderId/status', validate.uuidParam, validate.updateStatu
 /**
  * @route POST /api/vendor/scan-qr
  * @desc Verify and complete order using QR code scan
- * @access Admin (Vendor only)
+ * @access Cashier, Manager, Admin (orders:pickup)
  */
-router.post('/scan-qr', asyncHandler(async (req, res) => {
+router.post('/scan-qr', requirePermission(PERMISSIONS.ORDERS_PICKUP), asyncHandler(async (req, res) => {
   const { qrData } = req.body;
   
   if (!qrData) {
@@ -130,7 +431,7 @@ router.post('/scan-qr', asyncHandler(async (req, res) => {
 
   const databaseService = getDatabaseService();
 
-  // Parse QR data safely
+  // Check the QR signature and expiry before touching the order
   const qrInfo = parseQrData(qrData);
   
   // Fetch order from database
@@ -139,14 +440,22 @@ router.post('/scan-qr', asyncHandler(async (req, res) => {
     throw new AppError('Order not found', 404);
   }
 
-  // Validate order for completion
+  // Orders are collected from the outlet that made them
+  if (req.outletId && req.outletId !== (order.outlet_id || DEFAULT_OUTLET_ID)) {
+    throw new AppError('This order is for a different outlet', 400);
+  }
+
+  // Validate the QR code against the order
   const validationResult = validateOrderForCompletion(order, qrInfo.token, databaseService);
   if (!validationResult.valid) {
     throw new AppError(validationResult.error, 400);
   }
 
-  // Complete the order using existing service
-  const completedOrder = await databaseService.updateOrderStatus(qrInfo.orderId, 'completed');
+  // Complete the order; the lifecycle only allows pickup of ready orders
+  const completedOrder = await databaseService.updateOrderStatus(qrInfo.orderId, 'completed', {
+    actor: 'staff',
+    via: 'pickup'
+  });
 
   res.status(200).json({
     success: true,
@@ -156,29 +465,123 @@ router.post('/scan-qr', asyncHandler(async (req, res) => {
       customerName: completedOrder.user_name,
       completedAt: completedOrder.updated_at,
       items: completedOrder.items,
+      specialInstructions: completedOrder.special_instructions || null,
       totalAmount: completedOrder.total_amount
     },
     timestamp: new Date().toISOString()
   });
 }));
 
+/**
+ * @route GET /api/vendor/offline-kit
+ * @desc Get what the pickup scanner needs to keep working offline: the QR public key and
+ *       today's collectable orders at the outlet
+ * @access Cashier, Manager, Admin (orders:pickup)
+ */
+router.get('/offline-kit', requirePermission(PERMISSIONS.ORDERS_PICKUP), asyncHandler(async (req, res) => {
+  const databaseService = getDatabaseService();
+  const publicKey = getQrPublicKey();
+
+  const orders = (await databaseService.getOrdersByStatus(ACTIVE_STATUSES, { outletId: req.outletId }))
+    .filter(order => databaseService.isOrderForToday(order));
+
+  res.status(200).json({
+    success: true,
+    message: publicKey ? 'Offline scanning kit' : 'Offline scanning needs QR_SIGNING_PRIVATE_KEY',
+    data: {
+      enabled: Boolean(publicKey),
+      qrVersion: QR_VERSION_ECDSA,
+      publicKey,
+      outletId: req.outletId || null,
+      orders: orders.map(order => ({
+        id: order.id,
+        token: order.token,
+        status: order.status,
+        customerName: order.user_name,
+        items: order.items,
+        specialInstructions: order.special_instructions || null,
+        totalAmount: order.total_amount
+      }))
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * @route POST /api/vendor/redemptions/batch
+ * @desc Sync pickups scanned while offline; each is completed or reported as a conflict
+ * @access Cashier, Manager, Admin (orders:pickup)
+ */
+router.post('/redemptions/batch', requirePermission(PERMISSIONS.ORDERS_PICKUP), validate.redemptionBatch, asyncHandler(async (req, res) => {
+  const databaseService = getDatabaseService();
+  const { redemptions } = req.body;
+
+  // A batch sent again (e.g. after a lost response) gets the results it got the first time
+  const synced = await databaseService.getOfflineRedemptions(redemptions.map(redemption => redemption.id));
+  const results = [];
+
+  // In scan order, so the first scan of an order is the one that counts
+  for (const redemption of redemptions) {
+    let row = synced.get(redemption.id);
+
+    if (!row) {
+      row = await databaseService.saveOfflineRedemption({
+        id: redemption.id,
+        ...await redeemOfflineScan(redemption, req, databaseService),
+        outlet_id: req.outletId || null,
+        redeemed_by: req.user.username || req.user.email,
+        scanned_at: redemption.scannedAt.toISOString()
+      });
+      synced.set(row.id, row);
+    }
+
+    results.push({
+      id: row.id,
+      orderId: row.order_id,
+      token: row.token,
+      result: row.result,
+      reason: row.reason,
+      message: row.message,
+      previousStatus: row.previous_status,
+      scannedAt: row.scanned_at
+    });
+  }
+
+  const conflicts = results.filter(result => result.result === 'conflict').length;
+
+  res.status(200).json({
+    success: true,
+    message: conflicts > 0
+      ? `${results.length - conflicts} redeemed, ${conflicts} conflict(s) need attention`
+      : `${results.length} redeemed`,
+    data: { results, redeemed: results.length - conflicts, conflicts },
+    timestamp: new Date().toISOString()
+  });
+}));
+
 /**
  * @route GET /api/vendor/dashboard
  * @desc Get vendor dashboard statistics
- * @access Admin
+ * @access Staff (orders:view)
  */
-router.get('/dashboard', asyncHandler(async (req, res) => {
+router.get('/dashboard', requirePermission(PERMISSIONS.ORDERS_VIEW), asyncHandler(async (req, res) => {
   const databaseService = getDatabaseService();
 
   // Get today's stats
-  const todayStats = await databaseService.getTodayStats();
+  const todayStats = await databaseService.getTodayStats(req.outletId);
 
   // Get active orders count by status
-  const { data: activeOrders, error } = await databaseService.supabase
+  let activeQuery = databaseService.supabase
     .from('orders')
     .select('status')
     .in('status', ['pending', 'preparing', 'ready']);
 
+  if (req.outletId) {
+    activeQuery = activeQuery.eq('outlet_id', req.outletId);
+  }
+
+  const { data: activeOrders, error } = await activeQuery;
+
   if (error) {
     throw new AppError('Failed to fetch dashboard data', 500);
   }
@@ -197,27 +600,43 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
   const today = new Date().toISOString().split('T')[0];
   const tomorrow = new Date(Date.now() + 86400000).toISOString().split('T')[0];
 
-  const { data: todayOrders, error: revenueError } = await databaseService.supabase
+  let revenueQuery = databaseService.supabase
     .from('orders')
-    .select('total_amount')
+    .select('total_amount, status, refund_status, refunded_amount')
     .gte('created_at', `${today}T00:00:00Z`)
-    .lt('created_at', `${tomorrow}T00:00:00Z`)
-    .neq('status', 'cancelled'); // Exclude cancelled orders
+    .lt('created_at', `${tomorrow}T00:00:00Z`);
+
+  if (req.outletId) {
+    revenueQuery = revenueQuery.eq('outlet_id', req.outletId);
+  }
+
+  const { data: todayOrders, error: revenueError } = await revenueQuery;
 
   if (revenueError) {
     console.error('Failed to calculate revenue:', revenueError);
   }
 
-  const todayRevenue = todayOrders?.reduce((sum, order) => sum + parseFloat(order.total_amount), 0) || 0;
+  // Cancelled and refunded orders don't count towards revenue
+  const paidOrders = todayOrders?.filter(order => !['cancelled', 'refunded'].includes(order.status)) || [];
+  const todayRevenue = paidOrders.reduce((sum, order) => sum + parseFloat(order.total_amount), 0);
+
+  const refunds = {
+    pending: todayOrders?.filter(order => order.refund_status === 'pending').length || 0,
+    failed: todayOrders?.filter(order => order.refund_status === 'failed').length || 0,
+    processed: todayOrders?.filter(order => order.refund_status === 'processed').length || 0,
+    amount: todayOrders?.reduce((sum, order) => sum + (parseFloat(order.refunded_amount) || 0), 0) || 0
+  };
 
   res.status(200).json({
     success: true,
     message: 'Dashboard data retrieved successfully',
     data: {
+      outletId: req.outletId,
       today: {
         stats: todayStats,
         revenue: todayRevenue,
-        averageOrderValue: todayStats.total > 0 ? todayRevenue / todayStats.total : 0
+        averageOrderValue: paidOrders.length > 0 ? todayRevenue / paidOrders.length : 0,
+        refunds
       },
       active: {
         counts: activeCounts,
@@ -232,93 +651,25 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
   });
 }));
 
-/**
- * @route GET /api/vendor/orders/queue
- * @desc Get orders in queue (pending and preparing)
- * @access Admin
- */
-router.get('/orders/queue', asyncHandler(async (req, res) => {
-  const databaseService = getDatabaseService();
-
-  const { data: queueOrders, error } = await databaseService.supabase
-    .from('orders')
-    .select('*')
-    .in('status', ['pending', 'preparing'])
-    .order('created_at', { ascending: true });
-
-  if (error) {
-    throw new AppError('Failed to fetch queue orders', 500);
-  }
-
-  // Separate by status
-  const pending = queueOrders?.filter(order => order.status === 'pending') || [];
-  const preparing = queueOrders?.filter(order => order.status === 'preparing') || [];
-
-  res.status(200).json({
-    success: true,
-    message: 'Queue orders retrieved successfully',
-    data: {
-      queue: {
-        pending,
-        preparing,
-        total: queueOrders?.length || 0
-      },
-      summary: {
-        pendingCount: pending.length,
-        preparingCount: preparing.length,
-        totalInQueue: queueOrders?.length || 0,
-        estimatedWaitTime: (queueOrders?.length || 0) * 5 // 5 minutes per order
-      }
-    },
-    timestamp: new Date().toISOString()
-  });
-}));
-
-/**
- * @route GET /api/vendor/orders/ready
- * @desc Get orders ready for pickup
- * @access Admin
- */
-router.get('/orders/ready', asyncHandler(async (req, res) => {
-  const databaseService = getDatabaseService();
-
-  const { data: readyOrders, error } = await databaseService.supabase
-    .from('orders')
-    .select('*')
-    .eq('status', 'ready')
-    .order('updated_at', { ascending: true }); // Show oldest ready orders first
-
-  if (error) {
-    throw new AppError('Failed to fetch ready orders', 500);
-  }
-
-  res.status(200).json({
-    success: true,
-    message: 'Ready orders retrieved successfully',
-    data: {
-      orders: readyOrders || [],
-      count: readyOrders?.length || 0
-    },
-    timestamp: new Date().toISOString()
-  });
-}));
-
 /**
  * @route POST /api/vendor/orders/bulk-update
  * @desc Update multiple orders at once
- * @access Admin
+ * @access Kitchen, Manager, Admin (orders:prepare); completing ready orders also needs orders:pickup
  */
-router.post('/orders/bulk-update', asyncHandler(async (req, res) => {
+router.post('/orders/bulk-update', requirePermission(PERMISSIONS.ORDERS_PREPARE), asyncHandler(async (req, res) => {
   const { orderIds, newStatus } = req.body;
 
   if (!Array.isArray(orderIds) || orderIds.length === 0) {
     throw new AppError('Order IDs array is required', 400);
   }
 
-  if (!['pending', 'preparing', 'ready', 'completed'].includes(newStatus)) {
+  // Cancellation needs a reason and a refund, so it goes through /orders/:orderId/cancel
+  if (![...ACTIVE_STATUSES, 'completed'].includes(newStatus)) {
     throw new AppError('Invalid status', 400);
   }
 
+  assertCanHandOver(req, newStatus);
+
   const databaseService = getDatabaseService();
   const results = [];
   const errors = [];
@@ -326,7 +677,11 @@ router.post('/orders/bulk-update', asyncHandler(async (req, res) => {
   // Update each order
   for (const orderId of orderIds) {
     try {
-      const updatedOrder = await databaseService.updateOrderStatus(orderId, newStatus);
+      await getScopedOrder(req, orderId);
+      const updatedOrder = await databaseService.updateOrderStatus(orderId, newStatus, {
+        actor: 'staff',
+        via: 'bulk'
+      });
       results.push({
         orderId,
         success: true,
@@ -360,20 +715,26 @@ router.post('/orders/bulk-update', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/vendor/analytics/today
  * @desc Get detailed analytics for today
- * @access Admin
+ * @access Manager, Admin (reports:view)
  */
-router.get('/analytics/today', asyncHandler(async (req, res) => {
+router.get('/analytics/today', requirePermission(PERMISSIONS.REPORTS_VIEW), asyncHandler(async (req, res) => {
   const databaseService = getDatabaseService();
   const today = new Date().toISOString().split('T')[0];
   const tomorrow = new Date(Date.now() + 86400000).toISOString().split('T')[0];
 
   // Get all today's orders
-  const { data: todayOrders, error } = await databaseService.supabase
+  let query = databaseService.supabase
     .from('orders')
     .select('*')
     .gte('created_at', `${today}T00:00:00Z`)
     .lt('created_at', `${tomorrow}T00:00:00Z`);
 
+  if (req.outletId) {
+    query = query.eq('outlet_id', req.outletId);
+  }
+
+  const { data: todayOrders, error } = await query;
+
   if (error) {
     throw new AppError('Failed to fetch analytics data', 500);
   }
@@ -389,7 +750,9 @@ router.get('/analytics/today', asyncHandler(async (req, res) => {
       pending: orders.filter(o => o.status === 'pending').length,
       preparing: orders.filter(o => o.status === 'preparing').length,
       ready: orders.filter(o => o.status === 'ready').length,
-      completed: orders.filter(o => o.status === 'completed').length
+      completed: orders.filter(o => o.status === 'completed').length,
+      cancelled: orders.filter(o => o.status === 'cancelled').length,
+      refunded: orders.filter(o => o.status === 'refunded').length
     },
     hourlyBreakdown: {},
     topItems: {}
@@ -440,9 +803,9 @@ router.get('/analytics/today', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/vendor/health
  * @desc Check vendor service health
- * @access Admin
+ * @access Manager, Admin (reports:view)
  */
-router.get('/health', asyncHandler(async (req, res) => {
+router.get('/health', requirePermission(PERMISSIONS.REPORTS_VIEW), asyncHandler(async (req, res) => {
   const health = await checkServiceHealth();
   
   res.status(200).json({
@@ -456,37 +819,141 @@ router.get('/health', asyncHandler(async (req, res) => {
   });
 }));
 
+// Helper functions for outlet scoping
+
+/**
+ * Load an order of the outlet the request works on
+ * Orders of other outlets are reported as not found.
+ * @param {object} req - Express request (user and outletId)
+ * @param {string} orderId - Order UUID
+ * @returns {object} Order row
+ */
+async function getScopedOrder(req, orderId) {
+  const order = await getDatabaseService().getOrderById(orderId);
+  const outletId = order?.outlet_id || DEFAULT_OUTLET_ID;
+
+  if (!order || (req.outletId && req.outletId !== outletId)) {
+    throw new AppError('Order not found', 404);
+  }
+
+  return order;
+}
+
+/**
+ * Completing an order means handing the food over, which is the pickup counter's job
+ * (the lifecycle also requires the order to be ready)
+ * @param {object} req - Express request (staffRole from requirePermission)
+ * @param {string} status - Requested status
+ * @throws {AppError} 403 when a completion comes from staff without orders:pickup
+ */
+function assertCanHandOver(req, status) {
+  if (status === 'completed' && !hasPermission(req.staffRole, PERMISSIONS.ORDERS_PICKUP)) {
+    throw new AppError(`Your role (${req.staffRole}) is not allowed to hand over orders`, 403);
+  }
+}
+
 // Helper functions for QR code scanning functionality
 
 /**
- * Helper function to parse QR data safely
- * @param {string} qrData - Raw QR code data
- * @returns {object} Parsed QR data
+ * Complete an order from a pickup scanned offline, or work out why it conflicts
+ * The food has already been handed over, so orders the kitchen never marked ready are
+ * still completed (previous_status shows it). Conflicts are left for staff to resolve.
+ * @param {Object} redemption - { qrData, scannedAt } from the scanner
+ * @param {Object} req - Express request (staff outlet)
+ * @param {Object} databaseService - Database service instance
+ * @returns {Object} offline_redemptions columns: order_id, token, result, reason, message, previous_status
  */
-function parseQrData(qrData) {
+async function redeemOfflineScan({ qrData, scannedAt }, req, databaseService) {
+  // Device clocks can run ahead; a scan never happened after it reached the server
+  const redeemedAt = new Date(Math.min(scannedAt.getTime(), Date.now()));
+  const conflict = (reason, message, order = null) => ({
+    order_id: order?.id || null,
+    token: order?.token || null,
+    result: 'conflict',
+    reason,
+    message,
+    previous_status: order?.status || null
+  });
+
+  // One code the server cannot check must not abort the rest of the batch
+  let qrInfo;
   try {
-    const parsed = JSON.parse(qrData);
-    
-    // Validate required fields
-    if (!parsed.orderId || !parsed.token || !parsed.date) {
-      throw new AppError('Invalid QR data: Missing required fields', 400);
-    }
+    qrInfo = verifyOrderQr(qrData, { at: redeemedAt });
+  } catch (error) {
+    console.error('❌ Offline redemption QR check failed:', error.message);
+    qrInfo = { valid: false, error: 'QR code could not be verified' };
+  }
+
+  if (!qrInfo.valid) {
+    return conflict('invalid_qr', qrInfo.error);
+  }
+
+  const order = await databaseService.getOrderById(qrInfo.orderId);
+  if (!order) {
+    return { ...conflict('not_found', 'Order not found'), token: qrInfo.token };
+  }
+
+  if (req.outletId && req.outletId !== (order.outlet_id || DEFAULT_OUTLET_ID)) {
+    return conflict('wrong_outlet', 'This order is for a different outlet', order);
+  }
+
+  if (order.token !== qrInfo.token) {
+    return conflict('invalid_qr', 'Token mismatch', order);
+  }
+
+  if (order.status === 'completed') {
+    return conflict('already_collected', `Already collected at ${new Date(order.completed_at || order.updated_at).toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata' })}`, order);
+  }
+
+  if (order.status === 'cancelled' || order.status === 'refunded') {
+    return conflict('cancelled', `Order was ${order.status} before it was handed over`, order);
+  }
 
-    return {
-      orderId: parsed.orderId,
-      token: parsed.token,
-      date: parsed.date
-    };
+  try {
+    await databaseService.updateOrderStatus(order.id, 'completed', {
+      actor: 'staff',
+      via: 'offline_pickup',
+      redeemedAt: redeemedAt.toISOString()
+    });
   } catch (error) {
-    if (error instanceof AppError) {
-      throw error;
+    if (error instanceof OrderTransitionError) {
+      return conflict('rejected', error.message, order);
     }
-    throw new AppError('Invalid QR data format', 400);
+    throw error;
+  }
+
+  return {
+    order_id: order.id,
+    token: order.token,
+    result: 'redeemed',
+    reason: null,
+    message: order.status === 'ready' ? 'Collected' : `Collected before it was marked ready (was ${order.status})`,
+    previous_status: order.status
+  };
+}
+
+/**
+ * Helper function to verify and decode a scanned QR code
+ * Forged, modified, expired and old unsigned JSON codes are all rejected.
+ * @param {string} qrData - Raw QR code data
+ * @returns {object} Decoded QR data
+ */
+function parseQrData(qrData) {
+  const result = verifyOrderQr(qrData);
+
+  if (!result.valid) {
+    throw new AppError(result.error, 400);
   }
+
+  return {
+    orderId: result.orderId,
+    token: result.token,
+    date: result.tokenDate
+  };
 }
 
 /**
- * Validate order for completion via QR scan
+ * Validate that a scanned QR code belongs to the order
  * @param {object} order - Order from database
  * @param {string} token - Token from QR code
  * @param {object} databaseService - Database service instance
@@ -498,24 +965,12 @@ function validateOrderForCompletion(order, token, databaseService) {
     return { valid: false, error: 'Token mismatch' };
   }
 
-  // Check if order is from today using existing timezone logic
-  if (!databaseService.isToday(order.created_at)) {
+  // Check if order is for today (its pickup day when scheduled) using existing timezone logic
+  if (!databaseService.isOrderForToday(order)) {
     return { valid: false, error: 'Token expired. Valid only on order date.' };
   }
 
-  // Check if already completed
-  if (order.status === 'completed') {
-    return { valid: false, error: 'Token already used' };
-  }
-
-  // Check if order is ready for pickup
-  if (order.status !== 'ready') {
-    return { 
-      valid: false, 
-      error: `Order not ready for pickup. Current status: ${order.status}` 
-    };
-  }
-
+  // Status checks (already used, not ready, cancelled) are enforced by the order lifecycle
   return { valid: true };
 }
 
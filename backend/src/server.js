@@ -18,6 +18,11 @@ const paymentRoutes = require('./routes/payments');
 const vendorRoutes = require('./routes/vendor');
 const tokenRoutes = require('./routes/tokens');
 const menuRoutes = require('./routes/menu');
+const staffRoutes = require('./routes/staff');
+const eventRoutes = require('./routes/events');
+const slotRoutes = require('./routes/slots');
+const outletRoutes = require('./routes/outlets');
+const pushRoutes = require('./routes/push');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
@@ -112,7 +117,13 @@ app.use((req, res, next) => {
 app.use(compression());
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body around so the Razorpay webhook signature can be checked
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static file serving for assets (college logo, images, etc.)
@@ -143,6 +154,11 @@ app.use('/api/payments', paymentRoutes);
 app.use('/api/vendor', vendorRoutes);
 app.use('/api/tokens', tokenRoutes);
 app.use('/api/menu', menuRoutes);
+app.use('/api/staff', staffRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/slots', slotRoutes);
+app.use('/api/outlets', outletRoutes);
+app.use('/api/push', pushRoutes);
 
 // 404 handler for undefined routes
 app.use('*', (req, res) => {
@@ -1,10 +1,19 @@
 /**
  * Google OAuth authentication service
- * Handles Google ID token verification and user authentication
+ * Handles Google ID token verification and user authentication,
+ * plus username/password (or PIN) login for canteen staff
  */
 
 const { OAuth2Client } = require('google-auth-library');
 const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const { getDatabaseService } = require('./database');
+const { getRolePermissions } = require('./staffRoles');
+
+const BCRYPT_ROUNDS = 10;
+
+// Staff event stream tickets only need to outlive the request that opens the stream
+const EVENT_TICKET_TTL_SECONDS = 60;
 
 class AuthService {
   constructor() {
@@ -135,6 +144,11 @@ class AuthService {
       }
 
       const decoded = this.verifyJWT(token);
+
+      if (decoded.type === 'staff') {
+        req.user = await this.getActiveStaffUser(decoded.sub);
+        return req.user;
+      }
       
       // Add user info to request for downstream use
       req.user = {
@@ -182,6 +196,157 @@ class AuthService {
       throw error;
     }
   }
+
+  /**
+   * Hash a staff password or PIN for storage
+   * @param {string} secret - Plain password or PIN
+   * @returns {string} bcrypt hash
+   */
+  async hashStaffSecret(secret) {
+    return bcrypt.hash(String(secret), BCRYPT_ROUNDS);
+  }
+
+  /**
+   * Shape a staff row for requests and responses (no credential hashes)
+   * @param {Object} staff - Staff row
+   * @returns {Object} Staff user info with permissions
+   */
+  toStaffUser(staff) {
+    return {
+      staffId: staff.id,
+      username: staff.username,
+      name: staff.name,
+      role: staff.role,
+      // null for staff who work across every outlet
+      outletId: staff.outlet_id || null,
+      permissions: getRolePermissions(staff.role),
+      isStaff: true
+    };
+  }
+
+  /**
+   * Load the current state of a staff account for an authenticated request
+   * Role changes and deactivation take effect immediately, without waiting for the JWT to expire.
+   * @param {string} staffId - Staff UUID from the JWT subject
+   * @returns {Object} Staff user info
+   */
+  async getActiveStaffUser(staffId) {
+    const staff = await getDatabaseService().getStaffById(staffId);
+
+    if (!staff || !staff.is_active) {
+      throw new Error('Staff account is disabled');
+    }
+
+    return this.toStaffUser(staff);
+  }
+
+  /**
+   * Generate JWT token for a staff member
+   * @param {Object} staff - Staff row
+   * @returns {string} JWT token
+   */
+  generateStaffJWT(staff) {
+    try {
+      const payload = {
+        sub: staff.id,
+        username: staff.username,
+        name: staff.name,
+        role: staff.role,
+        type: 'staff'
+      };
+
+      return jwt.sign(payload, process.env.JWT_SECRET, {
+        expiresIn: process.env.STAFF_JWT_EXPIRES_IN || '12h',
+        issuer: 'canteen-qr-backend',
+        audience: 'canteen-qr-frontend'
+      });
+    } catch (error) {
+      console.error('❌ Staff JWT generation failed:', error.message);
+      throw new Error('Failed to generate authentication token');
+    }
+  }
+
+  /**
+   * Generate a short-lived ticket for opening the staff event stream
+   * EventSource cannot send an Authorization header, so the ticket travels in the
+   * query string instead of the full session token.
+   * @param {Object} user - Authenticated req.user
+   * @param {string} role - Staff role of the user
+   * @param {string|null} outletId - Outlet the stream follows (null for every outlet)
+   * @returns {string} Signed ticket
+   */
+  generateEventTicket(user, role, outletId = null) {
+    const payload = {
+      sub: user.staffId || user.email,
+      name: user.name,
+      role,
+      outletId,
+      type: 'events'
+    };
+
+    return jwt.sign(payload, process.env.JWT_SECRET, {
+      expiresIn: EVENT_TICKET_TTL_SECONDS,
+      issuer: 'canteen-qr-backend',
+      audience: 'canteen-qr-events'
+    });
+  }
+
+  /**
+   * Verify a staff event stream ticket
+   * @param {string} ticket - Ticket from generateEventTicket
+   * @returns {Object} { sub, name, role, outletId }
+   */
+  verifyEventTicket(ticket) {
+    try {
+      const decoded = jwt.verify(ticket, process.env.JWT_SECRET, {
+        issuer: 'canteen-qr-backend',
+        audience: 'canteen-qr-events'
+      });
+
+      if (decoded.type !== 'events') {
+        throw new Error('Wrong ticket type');
+      }
+
+      return decoded;
+    } catch (error) {
+      throw new Error('Invalid or expired event stream ticket');
+    }
+  }
+
+  /**
+   * Staff login with a password or PIN
+   * @param {string} username - Staff username
+   * @param {Object} credentials - { password } or { pin }
+   * @returns {Object|null} Authentication result with JWT, or null if the credentials are wrong
+   */
+  async staffLogin(username, { password, pin }) {
+    const databaseService = getDatabaseService();
+    const staff = await databaseService.getStaffByUsername(username);
+
+    const hash = password ? staff?.password_hash : staff?.pin_hash;
+    const secret = password || pin;
+
+    // Compare against a throwaway hash when the account is missing so response times do not reveal usernames
+    if (!this.dummyStaffHash) {
+      this.dummyStaffHash = await bcrypt.hash('not-a-staff-secret', BCRYPT_ROUNDS);
+    }
+    const matches = await bcrypt.compare(String(secret), hash || this.dummyStaffHash);
+
+    if (!staff || !staff.is_active || !hash || !matches) {
+      console.warn(`⚠️  Failed staff login for: ${username}`);
+      return null;
+    }
+
+    await databaseService.updateStaffUser(staff.id, { last_login_at: new Date().toISOString() });
+
+    console.log(`✅ Staff login: ${staff.username} (${staff.role})`);
+    return {
+      success: true,
+      user: this.toStaffUser(staff),
+      token: this.generateStaffJWT(staff),
+      expiresIn: process.env.STAFF_JWT_EXPIRES_IN || '12h'
+    };
+  }
 }
 
 // Singleton instance
@@ -4,6 +4,19 @@
  */
 
 const { createClient } = require('@supabase/supabase-js');
+const {
+  INITIAL_STATUS,
+  ACTIVE_STATUSES,
+  STATUS_TIMESTAMP_COLUMNS,
+  OrderTransitionError,
+  assertTransition,
+  runTransitionHooks
+} = require('./orderLifecycle');
+const { getTokenPrefix, formatToken, getTokenDate } = require('./orderToken');
+const { applyItemStatus, getOrderStatusForItems } = require('./orderItems');
+const { SLOT_FULL_ERROR, getKitchenReleaseAt, getSlotCapacity } = require('./pickupSlots');
+const { getOrderEventService } = require('./orderEvents');
+const { DEFAULT_OUTLET_ID } = require('./outlets');
 
 class DatabaseService {
   constructor() {
@@ -44,6 +57,9 @@ class DatabaseService {
 
       // Initialize daily counter table for atomic token generation
       await this.initializeDailyCounterTable();
+
+      // Check menu catalog table
+      await this.initializeMenuTable();
     } catch (error) {
       console.error('❌ Error initializing database tables:', error);
       throw error;
@@ -62,18 +78,7 @@ class DatabaseService {
         .limit(1);
 
       if (counterError && counterError.code === 'PGRST116') {
-        console.log('📊 Daily counters table not found. Please create it manually in Supabase with this SQL:');
-        console.log(`
-CREATE TABLE IF NOT EXISTS daily_counters (
-  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
-  date_key DATE NOT NULL UNIQUE,
-  counter INTEGER DEFAULT 0,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-);
-
-CREATE INDEX IF NOT EXISTS daily_counters_date_idx ON daily_counters(date_key);
-        `);
+        console.log('📊 Daily counters table not found. Please run backend/database/atomic_token_setup.sql and daily_tokens_setup.sql in Supabase.');
       } else if (counterError) {
         console.warn('⚠️  Daily counters table access failed:', counterError.message);
       } else {
@@ -85,54 +90,46 @@ CREATE INDEX IF NOT EXISTS daily_counters_date_idx ON daily_counters(date_key);
   }
 
   /**
-   * Get next atomic counter for today
+   * Check that the menu catalog table exists
    */
-  async getNextAtomicCounter() {
+  async initializeMenuTable() {
     try {
-      const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-      
-      // Try to increment counter atomically using PostgreSQL's UPSERT
-      const { data, error } = await this.supabase.rpc('increment_daily_counter', {
-        date_input: today
-      });
+      const { error: menuError } = await this.supabase
+        .from('menu_items')
+        .select('id')
+        .limit(1);
 
-      if (error) {
-        console.warn('⚠️  Atomic counter failed:', error.message);
-        return null;
+      if (menuError && (menuError.code === 'PGRST116' || menuError.code === '42P01')) {
+        console.log('🍽️  Menu items table not found. Please run backend/database/menu_setup.sql in Supabase.');
+      } else if (menuError) {
+        console.warn('⚠️  Menu items table access failed:', menuError.message);
+      } else {
+        console.log('✅ Menu items table exists');
       }
-
-      return data;
     } catch (error) {
-      console.warn('⚠️  Atomic counter error:', error.message);
-      return null;
+      console.warn('⚠️  Could not check menu items table:', error.message);
     }
   }
 
   /**
-   * Alternative atomic token generation using dedicated counter table
+   * Get the next value of a token counter for the current IST day
+   * Uses the increment_daily_counter RPC so concurrent orders never share a number.
+   * @param {string} prefix - Token prefix; each prefix has its own sequence
+   * @param {string} tokenDate - IST date (YYYY-MM-DD)
+   * @returns {number} Counter value, starting at 1 every day
    */
-  async generateAtomicToken() {
-    const tokenPrefix = process.env.TOKEN_PREFIX || 'T';
-    
-    try {
-      // Try atomic counter first
-      const counter = await this.getNextAtomicCounter();
-      if (counter && counter > 0) {
-        const atomicToken = `${tokenPrefix}-${String(counter).padStart(3, '0')}`;
-        console.log(`⚡ Generated atomic token: ${atomicToken} (counter: ${counter})`);
-        return atomicToken;
-      }
-    } catch (error) {
-      console.warn('⚠️  Atomic token generation failed:', error.message);
+  async getNextAtomicCounter(prefix, tokenDate = getTokenDate()) {
+    const { data, error } = await this.supabase.rpc('increment_daily_counter', {
+      date_input: tokenDate,
+      counter_input: prefix
+    });
+
+    if (error) {
+      console.error('❌ Atomic counter failed:', error.message);
+      throw new Error('Failed to generate order token');
     }
 
-    // Fallback to timestamp-based unique token
-    const timestamp = Date.now().toString().slice(-6);
-    const randomPart = Math.random().toString(36).substr(2, 4).toUpperCase();
-    const fallbackToken = `${tokenPrefix}-${timestamp}${randomPart}`;
-    
-    console.log(`🔄 Using fallback unique token: ${fallbackToken}`);
-    return fallbackToken;
+    return data;
   }
 
   /**
@@ -190,6 +187,16 @@ CREATE INDEX IF NOT EXISTS daily_counters_date_idx ON daily_counters(date_key);
     );
   }
 
+  /**
+   * Check whether an order's token is valid today
+   * Scheduled orders are valid on their pickup day, the rest on the day they were placed.
+   * @param {Object} order - Order row
+   * @returns {boolean} True if the order is for today
+   */
+  isOrderForToday(order) {
+    return this.isToday(order.pickup_at || order.created_at);
+  }
+
   /**
    * Get today's date range in Asia/Kolkata timezone
    * @returns {object} Object with startOfDay and endOfDay in UTC
@@ -261,42 +268,50 @@ CREATE INDEX IF NOT EXISTS daily_counters_date_idx ON daily_counters(date_key);
   }
 
   /**
-   * Generate guaranteed unique token - no retries needed
+   * Issue the next sequential token for a day (T-001, T-002, ...)
+   * @param {string} counter - Counter or outlet name, selects the token prefix (optional)
+   * @param {string|Date} date - Day the token is used on (defaults to today)
+   * @param {string} prefix - Token prefix of the outlet (defaults to the counter's prefix)
+   * @returns {Object} { token, tokenDate }
    */
-  async generateDailyToken() {
-    const tokenPrefix = process.env.TOKEN_PREFIX || 'T';
-    
-    // Use high-precision timestamp + random for guaranteed uniqueness
-    const now = Date.now();
-    const microTime = process.hrtime.bigint().toString().slice(-6); // Microseconds
-    const randomPart = Math.random().toString(36).substr(2, 6).toUpperCase();
-    const processId = process.pid.toString().slice(-2);
-    
-    // Format: T-HHMMSS-RANDOM (based on current time + randomness)
-    const timeStr = new Date(now).toTimeString().substr(0, 8).replace(/:/g, '');
-    const uniqueToken = `${tokenPrefix}-${timeStr.slice(-6)}-${randomPart.slice(0, 4)}`;
-    
-    console.log(`✅ Generated guaranteed unique token: ${uniqueToken}`);
-    return uniqueToken;
+  async generateDailyToken(counter, date = new Date(), prefix = getTokenPrefix(counter)) {
+    const tokenDate = getTokenDate(date);
+    const sequence = await this.getNextAtomicCounter(prefix, tokenDate);
+
+    if (!sequence || sequence < 1) {
+      throw new Error('Failed to generate order token');
+    }
+
+    const token = formatToken(prefix, sequence);
+    console.log(`⚡ Issued token ${token} for ${tokenDate}`);
+    return { token, tokenDate };
   }
 
   /**
    * @deprecated Use generateDailyToken() instead
    */
   async generateTodayToken() {
-    return this.generateDailyToken();
+    const { token } = await this.generateDailyToken();
+    return token;
   }
 
   /**
-   * Create a new order with guaranteed unique token - no retries needed
+   * Create a new order with the next token for its pickup day
+   * Orders without a pickup slot are for today; scheduled orders get a token for the
+   * day of their slot and stay out of the kitchen queue until their release time.
+   * Each outlet issues tokens from its own prefix.
+   * @param {Object} orderData - Order details
+   * @param {Object} context - Extra lifecycle context for the new order's hooks
    */
-  async createOrder(orderData) {
+  async createOrder(orderData, context = {}) {
     try {
-      const token = await this.generateDailyToken();
-      
-      if (!token) {
-        throw new Error('Failed to generate order token');
-      }
+      const pickupAt = orderData.pickup_at || null;
+      const outlet = await this.getOutletById(orderData.outlet_id || DEFAULT_OUTLET_ID);
+      const { token, tokenDate } = await this.generateDailyToken(
+        orderData.counter,
+        pickupAt || new Date(),
+        outlet?.token_prefix || getTokenPrefix(orderData.counter)
+      );
       
       console.log(`🎫 Creating order with token: ${token}`);
       
@@ -304,14 +319,20 @@ CREATE INDEX IF NOT EXISTS daily_counters_date_idx ON daily_counters(date_key);
         .from('orders')
         .insert([{
           token,
+          token_date: tokenDate,
           user_name: orderData.user_name,
           user_email: orderData.user_email,
           phone: orderData.phone,
           items: orderData.items,
+          special_instructions: orderData.special_instructions || null,
           total_amount: orderData.total_amount,
           payment_id: orderData.payment_id,
           payment_signature: orderData.payment_signature,
-          status: 'pending'
+          pickup_at: pickupAt,
+          pickup_units: orderData.pickup_units || 0,
+          outlet_id: outlet?.id || DEFAULT_OUTLET_ID,
+          release_at: getKitchenReleaseAt(pickupAt),
+          status: INITIAL_STATUS
         }])
         .select()
         .single();
@@ -322,6 +343,9 @@ CREATE INDEX IF NOT EXISTS daily_counters_date_idx ON daily_counters(date_key);
       }
 
       console.log(`✅ Order created successfully: ${token} (ID: ${data.id})`);
+
+      await runTransitionHooks(data, { from: null, to: INITIAL_STATUS, context: { actor: 'system', via: 'checkout', ...context } });
+
       return data;
     } catch (error) {
       console.error('❌ Database order creation failed:', error);
@@ -329,6 +353,236 @@ CREATE INDEX IF NOT EXISTS daily_counters_date_idx ON daily_counters(date_key);
     }
   }
 
+  /**
+   * Create an order for a Razorpay payment at most once
+   * Relies on the unique index on orders.payment_id, so concurrent verify/webhook
+   * calls for the same payment resolve to a single order.
+   * @param {Object} orderData - Order details including payment_id
+   * @param {Object} context - Extra lifecycle context for the new order's hooks (see createOrder)
+   * @returns {Object} { order, created } - created is false when the payment already had an order
+   */
+  async createOrderForPayment(orderData, context = {}) {
+    const existingOrder = await this.getOrderByPaymentId(orderData.payment_id);
+
+    if (existingOrder) {
+      console.log(`ℹ️  Payment ${orderData.payment_id} already has order ${existingOrder.token}`);
+      return { order: existingOrder, created: false };
+    }
+
+    try {
+      const order = await this.createOrder(orderData, context);
+      return { order, created: true };
+    } catch (error) {
+      // Lost the race against another request for the same payment
+      if (error.code === '23505') {
+        const concurrentOrder = await this.getOrderByPaymentId(orderData.payment_id);
+
+        if (concurrentOrder) {
+          console.log(`ℹ️  Payment ${orderData.payment_id} was fulfilled concurrently: ${concurrentOrder.token}`);
+          return { order: concurrentOrder, created: false };
+        }
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Save a checkout intent for a newly created Razorpay order
+   * Scheduled checkouts go through create_scheduled_checkout_intent, which only saves
+   * the intent while the outlet's pickup slot has room; otherwise a 409 error is thrown.
+   * @param {Object} intentData - Razorpay order ID, user, server-priced items, amount, outlet, pickup slot and prep units
+   * @returns {Object} Created checkout intent row
+   */
+  async createCheckoutIntent(intentData) {
+    try {
+      const ttlMinutes = parseInt(process.env.CHECKOUT_INTENT_TTL_MINUTES) || 30;
+      const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString();
+
+      const row = {
+        razorpay_order_id: intentData.razorpay_order_id,
+        user_name: intentData.user_name,
+        user_email: intentData.user_email,
+        phone: intentData.phone,
+        items: intentData.items,
+        special_instructions: intentData.special_instructions || null,
+        total_amount: intentData.total_amount,
+        pickup_at: intentData.pickup_at || null,
+        pickup_units: intentData.pickup_units || 0,
+        outlet_id: intentData.outlet_id || DEFAULT_OUTLET_ID,
+        status: 'pending',
+        expires_at: expiresAt
+      };
+
+      const { data, error } = row.pickup_at
+        ? await this.createScheduledCheckoutIntent(row)
+        : await this.supabase
+          .from('checkout_intents')
+          .insert([row])
+          .select()
+          .single();
+
+      if (error) {
+        if (error.message === SLOT_FULL_ERROR) {
+          const fullError = new Error('That pickup slot is full. Please choose another time.');
+          fullError.statusCode = 409;
+          throw fullError;
+        }
+
+        throw error;
+      }
+
+      console.log(`🛒 Checkout intent saved for Razorpay order: ${data.razorpay_order_id}`);
+      return data;
+    } catch (error) {
+      console.error('❌ Checkout intent creation failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Insert a scheduled checkout intent if its slot still has room, in one database call
+   * @param {Object} row - checkout_intents row with pickup_at and pickup_units
+   * @returns {Object} Supabase result ({ data, error })
+   */
+  async createScheduledCheckoutIntent(row) {
+    const { maxOrders, maxUnits } = getSlotCapacity(row.pickup_at);
+
+    return this.supabase.rpc('create_scheduled_checkout_intent', {
+      intent_input: row,
+      max_orders: maxOrders,
+      max_units: maxUnits
+    });
+  }
+
+  /**
+   * Get checkout intent by Razorpay order ID
+   * @param {string} razorpayOrderId - Razorpay order ID
+   * @returns {Object|null} Checkout intent row or null if not found
+   */
+  async getCheckoutIntent(razorpayOrderId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('checkout_intents')
+        .select('*')
+        .eq('razorpay_order_id', razorpayOrderId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        throw error;
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('❌ Error fetching checkout intent:', error);
+      throw new Error('Failed to fetch checkout intent');
+    }
+  }
+
+  /**
+   * Update a checkout intent
+   * @param {string} razorpayOrderId - Razorpay order ID
+   * @param {Object} updates - Columns to change (status, order_id)
+   * @returns {Object} Updated checkout intent row
+   */
+  async updateCheckoutIntent(razorpayOrderId, updates) {
+    try {
+      const { data, error } = await this.supabase
+        .from('checkout_intents')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString()
+        })
+        .eq('razorpay_order_id', razorpayOrderId)
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      console.log(`✅ Checkout intent ${razorpayOrderId} updated: ${data.status}`);
+      return data;
+    } catch (error) {
+      console.error('❌ Error updating checkout intent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark pending checkout intents past their expiry as expired
+   * @returns {number} Number of intents expired
+   */
+  async expireStaleCheckoutIntents() {
+    try {
+      const { data, error } = await this.supabase
+        .from('checkout_intents')
+        .update({
+          status: 'expired',
+          updated_at: new Date().toISOString()
+        })
+        .eq('status', 'pending')
+        .lt('expires_at', new Date().toISOString())
+        .select('id');
+
+      if (error) {
+        throw error;
+      }
+
+      if (data && data.length > 0) {
+        console.log(`🧹 Expired ${data.length} stale checkout intents`);
+      }
+
+      return data?.length || 0;
+    } catch (error) {
+      console.error('❌ Error expiring checkout intents:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Get checkout intents for admins (with pagination)
+   * @param {number} page - Page number
+   * @param {number} limit - Page size
+   * @param {string|null} status - Filter by intent status
+   */
+  async getCheckoutIntents(page = 1, limit = 20, status = null) {
+    try {
+      await this.expireStaleCheckoutIntents();
+
+      let query = this.supabase
+        .from('checkout_intents')
+        .select('*', { count: 'exact' })
+        .order('created_at', { ascending: false });
+
+      if (status) {
+        query = query.eq('status', status);
+      }
+
+      const offset = (page - 1) * limit;
+      query = query.range(offset, offset + limit - 1);
+
+      const { data, error, count } = await query;
+
+      if (error) {
+        throw error;
+      }
+
+      return {
+        intents: data || [],
+        pagination: {
+          page,
+          limit,
+          total: count || 0,
+          totalPages: Math.ceil((count || 0) / limit)
+        }
+      };
+    } catch (error) {
+      console.error('❌ Error fetching checkout intents:', error);
+      throw new Error('Failed to fetch checkout intents');
+    }
+  }
+
   /**
    * Get order by ID
    */
@@ -351,32 +605,128 @@ CREATE INDEX IF NOT EXISTS daily_counters_date_idx ON daily_counters(date_key);
     }
   }
 
+  /**
+   * Get order by Razorpay payment ID
+   * @param {string} paymentId - Razorpay payment ID
+   * @returns {Object|null} Order row or null if not found
+   */
+  async getOrderByPaymentId(paymentId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('orders')
+        .select('*')
+        .eq('payment_id', paymentId)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('❌ Error fetching order by payment ID:', error);
+      throw new Error('Failed to fetch order by payment ID');
+    }
+  }
+
+  /**
+   * Cancel an order through the order lifecycle
+   * @param {string} orderId - Order UUID
+   * @param {Object} context - { actor, reason }
+   * @returns {Object} Cancelled order row
+   */
+  async cancelOrder(orderId, context) {
+    return this.updateOrderStatus(orderId, 'cancelled', context, {
+      cancelled_at: new Date().toISOString(),
+      cancellation_reason: context.reason
+    });
+  }
+
+  /**
+   * Record a Razorpay refund against an order
+   * A processed refund moves a cancelled order on to 'refunded'.
+   * @param {string} orderId - Order UUID
+   * @param {Object} refund - Refund ID, status and amount in rupees
+   * @returns {Object} Updated order row
+   */
+  async recordOrderRefund(orderId, { refundId, refundStatus, refundedAmount }) {
+    try {
+      const now = new Date().toISOString();
+      const updates = {
+        refund_id: refundId,
+        refund_status: refundStatus,
+        refunded_amount: refundedAmount,
+        updated_at: now
+      };
+
+      if (refundStatus === 'processed') {
+        updates.refunded_at = now;
+      }
+
+      const { data, error } = await this.supabase
+        .from('orders')
+        .update(updates)
+        .eq('id', orderId)
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      console.log(`💸 Refund ${refundId || '-'} recorded for order ${data.token}: ${refundStatus}`);
+
+      if (refundStatus === 'processed' && data.status === 'cancelled') {
+        return this.updateOrderStatus(orderId, 'refunded', { actor: 'system' });
+      }
+
+      return data;
+    } catch (error) {
+      console.error('❌ Error recording order refund:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get order by token with today validation
-   * Enforces "Valid Only Today" rule
+   * Enforces "Valid Only Today" rule. Tokens restart every IST day, so the
+   * lookup is scoped to today's orders (or a later day's, for scheduled pickups).
+   * @param {string} token - Order token
+   * @param {string} tokenDate - Day the token belongs to (defaults to today)
    */
-  async getOrderByToken(token) {
+  async getOrderByToken(token, tokenDate = getTokenDate()) {
     try {
       const { data, error } = await this.supabase
         .from('orders')
         .select('*')
         .eq('token', token)
-        .single();
+        .eq('token_date', tokenDate)
+        .maybeSingle();
 
-      if (error && error.code !== 'PGRST116') {
+      if (error) {
         throw error;
       }
 
-      if (!data) {
-        return null;
+      if (data) {
+        return data;
       }
 
-      // Check if order is from today
-      if (!this.isToday(data.created_at)) {
-        throw new Error('Token expired. Valid only on order date.');
+      // Same token from an earlier day
+      const { data: pastOrder } = await this.supabase
+        .from('orders')
+        .select('id')
+        .eq('token', token)
+        .lt('token_date', getTokenDate())
+        .limit(1)
+        .maybeSingle();
+
+      if (pastOrder) {
+        const expiredError = new Error('Token expired. Valid only on order date.');
+        expiredError.statusCode = 400;
+        throw expiredError;
       }
 
-      return data;
+      return null;
     } catch (error) {
       console.error('❌ Error fetching order by token:', error);
       if (error.message.includes('Token expired')) {
@@ -402,16 +752,16 @@ CREATE INDEX IF NOT EXISTS daily_counters_date_idx ON daily_counters(date_key);
         };
       }
 
-      // Check if order is completed
-      if (order.status === 'completed') {
+      // Check if order is still active (not completed, cancelled or refunded)
+      if (!ACTIVE_STATUSES.includes(order.status)) {
         return {
           valid: false,
-          error: 'Order already completed'
+          error: `Order already ${order.status}`
         };
       }
 
-      // Check if order is from today (already checked in getOrderByToken, but double-check)
-      if (!this.isToday(order.created_at)) {
+      // Check if order is for today (already checked in getOrderByToken, but double-check)
+      if (!this.isOrderForToday(order)) {
         return {
           valid: false,
           error: 'Token expired. Valid only on order date.'
@@ -432,85 +782,136 @@ CREATE INDEX IF NOT EXISTS daily_counters_date_idx ON daily_counters(date_key);
   }
 
   /**
-   * Update order status with date validation
-   * Prevents marking orders from previous days as completed
+   * Update order status through the order lifecycle
+   * The transition is checked in orderLifecycle, written only if the order still has
+   * the status it was checked against, and then the lifecycle hooks run.
+   * @param {string} orderId - Order UUID
+   * @param {string} newStatus - Requested status
+   * @param {Object} context - { actor: 'customer'|'staff'|'system', via, reason }
+   * @param {Object} extraUpdates - Additional columns written with the status
+   * @returns {Object} Updated order row
    */
-  async updateOrderStatus(orderId, newStatus) {
+  async updateOrderStatus(orderId, newStatus, context = {}, extraUpdates = {}) {
     try {
-      // First get the order to check its date
       const order = await this.getOrderById(orderId);
       
       if (!order) {
-        throw new Error('Order not found');
+        throw new OrderTransitionError('Order not found', 404);
       }
 
-      // If trying to mark as completed, ensure order is from today
-      if (newStatus === 'completed' && !this.isToday(order.created_at)) {
-        throw new Error('Cannot mark previous day orders as completed. Order must be from today.');
-      }
+      assertTransition(order, newStatus, context, { isOrderForToday: (row) => this.isOrderForToday(row) });
+
+      const now = new Date().toISOString();
+      const timestampColumn = STATUS_TIMESTAMP_COLUMNS[newStatus];
 
-      // Update the order status
       const { data, error } = await this.supabase
         .from('orders')
         .update({ 
+          ...extraUpdates,
+          ...(timestampColumn && { [timestampColumn]: now }),
           status: newStatus,
-          updated_at: new Date().toISOString()
+          updated_at: now
         })
         .eq('id', orderId)
+        .eq('status', order.status)
         .select()
-        .single();
+        .maybeSingle();
 
       if (error) {
         throw error;
       }
 
-      console.log(`✅ Order ${order.token} status updated to: ${newStatus}`);
+      if (!data) {
+        throw new OrderTransitionError(`Order ${order.token} was updated by someone else. Refresh and try again.`, 409);
+      }
+
+      console.log(`✅ Order ${order.token} status updated: ${order.status} → ${newStatus}`);
+
+      await runTransitionHooks(data, { from: order.status, to: newStatus, context });
+
       return data;
     } catch (error) {
-      console.error('❌ Error updating order status:', error);
+      console.error('❌ Error updating order status:', error.message);
       throw error;
     }
   }
 
   /**
-   * Update order status by token with date validation
-   * Prevents marking orders from previous days as completed
+   * Update order status by token
+   * Only today's active tokens can be updated
+   * @param {string} token - Order token
+   * @param {string} newStatus - Requested status
+   * @param {Object} context - Lifecycle context (see updateOrderStatus)
+   * @returns {Object} Updated order row
    */
-  async updateOrderStatusByToken(token, newStatus) {
-    try {
-      // Use the token validation which already checks today's date
-      const validationResult = await this.validateTokenForPickup(token);
-      
-      if (!validationResult.valid) {
-        throw new Error(validationResult.error);
-      }
+  async updateOrderStatusByToken(token, newStatus, context = {}) {
+    // Use the token validation which already checks today's date
+    const validationResult = await this.validateTokenForPickup(token);
+    
+    if (!validationResult.valid) {
+      throw new OrderTransitionError(validationResult.error);
+    }
+
+    return this.updateOrderStatus(validationResult.order.id, newStatus, context);
+  }
 
-      const order = validationResult.order;
+  /**
+   * Update the preparation status of one line of an order
+   * The order itself moves to preparing with its first started line and to ready
+   * once every line is ready, through the usual lifecycle checks and hooks.
+   * @param {string} orderId - Order UUID
+   * @param {string} itemId - Menu item ID of the line
+   * @param {string} status - Requested line status
+   * @param {Object} context - Lifecycle context (see updateOrderStatus)
+   * @returns {Object} Updated order row
+   */
+  async updateOrderItemStatus(orderId, itemId, status, context = {}) {
+    try {
+      const order = await this.getOrderById(orderId);
 
-      // If trying to mark as completed, double-check it's from today
-      if (newStatus === 'completed' && !this.isToday(order.created_at)) {
-        throw new Error('Cannot mark previous day orders as completed. Order must be from today.');
+      if (!order) {
+        throw new OrderTransitionError('Order not found', 404);
       }
 
-      // Update the order status
+      const items = applyItemStatus(order, itemId, status);
+
+      // Two stations marking lines at once must not overwrite each other's changes
       const { data, error } = await this.supabase
         .from('orders')
-        .update({ 
-          status: newStatus,
+        .update({
+          items,
           updated_at: new Date().toISOString()
         })
-        .eq('token', token)
+        .eq('id', orderId)
+        .eq('updated_at', order.updated_at)
         .select()
-        .single();
+        .maybeSingle();
 
       if (error) {
         throw error;
       }
 
-      console.log(`✅ Order ${token} status updated to: ${newStatus}`);
-      return data;
+      if (!data) {
+        throw new OrderTransitionError(`Order ${order.token} was updated by someone else. Refresh and try again.`, 409);
+      }
+
+      console.log(`✅ Order ${order.token} item ${itemId} marked ${status}`);
+
+      const orderStatus = getOrderStatusForItems(order, items);
+      const itemContext = { ...context, via: 'item' };
+
+      if (!orderStatus) {
+        getOrderEventService().publishOrderUpdate(data);
+        return data;
+      }
+
+      if (orderStatus === 'ready' && data.status === 'pending') {
+        await this.updateOrderStatus(orderId, 'preparing', itemContext);
+      }
+
+      return this.updateOrderStatus(orderId, orderStatus, itemContext);
     } catch (error) {
-      console.error('❌ Error updating order status by token:', error);
+      console.error('❌ Error updating order item status:', error.message);
       throw error;
     }
   }
@@ -550,8 +951,9 @@ CREATE INDEX IF NOT EXISTS daily_counters_date_idx ON daily_counters(date_key);
 
   /**
    * Get all orders for vendor (with pagination)
+   * @param {string} outletId - Only this outlet's orders (null for every outlet)
    */
-  async getVendorOrders(page = 1, limit = 50, status = null) {
+  async getVendorOrders(page = 1, limit = 50, status = null, outletId = null) {
     try {
       let query = this.supabase
         .from('orders')
@@ -562,6 +964,10 @@ CREATE INDEX IF NOT EXISTS daily_counters_date_idx ON daily_counters(date_key);
         query = query.eq('status', status);
       }
 
+      if (outletId) {
+        query = query.eq('outlet_id', outletId);
+      }
+
       const offset = (page - 1) * limit;
       query = query.range(offset, offset + limit - 1);
 
@@ -587,30 +993,155 @@ CREATE INDEX IF NOT EXISTS daily_counters_date_idx ON daily_counters(date_key);
   }
 
   /**
-   * Get order statistics for today
+   * Get orders in the given statuses, in kitchen queue order
+   * Includes scheduled orders not yet released to the kitchen (see isReleasedToKitchen).
+   * @param {Array} statuses - Order statuses
+   * @param {Object} options - { outletId: only this outlet's orders (null for every outlet) }
+   * @returns {Array} Order rows
    */
-  async getTodayStats() {
+  async getOrdersByStatus(statuses, { outletId = null } = {}) {
     try {
-      const today = new Date().toISOString().split('T')[0];
-      const tomorrow = new Date(Date.now() + 86400000).toISOString().split('T')[0];
-
-      // Get counts by status
-      const { data: statusCounts, error } = await this.supabase
+      let query = this.supabase
         .from('orders')
-        .select('status')
-        .gte('created_at', `${today}T00:00:00Z`)
-        .lt('created_at', `${tomorrow}T00:00:00Z`);
+        .select('*')
+        .in('status', statuses)
+        .order('release_at', { ascending: true });
 
-      if (error) {
-        throw error;
+      if (outletId) {
+        query = query.eq('outlet_id', outletId);
       }
 
-      const stats = {
+      const { data, error } = await query;
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('❌ Error fetching orders by status:', error);
+      throw new Error('Failed to fetch orders');
+    }
+  }
+
+  /**
+   * Get scheduled orders released to the kitchen within a time window
+   * @param {string} after - Start of the window (exclusive, ISO timestamp)
+   * @param {string} until - End of the window (inclusive, ISO timestamp)
+   * @returns {Array} Pending scheduled orders, in release order
+   */
+  async getOrdersReleasedBetween(after, until) {
+    try {
+      const { data, error } = await this.supabase
+        .from('orders')
+        .select('*')
+        .eq('status', INITIAL_STATUS)
+        .not('pickup_at', 'is', null)
+        .gt('release_at', after)
+        .lte('release_at', until)
+        .order('release_at', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('❌ Error fetching released orders:', error);
+      throw new Error('Failed to fetch released orders');
+    }
+  }
+
+  /**
+   * Get everything holding a place in pickup slots within a window
+   * Reads the pickup_slot_load view: live orders plus unexpired, unpaid checkouts.
+   * @param {string} from - Start of the window (inclusive, ISO timestamp)
+   * @param {string} until - End of the window (exclusive, ISO timestamp)
+   * @param {string} outletId - Outlet whose slots to read
+   * @returns {Array} Rows of { pickup_at, units }
+   */
+  async getPickupSlotLoad(from, until, outletId = DEFAULT_OUTLET_ID) {
+    try {
+      const { data, error } = await this.supabase
+        .from('pickup_slot_load')
+        .select('pickup_at, units')
+        .eq('outlet_id', outletId)
+        .gte('pickup_at', from)
+        .lt('pickup_at', until);
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('❌ Error fetching pickup slot load:', error);
+      throw new Error('Failed to fetch pickup slot load');
+    }
+  }
+
+  /**
+   * Get orders that became ready since a given time, newest first
+   * Used to learn how long items take to prepare.
+   * @param {string} since - ISO timestamp
+   * @param {number} limit - Maximum number of orders
+   * @returns {Array} Order rows (items and status timestamps only)
+   */
+  async getRecentlyReadiedOrders(since, limit = 500) {
+    try {
+      const { data, error } = await this.supabase
+        .from('orders')
+        .select('id, items, preparing_at, ready_at')
+        .not('ready_at', 'is', null)
+        .gte('ready_at', since)
+        .order('ready_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('❌ Error fetching readied orders:', error);
+      throw new Error('Failed to fetch readied orders');
+    }
+  }
+
+  /**
+   * Get order statistics for today
+   * @param {string} outletId - Only this outlet's orders (null for every outlet)
+   */
+  async getTodayStats(outletId = null) {
+    try {
+      const today = new Date().toISOString().split('T')[0];
+      const tomorrow = new Date(Date.now() + 86400000).toISOString().split('T')[0];
+
+      // Get counts by status
+      let query = this.supabase
+        .from('orders')
+        .select('status')
+        .gte('created_at', `${today}T00:00:00Z`)
+        .lt('created_at', `${tomorrow}T00:00:00Z`);
+
+      if (outletId) {
+        query = query.eq('outlet_id', outletId);
+      }
+
+      const { data: statusCounts, error } = await query;
+
+      if (error) {
+        throw error;
+      }
+
+      const stats = {
         total: statusCounts.length,
         pending: 0,
         preparing: 0,
         ready: 0,
-        completed: 0
+        completed: 0,
+        cancelled: 0,
+        refunded: 0
       };
 
       statusCounts.forEach(order => {
@@ -620,7 +1151,610 @@ CREATE INDEX IF NOT EXISTS daily_counters_date_idx ON daily_counters(date_key);
       return stats;
     } catch (error) {
       console.error('❌ Error fetching today stats:', error);
-      return { total: 0, pending: 0, preparing: 0, ready: 0, completed: 0 };
+      return { total: 0, pending: 0, preparing: 0, ready: 0, completed: 0, cancelled: 0, refunded: 0 };
+    }
+  }
+
+  /**
+   * Get menu items ordered for display
+   * @param {Object} options - Filters
+   * @param {string} [options.category] - Only items in this category (case-insensitive)
+   * @param {boolean} [options.includeUnavailable=false] - Include items marked unavailable
+   * @param {string} [options.outletId] - Only this outlet's items (null for every outlet)
+   * @returns {Array} Menu item rows
+   */
+  async getMenuItems({ category = null, includeUnavailable = false, outletId = null } = {}) {
+    try {
+      let query = this.supabase
+        .from('menu_items')
+        .select('*')
+        .order('sort_order', { ascending: true })
+        .order('id', { ascending: true });
+
+      if (!includeUnavailable) {
+        query = query.eq('is_available', true);
+      }
+
+      if (category) {
+        query = query.ilike('category', category);
+      }
+
+      if (outletId) {
+        query = query.eq('outlet_id', outletId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('❌ Error fetching menu items:', error);
+      throw new Error('Failed to fetch menu items');
+    }
+  }
+
+  /**
+   * Get distinct categories of available menu items
+   * @param {string} outletId - Only this outlet's menu (null for every outlet)
+   * @returns {Array<string>} Category names in menu order
+   */
+  async getMenuCategories(outletId = null) {
+    const items = await this.getMenuItems({ outletId });
+    return [...new Set(items.map(item => item.category))];
+  }
+
+  /**
+   * Get a single menu item by ID
+   * @param {number} itemId - Menu item ID
+   * @returns {Object|null} Menu item row or null if not found
+   */
+  async getMenuItemById(itemId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('menu_items')
+        .select('*')
+        .eq('id', itemId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        throw error;
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('❌ Error fetching menu item by ID:', error);
+      throw new Error('Failed to fetch menu item');
+    }
+  }
+
+  /**
+   * Get menu items by ID, regardless of availability
+   * @param {Array<number>} itemIds - Menu item IDs
+   * @returns {Array} Matching menu item rows (unknown IDs are simply absent)
+   */
+  async getMenuItemsByIds(itemIds) {
+    try {
+      const { data, error } = await this.supabase
+        .from('menu_items')
+        .select('*')
+        .in('id', itemIds);
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('❌ Error fetching menu items by ID:', error);
+      throw new Error('Failed to fetch menu items');
+    }
+  }
+
+  /**
+   * Create a menu item, appended to the end of the menu unless a sort order is given
+   * @param {Object} itemData - Menu item columns
+   * @returns {Object} Created menu item row
+   */
+  async createMenuItem(itemData) {
+    try {
+      let sortOrder = itemData.sort_order;
+
+      if (sortOrder === undefined) {
+        const { data: lastItem, error: lastError } = await this.supabase
+          .from('menu_items')
+          .select('sort_order')
+          .order('sort_order', { ascending: false })
+          .limit(1);
+
+        if (lastError) {
+          throw lastError;
+        }
+
+        sortOrder = lastItem && lastItem.length > 0 ? lastItem[0].sort_order + 1 : 1;
+      }
+
+      const { data, error } = await this.supabase
+        .from('menu_items')
+        .insert([{ ...itemData, sort_order: sortOrder }])
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      console.log(`✅ Menu item created: ${data.name} (ID: ${data.id})`);
+      return data;
+    } catch (error) {
+      console.error('❌ Menu item creation failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a menu item
+   * @param {number} itemId - Menu item ID
+   * @param {Object} updates - Columns to change
+   * @returns {Object|null} Updated menu item row or null if not found
+   */
+  async updateMenuItem(itemId, updates) {
+    try {
+      const { data, error } = await this.supabase
+        .from('menu_items')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', itemId)
+        .select()
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        throw error;
+      }
+
+      if (data) {
+        console.log(`✅ Menu item updated: ${data.name} (ID: ${data.id})`);
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('❌ Menu item update failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a menu item
+   * Past orders keep their own item snapshot, so deleting is safe
+   * @param {number} itemId - Menu item ID
+   * @returns {Object|null} Deleted menu item row or null if not found
+   */
+  async deleteMenuItem(itemId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('menu_items')
+        .delete()
+        .eq('id', itemId)
+        .select()
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        throw error;
+      }
+
+      if (data) {
+        console.log(`🗑️  Menu item deleted: ${data.name} (ID: ${data.id})`);
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('❌ Menu item deletion failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reorder menu items
+   * @param {Array<number>} itemIds - Menu item IDs in their new display order
+   * @param {string} outletId - Outlet whose menu is returned (null for every outlet)
+   * @returns {Array} Menu items in the new order
+   */
+  async reorderMenuItems(itemIds, outletId = null) {
+    try {
+      for (const [index, itemId] of itemIds.entries()) {
+        const { error } = await this.supabase
+          .from('menu_items')
+          .update({
+            sort_order: index + 1,
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', itemId);
+
+        if (error) {
+          throw error;
+        }
+      }
+
+      console.log(`✅ Menu reordered (${itemIds.length} items)`);
+      return this.getMenuItems({ includeUnavailable: true, outletId });
+    } catch (error) {
+      console.error('❌ Menu reorder failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List outlets in display order
+   * @param {Object} options - { includeInactive: also list outlets that are closed for ordering }
+   * @returns {Array} Outlet rows
+   */
+  async getOutlets({ includeInactive = false } = {}) {
+    try {
+      let query = this.supabase
+        .from('outlets')
+        .select('*')
+        .order('sort_order', { ascending: true })
+        .order('name', { ascending: true });
+
+      if (!includeInactive) {
+        query = query.eq('is_active', true);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('❌ Error fetching outlets:', error);
+      throw new Error('Failed to fetch outlets');
+    }
+  }
+
+  /**
+   * Get an outlet by ID
+   * @param {string} outletId - Outlet slug
+   * @returns {Object|null} Outlet row or null if not found
+   */
+  async getOutletById(outletId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('outlets')
+        .select('*')
+        .eq('id', outletId)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('❌ Error fetching outlet:', error);
+      throw new Error('Failed to fetch outlet');
+    }
+  }
+
+  /**
+   * Create an outlet
+   * @param {Object} outletData - outlets columns
+   * @returns {Object} Created outlet row
+   */
+  async createOutlet(outletData) {
+    try {
+      const { data, error } = await this.supabase
+        .from('outlets')
+        .insert([outletData])
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      console.log(`✅ Outlet created: ${data.name} (${data.id})`);
+      return data;
+    } catch (error) {
+      console.error('❌ Outlet creation failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an outlet
+   * @param {string} outletId - Outlet slug
+   * @param {Object} updates - Columns to change
+   * @returns {Object|null} Updated outlet row or null if not found
+   */
+  async updateOutlet(outletId, updates) {
+    try {
+      const { data, error } = await this.supabase
+        .from('outlets')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', outletId)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('❌ Outlet update failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a staff account by username (usernames are stored lowercase)
+   * @param {string} username - Staff username
+   * @returns {Object|null} Staff row including credential hashes, or null if not found
+   */
+  async getStaffByUsername(username) {
+    try {
+      const { data, error } = await this.supabase
+        .from('staff_users')
+        .select('*')
+        .eq('username', username.toLowerCase())
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('❌ Error fetching staff user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a staff account by ID
+   * @param {string} staffId - Staff UUID
+   * @returns {Object|null} Staff row including credential hashes, or null if not found
+   */
+  async getStaffById(staffId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('staff_users')
+        .select('*')
+        .eq('id', staffId)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('❌ Error fetching staff user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List staff accounts (without credential hashes)
+   * @returns {Array} Staff rows ordered by role and name
+   */
+  async getStaffUsers() {
+    try {
+      const { data, error } = await this.supabase
+        .from('staff_users')
+        .select('id, username, name, role, outlet_id, is_active, last_login_at, created_at, updated_at')
+        .order('role')
+        .order('name');
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('❌ Error fetching staff users:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a staff account
+   * @param {Object} staffData - username, name, role, outlet_id, password_hash and/or pin_hash
+   * @returns {Object} Created staff row
+   */
+  async createStaffUser(staffData) {
+    try {
+      const { data, error } = await this.supabase
+        .from('staff_users')
+        .insert([staffData])
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      console.log(`✅ Staff user created: ${data.username} (${data.role})`);
+      return data;
+    } catch (error) {
+      console.error('❌ Staff user creation failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a staff account
+   * @param {string} staffId - Staff UUID
+   * @param {Object} updates - Columns to change
+   * @returns {Object|null} Updated staff row or null if not found
+   */
+  async updateStaffUser(staffId, updates) {
+    try {
+      const { data, error } = await this.supabase
+        .from('staff_users')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', staffId)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('❌ Staff user update failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a browser's Web Push subscription for a user
+   * A browser has one endpoint; subscribing again (or as another user) replaces the keys and owner.
+   * @param {Object} subscription - { user_email, endpoint, p256dh, auth, user_agent }
+   * @returns {Object} Saved push_subscriptions row
+   */
+  async savePushSubscription(subscription) {
+    try {
+      const { data, error } = await this.supabase
+        .from('push_subscriptions')
+        .upsert([{
+          ...subscription,
+          updated_at: new Date().toISOString()
+        }], { onConflict: 'endpoint' })
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('❌ Push subscription save failed:', error);
+      throw new Error('Failed to save push subscription');
+    }
+  }
+
+  /**
+   * Get every Web Push subscription of a user
+   * @param {string} userEmail - Student email
+   * @returns {Array} push_subscriptions rows
+   */
+  async getPushSubscriptions(userEmail) {
+    try {
+      const { data, error } = await this.supabase
+        .from('push_subscriptions')
+        .select('*')
+        .eq('user_email', userEmail);
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('❌ Error fetching push subscriptions:', error);
+      throw new Error('Failed to fetch push subscriptions');
+    }
+  }
+
+  /**
+   * Remove a Web Push subscription
+   * @param {string} endpoint - Push service endpoint
+   * @param {string|null} userEmail - Only remove it if it belongs to this user
+   * @returns {boolean} True if a subscription was removed
+   */
+  async deletePushSubscription(endpoint, userEmail = null) {
+    try {
+      let query = this.supabase
+        .from('push_subscriptions')
+        .delete()
+        .eq('endpoint', endpoint);
+
+      if (userEmail) {
+        query = query.eq('user_email', userEmail);
+      }
+
+      const { data, error } = await query.select();
+
+      if (error) {
+        throw error;
+      }
+
+      return (data?.length || 0) > 0;
+    } catch (error) {
+      console.error('❌ Push subscription delete failed:', error);
+      throw new Error('Failed to delete push subscription');
+    }
+  }
+
+  /**
+   * Get offline redemptions that have already been synced
+   * @param {Array} ids - Redemption UUIDs generated by the scanning devices
+   * @returns {Map} offline_redemptions rows by ID
+   */
+  async getOfflineRedemptions(ids) {
+    try {
+      const { data, error } = await this.supabase
+        .from('offline_redemptions')
+        .select('*')
+        .in('id', ids);
+
+      if (error) {
+        throw error;
+      }
+
+      return new Map((data || []).map(row => [row.id, row]));
+    } catch (error) {
+      console.error('❌ Error fetching offline redemptions:', error);
+      throw new Error('Failed to fetch offline redemptions');
+    }
+  }
+
+  /**
+   * Record the outcome of an offline redemption
+   * A redemption is only ever recorded once; a concurrent sync of the same ID keeps the first
+   * row, and that stored row is what is returned.
+   * @param {Object} redemption - offline_redemptions row
+   * @returns {Object} Recorded row
+   */
+  async saveOfflineRedemption(redemption) {
+    try {
+      const { error } = await this.supabase
+        .from('offline_redemptions')
+        .upsert([redemption], { onConflict: 'id', ignoreDuplicates: true });
+
+      if (error) {
+        throw error;
+      }
+
+      const { data, error: readError } = await this.supabase
+        .from('offline_redemptions')
+        .select('*')
+        .eq('id', redemption.id)
+        .single();
+
+      if (readError) {
+        throw readError;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('❌ Offline redemption save failed:', error);
+      throw new Error('Failed to save offline redemption');
     }
   }
 }
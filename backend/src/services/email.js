@@ -5,6 +5,16 @@
 
 const nodemailer = require('nodemailer');
 const QRCode = require('qrcode');
+const { createOrderQr } = require('./orderQr');
+const { getOutletName, getPickupLocation } = require('./outlets');
+
+// Notes, instructions and delay reasons are typed by people, so they are escaped before going into HTML
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
 
 class EmailService {
   constructor() {
@@ -47,9 +57,10 @@ class EmailService {
   /**
    * Send order token email to customer
    * @param {Object} orderData - Order details
+   * @param {Object|null} outlet - outlets row the order was placed at (names the canteen and pickup point)
    * @returns {boolean} Success status
    */
-  async sendOrderTokenEmail(orderData) {
+  async sendOrderTokenEmail(orderData, outlet = null) {
     if (!this.isConfigured) {
       console.log('⚠️  Email service not configured. Skipping email notification.');
       return false;
@@ -57,11 +68,11 @@ class EmailService {
 
     // Development mode - log email instead of sending
     if (this.isConfigured === 'development') {
-      return this.logOrderTokenEmail(orderData);
+      return this.logOrderTokenEmail(orderData, outlet);
     }
 
     try {
-      const { user_email, user_name, token, items, total_amount, id, created_at } = orderData;
+      const { user_email, user_name, token, items, total_amount, id, created_at, pickup_at, special_instructions } = orderData;
       console.log('📧 Email service received items:', JSON.stringify(items, null, 2));
 
       // Format order time in India timezone
@@ -75,20 +86,12 @@ class EmailService {
         hour12: true
       });
 
-      // Generate QR code data
-      const qrData = {
-        orderId: id,
-        token: token,
-        date: new Date().toISOString().split('T')[0],
-        customerName: user_name
-      };
-
       // Generate QR code as base64 data URL with Gmail-compatible options
       let qrCodeDataUrl = null;
       let qrCodeBuffer = null;
       try {
-        // First generate as buffer
-        qrCodeBuffer = await QRCode.toBuffer(JSON.stringify(qrData), {
+        // First generate as buffer from the signed pickup code
+        qrCodeBuffer = await QRCode.toBuffer(createOrderQr(orderData), {
           width: 200,
           margin: 4,
           color: {
@@ -116,8 +119,11 @@ class EmailService {
         totalAmount: total_amount,
         orderId: id,
         orderTime: orderTime,
+        pickupAt: pickup_at,
+        specialInstructions: special_instructions,
         qrCodeDataUrl: qrCodeDataUrl,
-        hasQrAttachment: !!qrCodeBuffer
+        hasQrAttachment: !!qrCodeBuffer,
+        outlet
       });
 
       const mailOptions = {
@@ -129,7 +135,9 @@ class EmailService {
           userName: user_name,
           token,
           items,
-          totalAmount: total_amount
+          totalAmount: total_amount,
+          specialInstructions: special_instructions,
+          outlet
         }),
         // Attach QR code as inline attachment for Gmail compatibility
         attachments: qrCodeBuffer ? [{
@@ -153,11 +161,12 @@ class EmailService {
   /**
    * Log order token email (development mode)
    * @param {Object} orderData - Order details
+   * @param {Object|null} outlet - outlets row the order was placed at
    * @returns {boolean} Success status
    */
-  async logOrderTokenEmail(orderData) {
+  async logOrderTokenEmail(orderData, outlet = null) {
     try {
-      const { user_email, user_name, token, items, total_amount, id } = orderData;
+      const { user_email, user_name, token, items, total_amount, id, special_instructions } = orderData;
       
       console.log('\n📧 [MOCK EMAIL] Order Confirmation:');
       console.log('========================================');
@@ -169,29 +178,28 @@ class EmailService {
       console.log(`Order ID: ${id}`);
       console.log(`Total Amount: ₹${total_amount}`);
       
-      // Generate QR code data for development logging
-      const qrData = {
-        orderId: id,
-        token: token,
-        date: new Date().toISOString().split('T')[0],
-        customerName: user_name
-      };
-      
+      // Generate the signed pickup code for development logging
       try {
-        const qrCodeDataUrl = await QRCode.toDataURL(JSON.stringify(qrData));
+        const qrData = createOrderQr(orderData);
+        const qrCodeDataUrl = await QRCode.toDataURL(qrData);
         console.log(`✅ QR Code Generated: ${qrCodeDataUrl.substring(0, 50)}...`);
+        console.log(`QR Code Data: ${qrData}`);
       } catch (qrError) {
         console.log(`❌ QR Generation Failed: ${qrError.message}`);
       }
       
-      console.log(`QR Code Data: ${JSON.stringify(qrData)}`);
-      
       console.log(`\nItems ordered:`);
       items.forEach((item, index) => {
         console.log(`  ${index + 1}. ${item.name} (Qty: ${item.quantity}) - ₹${item.price * item.quantity}`);
+        if (item.notes) {
+          console.log(`     Note: ${item.notes}`);
+        }
       });
+      if (special_instructions) {
+        console.log(`\nSpecial Instructions: ${special_instructions}`);
+      }
       console.log(`\nPlease show this token when picking up your order.`);
-      console.log(`Pickup Location: ${process.env.PICKUP_LOCATION || 'Main Counter'}`);
+      console.log(`Pickup Location: ${getOutletName(outlet)} - ${getPickupLocation(outlet)}`);
       console.log('========================================\n');
       
       return true;
@@ -204,24 +212,26 @@ class EmailService {
   /**
    * Generate HTML email template for order token
    */
-  generateOrderTokenEmail({ userName, token, items, totalAmount, orderId, orderTime, qrCodeDataUrl, hasQrAttachment }) {
+  generateOrderTokenEmail({ userName, token, items, totalAmount, orderId, orderTime, pickupAt, specialInstructions, qrCodeDataUrl, hasQrAttachment, outlet = null }) {
     const collegeName = process.env.COLLEGE_NAME || 'Your College';
-    const canteenName = process.env.CANTEEN_NAME || 'Main Canteen';
-    const pickupLocation = process.env.PICKUP_LOCATION || 'Canteen Counter';
+    const canteenName = getOutletName(outlet);
+    const pickupLocation = getPickupLocation(outlet);
     
-    // Calculate estimated pickup time (order time + 15-20 minutes)
+    // Scheduled orders show their slot; otherwise estimate pickup time (order time + 15-20 minutes)
     const currentTime = new Date();
-    const pickupTime = new Date(currentTime.getTime() + (18 * 60 * 1000)); // 18 minutes from now
+    const pickupTime = pickupAt ? new Date(pickupAt) : new Date(currentTime.getTime() + (18 * 60 * 1000)); // 18 minutes from now
     const estimatedPickupTime = pickupTime.toLocaleString('en-IN', {
       timeZone: 'Asia/Kolkata',
+      ...(pickupAt && { weekday: 'short', day: '2-digit', month: 'short' }),
       hour: '2-digit',
       minute: '2-digit',
       hour12: true
     });
+    const pickupLabel = pickupAt ? 'Scheduled Pickup' : 'Estimated Pickup';
 
     const itemsList = items.map(item => 
       `<tr>
-        <td style="padding: 8px; border-bottom: 1px solid #eee;">${item.name}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">${item.name}${item.notes ? `<br><span style="color: #888; font-size: 13px;">↳ ${escapeHtml(item.notes)}</span>` : ''}</td>
         <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${item.quantity}</td>
         <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">₹${item.price}</td>
         <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">₹${(item.quantity * item.price).toFixed(2)}</td>
@@ -286,7 +296,7 @@ class EmailService {
           <div style="background-color: #f8f9fa; padding: 15px; border-radius: 6px; margin-bottom: 20px;">
             <p style="margin: 0 0 8px 0; color: #666;"><strong>Customer:</strong> ${userName}</p>
             <p style="margin: 0 0 8px 0; color: #666;"><strong>Order Time:</strong> ${orderTime}</p>
-            <p style="margin: 0 0 8px 0; color: #666;"><strong>Estimated Pickup:</strong> ${estimatedPickupTime}</p>
+            <p style="margin: 0 0 8px 0; color: #666;"><strong>${pickupLabel}:</strong> ${estimatedPickupTime}</p>
             <p style="margin: 0; color: #666;"><strong>Order ID:</strong> #${orderId}</p>
           </div>
 
@@ -309,6 +319,13 @@ class EmailService {
               </tr>
             </tfoot>
           </table>
+
+          ${specialInstructions ? `
+          <div style="background-color: #fff8e1; padding: 15px; border-radius: 6px; border-left: 4px solid #ffb300;">
+            <p style="margin: 0 0 6px 0; color: #333; font-weight: bold;">📝 Special Instructions</p>
+            <p style="margin: 0; color: #666; white-space: pre-line;">${escapeHtml(specialInstructions)}</p>
+          </div>
+          ` : ''}
         </div>
 
         <!-- Pickup Instructions -->
@@ -337,13 +354,14 @@ class EmailService {
   /**
    * Generate plain text version of order token email
    */
-  generateOrderTokenText({ userName, token, items, totalAmount }) {
+  generateOrderTokenText({ userName, token, items, totalAmount, specialInstructions, outlet = null }) {
     const collegeName = process.env.COLLEGE_NAME || 'Your College';
-    const canteenName = process.env.CANTEEN_NAME || 'Main Canteen';
-    const pickupLocation = process.env.PICKUP_LOCATION || 'Canteen Counter';
+    const canteenName = getOutletName(outlet);
+    const pickupLocation = getPickupLocation(outlet);
 
     const itemsList = items.map(item => 
-      `${item.name} x${item.quantity} - ₹${(item.quantity * item.price).toFixed(2)}`
+      `${item.name} x${item.quantity} - ₹${(item.quantity * item.price).toFixed(2)}` +
+      (item.notes ? `\n  Note: ${item.notes}` : '')
     ).join('\n');
 
     return `
@@ -360,7 +378,7 @@ ORDER SUMMARY:
 ${itemsList}
 
 TOTAL AMOUNT: ₹${totalAmount}
-
+${specialInstructions ? `\nSPECIAL INSTRUCTIONS:\n${specialInstructions}\n` : ''}
 PICKUP INSTRUCTIONS:
 - Show this token number: ${token}
 - Visit: ${pickupLocation}
@@ -375,30 +393,66 @@ ${canteenName} - ${collegeName}
     `;
   }
 
+  /**
+   * Send an order status notification email
+   * @param {Object} orderData - Order details
+   * @param {Object} notification - { event, title, message } from the notification templates
+   * @param {Object|null} outlet - outlets row the order was placed at
+   * @returns {boolean} Success status
+   */
+  async sendStatusUpdateEmail(orderData, notification, outlet = null) {
+    if (!this.isConfigured) {
+      console.log('📧 Email service not configured - skipping status update email');
+      return false;
+    }
+
+    const { user_email, user_name, token } = orderData;
+
+    if (this.isConfigured === 'development') {
+      console.log('\n📧 [MOCK EMAIL] Status Update:');
+      console.log('========================================');
+      console.log(`To: ${user_email}`);
+      console.log(`Subject: ${notification.title}`);
+      console.log(`\n${notification.message}`);
+      console.log('========================================\n');
+      return true;
+    }
+
+    try {
+      const templateData = { userName: user_name, token, ...notification, outlet };
+
+      await this.transporter.sendMail({
+        from: process.env.EMAIL_FROM || `"${process.env.CANTEEN_NAME || 'College Canteen'}" <${process.env.EMAIL_USER}>`,
+        to: user_email,
+        subject: notification.title,
+        html: this.generateStatusUpdateEmail(templateData),
+        text: this.generateStatusUpdateText(templateData)
+      });
+
+      console.log(`✅ ${notification.event} email sent to: ${user_email} (Token: ${token})`);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to send status update email:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Generate HTML email template for status updates
    */
-  generateStatusUpdateEmail({ userName, token, status }) {
+  generateStatusUpdateEmail({ userName, token, event, title, message, outlet = null }) {
     const collegeName = process.env.COLLEGE_NAME || 'Your College';
-    const canteenName = process.env.CANTEEN_NAME || 'Main Canteen';
-    const pickupLocation = process.env.PICKUP_LOCATION || 'Canteen Counter';
-
-    const statusConfig = {
-      ready: {
-        title: 'Order Ready for Pickup!',
-        message: 'Your order is ready and waiting for you at the pickup counter.',
-        color: '#28a745',
-        action: 'Please collect your order as soon as possible.'
-      },
-      completed: {
-        title: 'Order Completed',
-        message: 'Thank you for your order! We hope you enjoyed your meal.',
-        color: '#6f42c1',
-        action: 'We appreciate your business!'
-      }
+    const canteenName = getOutletName(outlet);
+    const pickupLocation = getPickupLocation(outlet);
+
+    const statusColors = {
+      preparing: '#fd7e14',
+      ready: '#28a745',
+      delayed: '#ffc107',
+      cancelled: '#dc3545',
+      refunded: '#6f42c1'
     };
-
-    const config = statusConfig[status] || statusConfig.ready;
+    const color = statusColors[event] || '#667eea';
 
     return `
     <!DOCTYPE html>
@@ -406,27 +460,25 @@ ${canteenName} - ${collegeName}
     <head>
       <meta charset="utf-8">
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>${config.title} - ${token}</title>
+      <title>${escapeHtml(title)}</title>
     </head>
     <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f5f5f5;">
       <div style="max-width: 600px; margin: 0 auto; background-color: white; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
         <!-- Header -->
-        <div style="background-color: ${config.color}; color: white; padding: 30px; text-align: center;">
-          <h1 style="margin: 0; font-size: 28px; font-weight: bold;">${config.title}</h1>
+        <div style="background-color: ${color}; color: white; padding: 30px; text-align: center;">
+          <h1 style="margin: 0; font-size: 28px; font-weight: bold;">${escapeHtml(title)}</h1>
           <p style="margin: 10px 0 0 0; font-size: 16px; opacity: 0.9;">${collegeName} - ${canteenName}</p>
         </div>
 
         <!-- Content -->
         <div style="padding: 30px; text-align: center;">
-          <div style="background-color: #f8f9fa; padding: 20px; margin: 20px 0; border-radius: 10px; border-left: 4px solid ${config.color};">
+          <p style="margin: 0; color: #333; font-size: 16px;">Hi ${userName},</p>
+          <div style="background-color: #f8f9fa; padding: 20px; margin: 20px 0; border-radius: 10px; border-left: 4px solid ${color};">
             <h2 style="margin: 0 0 10px 0; color: #333;">Token: ${token}</h2>
-            <p style="margin: 0; color: #666; font-size: 16px;">${config.message}</p>
+            <p style="margin: 0; color: #666; font-size: 16px;">${escapeHtml(message)}</p>
           </div>
 
-          <div style="margin: 30px 0;">
-            <p style="font-size: 18px; color: #333; margin: 0;">${config.action}</p>
-            ${status === 'ready' ? `<p style="color: #666; margin: 10px 0 0 0;">Pickup Location: <strong>${pickupLocation}</strong></p>` : ''}
-          </div>
+          ${event === 'ready' ? `<p style="color: #666; margin: 10px 0 0 0;">Pickup Location: <strong>${pickupLocation}</strong></p>` : ''}
         </div>
 
         <!-- Footer -->
@@ -443,33 +495,21 @@ ${canteenName} - ${collegeName}
   /**
    * Generate plain text version of status update email
    */
-  generateStatusUpdateText({ userName, token, status }) {
+  generateStatusUpdateText({ userName, token, title, message, outlet = null }) {
     const collegeName = process.env.COLLEGE_NAME || 'Your College';
-    const canteenName = process.env.CANTEEN_NAME || 'Main Canteen';
-    const pickupLocation = process.env.PICKUP_LOCATION || 'Canteen Counter';
+    const canteenName = getOutletName(outlet);
 
-    const statusMessages = {
-      ready: `Hi ${userName},
+    return `Hi ${userName},
 
-Great news! Your order is ready for pickup.
+${message}
 
 TOKEN: ${token}
-STATUS: Ready for Pickup
-
-Please visit ${pickupLocation} to collect your order.
-
-Thank you for using our QR ordering system!`,
-      completed: `Hi ${userName},
+${title.toUpperCase()}
 
-Your order has been completed.
-
-TOKEN: ${token}
-STATUS: Completed
-
-Thank you for your order! We hope you enjoyed your meal.`
-    };
+Thank you for using our QR ordering system!
 
-    return statusMessages[status] || statusMessages.ready + `\n\n---\n${canteenName} - ${collegeName}`;
+---
+${canteenName} - ${collegeName}`;
   }
 
   /**
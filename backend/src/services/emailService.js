@@ -4,6 +4,7 @@
  */
 
 const nodemailer = require('nodemailer');
+const { getPickupLocation } = require('./outlets');
 
 class EmailService {
   constructor() {
@@ -54,9 +55,10 @@ class EmailService {
    * Send order confirmation email after successful payment
    * @param {Object} orderData - Complete order information
    * @param {Object} paymentData - Razorpay payment details
+   * @param {Object|null} outlet - outlets row the order was placed at
    * @returns {boolean} Success status
    */
-  async sendOrderConfirmationEmail(orderData, paymentData) {
+  async sendOrderConfirmationEmail(orderData, paymentData, outlet = null) {
     if (!this.isConfigured) {
       console.log('📧 Email service not configured - skipping email notification');
       return false;
@@ -85,6 +87,7 @@ class EmailService {
         orderItems: items,
         totalAmount: total_amount,
         paymentId: razorpay_payment_id,
+        pickupLocation: getPickupLocation(outlet),
         orderDate: new Date(created_at).toLocaleString('en-IN', {
           timeZone: 'Asia/Kolkata',
           day: '2-digit',
@@ -101,6 +104,7 @@ class EmailService {
         orderItems: items,
         totalAmount: total_amount,
         paymentId: razorpay_payment_id,
+        pickupLocation: getPickupLocation(outlet),
         orderDate: new Date(created_at).toLocaleString('en-IN', {
           timeZone: 'Asia/Kolkata'
         })
@@ -132,7 +136,7 @@ class EmailService {
    * Generate HTML email template
    */
   generateOrderConfirmationHTML(data) {
-    const { studentName, tokenNumber, orderItems, totalAmount, paymentId, orderDate } = data;
+    const { studentName, tokenNumber, orderItems, totalAmount, paymentId, pickupLocation, orderDate } = data;
     
     return `
     <!DOCTYPE html>
@@ -213,7 +217,7 @@ class EmailService {
             <div class="pickup-info">
                 <h3 style="margin: 0 0 10px 0; color: #856404;">📍 Pickup Instructions</h3>
                 <p style="margin: 0;">Please show this token number at the canteen counter when collecting your order. Keep this email for your reference.</p>
-                <p style="margin: 5px 0 0 0; font-weight: 600;">Location: ${process.env.PICKUP_LOCATION || 'Main Canteen Counter'}</p>
+                <p style="margin: 5px 0 0 0; font-weight: 600;">Location: ${pickupLocation}</p>
             </div>
 
             <div class="footer">
@@ -230,7 +234,7 @@ class EmailService {
    * Generate plain text email (fallback)
    */
   generateOrderConfirmationText(data) {
-    const { studentName, tokenNumber, orderItems, totalAmount, paymentId, orderDate } = data;
+    const { studentName, tokenNumber, orderItems, totalAmount, paymentId, pickupLocation, orderDate } = data;
     
     return `
 AM JAIN COLLEGE - CANTEEN ORDER CONFIRMATION
@@ -252,7 +256,7 @@ Order Date: ${orderDate}
 
 PICKUP INSTRUCTIONS:
 Please show this token number at the canteen counter when collecting your order.
-Location: ${process.env.PICKUP_LOCATION || 'Main Canteen Counter'}
+Location: ${pickupLocation}
 
 Thank you for using AM Jain College Canteen Services!
 For any queries, please contact the canteen staff.
@@ -7,6 +7,37 @@ const { getDatabaseService } = require('./database');
 const { getAuthService } = require('./auth');
 const { getPaymentService } = require('./payment');
 const { getEmailService } = require('./email');
+const { getRefundService } = require('./refund');
+const { getOrderEventService } = require('./orderEvents');
+const { getWaitTimeService } = require('./waitTime');
+const { getKitchenReleaseService } = require('./kitchenRelease');
+const { getNotificationService, STATUS_NOTIFICATIONS } = require('./notifications');
+const { getWebPushService } = require('./webPush');
+const { onOrderTransition } = require('./orderLifecycle');
+const { assertQrSigningConfigured } = require('./orderQr');
+
+// Order lifecycle side effects
+// Live updates go first so a cancellation reaches clients before the refund that follows it
+onOrderTransition('*', (order, change) => {
+  getOrderEventService().publishOrderChange(order, change);
+});
+
+// Sent in the background so slow email, SMS or push providers never hold up the status
+// change; a cancellation notice still starts before the refund, which can complete straight away
+onOrderTransition(Object.keys(STATUS_NOTIFICATIONS), (order, { to, context }) => {
+  // Orders cancelled as soon as they are created (their pickup slot filled up) are not confirmed
+  if (context.confirm === false) {
+    return;
+  }
+
+  getNotificationService().notify(STATUS_NOTIFICATIONS[to], order).catch((error) => {
+    console.error(`❌ ${STATUS_NOTIFICATIONS[to]} notification for ${order.token} failed:`, error.message);
+  });
+});
+
+onOrderTransition('cancelled', async (order) => {
+  await getRefundService().refundOrder(order);
+});
 
 /**
  * Initialize all services
@@ -15,6 +46,9 @@ async function initializeServices() {
   console.log('🚀 Initializing services...');
 
   try {
+    // Every paid order gets a signed pickup QR code
+    assertQrSigningConfigured();
+
     // Initialize database service
     const dbService = getDatabaseService();
     await dbService.initializeTables();
@@ -24,6 +58,9 @@ async function initializeServices() {
     getPaymentService();
     await getEmailService();
 
+    // Tell staff screens when scheduled orders reach the kitchen
+    getKitchenReleaseService().start();
+
     console.log('✅ All services initialized successfully');
   } catch (error) {
     console.error('❌ Service initialization failed:', error.message);
@@ -39,7 +76,12 @@ function getServices() {
     database: getDatabaseService(),
     auth: getAuthService(),
     payment: getPaymentService(),
-    email: getEmailService()
+    email: getEmailService(),
+    refund: getRefundService(),
+    orderEvents: getOrderEventService(),
+    waitTime: getWaitTimeService(),
+    notifications: getNotificationService(),
+    webPush: getWebPushService()
   };
 }
 
@@ -97,5 +139,11 @@ module.exports = {
   getAuthService,
   getPaymentService,
   getEmailService,
+  getRefundService,
+  getOrderEventService,
+  getWaitTimeService,
+  getKitchenReleaseService,
+  getNotificationService,
+  getWebPushService,
   checkServiceHealth
 };
\ No newline at end of file
@@ -0,0 +1,88 @@
+/**
+ * Kitchen batches
+ * Sums item quantities across open orders so the kitchen can cook in batches
+ * ("14 masala dosa"), and works out which orders a finished batch fills.
+ */
+
+const { getItemStatus } = require('./orderItems');
+
+// Orders the kitchen still has to cook for
+const BATCH_STATUSES = ['pending', 'preparing'];
+
+/**
+ * Group the lines of open orders into one batch per menu item
+ * Lines a station has already marked ready are left out.
+ * @param {Array} orders - Open orders, oldest first
+ * @returns {Array} Batches, largest first: { itemId, name, totalQuantity, orders: [{ orderId, token, status, quantity, lines, coversOrder }] }
+ */
+function buildBatches(orders) {
+  const batches = new Map();
+
+  for (const order of orders) {
+    const lines = (order.items || []).filter(item => getItemStatus(item, order) !== 'ready');
+    // Order snapshots store menu item IDs as strings
+    const itemIds = new Set(lines.map(item => String(item.id)));
+
+    for (const item of lines) {
+      const itemId = String(item.id);
+
+      if (!batches.has(itemId)) {
+        batches.set(itemId, { itemId, name: item.name, totalQuantity: 0, orders: [] });
+      }
+
+      const batch = batches.get(itemId);
+      const existing = batch.orders.find(entry => entry.orderId === order.id);
+      batch.totalQuantity += item.quantity;
+
+      // The same item can appear on more than one line of an order
+      if (existing) {
+        existing.quantity += item.quantity;
+        existing.lines += 1;
+        continue;
+      }
+
+      batch.orders.push({
+        orderId: order.id,
+        token: order.token,
+        status: order.status,
+        quantity: item.quantity,
+        lines: 1,
+        // A batch of this item completes the order when it is the only item still to cook
+        coversOrder: itemIds.size === 1
+      });
+    }
+  }
+
+  return [...batches.values()].sort((a, b) => b.totalQuantity - a.totalQuantity || a.name.localeCompare(b.name));
+}
+
+/**
+ * Pick the orders a finished batch completes, oldest first
+ * Only orders made up entirely of the batch item are filled; an order is skipped
+ * once the cooked quantity left can no longer cover it.
+ * @param {Object} batch - Batch from buildBatches
+ * @param {number} quantity - Portions cooked (defaults to the whole batch)
+ * @returns {Object} { filled: [entries], notCovered: [entries], leftover }
+ */
+function fillBatch(batch, quantity = batch.totalQuantity) {
+  let remaining = quantity;
+  const filled = [];
+  const notCovered = [];
+
+  for (const entry of batch.orders) {
+    if (entry.coversOrder && entry.quantity <= remaining) {
+      filled.push(entry);
+      remaining -= entry.quantity;
+    } else {
+      notCovered.push(entry);
+    }
+  }
+
+  return { filled, notCovered, leftover: remaining };
+}
+
+module.exports = {
+  BATCH_STATUSES,
+  buildBatches,
+  fillBatch
+};
@@ -0,0 +1,75 @@
+/**
+ * Kitchen release
+ * Scheduled orders reach the kitchen queue at their release time without any
+ * status change, so nothing else tells staff screens about them. This checks
+ * once a minute and announces newly released orders over the staff event stream.
+ */
+
+const { getDatabaseService } = require('./database');
+const { getOrderEventService } = require('./orderEvents');
+
+const RELEASE_CHECK_INTERVAL_MS = 60 * 1000;
+
+class KitchenReleaseService {
+  constructor() {
+    this.timer = null;
+    this.checkedUntil = new Date().toISOString();
+  }
+
+  /**
+   * Start checking for released orders
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.announceReleasedOrders().catch(error => {
+        console.error('❌ Kitchen release check failed:', error.message);
+      });
+    }, RELEASE_CHECK_INTERVAL_MS);
+
+    // Never keep the process alive just for release checks
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Announce scheduled orders released since the last check
+   * @param {Date} now - Current time
+   * @returns {Array} Orders announced
+   */
+  async announceReleasedOrders(now = new Date()) {
+    const until = now.toISOString();
+    const orders = await getDatabaseService().getOrdersReleasedBetween(this.checkedUntil, until);
+
+    this.checkedUntil = until;
+
+    for (const order of orders) {
+      console.log(`⏰ Scheduled order ${order.token} released to the kitchen`);
+      getOrderEventService().publishOrderUpdate(order);
+    }
+
+    return orders;
+  }
+}
+
+// Singleton instance
+let kitchenReleaseService = null;
+
+function getKitchenReleaseService() {
+  if (!kitchenReleaseService) {
+    kitchenReleaseService = new KitchenReleaseService();
+  }
+  return kitchenReleaseService;
+}
+
+module.exports = {
+  KitchenReleaseService,
+  getKitchenReleaseService
+};
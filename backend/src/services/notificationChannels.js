@@ -0,0 +1,156 @@
+/**
+ * Notification channels
+ * Adapters that deliver a rendered notification to a student. Each adapter says
+ * whether it is set up, who it would send an order's notification to, and sends it;
+ * a failed send throws so the dispatcher can log it against that channel only, and a
+ * send that found nobody to deliver to resolves false. Adapters with an events list
+ * only send those events.
+ */
+
+const fs = require('fs');
+const { getEmailService } = require('./email');
+const { getOrderEventService } = require('./orderEvents');
+const { getWebPushService } = require('./webPush');
+
+const TWILIO_API_URL = 'https://api.twilio.com/2010-04-01';
+const TWILIO_TIMEOUT_MS = 10000;
+
+/**
+ * Turn a stored phone number into E.164 for SMS and WhatsApp
+ * Ten-digit numbers (what checkout collects) get SMS_COUNTRY_CODE, default 91.
+ * @param {string} phone - Phone number from the order
+ * @returns {string|null} E.164 number, or null without a phone
+ */
+function toE164(phone) {
+  if (!phone) {
+    return null;
+  }
+
+  const digits = String(phone).replace(/\D/g, '');
+
+  if (String(phone).trim().startsWith('+')) {
+    return `+${digits}`;
+  }
+
+  return digits.length === 10 ? `+${process.env.SMS_COUNTRY_CODE || '91'}${digits}` : `+${digits}`;
+}
+
+/**
+ * Send a message through Twilio's Messages API (SMS, or WhatsApp with whatsapp: addresses)
+ * @param {string} from - Sender
+ * @param {string} to - Recipient
+ * @param {string} body - Message text
+ */
+async function sendTwilioMessage(from, to, body) {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const credentials = Buffer.from(`${accountSid}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64');
+
+  const response = await fetch(`${TWILIO_API_URL}/Accounts/${accountSid}/Messages.json`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${credentials}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({ From: from, To: to, Body: body }),
+    signal: AbortSignal.timeout(TWILIO_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(`Twilio responded ${response.status}: ${error.message || response.statusText}`);
+  }
+}
+
+const hasTwilioAccount = () => Boolean(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN);
+
+const CHANNELS = {
+  // Confirmations carry the full receipt and pickup QR; other events a short status email
+  email: {
+    isConfigured: () => Boolean(getEmailService().isConfigured),
+    getRecipient: (order) => order.user_email || null,
+    send: async (notification, order, { outlet }) => {
+      const emailService = getEmailService();
+      const sent = notification.event === 'confirmed'
+        ? await emailService.sendOrderTokenEmail(order, outlet)
+        : await emailService.sendStatusUpdateEmail(order, notification, outlet);
+
+      if (!sent) {
+        throw new Error('Email was not sent');
+      }
+    }
+  },
+
+  sms: {
+    isConfigured: () => hasTwilioAccount() && Boolean(process.env.TWILIO_SMS_FROM),
+    getRecipient: (order) => toE164(order.phone),
+    send: (notification, order) => sendTwilioMessage(
+      process.env.TWILIO_SMS_FROM,
+      toE164(order.phone),
+      notification.message
+    )
+  },
+
+  whatsapp: {
+    isConfigured: () => hasTwilioAccount() && Boolean(process.env.TWILIO_WHATSAPP_FROM),
+    getRecipient: (order) => toE164(order.phone),
+    send: (notification, order) => sendTwilioMessage(
+      `whatsapp:${process.env.TWILIO_WHATSAPP_FROM}`,
+      `whatsapp:${toE164(order.phone)}`,
+      `*${notification.title}*\n${notification.message}`
+    )
+  },
+
+  // Shown on the order page of students following the order's live stream
+  in_app: {
+    isConfigured: () => true,
+    getRecipient: (order) => order.id,
+    send: async (notification, order) => {
+      getOrderEventService().publishNotification(order, notification);
+    }
+  },
+
+  // Browser notifications for the moments worth interrupting a student for
+  push: {
+    events: ['ready', 'delayed'],
+    isConfigured: () => getWebPushService().isConfigured,
+    getRecipient: (order) => order.user_email || null,
+    send: async (notification, order) => {
+      const result = await getWebPushService().sendToUser(order.user_email, {
+        title: notification.title,
+        body: notification.message,
+        tag: `order-${order.id}`,
+        url: '/order-success-token'
+      });
+
+      if (result.sent === 0 && result.failed > 0) {
+        throw new Error(`${result.failed} push subscription(s) failed`);
+      }
+
+      return result.sent > 0;
+    }
+  },
+
+  // Offline channel for development and tests; appends JSON lines to NOTIFICATION_LOG_FILE when set
+  console: {
+    isConfigured: () => true,
+    getRecipient: (order) => order.user_email || order.phone || order.id,
+    send: async (notification, order) => {
+      const entry = {
+        ...notification,
+        to: { email: order.user_email || null, phone: order.phone || null },
+        at: new Date().toISOString()
+      };
+
+      console.log(`🔔 [${notification.event}] ${entry.to.email || entry.to.phone || order.id}: ${notification.message}`);
+
+      if (process.env.NOTIFICATION_LOG_FILE) {
+        await fs.promises.appendFile(process.env.NOTIFICATION_LOG_FILE, `${JSON.stringify(entry)}\n`);
+      }
+    }
+  }
+};
+
+module.exports = {
+  CHANNELS,
+  toE164
+};
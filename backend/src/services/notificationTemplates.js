@@ -0,0 +1,72 @@
+/**
+ * Notification templates
+ * One template per order event. Every channel gets the same title and message;
+ * the message is kept short enough for a single SMS.
+ */
+
+const { getOutletName, getPickupLocation } = require('./outlets');
+
+const NOTIFICATION_EVENTS = ['confirmed', 'preparing', 'ready', 'delayed', 'cancelled', 'refunded'];
+
+const TEMPLATES = {
+  confirmed: ({ order, outlet }) => ({
+    title: `Order confirmed - ${order.token}`,
+    message: `Your ${getOutletName(outlet)} order is confirmed. Token ${order.token}, ₹${order.total_amount}.`
+  }),
+
+  preparing: ({ order }) => ({
+    title: `Order being prepared - ${order.token}`,
+    message: `The kitchen has started on order ${order.token}.`
+  }),
+
+  ready: ({ order, outlet }) => ({
+    title: `Order ready for pickup - ${order.token}`,
+    message: `Order ${order.token} is ready. Collect it at ${getPickupLocation(outlet)}.`
+  }),
+
+  delayed: ({ order, delayMinutes, reason }) => ({
+    title: `Order delayed - ${order.token}`,
+    message: `Order ${order.token} will take about ${delayMinutes} more minute${delayMinutes === 1 ? '' : 's'}` +
+      (reason ? `: ${reason.replace(/[.!]+$/, '')}.` : '. Sorry for the wait.')
+  }),
+
+  cancelled: ({ order }) => ({
+    title: `Order cancelled - ${order.token}`,
+    message: order.payment_id
+      ? `Order ${order.token} was cancelled. Your refund of ₹${order.total_amount} is on its way.`
+      : `Order ${order.token} was cancelled.`
+  }),
+
+  refunded: ({ order }) => ({
+    title: `Refund processed - ${order.token}`,
+    message: `₹${order.refunded_amount ?? order.total_amount} for order ${order.token} has been refunded to your original payment method.`
+  })
+};
+
+/**
+ * Render the notification for an order event
+ * @param {string} event - One of NOTIFICATION_EVENTS
+ * @param {Object} order - Order row
+ * @param {Object} details - { outlet, delayMinutes, reason }
+ * @returns {Object} { event, title, message, orderId, token, outletId }
+ */
+function renderNotification(event, order, details = {}) {
+  const template = TEMPLATES[event];
+
+  if (!template) {
+    throw new Error(`Unknown notification event: ${event}`);
+  }
+
+  return {
+    event,
+    ...template({ order, ...details }),
+    orderId: order.id,
+    token: order.token,
+    outletId: order.outlet_id || null
+  };
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  renderNotification
+};
@@ -0,0 +1,112 @@
+/**
+ * Notification service
+ * Sends order notifications (confirmed, preparing, ready, delayed, cancelled, refunded)
+ * to students over every configured channel. NOTIFICATION_CHANNELS lists the channels
+ * in use; see notificationChannels.js for the adapters and notificationTemplates.js
+ * for the messages.
+ */
+
+const { getDatabaseService } = require('./database');
+const { DEFAULT_OUTLET_ID } = require('./outlets');
+const { CHANNELS } = require('./notificationChannels');
+const { NOTIFICATION_EVENTS, renderNotification } = require('./notificationTemplates');
+
+const DEFAULT_CHANNELS = 'email,in_app,push';
+
+// Notification sent when an order enters a status; pending is only ever entered by a new order
+const STATUS_NOTIFICATIONS = {
+  pending: 'confirmed',
+  preparing: 'preparing',
+  ready: 'ready',
+  cancelled: 'cancelled',
+  refunded: 'refunded'
+};
+
+class NotificationService {
+  constructor() {
+    this.channels = this.parseChannels(process.env.NOTIFICATION_CHANNELS ?? DEFAULT_CHANNELS);
+  }
+
+  /**
+   * Read the channel list, ignoring names without an adapter
+   * @param {string} value - Comma separated channel names
+   * @returns {Array} Channel names
+   */
+  parseChannels(value) {
+    const names = [...new Set(value.split(',').map(name => name.trim().toLowerCase()).filter(Boolean))];
+    const unknown = names.filter(name => !CHANNELS[name]);
+
+    if (unknown.length > 0) {
+      console.warn(`⚠️  Unknown notification channels ignored: ${unknown.join(', ')}`);
+    }
+
+    return names.filter(name => CHANNELS[name]);
+  }
+
+  /**
+   * Send a notification about an order on every configured channel
+   * Channels are independent: one failing or lacking a recipient never stops the others,
+   * and nothing is thrown back to the caller.
+   * @param {string} event - One of NOTIFICATION_EVENTS
+   * @param {Object} order - Order row
+   * @param {Object} details - { delayMinutes, reason } for delayed notifications
+   * @returns {Object} { event, sent, skipped, failed } channel names
+   */
+  async notify(event, order, details = {}) {
+    const result = { event, sent: [], skipped: [], failed: [] };
+
+    const outlet = await this.getOutlet(order);
+    const notification = renderNotification(event, order, { ...details, outlet });
+
+    await Promise.all(this.channels.map(async (name) => {
+      const channel = CHANNELS[name];
+
+      if ((channel.events && !channel.events.includes(event)) || !channel.isConfigured() || !channel.getRecipient(order)) {
+        result.skipped.push(name);
+        return;
+      }
+
+      try {
+        const delivered = await channel.send(notification, order, { outlet });
+        (delivered === false ? result.skipped : result.sent).push(name);
+      } catch (error) {
+        console.error(`❌ ${name} notification (${event}) for ${order.token} failed:`, error.message);
+        result.failed.push(name);
+      }
+    }));
+
+    console.log(`🔔 ${event} notification for ${order.token}: sent via ${result.sent.join(', ') || 'no channel'}`);
+    return result;
+  }
+
+  /**
+   * Get the outlet an order belongs to; templates fall back to defaults without it
+   * @param {Object} order - Order row
+   * @returns {Object|null} outlets row
+   */
+  async getOutlet(order) {
+    try {
+      return await getDatabaseService().getOutletById(order.outlet_id || DEFAULT_OUTLET_ID);
+    } catch (error) {
+      console.error(`❌ Failed to load outlet for ${order.token} notification:`, error.message);
+      return null;
+    }
+  }
+}
+
+// Singleton instance
+let notificationService = null;
+
+function getNotificationService() {
+  if (!notificationService) {
+    notificationService = new NotificationService();
+  }
+  return notificationService;
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  STATUS_NOTIFICATIONS,
+  NotificationService,
+  getNotificationService
+};
@@ -0,0 +1,215 @@
+/**
+ * Order events
+ * Pushes order created and status changed events to browsers over Server-Sent Events.
+ * Students subscribe to a single order; staff subscribe to every order at their outlet.
+ */
+
+const { DEFAULT_OUTLET_ID } = require('./outlets');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Browsers wait this long before reconnecting a dropped stream
+const RECONNECT_DELAY_MS = 5 * 1000;
+
+class OrderEventService {
+  constructor() {
+    this.subscribers = new Set();
+    this.heartbeat = null;
+    this.maxSubscribers = parseInt(process.env.SSE_MAX_CLIENTS, 10) || 500;
+  }
+
+  /**
+   * Check whether the server can accept another stream
+   * @returns {boolean} True when the subscriber limit is reached
+   */
+  isFull() {
+    return this.subscribers.size >= this.maxSubscribers;
+  }
+
+  /**
+   * Open an event stream on a response and register it
+   * The stream is removed again when the client disconnects.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} filter - { orderId } for a single order, or { staff } for every order
+   *   (staff.outletId limits the stream to one outlet)
+   * @returns {Object} Subscriber
+   */
+  subscribe(req, res, { orderId = null, staff = null } = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      // no-transform keeps the compression middleware from buffering the stream
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    const subscriber = { res, orderId, staff };
+    this.subscribers.add(subscriber);
+    this.startHeartbeat();
+
+    req.on('close', () => this.unsubscribe(subscriber));
+
+    console.log(`📡 Event stream opened: ${staff ? `staff ${staff.name}` : `order ${orderId}`} (${this.subscribers.size} open)`);
+    return subscriber;
+  }
+
+  /**
+   * Remove a subscriber
+   * @param {Object} subscriber - Subscriber returned by subscribe()
+   */
+  unsubscribe(subscriber) {
+    if (!this.subscribers.delete(subscriber)) {
+      return;
+    }
+
+    if (this.subscribers.size === 0) {
+      this.stopHeartbeat();
+    }
+  }
+
+  /**
+   * Write one event to a subscriber
+   * @param {Object} subscriber - Subscriber
+   * @param {string} event - Event name
+   * @param {Object} data - JSON payload
+   */
+  send(subscriber, event, data) {
+    try {
+      subscriber.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    } catch (error) {
+      console.error('❌ Event stream write failed:', error.message);
+      this.unsubscribe(subscriber);
+    }
+  }
+
+  /**
+   * Broadcast a created or status-changed order
+   * Order subscribers get the public fields only; staff get the full row.
+   * @param {Object} order - Order row after the change
+   * @param {Object} change - { from, to, context } from the order lifecycle (from is null for new orders)
+   */
+  publishOrderChange(order, { from, to, context = {} }) {
+    const event = from ? 'order.status_changed' : 'order.created';
+    const at = order.updated_at || new Date().toISOString();
+
+    for (const subscriber of this.subscribers) {
+      if (subscriber.staff) {
+        if (this.followsOutlet(subscriber, order)) {
+          this.send(subscriber, event, { order, from, to, actor: context.actor || null, at });
+        }
+      } else if (subscriber.orderId === order.id) {
+        this.send(subscriber, event, { order: this.toPublicOrder(order), from, to, at });
+      }
+    }
+  }
+
+  /**
+   * Broadcast an order change that kept its status (e.g. one item marked ready)
+   * Only staff streams get these; students follow the order status.
+   * @param {Object} order - Order row after the change
+   */
+  publishOrderUpdate(order) {
+    const at = order.updated_at || new Date().toISOString();
+
+    for (const subscriber of this.subscribers) {
+      if (subscriber.staff && this.followsOutlet(subscriber, order)) {
+        this.send(subscriber, 'order.updated', { order, at });
+      }
+    }
+  }
+
+  /**
+   * Send a notification to the students following an order
+   * @param {Object} order - Order row
+   * @param {Object} notification - { event, title, message } from the notification templates
+   */
+  publishNotification(order, { event, title, message }) {
+    const at = new Date().toISOString();
+
+    for (const subscriber of this.subscribers) {
+      if (!subscriber.staff && subscriber.orderId === order.id) {
+        this.send(subscriber, 'order.notification', { event, title, message, at });
+      }
+    }
+  }
+
+  /**
+   * Check whether a staff stream follows the outlet of an order
+   * @param {Object} subscriber - Staff subscriber
+   * @param {Object} order - Order row
+   * @returns {boolean} True for streams of every outlet and of the order's outlet
+   */
+  followsOutlet(subscriber, order) {
+    return !subscriber.staff.outletId || subscriber.staff.outletId === (order.outlet_id || DEFAULT_OUTLET_ID);
+  }
+
+  /**
+   * Strip an order down to what anyone holding its ID may see
+   * @param {Object} order - Order row
+   * @returns {Object} Public order fields
+   */
+  toPublicOrder(order) {
+    return {
+      id: order.id,
+      token: order.token,
+      tokenDate: order.token_date,
+      status: order.status,
+      refundStatus: order.refund_status || null,
+      updatedAt: order.updated_at
+    };
+  }
+
+  /**
+   * Keep idle streams open through proxies with a comment line
+   */
+  startHeartbeat() {
+    if (this.heartbeat) {
+      return;
+    }
+
+    this.heartbeat = setInterval(() => {
+      for (const subscriber of this.subscribers) {
+        subscriber.res.write(': ping\n\n');
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    // Never keep the process alive just for heartbeats
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  /**
+   * Count open streams
+   * @returns {Object} { total, staff, orders }
+   */
+  getStats() {
+    const staff = [...this.subscribers].filter(subscriber => subscriber.staff).length;
+
+    return {
+      total: this.subscribers.size,
+      staff,
+      orders: this.subscribers.size - staff
+    };
+  }
+}
+
+// Singleton instance
+let orderEventService = null;
+
+function getOrderEventService() {
+  if (!orderEventService) {
+    orderEventService = new OrderEventService();
+  }
+  return orderEventService;
+}
+
+module.exports = {
+  OrderEventService,
+  getOrderEventService
+};
@@ -0,0 +1,123 @@
+/**
+ * Order items
+ * Per-line preparation status for orders whose items come from different stations.
+ * Lines move pending → preparing → ready, and the order follows its lines: it starts
+ * preparing with its first line and becomes ready when every line is ready.
+ */
+
+const { OrderTransitionError } = require('./orderLifecycle');
+
+const ITEM_STATUSES = ['pending', 'preparing', 'ready'];
+
+// Lines never move backwards; a line may be marked ready without being started first
+const ITEM_TRANSITIONS = {
+  pending: ['preparing', 'ready'],
+  preparing: ['ready'],
+  ready: []
+};
+
+// Line statuses only change while the kitchen is still working on the order
+const ITEM_EDITABLE_ORDER_STATUSES = ['pending', 'preparing'];
+
+// Used when neither the menu item nor its category names a station
+const DEFAULT_STATION = 'Kitchen';
+
+/**
+ * Get the preparation status of one order line
+ * Lines of orders that are ready or collected count as ready even if nobody marked them.
+ * @param {Object} item - Line from orders.items
+ * @param {Object} order - Order row
+ * @returns {string} Line status
+ */
+function getItemStatus(item, order) {
+  if (['ready', 'completed'].includes(order.status)) {
+    return 'ready';
+  }
+
+  return item.status || 'pending';
+}
+
+/**
+ * Get the station that prepares an order line
+ * Lines from before stations existed fall back to their category.
+ * @param {Object} item - Line from orders.items (or a menu_items row)
+ * @returns {string} Station name
+ */
+function getItemStation(item) {
+  return item.station || item.category || DEFAULT_STATION;
+}
+
+/**
+ * Return the order lines with one line moved to a new status
+ * @param {Object} order - Order row
+ * @param {string} itemId - Menu item ID of the line
+ * @param {string} status - Requested line status
+ * @returns {Array} New items array (the order row is not modified)
+ * @throws {OrderTransitionError} When the line is missing or the change is not allowed
+ */
+function applyItemStatus(order, itemId, status) {
+  if (!ITEM_EDITABLE_ORDER_STATUSES.includes(order.status)) {
+    throw new OrderTransitionError(`Order is already ${order.status}`, 409);
+  }
+
+  const indexes = (order.items || [])
+    .map((item, index) => (String(item.id) === String(itemId) ? index : -1))
+    .filter(index => index !== -1);
+
+  if (indexes.length === 0) {
+    throw new OrderTransitionError(`Order ${order.token} has no item ${itemId}`, 404);
+  }
+
+  // An item on several lines moves one line at a time, first line first
+  const index = indexes.find(candidate => getItemStatus(order.items[candidate], order) !== status) ?? indexes[0];
+  const item = order.items[index];
+  const current = getItemStatus(item, order);
+
+  if (current === status) {
+    throw new OrderTransitionError(`${item.name} is already ${status}`, 409);
+  }
+
+  if (!ITEM_TRANSITIONS[current].includes(status)) {
+    throw new OrderTransitionError(`Cannot change ${item.name} from ${current} to ${status}`);
+  }
+
+  const items = [...order.items];
+  items[index] = {
+    ...item,
+    status,
+    // Timestamps let wait-time estimates learn how long each item takes
+    [`${status}_at`]: new Date().toISOString()
+  };
+
+  return items;
+}
+
+/**
+ * Work out the order status implied by its lines
+ * @param {Object} order - Order row before the line change
+ * @param {Array} items - Order lines after the change
+ * @returns {string|null} 'preparing' or 'ready' when the order should move, otherwise null
+ */
+function getOrderStatusForItems(order, items) {
+  const statuses = items.map(item => item.status || 'pending');
+
+  if (statuses.every(status => status === 'ready')) {
+    return 'ready';
+  }
+
+  if (order.status === 'pending' && statuses.some(status => status !== 'pending')) {
+    return 'preparing';
+  }
+
+  return null;
+}
+
+module.exports = {
+  ITEM_STATUSES,
+  ITEM_TRANSITIONS,
+  DEFAULT_STATION,
+  getItemStatus,
+  getItemStation,
+  applyItemStatus,
+  getOrderStatusForItems
+};
@@ -0,0 +1,199 @@
+/**
+ * Order lifecycle
+ * Single source of truth for order statuses, allowed transitions, guards and
+ * side-effect hooks. Every status change goes through DatabaseService.updateOrderStatus,
+ * which checks it here before writing.
+ */
+
+const { getTokenDate } = require('./orderToken');
+
+const ORDER_STATUSES = ['pending', 'preparing', 'ready', 'completed', 'cancelled', 'refunded'];
+
+const INITIAL_STATUS = 'pending';
+
+// Orders in these statuses are still being worked on by the kitchen
+const ACTIVE_STATUSES = ['pending', 'preparing', 'ready'];
+
+// Allowed transitions. Orders never move backwards. Completing a pending or preparing
+// order is only allowed for offline pickups (see GUARDS.completed).
+const TRANSITIONS = {
+  pending: ['preparing', 'completed', 'cancelled'],
+  preparing: ['ready', 'completed', 'cancelled'],
+  ready: ['completed', 'cancelled'],
+  completed: [], // Final state
+  cancelled: ['refunded'],
+  refunded: [] // Final state
+};
+
+// Columns stamped with the time an order enters a status (see wait_time_setup.sql)
+const STATUS_TIMESTAMP_COLUMNS = {
+  preparing: 'preparing_at',
+  ready: 'ready_at',
+  completed: 'completed_at'
+};
+
+/**
+ * Error thrown when a status change is not allowed
+ * Carries an HTTP status so the global error handler can report it directly.
+ */
+class OrderTransitionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'OrderTransitionError';
+    this.statusCode = statusCode;
+    this.isOperational = true;
+  }
+}
+
+/**
+ * Extra rules for entering a status, beyond the transition table
+ * Each guard returns an error message, or null when the change is allowed.
+ * context.actor is 'customer', 'staff' or 'system'; context.via names the entry point
+ * (offline pickups also carry redeemedAt, the time of the scan).
+ */
+const GUARDS = {
+  completed: (order, context, { isOrderForToday }) => {
+    // Scanned offline and synced later: the food has been handed over (ready or not), so
+    // judge the date by when it was scanned
+    if (context.via === 'offline_pickup') {
+      return getTokenDate(context.redeemedAt) === getTokenDate(order.pickup_at || order.created_at)
+        ? null
+        : 'Token was not valid on the day it was scanned';
+    }
+
+    // Every other completion is a handover at the counter, which needs the food ready
+    if (order.status !== 'ready') {
+      return context.via === 'pickup'
+        ? `Order not ready for pickup. Current status: ${order.status}`
+        : `Only ready orders can be completed. Current status: ${order.status}`;
+    }
+
+    if (!isOrderForToday(order)) {
+      return order.pickup_at && new Date(order.pickup_at) > new Date()
+        ? 'Order is scheduled for a later day'
+        : 'Cannot mark previous day orders as completed. Order must be from today.';
+    }
+
+    return null;
+  },
+
+  cancelled: (order, context) => {
+    // Students can only cancel before the kitchen starts on the order
+    if (context.actor === 'customer' && order.status !== 'pending') {
+      return 'Only pending orders can be cancelled';
+    }
+
+    return null;
+  },
+
+  refunded: (order, context) => {
+    // Only a confirmed Razorpay refund (or an order with nothing to refund) closes an order out
+    if (context.actor !== 'system') {
+      return 'Orders are marked refunded automatically once the refund is processed';
+    }
+
+    return null;
+  }
+};
+
+/**
+ * Check whether the transition table allows moving between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if allowed
+ */
+function canTransition(from, to) {
+  return TRANSITIONS[from]?.includes(to) || false;
+}
+
+/**
+ * Check whether an order has reached a status it can never leave
+ * @param {string} status - Order status
+ * @returns {boolean} True for completed and refunded orders
+ */
+function isFinalStatus(status) {
+  return TRANSITIONS[status]?.length === 0;
+}
+
+/**
+ * Validate a requested status change for an order
+ * @param {Object} order - Current order row
+ * @param {string} to - Requested status
+ * @param {Object} context - { actor, via, reason }
+ * @param {Object} helpers - { isOrderForToday } date helper from DatabaseService
+ * @throws {OrderTransitionError} When the change is not allowed
+ */
+function assertTransition(order, to, context = {}, helpers = {}) {
+  if (!ORDER_STATUSES.includes(to)) {
+    throw new OrderTransitionError(`Invalid order status: ${to}`);
+  }
+
+  if (order.status === to) {
+    const message = context.via === 'pickup' && to === 'completed'
+      ? 'Token already used'
+      : `Order is already ${to}`;
+    throw new OrderTransitionError(message, 409);
+  }
+
+  if (!canTransition(order.status, to)) {
+    const message = context.via === 'pickup' && to === 'completed'
+      ? `Order cannot be collected. Current status: ${order.status}`
+      : `Cannot change status from ${order.status} to ${to}`;
+    throw new OrderTransitionError(message);
+  }
+
+  const guardError = GUARDS[to]?.(order, context, helpers);
+  if (guardError) {
+    throw new OrderTransitionError(guardError);
+  }
+}
+
+// Side-effect hooks, run after a status change has been saved
+const hooks = [];
+
+/**
+ * Register a side effect for orders entering one or more statuses
+ * New orders also run the hooks for INITIAL_STATUS, with from set to null.
+ * @param {string|Array} statuses - Target status(es), or '*' for every change
+ * @param {Function} handler - async (order, { from, to, context }) => void
+ */
+function onOrderTransition(statuses, handler) {
+  hooks.push({
+    statuses: statuses === '*' ? null : [].concat(statuses),
+    handler
+  });
+}
+
+/**
+ * Run the hooks registered for a saved status change
+ * Hook failures are logged and never undo or fail the status change.
+ * @param {Object} order - Updated order row
+ * @param {Object} change - { from, to, context }
+ */
+async function runTransitionHooks(order, change) {
+  for (const hook of hooks) {
+    if (hook.statuses && !hook.statuses.includes(change.to)) {
+      continue;
+    }
+
+    try {
+      await hook.handler(order, change);
+    } catch (error) {
+      console.error(`❌ Order ${order.token} ${change.from} → ${change.to} hook failed:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  INITIAL_STATUS,
+  ACTIVE_STATUSES,
+  TRANSITIONS,
+  STATUS_TIMESTAMP_COLUMNS,
+  OrderTransitionError,
+  canTransition,
+  isFinalStatus,
+  assertTransition,
+  onOrderTransition,
+  runTransitionHooks
+};
@@ -0,0 +1,197 @@
+/**
+ * Signed pickup QR codes
+ * Format: <version>.<payload>.<signature>
+ *   payload   - base64url JSON { o: order ID, t: token, d: token date, x: expiry (unix seconds) }
+ *   CQ1       - signature is a base64url HMAC-SHA256 of "CQ1.<payload>" with QR_SIGNING_SECRET,
+ *               truncated to 128 bits
+ *   CQ2       - signature is a base64url ECDSA P-256/SHA-256 signature (r || s) of "CQ2.<payload>"
+ *               with QR_SIGNING_PRIVATE_KEY; staff scanners verify it offline with the public key
+ * New codes are CQ2 when QR_SIGNING_PRIVATE_KEY is set and CQ1 otherwise; both are accepted.
+ * The payload identifies the order only; no customer details are encoded.
+ */
+
+const crypto = require('crypto');
+const { getTokenDate } = require('./orderToken');
+
+const QR_VERSION = 'CQ1';
+const QR_VERSION_ECDSA = 'CQ2';
+
+const SIGNATURE_BYTES = 16;
+
+// Same encoding as WebCrypto's ECDSA, so browsers can verify the signature as-is
+const ECDSA_OPTIONS = { dsaEncoding: 'ieee-p1363' };
+
+let signingKey;
+
+function getSigningSecret() {
+  if (!process.env.QR_SIGNING_SECRET) {
+    throw new Error('QR_SIGNING_SECRET is not configured');
+  }
+  return process.env.QR_SIGNING_SECRET;
+}
+
+/**
+ * Check the signing configuration once at startup, so a missing secret or a bad key stops
+ * the server instead of failing payments and scans one request at a time
+ * @throws {Error} When QR_SIGNING_SECRET is not set or QR_SIGNING_PRIVATE_KEY is not a P-256 key
+ */
+function assertQrSigningConfigured() {
+  getSigningSecret();
+  getSigningKey();
+}
+
+function sign(data) {
+  return crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(data)
+    .digest()
+    .subarray(0, SIGNATURE_BYTES)
+    .toString('base64url');
+}
+
+/**
+ * Load the ECDSA signing key (PEM, P-256); .env files may store its newlines as \n
+ * @returns {crypto.KeyObject|null} Private key, or null when QR_SIGNING_PRIVATE_KEY is not set
+ */
+function getSigningKey() {
+  if (signingKey === undefined) {
+    const pem = process.env.QR_SIGNING_PRIVATE_KEY;
+    let key = null;
+
+    if (pem) {
+      try {
+        key = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+      } catch (error) {
+        throw new Error(`QR_SIGNING_PRIVATE_KEY could not be read: ${error.message}`);
+      }
+
+      if (key.asymmetricKeyDetails?.namedCurve !== 'prime256v1') {
+        throw new Error('QR_SIGNING_PRIVATE_KEY must be an EC P-256 key');
+      }
+    }
+
+    // Only a usable key (or none) is kept
+    signingKey = key;
+  }
+  return signingKey;
+}
+
+/**
+ * Public key staff scanners verify CQ2 codes with
+ * @returns {Object|null} JWK ({ kty, crv, x, y }), or null without QR_SIGNING_PRIVATE_KEY
+ */
+function getQrPublicKey() {
+  const key = getSigningKey();
+  return key ? crypto.createPublicKey(key).export({ format: 'jwk' }) : null;
+}
+
+/**
+ * Build the signed QR string for an order
+ * The code expires at the end of the IST day its token was issued for.
+ * @param {Object} order - Order row (id, token, token_date/created_at)
+ * @returns {string} QR payload
+ */
+function createOrderQr(order) {
+  const tokenDate = order.token_date || getTokenDate(order.created_at);
+  const expiresAt = Math.floor(new Date(`${tokenDate}T23:59:59.999+05:30`).getTime() / 1000);
+
+  const payload = Buffer.from(JSON.stringify({
+    o: order.id,
+    t: order.token,
+    d: tokenDate,
+    x: expiresAt
+  })).toString('base64url');
+
+  const key = getSigningKey();
+
+  if (key) {
+    const body = `${QR_VERSION_ECDSA}.${payload}`;
+    const signature = crypto.sign('sha256', Buffer.from(body), { key, ...ECDSA_OPTIONS });
+    return `${body}.${signature.toString('base64url')}`;
+  }
+
+  const body = `${QR_VERSION}.${payload}`;
+  return `${body}.${sign(body)}`;
+}
+
+/**
+ * Check the signature of a split QR code
+ * @param {string} version - QR_VERSION or QR_VERSION_ECDSA
+ * @param {string} payload - base64url payload
+ * @param {string} signature - base64url signature
+ * @returns {boolean} True when the signature matches
+ */
+function hasValidSignature(version, payload, signature) {
+  const body = `${version}.${payload}`;
+
+  if (version === QR_VERSION_ECDSA) {
+    const key = getSigningKey();
+    return Boolean(key) && crypto.verify(
+      'sha256',
+      Buffer.from(body),
+      { key: crypto.createPublicKey(key), ...ECDSA_OPTIONS },
+      Buffer.from(signature, 'base64url')
+    );
+  }
+
+  // Without a secret no CQ1 code can be genuine
+  if (!process.env.QR_SIGNING_SECRET) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(body));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Check a scanned QR string and decode it
+ * @param {string} qrData - Raw scanned value
+ * @param {Object} options - { at } time of the scan for expiry (default now), for scans synced later
+ * @returns {Object} { valid, error } or { valid, orderId, token, tokenDate, expiresAt }
+ */
+function verifyOrderQr(qrData, { at = new Date() } = {}) {
+  const parts = String(qrData || '').trim().split('.');
+
+  if (parts.length !== 3 || ![QR_VERSION, QR_VERSION_ECDSA].includes(parts[0])) {
+    return { valid: false, error: 'Unrecognised QR code' };
+  }
+
+  const [version, payload, signature] = parts;
+
+  if (!hasValidSignature(version, payload, signature)) {
+    return { valid: false, error: 'QR code signature is invalid' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, error: 'Unrecognised QR code' };
+  }
+
+  if (!claims.o || !claims.t || !claims.d || !claims.x) {
+    return { valid: false, error: 'Unrecognised QR code' };
+  }
+
+  if (new Date(at).getTime() / 1000 > claims.x) {
+    return { valid: false, error: 'QR code expired. Valid only on order date.' };
+  }
+
+  return {
+    valid: true,
+    orderId: claims.o,
+    token: claims.t,
+    tokenDate: claims.d,
+    expiresAt: new Date(claims.x * 1000).toISOString()
+  };
+}
+
+module.exports = {
+  QR_VERSION,
+  QR_VERSION_ECDSA,
+  assertQrSigningConfigured,
+  createOrderQr,
+  verifyOrderQr,
+  getQrPublicKey
+};
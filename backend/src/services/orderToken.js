@@ -0,0 +1,72 @@
+/**
+ * Order token format
+ * Tokens are short, sequential and reset every IST day: T-001, T-002, ...
+ * Each counter (or outlet) can have its own prefix so tokens called out at
+ * different counters never clash.
+ */
+
+// One to three capital letters, a dash and a zero-padded daily sequence number
+const TOKEN_PATTERN = /^[A-Z]{1,3}-\d{3,}$/;
+
+const PREFIX_PATTERN = /^[A-Z]{1,3}$/;
+
+const DEFAULT_PREFIX = 'T';
+
+const TOKEN_TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * Read the counter → prefix map from TOKEN_COUNTER_PREFIXES
+ * Format: "main:T,snacks:S,juice:J"
+ * @returns {Object} Prefix by counter name
+ */
+function getCounterPrefixes() {
+  return (process.env.TOKEN_COUNTER_PREFIXES || '')
+    .split(',')
+    .map(entry => entry.split(':').map(part => part.trim()))
+    .filter(([counter, prefix]) => counter && prefix)
+    .reduce((prefixes, [counter, prefix]) => ({ ...prefixes, [counter.toLowerCase()]: prefix.toUpperCase() }), {});
+}
+
+/**
+ * Resolve the token prefix for a counter or outlet
+ * Falls back to TOKEN_PREFIX (default "T") when the counter has no prefix of its own.
+ * @param {string} counter - Counter or outlet name (optional)
+ * @returns {string} Token prefix
+ */
+function getTokenPrefix(counter) {
+  const prefix = (counter && getCounterPrefixes()[String(counter).toLowerCase()])
+    || (process.env.TOKEN_PREFIX || DEFAULT_PREFIX).toUpperCase();
+
+  if (!PREFIX_PATTERN.test(prefix)) {
+    throw new Error(`Invalid token prefix "${prefix}". Use 1-3 capital letters.`);
+  }
+
+  return prefix;
+}
+
+/**
+ * Build a token from its prefix and daily sequence number
+ * @param {string} prefix - Token prefix
+ * @param {number} sequence - Daily counter value (1-based)
+ * @returns {string} Token, e.g. T-007
+ */
+function formatToken(prefix, sequence) {
+  return `${prefix}-${String(sequence).padStart(3, '0')}`;
+}
+
+/**
+ * Get the IST calendar day a token belongs to
+ * @param {string|Date} date - Point in time (defaults to now)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function getTokenDate(date = new Date()) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone: TOKEN_TIMEZONE });
+}
+
+module.exports = {
+  TOKEN_PATTERN,
+  TOKEN_TIMEZONE,
+  getTokenPrefix,
+  formatToken,
+  getTokenDate
+};
@@ -0,0 +1,33 @@
+/**
+ * Outlets
+ * A deployment can run several outlets (main canteen, juice stall, hostel mess),
+ * each with its own menu, queue, token prefix and pickup point. Staff assigned to
+ * an outlet only see that outlet; staff without one see every outlet (see scopeToOutlet).
+ */
+
+// Outlet used when a request does not name one; matches the column defaults in outlets_setup.sql
+const DEFAULT_OUTLET_ID = 'main';
+
+/**
+ * Get where students collect orders from an outlet
+ * @param {Object|null} outlet - outlets row
+ * @returns {string} Pickup location
+ */
+function getPickupLocation(outlet) {
+  return outlet?.pickup_location || process.env.PICKUP_LOCATION || 'Canteen Counter';
+}
+
+/**
+ * Get the display name of an outlet
+ * @param {Object|null} outlet - outlets row
+ * @returns {string} Outlet name
+ */
+function getOutletName(outlet) {
+  return outlet?.name || process.env.CANTEEN_NAME || 'Main Canteen';
+}
+
+module.exports = {
+  DEFAULT_OUTLET_ID,
+  getPickupLocation,
+  getOutletName
+};
@@ -102,6 +102,38 @@ class PaymentService {
     }
   }
 
+  /**
+   * Verify Razorpay webhook signature
+   * Razorpay signs the raw request body with the webhook secret set in the dashboard
+   * @param {Buffer|string} rawBody - Unparsed webhook request body
+   * @param {string} signature - X-Razorpay-Signature header value
+   * @returns {boolean} Verification result
+   */
+  verifyWebhookSignature(rawBody, signature) {
+    try {
+      if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+        throw new Error('RAZORPAY_WEBHOOK_SECRET is not configured');
+      }
+
+      if (!rawBody || !signature) {
+        throw new Error('Missing webhook body or signature');
+      }
+
+      const expectedSignature = crypto
+        .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+        .update(rawBody)
+        .digest('hex');
+
+      const expected = Buffer.from(expectedSignature);
+      const received = Buffer.from(String(signature));
+
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    } catch (error) {
+      console.error('❌ Error verifying webhook signature:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Get payment details from Razorpay
    * @param {string} paymentId - Razorpay payment ID
@@ -212,6 +244,41 @@ class PaymentService {
     }
   }
 
+  /**
+   * Refund a captured payment
+   * @param {string} paymentId - Razorpay payment ID
+   * @param {number} amount - Amount to refund in rupees
+   * @param {Object} notes - Notes stored with the refund on Razorpay
+   * @returns {Object} Refund details (amount in rupees)
+   */
+  async refundPayment(paymentId, amount, notes = {}) {
+    try {
+      const amountInPaise = Math.round(amount * 100);
+
+      if (amountInPaise <= 0) {
+        throw new Error('Invalid refund amount');
+      }
+
+      const refund = await this.razorpay.payments.refund(paymentId, {
+        amount: amountInPaise,
+        speed: 'normal',
+        notes
+      });
+
+      console.log(`💸 Razorpay refund ${refund.id} created for ${paymentId}: ₹${amount} (${refund.status})`);
+
+      return {
+        id: refund.id,
+        paymentId: refund.payment_id,
+        amount: refund.amount / 100,
+        status: refund.status
+      };
+    } catch (error) {
+      console.error('❌ Error creating Razorpay refund:', error.message || error.error?.description);
+      throw new Error('Failed to create refund');
+    }
+  }
+
   /**
    * Format amount for display (convert paise to rupees)
    * @param {number} amountInPaise - Amount in paise
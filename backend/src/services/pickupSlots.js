@@ -0,0 +1,214 @@
+/**
+ * Pickup slots
+ * Students can order ahead for a fixed pickup slot ("12:30 - 13:00") instead of
+ * as soon as possible. Scheduled orders wait outside the kitchen queue until a
+ * lead time before their slot, their release time. Each slot takes a limited
+ * number of orders and/or prep units so lunch hour cannot be overbooked.
+ */
+
+const { getTokenDate } = require('./orderToken');
+
+// Slots are laid out in IST wall-clock time, like tokens
+const IST_OFFSET = '+05:30';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const toSlotLabel = (date) => new Date(date).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Kolkata' });
+
+// Error raised by create_scheduled_checkout_intent when a slot has no room left
+const SLOT_FULL_ERROR = 'pickup_slot_full';
+
+/**
+ * Read the slot settings from the environment
+ * @returns {Object} { slotMinutes, opensAt, closesAt, minNoticeMinutes, maxDaysAhead, releaseLeadMinutes }
+ */
+function getSlotConfig() {
+  const time = (value, fallback) => (TIME_PATTERN.test(value || '') ? value : fallback);
+  const minutes = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return parsed >= 0 ? parsed : fallback;
+  };
+
+  return {
+    slotMinutes: minutes(process.env.PICKUP_SLOT_MINUTES, 0) || 30,
+    opensAt: time(process.env.PICKUP_OPENS_AT, '08:00'),
+    closesAt: time(process.env.PICKUP_CLOSES_AT, '20:00'),
+    // Slots starting sooner than this cannot be booked
+    minNoticeMinutes: minutes(process.env.PICKUP_MIN_NOTICE_MINUTES, 30),
+    // 0 allows today's slots only
+    maxDaysAhead: minutes(process.env.PICKUP_MAX_DAYS_AHEAD, 1),
+    // Scheduled orders reach the kitchen this long before their slot
+    releaseLeadMinutes: minutes(process.env.KITCHEN_RELEASE_LEAD_MINUTES, 20)
+  };
+}
+
+/**
+ * Read the slot capacity settings from the environment
+ * PICKUP_SLOT_CAPACITY_OVERRIDES gives busier or quieter hours their own limits.
+ * Format: "12:00-14:00=40/120,16:00-17:00=10/0" (IST start times, orders/prep units)
+ * @returns {Object} { maxOrders, maxUnits, overrides: [{ from, to, maxOrders, maxUnits }] } where 0 means no limit
+ */
+function getCapacityConfig() {
+  const limit = (value) => Math.max(0, parseInt(value, 10) || 0);
+
+  const overrides = (process.env.PICKUP_SLOT_CAPACITY_OVERRIDES || '')
+    .split(',')
+    .map(entry => entry.trim().match(/^(\d\d:\d\d)-(\d\d:\d\d)=(\d+)\/(\d+)$/))
+    .filter(match => match && TIME_PATTERN.test(match[1]) && TIME_PATTERN.test(match[2]))
+    .map(([, from, to, maxOrders, maxUnits]) => ({ from, to, maxOrders: limit(maxOrders), maxUnits: limit(maxUnits) }));
+
+  return {
+    maxOrders: limit(process.env.PICKUP_SLOT_MAX_ORDERS),
+    maxUnits: limit(process.env.PICKUP_SLOT_MAX_UNITS),
+    overrides
+  };
+}
+
+/**
+ * Get the capacity of one slot
+ * @param {string|Date} startsAt - Slot start
+ * @returns {Object} { maxOrders, maxUnits }, 0 meaning no limit
+ */
+function getSlotCapacity(startsAt) {
+  const { maxOrders, maxUnits, overrides } = getCapacityConfig();
+  const label = toSlotLabel(startsAt);
+  const override = overrides.find(({ from, to }) => label >= from && label < to);
+
+  return override
+    ? { maxOrders: override.maxOrders, maxUnits: override.maxUnits }
+    : { maxOrders, maxUnits };
+}
+
+/**
+ * List pickup slots
+ * @param {Date} now - Current time
+ * @param {Object} options - { includeClosed: also list today's slots that can no longer be booked }
+ * @returns {Array} Slots in time order: { startsAt, endsAt, date, label }
+ */
+function listPickupSlots(now = new Date(), { includeClosed = false } = {}) {
+  const config = getSlotConfig();
+  const earliest = includeClosed ? 0 : now.getTime() + config.minNoticeMinutes * 60000;
+  const slots = [];
+
+  for (let day = 0; day <= config.maxDaysAhead; day++) {
+    const date = getTokenDate(new Date(now.getTime() + day * 86400000));
+    const closesAt = new Date(`${date}T${config.closesAt}:00${IST_OFFSET}`).getTime();
+    let start = new Date(`${date}T${config.opensAt}:00${IST_OFFSET}`).getTime();
+
+    for (; start + config.slotMinutes * 60000 <= closesAt; start += config.slotMinutes * 60000) {
+      if (start < earliest) {
+        continue;
+      }
+
+      const startsAt = new Date(start);
+      slots.push({
+        startsAt: startsAt.toISOString(),
+        endsAt: new Date(start + config.slotMinutes * 60000).toISOString(),
+        date,
+        label: toSlotLabel(startsAt)
+      });
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Find the bookable slot starting at a given time
+ * @param {string|Date} pickupAt - Requested slot start
+ * @param {Date} now - Current time
+ * @returns {Object|null} Slot, or null when no bookable slot starts then
+ */
+function findPickupSlot(pickupAt, now = new Date()) {
+  const requested = new Date(pickupAt).getTime();
+
+  return listPickupSlots(now).find(slot => new Date(slot.startsAt).getTime() === requested) || null;
+}
+
+/**
+ * Add capacity and current load to each slot
+ * @param {Array} slots - Slots from listPickupSlots
+ * @param {Array} bookings - Rows of { pickup_at, units } holding a place in a slot
+ * @returns {Array} Slots with capacity, booked: { orders, units },
+ *   remaining: { orders, units } (null where there is no limit) and isFull
+ */
+function withSlotLoad(slots, bookings) {
+  const booked = new Map();
+
+  for (const booking of bookings) {
+    const key = new Date(booking.pickup_at).getTime();
+    const load = booked.get(key) || { orders: 0, units: 0 };
+
+    booked.set(key, { orders: load.orders + 1, units: load.units + (booking.units || 0) });
+  }
+
+  return slots.map(slot => {
+    const capacity = getSlotCapacity(slot.startsAt);
+    const load = booked.get(new Date(slot.startsAt).getTime()) || { orders: 0, units: 0 };
+    const remaining = {
+      orders: capacity.maxOrders ? Math.max(0, capacity.maxOrders - load.orders) : null,
+      units: capacity.maxUnits ? Math.max(0, capacity.maxUnits - load.units) : null
+    };
+
+    return {
+      ...slot,
+      capacity,
+      booked: load,
+      remaining,
+      isFull: remaining.orders === 0 || remaining.units === 0
+    };
+  });
+}
+
+/**
+ * Check whether a slot from withSlotLoad can take one more order
+ * @param {Object} slot - Slot with its remaining capacity
+ * @param {number} units - Prep units of the order
+ * @returns {boolean} True when the order fits
+ */
+function hasRoomFor(slot, units = 0) {
+  return (slot.remaining.orders === null || slot.remaining.orders >= 1)
+    && (slot.remaining.units === null || slot.remaining.units >= units);
+}
+
+/**
+ * Work out when an order enters the kitchen queue
+ * Orders without a pickup slot are released straight away.
+ * @param {string|null} pickupAt - Slot start of a scheduled order
+ * @param {Date} now - Current time
+ * @returns {string} ISO timestamp
+ */
+function getKitchenReleaseAt(pickupAt, now = new Date()) {
+  if (!pickupAt) {
+    return now.toISOString();
+  }
+
+  const releaseAt = new Date(pickupAt).getTime() - getSlotConfig().releaseLeadMinutes * 60000;
+
+  return new Date(Math.max(releaseAt, now.getTime())).toISOString();
+}
+
+/**
+ * Check whether an order has reached the kitchen queue
+ * Orders staff have already started count as released, as do orders from
+ * before scheduling existed (no release time).
+ * @param {Object} order - Order row
+ * @param {Date} now - Current time
+ * @returns {boolean} True when the kitchen should see the order
+ */
+function isReleasedToKitchen(order, now = new Date()) {
+  return order.status !== 'pending' || !order.release_at || new Date(order.release_at) <= now;
+}
+
+module.exports = {
+  SLOT_FULL_ERROR,
+  getSlotConfig,
+  getCapacityConfig,
+  getSlotCapacity,
+  listPickupSlots,
+  findPickupSlot,
+  withSlotLoad,
+  hasRoomFor,
+  getKitchenReleaseAt,
+  isReleasedToKitchen
+};
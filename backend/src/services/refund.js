@@ -0,0 +1,103 @@
+/**
+ * Order cancellation and refund service
+ * Cancels orders and returns the student's money through Razorpay
+ */
+
+const { getDatabaseService } = require('./database');
+const { getPaymentService } = require('./payment');
+
+class RefundService {
+  /**
+   * Cancel an order; the refund is started by the lifecycle hook for 'cancelled'
+   * @param {Object} order - Order row
+   * @param {Object} options - { reason, actor: 'customer' | 'staff' }
+   * @returns {Object} Order after cancellation and refund request
+   */
+  async cancelOrder(order, { reason, actor = 'customer' } = {}) {
+    const databaseService = getDatabaseService();
+
+    await databaseService.cancelOrder(order.id, {
+      actor,
+      reason: reason || (actor === 'staff' ? 'Cancelled by canteen staff' : 'Cancelled by customer')
+    });
+
+    return databaseService.getOrderById(order.id);
+  }
+
+  /**
+   * Request a full refund for a cancelled order
+   * A failed refund is recorded rather than thrown, so staff can retry it later.
+   * @param {Object} order - Cancelled order row
+   * @returns {Object} Updated order
+   */
+  async refundOrder(order) {
+    const databaseService = getDatabaseService();
+
+    if (!order.payment_id) {
+      return databaseService.recordOrderRefund(order.id, {
+        refundId: null,
+        refundStatus: 'not_required',
+        refundedAmount: 0
+      });
+    }
+
+    try {
+      const refund = await getPaymentService().refundPayment(order.payment_id, parseFloat(order.total_amount), {
+        order_id: order.id,
+        token: order.token,
+        reason: order.cancellation_reason || 'Order cancelled'
+      });
+
+      return databaseService.recordOrderRefund(order.id, {
+        refundId: refund.id,
+        refundStatus: refund.status === 'processed' ? 'processed' : 'pending',
+        refundedAmount: refund.amount
+      });
+    } catch (error) {
+      console.error(`❌ Refund failed for order ${order.token}:`, error.message);
+
+      return databaseService.recordOrderRefund(order.id, {
+        refundId: order.refund_id || null,
+        refundStatus: 'failed',
+        refundedAmount: 0
+      });
+    }
+  }
+
+  /**
+   * Apply a refund update reported by Razorpay (refund.processed / refund.failed webhooks)
+   * @param {Object} refund - Razorpay refund entity
+   * @param {string} refundStatus - 'processed' or 'failed'
+   * @returns {Object|null} Updated order, or null if no order matches the payment
+   */
+  async applyRazorpayRefund(refund, refundStatus) {
+    const databaseService = getDatabaseService();
+    const order = await databaseService.getOrderByPaymentId(refund.payment_id);
+
+    if (!order) {
+      console.warn(`⚠️  No order for refunded payment ${refund.payment_id}`);
+      return null;
+    }
+
+    return databaseService.recordOrderRefund(order.id, {
+      refundId: refund.id,
+      refundStatus,
+      refundedAmount: refundStatus === 'processed' ? refund.amount / 100 : 0 // Convert paise to rupees
+    });
+  }
+}
+
+// Singleton instance
+let refundService = null;
+
+function getRefundService() {
+  if (!refundService) {
+    refundService = new RefundService();
+  }
+  return refundService;
+}
+
+module.exports = {
+  RefundService,
+  getRefundService
+};
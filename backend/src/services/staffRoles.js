@@ -0,0 +1,71 @@
+/**
+ * Staff roles and permissions
+ * Vendor, menu-admin and staff endpoints check a permission, never a role name,
+ * so changing what a role may do only touches this file.
+ */
+
+const STAFF_ROLES = ['cashier', 'kitchen', 'manager', 'admin'];
+
+const PERMISSIONS = {
+  ORDERS_VIEW: 'orders:view',         // Order lists, queue and dashboard counts
+  ORDERS_PREPARE: 'orders:prepare',   // Move orders through preparing/ready, bulk updates
+  ORDERS_PICKUP: 'orders:pickup',     // Scan QR codes and hand over orders
+  ORDERS_CANCEL: 'orders:cancel',     // Cancel orders (refunds follow automatically)
+  REFUNDS_MANAGE: 'refunds:manage',   // Retry failed refunds
+  REPORTS_VIEW: 'reports:view',       // Analytics and service health
+  TOKENS_SEARCH: 'tokens:search',     // Search orders by token, name or email
+  MENU_MANAGE: 'menu:manage',         // Create, edit and reorder menu items
+  STAFF_MANAGE: 'staff:manage',       // Create and edit staff accounts
+  OUTLETS_MANAGE: 'outlets:manage'    // Create and edit outlets
+};
+
+const ROLE_PERMISSIONS = {
+  cashier: [
+    PERMISSIONS.ORDERS_VIEW,
+    PERMISSIONS.ORDERS_PICKUP,
+    PERMISSIONS.ORDERS_CANCEL,
+    PERMISSIONS.TOKENS_SEARCH
+  ],
+  kitchen: [
+    PERMISSIONS.ORDERS_VIEW,
+    PERMISSIONS.ORDERS_PREPARE
+  ],
+  manager: [
+    PERMISSIONS.ORDERS_VIEW,
+    PERMISSIONS.ORDERS_PREPARE,
+    PERMISSIONS.ORDERS_PICKUP,
+    PERMISSIONS.ORDERS_CANCEL,
+    PERMISSIONS.REFUNDS_MANAGE,
+    PERMISSIONS.REPORTS_VIEW,
+    PERMISSIONS.TOKENS_SEARCH,
+    PERMISSIONS.MENU_MANAGE
+  ],
+  admin: Object.values(PERMISSIONS)
+};
+
+/**
+ * Get every permission granted to a role
+ * @param {string} role - Staff role
+ * @returns {Array} Permission names (empty for unknown roles)
+ */
+function getRolePermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Staff role
+ * @param {string} permission - Permission name
+ * @returns {boolean} True if allowed
+ */
+function hasPermission(role, permission) {
+  return getRolePermissions(role).includes(permission);
+}
+
+module.exports = {
+  STAFF_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getRolePermissions,
+  hasPermission
+};
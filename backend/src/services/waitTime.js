@@ -0,0 +1,275 @@
+/**
+ * Wait-time estimates
+ * Learns how long each menu item takes to prepare from recorded status timestamps,
+ * then walks the open orders through the kitchen's active staff to give every
+ * token an expected ready time.
+ */
+
+const { getDatabaseService } = require('./database');
+const { PERMISSIONS, hasPermission } = require('./staffRoles');
+const { isReleasedToKitchen } = require('./pickupSlots');
+const { DEFAULT_OUTLET_ID } = require('./outlets');
+
+// Orders still waiting on the kitchen
+const QUEUE_STATUSES = ['pending', 'preparing'];
+
+// Prep time assumed for items (and kitchens) without enough history yet
+const DEFAULT_PREP_MINUTES = Number(process.env.DEFAULT_PREP_MINUTES) || 5;
+
+// History used for learning, and how many timings an item needs before its own median is used
+const LEARNING_WINDOW_DAYS = 14;
+const MIN_SAMPLES = 3;
+const LEARNING_CACHE_MS = 10 * 60 * 1000;
+
+// Timings outside this range are batch completions, mis-taps or forgotten tickets rather than cooking
+const MIN_SAMPLE_MINUTES = 0.5;
+const MAX_SAMPLE_MINUTES = 120;
+
+// Staff who signed in within this many hours count as on shift
+const SHIFT_HOURS = 12;
+
+const minutesBetween = (from, to) => (new Date(to) - new Date(from)) / 60000;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const toEstimate = (readyAtMs, nowMs) => ({
+  estimatedReadyAt: new Date(readyAtMs).toISOString(),
+  estimatedWaitMinutes: Math.max(0, Math.ceil((readyAtMs - nowMs) / 60000))
+});
+
+class WaitTimeService {
+  constructor() {
+    this.prepTimes = null;
+    this.learnedAt = 0;
+  }
+
+  /**
+   * Learn median prep minutes per menu item from readied orders
+   * Lines marked at a station time that item on its own; otherwise only orders
+   * with a single kind of item say how long that item took.
+   * @param {Array} orders - Orders with items, preparing_at and ready_at
+   * @returns {Object} { items: { [itemId]: minutes }, defaultMinutes, sampleCount }
+   */
+  learnPrepTimes(orders) {
+    const itemSamples = new Map();
+    const orderSamples = [];
+
+    const addSample = (samples, minutes) => {
+      if (minutes >= MIN_SAMPLE_MINUTES && minutes <= MAX_SAMPLE_MINUTES) {
+        samples.push(minutes);
+      }
+    };
+
+    for (const order of orders) {
+      const items = order.items || [];
+      const itemIds = new Set(items.map(item => String(item.id)));
+      const orderMinutes = order.preparing_at && order.ready_at
+        ? minutesBetween(order.preparing_at, order.ready_at)
+        : null;
+
+      if (orderMinutes !== null) {
+        addSample(orderSamples, orderMinutes);
+      }
+
+      for (const item of items) {
+        const itemId = String(item.id);
+
+        if (!itemSamples.has(itemId)) {
+          itemSamples.set(itemId, []);
+        }
+
+        if (item.preparing_at && item.ready_at) {
+          addSample(itemSamples.get(itemId), minutesBetween(item.preparing_at, item.ready_at));
+        } else if (itemIds.size === 1 && orderMinutes !== null) {
+          addSample(itemSamples.get(itemId), orderMinutes);
+        }
+      }
+    }
+
+    const learned = {};
+    for (const [itemId, samples] of itemSamples) {
+      if (samples.length >= MIN_SAMPLES) {
+        learned[itemId] = median(samples);
+      }
+    }
+
+    return {
+      items: learned,
+      defaultMinutes: orderSamples.length >= MIN_SAMPLES ? median(orderSamples) : DEFAULT_PREP_MINUTES,
+      sampleCount: orderSamples.length
+    };
+  }
+
+  /**
+   * Get learned prep times, refreshed every few minutes
+   * @returns {Object} See learnPrepTimes
+   */
+  async getPrepTimes() {
+    if (this.prepTimes && Date.now() - this.learnedAt < LEARNING_CACHE_MS) {
+      return this.prepTimes;
+    }
+
+    try {
+      const since = new Date(Date.now() - LEARNING_WINDOW_DAYS * 86400000).toISOString();
+      const orders = await getDatabaseService().getRecentlyReadiedOrders(since);
+
+      this.prepTimes = this.learnPrepTimes(orders);
+      this.learnedAt = Date.now();
+    } catch (error) {
+      console.error('❌ Failed to learn prep times:', error.message);
+
+      // Keep the last learned times; without any, assume the default until the next try
+      if (!this.prepTimes) {
+        return { items: {}, defaultMinutes: DEFAULT_PREP_MINUTES, sampleCount: 0 };
+      }
+    }
+
+    return this.prepTimes;
+  }
+
+  /**
+   * Estimate how long an order takes once someone starts on it
+   * Lines are cooked side by side, so the slowest line sets the pace.
+   * @param {Object} order - Order row
+   * @param {Object} prepTimes - From getPrepTimes
+   * @returns {number} Minutes
+   */
+  getOrderPrepMinutes(order, prepTimes) {
+    const lineMinutes = (order.items || []).map(item => prepTimes.items[String(item.id)] ?? prepTimes.defaultMinutes);
+
+    return lineMinutes.length > 0 ? Math.max(...lineMinutes) : prepTimes.defaultMinutes;
+  }
+
+  /**
+   * Count kitchen staff on shift at an outlet
+   * Staff without an outlet count towards every outlet. KITCHEN_STAFF_COUNT overrides
+   * the count for kitchens that share one staff login.
+   * @param {string} outletId - Outlet ID
+   * @returns {number} At least 1
+   */
+  async getActiveStaffCount(outletId = DEFAULT_OUTLET_ID) {
+    const configured = parseInt(process.env.KITCHEN_STAFF_COUNT, 10);
+    if (configured > 0) {
+      return configured;
+    }
+
+    try {
+      const staff = await getDatabaseService().getStaffUsers();
+      const now = new Date();
+
+      const onShift = staff.filter(member =>
+        member.is_active &&
+        (!member.outlet_id || member.outlet_id === outletId) &&
+        hasPermission(member.role, PERMISSIONS.ORDERS_PREPARE) &&
+        member.last_login_at &&
+        minutesBetween(member.last_login_at, now) <= SHIFT_HOURS * 60
+      );
+
+      return Math.max(1, onShift.length);
+    } catch (error) {
+      console.error('❌ Failed to count kitchen staff:', error.message);
+      return 1;
+    }
+  }
+
+  /**
+   * Estimate ready times for every order in an outlet's queue
+   * Orders already being prepared keep their cook; pending orders go, in queue order,
+   * to whichever cook frees up first. Scheduled orders join once released to the kitchen.
+   * @param {Date} now - Time to estimate from
+   * @param {string} outletId - Outlet whose kitchen to estimate
+   * @returns {Object} { activeStaff, queueLength, estimates: Map(orderId → estimate), newOrder: estimate }
+   *   where an estimate is { estimatedReadyAt, estimatedWaitMinutes }
+   */
+  async estimateQueue(now = new Date(), outletId = DEFAULT_OUTLET_ID) {
+    const [openOrders, prepTimes, activeStaff] = await Promise.all([
+      getDatabaseService().getOrdersByStatus(QUEUE_STATUSES, { outletId }),
+      this.getPrepTimes(),
+      this.getActiveStaffCount(outletId)
+    ]);
+
+    const orders = openOrders.filter(order => isReleasedToKitchen(order, now));
+
+    const nowMs = now.getTime();
+    const freeAt = new Array(activeStaff).fill(nowMs);
+    const estimates = new Map();
+
+    const preparing = orders.filter(order => order.status === 'preparing');
+    const pending = orders.filter(order => order.status === 'pending');
+
+    for (const order of [...preparing, ...pending]) {
+      const prepMs = this.getOrderPrepMinutes(order, prepTimes) * 60000;
+      const cook = freeAt.indexOf(Math.min(...freeAt));
+      let readyAtMs;
+
+      if (order.status === 'preparing') {
+        const startedAt = new Date(order.preparing_at || order.updated_at).getTime();
+        // An order running over its estimate is nearly done, not already done
+        readyAtMs = Math.max(startedAt + prepMs, nowMs + 60000);
+      } else {
+        readyAtMs = freeAt[cook] + prepMs;
+      }
+
+      freeAt[cook] = readyAtMs;
+      estimates.set(order.id, toEstimate(readyAtMs, nowMs));
+    }
+
+    return {
+      activeStaff,
+      queueLength: orders.length,
+      estimates,
+      newOrder: toEstimate(Math.min(...freeAt) + prepTimes.defaultMinutes * 60000, nowMs)
+    };
+  }
+
+  /**
+   * Estimate when one order will be ready
+   * Estimates are a convenience, so failures are logged and give null.
+   * @param {Object} order - Order row
+   * @returns {Object|null} { estimatedReadyAt, estimatedWaitMinutes }, or null for orders that will not be ready
+   */
+  async estimateOrder(order) {
+    if (['ready', 'completed'].includes(order.status)) {
+      return {
+        estimatedReadyAt: order.ready_at || order.updated_at,
+        estimatedWaitMinutes: 0
+      };
+    }
+
+    if (!QUEUE_STATUSES.includes(order.status)) {
+      return null;
+    }
+
+    // The kitchen times scheduled orders for their slot
+    if (!isReleasedToKitchen(order)) {
+      return toEstimate(new Date(order.pickup_at).getTime(), Date.now());
+    }
+
+    try {
+      const { estimates } = await this.estimateQueue(new Date(), order.outlet_id || DEFAULT_OUTLET_ID);
+      return estimates.get(order.id) || null;
+    } catch (error) {
+      console.error(`❌ Failed to estimate ready time for ${order.token}:`, error.message);
+      return null;
+    }
+  }
+}
+
+// Singleton instance
+let waitTimeService = null;
+
+function getWaitTimeService() {
+  if (!waitTimeService) {
+    waitTimeService = new WaitTimeService();
+  }
+  return waitTimeService;
+}
+
+module.exports = {
+  WaitTimeService,
+  getWaitTimeService
+};
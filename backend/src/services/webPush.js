@@ -0,0 +1,99 @@
+/**
+ * Web Push service
+ * Sends notifications to students' browsers through their push service (VAPID),
+ * so an order update arrives even with the tab closed. Generate the keys once with
+ * `npx web-push generate-vapid-keys`.
+ */
+
+const webpush = require('web-push');
+const { getDatabaseService } = require('./database');
+
+// Push services drop undelivered messages after this long; a stale "ready" is worse than none
+const PUSH_TTL_SECONDS = 30 * 60;
+
+class WebPushService {
+  constructor() {
+    this.isConfigured = false;
+    this.initialize();
+  }
+
+  /**
+   * Set the VAPID keys; without them Web Push is disabled
+   */
+  initialize() {
+    const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY } = process.env;
+
+    if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) {
+      console.log('⚠️  VAPID keys missing - Web Push notifications are disabled');
+      return;
+    }
+
+    try {
+      webpush.setVapidDetails(
+        process.env.VAPID_SUBJECT || `mailto:${process.env.EMAIL_USER || 'canteen@example.com'}`,
+        VAPID_PUBLIC_KEY,
+        VAPID_PRIVATE_KEY
+      );
+      this.isConfigured = true;
+    } catch (error) {
+      console.error('❌ Invalid VAPID configuration:', error.message);
+    }
+  }
+
+  /**
+   * Get the public key browsers subscribe with
+   * @returns {string|null} VAPID public key, or null when Web Push is disabled
+   */
+  getPublicKey() {
+    return this.isConfigured ? process.env.VAPID_PUBLIC_KEY : null;
+  }
+
+  /**
+   * Push a message to every browser a user subscribed
+   * Subscriptions the push service reports as gone (404/410) are deleted.
+   * @param {string} userEmail - Student email
+   * @param {Object} payload - { title, body, tag, url } shown by the service worker
+   * @returns {Object} { sent, removed, failed } subscription counts
+   */
+  async sendToUser(userEmail, payload) {
+    const databaseService = getDatabaseService();
+    const subscriptions = await databaseService.getPushSubscriptions(userEmail);
+    const result = { sent: 0, removed: 0, failed: 0 };
+
+    await Promise.all(subscriptions.map(async (subscription) => {
+      try {
+        await webpush.sendNotification(
+          { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+          JSON.stringify(payload),
+          { TTL: PUSH_TTL_SECONDS }
+        );
+        result.sent++;
+      } catch (error) {
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          await databaseService.deletePushSubscription(subscription.endpoint);
+          result.removed++;
+        } else {
+          console.error('❌ Web Push delivery failed:', error.statusCode || '', error.message);
+          result.failed++;
+        }
+      }
+    }));
+
+    return result;
+  }
+}
+
+// Singleton instance
+let webPushService = null;
+
+function getWebPushService() {
+  if (!webPushService) {
+    webPushService = new WebPushService();
+  }
+  return webPushService;
+}
+
+module.exports = {
+  WebPushService,
+  getWebPushService
+};
@@ -2,21 +2,29 @@
  * Quick test to verify QR code generation for email
  */
 
+require('dotenv').config();
 const QRCode = require('qrcode');
+const { createOrderQr, verifyOrderQr } = require('./src/services/orderQr');
 
 async function testQRGeneration() {
   console.log('🧪 Testing QR Code Generation...');
   
-  const testData = {
-    orderId: 'test-order-123',
+  const testOrder = {
+    id: 'test-order-123',
     token: 'T-001',
-    date: new Date().toISOString().split('T')[0],
-    customerName: 'Test Student'
+    created_at: new Date().toISOString()
   };
 
   try {
+    // Sign the payload the same way order emails do
+    const qrData = createOrderQr(testOrder);
+    const tampered = qrData.replace(/\.([^.]+)\./, (match, payload) => `.${payload.slice(0, -2)}AA.`);
+
+    console.log('🔐 Signed payload verifies:', verifyOrderQr(qrData).valid);
+    console.log('🚫 Tampered payload rejected:', !verifyOrderQr(tampered).valid);
+
     // Generate QR with same options as email service
-    const qrCodeDataUrl = await QRCode.toDataURL(JSON.stringify(testData), {
+    const qrCodeDataUrl = await QRCode.toDataURL(qrData, {
       width: 180,
       margin: 2,
       color: {
@@ -26,7 +34,7 @@ async function testQRGeneration() {
     });
 
     console.log('✅ QR Generation Successful!');
-    console.log('📊 QR Data:', JSON.stringify(testData));
+    console.log('📊 QR Data:', qrData);
     console.log('🖼️  QR Base64 Preview:', qrCodeDataUrl.substring(0, 80) + '...');
     console.log('📏 QR Code Length:', qrCodeDataUrl.length);
     console.log('📋 Format:', qrCodeDataUrl.startsWith('data:image/png;base64,') ? 'Valid Base64 PNG' : 'Invalid Format');
@@ -0,0 +1,114 @@
+/**
+ * Send a signed fake Razorpay webhook to the local server
+ *
+ * Usage:
+ *   node test-webhook.js payment.captured <razorpay_order_id> <amount_in_paise>
+ *   node test-webhook.js payment.failed <razorpay_order_id>
+ *   node test-webhook.js refund.processed <razorpay_payment_id> <amount_in_paise>
+ *   node test-webhook.js refund.failed <razorpay_payment_id> <amount_in_paise>
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+
+const WEBHOOK_URL = process.env.WEBHOOK_URL || 'http://localhost:3001/api/payments/webhook';
+
+/**
+ * Build a webhook body shaped like the ones Razorpay sends
+ */
+function buildWebhookEvent(event, reference, amount = 0) {
+  const fakeId = (prefix) => `${prefix}_test${Date.now().toString(36)}`;
+
+  if (event.startsWith('refund.')) {
+    return {
+      entity: 'event',
+      event,
+      contains: ['refund', 'payment'],
+      payload: {
+        refund: {
+          entity: {
+            id: fakeId('rfnd'),
+            entity: 'refund',
+            amount,
+            currency: 'INR',
+            payment_id: reference,
+            status: event === 'refund.failed' ? 'failed' : 'processed'
+          }
+        }
+      },
+      created_at: Math.floor(Date.now() / 1000)
+    };
+  }
+
+  const failed = event === 'payment.failed';
+
+  return {
+    entity: 'event',
+    event,
+    contains: ['payment'],
+    payload: {
+      payment: {
+        entity: {
+          id: fakeId('pay'),
+          entity: 'payment',
+          amount,
+          currency: 'INR',
+          status: failed ? 'failed' : 'captured',
+          order_id: reference,
+          method: 'upi',
+          captured: !failed,
+          error_description: failed ? 'Payment was declined by the bank (test webhook)' : null
+        }
+      }
+    },
+    created_at: Math.floor(Date.now() / 1000)
+  };
+}
+
+/**
+ * Sign the body with RAZORPAY_WEBHOOK_SECRET and POST it to the webhook endpoint
+ */
+async function sendTestWebhook(event, reference, amount) {
+  console.log(`🧪 Sending test webhook: ${event} for ${reference}`);
+
+  if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+    throw new Error('RAZORPAY_WEBHOOK_SECRET must be set to sign the test webhook');
+  }
+
+  const body = JSON.stringify(buildWebhookEvent(event, reference, amount));
+  const signature = crypto
+    .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+    .update(body)
+    .digest('hex');
+
+  const response = await fetch(WEBHOOK_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Razorpay-Signature': signature
+    },
+    body
+  });
+
+  const result = await response.json();
+
+  console.log(`${response.ok ? '✅' : '❌'} ${response.status}:`, JSON.stringify(result, null, 2));
+  return { status: response.status, body: result };
+}
+
+// Run test if called directly
+if (require.main === module) {
+  const [event, reference, amount] = process.argv.slice(2);
+
+  if (!event || !reference) {
+    console.log('Usage: node test-webhook.js <payment.captured|payment.failed|refund.processed|refund.failed> <order_or_payment_id> [amount_in_paise]');
+    process.exit(1);
+  }
+
+  sendTestWebhook(event, reference, parseInt(amount) || 0).catch((error) => {
+    console.error('❌ Test webhook failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { buildWebhookEvent, sendTestWebhook };
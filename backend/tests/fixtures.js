@@ -0,0 +1,27 @@
+/**
+ * Fixtures shared by the test files
+ */
+
+// An order row as the database returns it
+const order = (status = 'pending', extra = {}) => {
+  const token = extra.token || 'T-001';
+  return {
+    id: `order-${token}`,
+    token,
+    status,
+    created_at: '2026-01-15T04:00:00.000Z',
+    ...extra
+  };
+};
+
+// The error a call throws, or null when it does not throw
+const thrownBy = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+module.exports = { order, thrownBy };
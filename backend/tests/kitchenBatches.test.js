@@ -0,0 +1,101 @@
+/**
+ * Kitchen batches: summing open orders per item and filling orders from a cooked batch
+ */
+
+const { buildBatches, fillBatch } = require('../src/services/kitchenBatches');
+const { order } = require('./fixtures');
+
+const dosa = (quantity, extra = {}) => ({ id: '1', name: 'Masala Dosa', quantity, ...extra });
+const tea = (quantity, extra = {}) => ({ id: '2', name: 'Tea', quantity, ...extra });
+
+describe('buildBatches', () => {
+  test('sums each item across orders, largest batch first', () => {
+    const batches = buildBatches([
+      order('pending', { token: 'T-001', items: [dosa(2)] }),
+      order('preparing', { token: 'T-002', items: [dosa(1), tea(1)] }),
+      order('pending', { token: 'T-003', items: [dosa(3)] })
+    ]);
+
+    expect(batches.map(batch => [batch.name, batch.totalQuantity])).toEqual([['Masala Dosa', 6], ['Tea', 1]]);
+    expect(batches[0].orders).toEqual([
+      { orderId: 'order-T-001', token: 'T-001', status: 'pending', quantity: 2, lines: 1, coversOrder: true },
+      { orderId: 'order-T-002', token: 'T-002', status: 'preparing', quantity: 1, lines: 1, coversOrder: false },
+      { orderId: 'order-T-003', token: 'T-003', status: 'pending', quantity: 3, lines: 1, coversOrder: true }
+    ]);
+  });
+
+  test('merges an item on several lines of one order', () => {
+    const [batch] = buildBatches([order('pending', { token: 'T-001', items: [dosa(1, { notes: 'no onion' }), dosa(2)] })]);
+
+    expect(batch.totalQuantity).toBe(3);
+    expect(batch.orders).toEqual([expect.objectContaining({ quantity: 3, lines: 2, coversOrder: true })]);
+  });
+
+  test('breaks ties by name', () => {
+    const batches = buildBatches([order('pending', { token: 'T-001', items: [tea(2), { id: '3', name: 'Coffee', quantity: 2 }] })]);
+
+    expect(batches.map(batch => batch.name)).toEqual(['Coffee', 'Tea']);
+  });
+
+  test('matches numeric and string item IDs', () => {
+    const batches = buildBatches([
+      order('pending', { token: 'T-001', items: [dosa(1)] }),
+      order('pending', { token: 'T-002', items: [dosa(1, { id: 1 })] })
+    ]);
+
+    expect(batches).toHaveLength(1);
+    expect(batches[0].totalQuantity).toBe(2);
+  });
+
+  test('leaves out lines a station already marked ready', () => {
+    const batches = buildBatches([
+      order('preparing', { token: 'T-001', items: [dosa(1), tea(1, { status: 'ready' })] }),
+      order('preparing', { token: 'T-002', items: [tea(2, { status: 'preparing' })] })
+    ]);
+
+    expect(batches.map(batch => [batch.name, batch.totalQuantity])).toEqual([['Tea', 2], ['Masala Dosa', 1]]);
+    // Only the dosa is left to cook, so its batch completes the order
+    expect(batches[1].orders[0].coversOrder).toBe(true);
+  });
+
+  test('returns nothing for orders without lines to cook', () => {
+    const batches = buildBatches([
+      order('preparing', { token: 'T-001', items: [dosa(1, { status: 'ready' })] }),
+      order('pending', { token: 'T-002', items: [] })
+    ]);
+
+    expect(batches).toEqual([]);
+  });
+});
+
+describe('fillBatch', () => {
+  const batch = () => buildBatches([
+    order('pending', { token: 'T-001', items: [dosa(2)] }),
+    order('pending', { token: 'T-002', items: [dosa(1), tea(1)] }),
+    order('pending', { token: 'T-003', items: [dosa(3)] }),
+    order('pending', { token: 'T-004', items: [dosa(1)] })
+  ])[0];
+
+  test('fills every covered order from the whole batch by default', () => {
+    const { filled, notCovered, leftover } = fillBatch(batch());
+
+    expect(filled.map(entry => entry.token)).toEqual(['T-001', 'T-003', 'T-004']);
+    expect(notCovered.map(entry => entry.token)).toEqual(['T-002']);
+    expect(leftover).toBe(1);
+  });
+
+  test('fills oldest first and skips orders the rest cannot cover', () => {
+    const { filled, notCovered, leftover } = fillBatch(batch(), 4);
+
+    expect(filled.map(entry => entry.token)).toEqual(['T-001', 'T-004']);
+    expect(notCovered.map(entry => entry.token)).toEqual(['T-002', 'T-003']);
+    expect(leftover).toBe(1);
+  });
+
+  test('fills nothing when too little was cooked', () => {
+    const { filled, leftover } = fillBatch(batch(), 0);
+
+    expect(filled).toEqual([]);
+    expect(leftover).toBe(0);
+  });
+});
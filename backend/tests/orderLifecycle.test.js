@@ -0,0 +1,158 @@
+/**
+ * Order lifecycle: transition table, guards, hooks and who may complete an order
+ */
+
+const {
+  TRANSITIONS,
+  OrderTransitionError,
+  canTransition,
+  isFinalStatus,
+  assertTransition,
+  onOrderTransition,
+  runTransitionHooks
+} = require('../src/services/orderLifecycle');
+const { PERMISSIONS, hasPermission } = require('../src/services/staffRoles');
+const { order, thrownBy } = require('./fixtures');
+
+const today = { isOrderForToday: () => true };
+const yesterday = { isOrderForToday: () => false };
+
+describe('transition table', () => {
+  test.each([
+    ['pending', 'preparing'],
+    ['pending', 'cancelled'],
+    ['preparing', 'ready'],
+    ['ready', 'completed'],
+    ['ready', 'cancelled'],
+    ['cancelled', 'refunded']
+  ])('allows %s → %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(true);
+  });
+
+  test.each([
+    ['preparing', 'pending'],
+    ['ready', 'preparing'],
+    ['completed', 'cancelled'],
+    ['refunded', 'pending'],
+    ['pending', 'refunded'],
+    ['unknown', 'pending']
+  ])('refuses %s → %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(false);
+  });
+
+  test('completed and refunded are final', () => {
+    expect(isFinalStatus('completed')).toBe(true);
+    expect(isFinalStatus('refunded')).toBe(true);
+    expect(Object.keys(TRANSITIONS).filter(isFinalStatus)).toEqual(['completed', 'refunded']);
+  });
+});
+
+describe('assertTransition', () => {
+  test('rejects unknown statuses', () => {
+    const error = thrownBy(() => assertTransition(order('pending'), 'lost', {}, today));
+
+    expect(error).toBeInstanceOf(OrderTransitionError);
+    expect(error.statusCode).toBe(400);
+  });
+
+  test('reports a repeated change as a conflict', () => {
+    const error = thrownBy(() => assertTransition(order('ready'), 'ready', {}, today));
+
+    expect(error.statusCode).toBe(409);
+    expect(error.message).toBe('Order is already ready');
+  });
+
+  test('tells the scanner a token was already used', () => {
+    const error = thrownBy(() => assertTransition(order('completed'), 'completed', { via: 'pickup' }, today));
+
+    expect(error.statusCode).toBe(409);
+    expect(error.message).toBe('Token already used');
+  });
+
+  test('refuses moving backwards', () => {
+    const error = thrownBy(() => assertTransition(order('ready'), 'preparing', {}, today));
+
+    expect(error.message).toBe('Cannot change status from ready to preparing');
+  });
+
+  describe('completed', () => {
+    test('allows a ready order from today', () => {
+      expect(() => assertTransition(order('ready'), 'completed', { actor: 'staff' }, today)).not.toThrow();
+    });
+
+    test.each(['pending', 'preparing'])('refuses a %s order outside offline pickups', (status) => {
+      expect(thrownBy(() => assertTransition(order(status), 'completed', { actor: 'staff' }, today)).message)
+        .toBe(`Only ready orders can be completed. Current status: ${status}`);
+      expect(thrownBy(() => assertTransition(order(status), 'completed', { via: 'pickup' }, today)).message)
+        .toBe(`Order not ready for pickup. Current status: ${status}`);
+    });
+
+    test('refuses orders from an earlier day', () => {
+      expect(thrownBy(() => assertTransition(order('ready'), 'completed', {}, yesterday)).message)
+        .toBe('Cannot mark previous day orders as completed. Order must be from today.');
+    });
+
+    test('refuses scheduled orders before their day', () => {
+      const scheduled = order('ready', { pickup_at: new Date(Date.now() + 2 * 86400000).toISOString() });
+
+      expect(thrownBy(() => assertTransition(scheduled, 'completed', {}, yesterday)).message)
+        .toBe('Order is scheduled for a later day');
+    });
+
+    test('judges offline pickups by the day they were scanned', () => {
+      const context = { via: 'offline_pickup', redeemedAt: '2026-01-15T10:00:00.000Z' };
+
+      expect(() => assertTransition(order('preparing'), 'completed', context, yesterday)).not.toThrow();
+      expect(thrownBy(() => assertTransition(order('ready'), 'completed', { ...context, redeemedAt: '2026-01-16T10:00:00.000Z' }, today)).message)
+        .toBe('Token was not valid on the day it was scanned');
+    });
+  });
+
+  test('customers can only cancel pending orders', () => {
+    expect(() => assertTransition(order('pending'), 'cancelled', { actor: 'customer' }, today)).not.toThrow();
+    expect(thrownBy(() => assertTransition(order('preparing'), 'cancelled', { actor: 'customer' }, today)).message)
+      .toBe('Only pending orders can be cancelled');
+    expect(() => assertTransition(order('ready'), 'cancelled', { actor: 'staff' }, today)).not.toThrow();
+  });
+
+  test('only the system marks orders refunded', () => {
+    expect(() => assertTransition(order('cancelled'), 'refunded', { actor: 'system' }, today)).not.toThrow();
+    expect(thrownBy(() => assertTransition(order('cancelled'), 'refunded', { actor: 'staff' }, today))).toBeInstanceOf(OrderTransitionError);
+  });
+});
+
+describe('handing over orders', () => {
+  test('needs orders:pickup, which the kitchen role does not have', () => {
+    expect(hasPermission('kitchen', PERMISSIONS.ORDERS_PREPARE)).toBe(true);
+    expect(hasPermission('kitchen', PERMISSIONS.ORDERS_PICKUP)).toBe(false);
+  });
+
+  test.each(['cashier', 'manager', 'admin'])('is allowed for %s', (role) => {
+    expect(hasPermission(role, PERMISSIONS.ORDERS_PICKUP)).toBe(true);
+  });
+
+  test('is refused for unknown roles', () => {
+    expect(hasPermission('visitor', PERMISSIONS.ORDERS_PICKUP)).toBe(false);
+  });
+});
+
+describe('transition hooks', () => {
+  test('run in registration order for matching statuses and survive failures', async () => {
+    const calls = [];
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    onOrderTransition('ready', () => calls.push('ready'));
+    onOrderTransition('ready', () => {
+      throw new Error('boom');
+    });
+    onOrderTransition(['ready', 'completed'], () => calls.push('ready or completed'));
+    onOrderTransition('*', (hookOrder, { to }) => calls.push(`any:${to}`));
+
+    await runTransitionHooks(order('ready'), { from: 'preparing', to: 'ready', context: {} });
+    await runTransitionHooks(order('cancelled'), { from: 'ready', to: 'cancelled', context: {} });
+
+    expect(calls).toEqual(['ready', 'ready or completed', 'any:ready', 'any:cancelled']);
+    expect(errorSpy).toHaveBeenCalledTimes(1);
+    errorSpy.mockRestore();
+  });
+});
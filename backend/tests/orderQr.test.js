@@ -0,0 +1,164 @@
+/**
+ * Signed pickup QR codes: CQ1 (HMAC) and CQ2 (ECDSA) signing, tampering and expiry
+ */
+
+const crypto = require('crypto');
+
+const SECRET = 'a-test-secret-that-is-long-enough-for-hmac';
+
+const order = {
+  id: '6f1c2b1e-7a5d-4f0e-9b43-2f6f7c1d8e90',
+  token: 'T-007',
+  token_date: '2026-01-15'
+};
+
+// The signing key is cached per module instance, so each case loads its own copy
+const loadOrderQr = (env = {}) => {
+  process.env.QR_SIGNING_SECRET = SECRET;
+  delete process.env.QR_SIGNING_PRIVATE_KEY;
+  Object.assign(process.env, env);
+
+  let orderQr;
+  jest.isolateModules(() => {
+    orderQr = require('../src/services/orderQr');
+  });
+  return orderQr;
+};
+
+const ecKey = (namedCurve = 'prime256v1') => crypto
+  .generateKeyPairSync('ec', { namedCurve })
+  .privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+// Re-encode the payload with changed claims, keeping the original signature
+const withClaims = (qr, changes) => {
+  const [version, payload, signature] = qr.split('.');
+  const claims = { ...JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')), ...changes };
+  return [version, Buffer.from(JSON.stringify(claims)).toString('base64url'), signature].join('.');
+};
+
+const sameDay = new Date('2026-01-15T12:00:00+05:30');
+const nextDay = new Date('2026-01-16T00:00:01+05:30');
+
+afterAll(() => {
+  delete process.env.QR_SIGNING_SECRET;
+  delete process.env.QR_SIGNING_PRIVATE_KEY;
+});
+
+describe.each([
+  ['CQ1', () => ({})],
+  ['CQ2', () => ({ QR_SIGNING_PRIVATE_KEY: ecKey() })]
+])('%s codes', (version, env) => {
+  let orderQr;
+  let qr;
+
+  beforeEach(() => {
+    orderQr = loadOrderQr(env());
+    qr = orderQr.createOrderQr(order);
+  });
+
+  test('carry the order and verify on the order date', () => {
+    expect(qr.startsWith(`${version}.`)).toBe(true);
+    expect(orderQr.verifyOrderQr(qr, { at: sameDay })).toEqual({
+      valid: true,
+      orderId: order.id,
+      token: order.token,
+      tokenDate: order.token_date,
+      expiresAt: '2026-01-15T18:29:59.000Z'
+    });
+  });
+
+  test('expire at the end of the order date', () => {
+    expect(orderQr.verifyOrderQr(qr, { at: nextDay })).toEqual({
+      valid: false,
+      error: 'QR code expired. Valid only on order date.'
+    });
+  });
+
+  test('reject a changed payload', () => {
+    const tampered = withClaims(qr, { t: 'T-008' });
+
+    expect(orderQr.verifyOrderQr(tampered, { at: sameDay }).error).toBe('QR code signature is invalid');
+  });
+
+  test('reject a pushed-back expiry', () => {
+    const extended = withClaims(qr, { x: Math.floor(nextDay.getTime() / 1000) + 86400 });
+
+    expect(orderQr.verifyOrderQr(extended, { at: nextDay }).error).toBe('QR code signature is invalid');
+  });
+
+  test('reject a changed signature', () => {
+    const [body, payload, signature] = qr.split('.');
+    const flipped = `${signature[0] === 'A' ? 'B' : 'A'}${signature.slice(1)}`;
+
+    expect(orderQr.verifyOrderQr([body, payload, flipped].join('.'), { at: sameDay }).valid).toBe(false);
+  });
+
+  test('reject codes signed with another key', () => {
+    const otherQr = loadOrderQr({ QR_SIGNING_SECRET: `${SECRET}-other`, ...(version === 'CQ2' && { QR_SIGNING_PRIVATE_KEY: ecKey() }) })
+      .createOrderQr(order);
+    process.env.QR_SIGNING_SECRET = SECRET;
+
+    expect(orderQr.verifyOrderQr(otherQr, { at: sameDay }).error).toBe('QR code signature is invalid');
+  });
+});
+
+describe('verifyOrderQr', () => {
+  test.each([
+    [''],
+    ['not a qr code'],
+    ['CQ9.e30.abc'],
+    ['CQ1.only-two']
+  ])('rejects %p as unrecognised', (value) => {
+    expect(loadOrderQr().verifyOrderQr(value)).toEqual({ valid: false, error: 'Unrecognised QR code' });
+  });
+
+  test('accepts CQ1 codes issued before an ECDSA key was configured', () => {
+    const cq1 = loadOrderQr().createOrderQr(order);
+
+    expect(loadOrderQr({ QR_SIGNING_PRIVATE_KEY: ecKey() }).verifyOrderQr(cq1, { at: sameDay }).valid).toBe(true);
+  });
+
+  test('rejects CQ2 codes when no ECDSA key is configured', () => {
+    const cq2 = loadOrderQr({ QR_SIGNING_PRIVATE_KEY: ecKey() }).createOrderQr(order);
+
+    expect(loadOrderQr().verifyOrderQr(cq2, { at: sameDay }).valid).toBe(false);
+  });
+
+  test('rejects CQ1 codes without a signing secret', () => {
+    const cq1 = loadOrderQr().createOrderQr(order);
+    const orderQr = loadOrderQr();
+    delete process.env.QR_SIGNING_SECRET;
+
+    expect(orderQr.verifyOrderQr(cq1, { at: sameDay }).valid).toBe(false);
+  });
+});
+
+describe('assertQrSigningConfigured', () => {
+  test('passes with a secret and an optional P-256 key', () => {
+    expect(() => loadOrderQr().assertQrSigningConfigured()).not.toThrow();
+    expect(() => loadOrderQr({ QR_SIGNING_PRIVATE_KEY: ecKey() }).assertQrSigningConfigured()).not.toThrow();
+  });
+
+  test('accepts a key stored with escaped newlines', () => {
+    const escaped = ecKey().replace(/\n/g, '\\n');
+
+    expect(() => loadOrderQr({ QR_SIGNING_PRIVATE_KEY: escaped }).assertQrSigningConfigured()).not.toThrow();
+  });
+
+  test('fails without a secret', () => {
+    const orderQr = loadOrderQr();
+    delete process.env.QR_SIGNING_SECRET;
+
+    expect(() => orderQr.assertQrSigningConfigured()).toThrow('QR_SIGNING_SECRET is not configured');
+  });
+
+  test('fails on an unreadable key', () => {
+    expect(() => loadOrderQr({ QR_SIGNING_PRIVATE_KEY: 'not a key' }).assertQrSigningConfigured())
+      .toThrow('QR_SIGNING_PRIVATE_KEY could not be read');
+  });
+
+  test('fails on a key for another curve', () => {
+    expect(() => loadOrderQr({ QR_SIGNING_PRIVATE_KEY: ecKey('secp384r1') }).assertQrSigningConfigured())
+      .toThrow('QR_SIGNING_PRIVATE_KEY must be an EC P-256 key');
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Payment fulfilment: a scheduled checkout that lost its hold on the pickup slot is
+ * checked against the slot again before its order is booked
+ */
+
+jest.mock('../src/services', () => ({
+  getPaymentService: jest.fn(),
+  getDatabaseService: jest.fn(),
+  getEmailService: jest.fn(),
+  getRefundService: jest.fn(),
+  getWaitTimeService: jest.fn()
+}));
+
+const express = require('express');
+const services = require('../src/services');
+const paymentRoutes = require('../src/routes/payments');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { listPickupSlots } = require('../src/services/pickupSlots');
+const { order } = require('./fixtures');
+
+let server;
+let baseUrl;
+let intent;
+let bookings;
+let createdOrders;
+
+// Tomorrow's slots: the first always has later slots the same day
+const tomorrow = () => {
+  const slots = listPickupSlots();
+  return slots.filter(slot => slot.date === slots[slots.length - 1].date);
+};
+
+const webhook = async (event, payment) => {
+  const response = await fetch(`${baseUrl}/api/payments/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Razorpay-Signature': 'signed' },
+    body: JSON.stringify({ event, payload: { payment: { entity: payment } } })
+  });
+  return response.json();
+};
+
+const payment = (id, status) => ({ id, order_id: intent.razorpay_order_id, amount: 9000, status });
+
+beforeAll(async () => {
+  process.env.PICKUP_SLOT_MAX_ORDERS = '1';
+
+  const app = express();
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  app.use('/api/payments', paymentRoutes);
+  app.use(errorHandler);
+
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  delete process.env.PICKUP_SLOT_MAX_ORDERS;
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  intent = {
+    razorpay_order_id: 'order_1',
+    user_name: 'Asha',
+    user_email: 'asha@college.edu',
+    items: [{ id: '1', name: 'Thali', price: 90, quantity: 1 }],
+    total_amount: '90.00',
+    pickup_at: tomorrow()[0].startsAt,
+    pickup_units: 1,
+    outlet_id: 'main',
+    status: 'pending',
+    expires_at: new Date(Date.now() + 15 * 60000).toISOString()
+  };
+  bookings = [];
+  createdOrders = [];
+
+  services.getPaymentService.mockReturnValue({ verifyWebhookSignature: () => true });
+  services.getDatabaseService.mockReturnValue({
+    getCheckoutIntent: jest.fn(async () => intent),
+    updateCheckoutIntent: jest.fn(async (id, updates) => Object.assign(intent, updates)),
+    getPickupSlotLoad: jest.fn(async () => bookings),
+    createOrderForPayment: jest.fn(async (orderData) => {
+      const created = order('pending', { id: `id-${createdOrders.length + 1}`, ...orderData });
+      createdOrders.push(created);
+      return { order: created, created: true };
+    })
+  });
+  services.getRefundService.mockReturnValue({
+    cancelOrder: jest.fn(async (order, { reason }) => ({ ...order, status: 'cancelled', cancellation_reason: reason }))
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('a checkout still holding its slot is booked into it without a re-check', async () => {
+  bookings = [{ pickup_at: intent.pickup_at, units: 1 }];
+
+  const result = await webhook('payment.captured', payment('pay_1', 'captured'));
+
+  expect(result.data.orderCreated).toBe(true);
+  expect(createdOrders[0].pickup_at).toBe(intent.pickup_at);
+  expect(services.getDatabaseService().getPickupSlotLoad).not.toHaveBeenCalled();
+});
+
+test('a retry paid after a failed attempt moves to the next slot with room', async () => {
+  await webhook('payment.failed', payment('pay_1', 'failed'));
+  expect(intent.status).toBe('failed');
+
+  // Another student takes the slot the failed attempt gave up
+  bookings = [{ pickup_at: intent.pickup_at, units: 1 }];
+
+  const result = await webhook('payment.captured', payment('pay_2', 'captured'));
+
+  expect(result.data.orderCreated).toBe(true);
+  expect(createdOrders[0].pickup_at).toBe(tomorrow()[1].startsAt);
+  expect(services.getDatabaseService().createOrderForPayment).toHaveBeenCalledWith(expect.anything(), { confirm: true });
+  expect(intent.status).toBe('paid');
+});
+
+test('a retry paid after a failed attempt is refunded when the rest of the day is full', async () => {
+  await webhook('payment.failed', payment('pay_1', 'failed'));
+
+  bookings = tomorrow().map(slot => ({ pickup_at: slot.startsAt, units: 1 }));
+
+  const result = await webhook('payment.captured', payment('pay_2', 'captured'));
+
+  expect(result.data.orderCreated).toBe(true);
+  // The student hears about the cancellation only, not a confirmation first
+  expect(services.getDatabaseService().createOrderForPayment).toHaveBeenCalledWith(expect.anything(), { confirm: false });
+  expect(services.getRefundService().cancelOrder).toHaveBeenCalledWith(
+    expect.objectContaining({ payment_id: 'pay_2' }),
+    expect.objectContaining({ actor: 'system' })
+  );
+});
+
+test('an expired checkout is re-checked too', async () => {
+  intent.expires_at = new Date(Date.now() - 60000).toISOString();
+  bookings = [{ pickup_at: intent.pickup_at, units: 1 }];
+
+  await webhook('payment.captured', payment('pay_1', 'captured'));
+
+  expect(createdOrders[0].pickup_at).toBe(tomorrow()[1].startsAt);
+});
@@ -0,0 +1,184 @@
+/**
+ * Pickup slots: slot layout, capacity settings and the load counted against them
+ */
+
+const {
+  getCapacityConfig,
+  getSlotCapacity,
+  listPickupSlots,
+  findPickupSlot,
+  withSlotLoad,
+  hasRoomFor,
+  getKitchenReleaseAt,
+  isReleasedToKitchen
+} = require('../src/services/pickupSlots');
+
+const SLOT_ENV = [
+  'PICKUP_SLOT_MINUTES',
+  'PICKUP_OPENS_AT',
+  'PICKUP_CLOSES_AT',
+  'PICKUP_MIN_NOTICE_MINUTES',
+  'PICKUP_MAX_DAYS_AHEAD',
+  'KITCHEN_RELEASE_LEAD_MINUTES',
+  'PICKUP_SLOT_MAX_ORDERS',
+  'PICKUP_SLOT_MAX_UNITS',
+  'PICKUP_SLOT_CAPACITY_OVERRIDES'
+];
+
+// 11:50 IST on 15 January
+const now = new Date('2026-01-15T11:50:00+05:30');
+const slotAt = (time, date = '2026-01-15') => new Date(`${date}T${time}:00+05:30`).toISOString();
+
+beforeEach(() => {
+  SLOT_ENV.forEach(name => delete process.env[name]);
+});
+
+afterAll(() => {
+  SLOT_ENV.forEach(name => delete process.env[name]);
+});
+
+describe('listPickupSlots', () => {
+  test('lays out half-hour slots from the notice period to closing, today and tomorrow', () => {
+    const slots = listPickupSlots(now);
+    const today = slots.filter(slot => slot.date === '2026-01-15');
+
+    expect(today[0]).toEqual({
+      startsAt: slotAt('12:30'),
+      endsAt: slotAt('13:00'),
+      date: '2026-01-15',
+      label: '12:30'
+    });
+    expect(today[today.length - 1].label).toBe('19:30');
+    expect(slots.filter(slot => slot.date === '2026-01-16')).toHaveLength(24);
+  });
+
+  test('follows the configured hours, length and days ahead', () => {
+    Object.assign(process.env, {
+      PICKUP_SLOT_MINUTES: '15',
+      PICKUP_OPENS_AT: '12:00',
+      PICKUP_CLOSES_AT: '13:00',
+      PICKUP_MIN_NOTICE_MINUTES: '0',
+      PICKUP_MAX_DAYS_AHEAD: '0'
+    });
+
+    expect(listPickupSlots(now).map(slot => slot.label)).toEqual(['12:00', '12:15', '12:30', '12:45']);
+  });
+
+  test('can include slots that can no longer be booked', () => {
+    process.env.PICKUP_MAX_DAYS_AHEAD = '0';
+
+    expect(listPickupSlots(now, { includeClosed: true })[0].label).toBe('08:00');
+  });
+});
+
+describe('findPickupSlot', () => {
+  test('finds a bookable slot by its start', () => {
+    expect(findPickupSlot(slotAt('13:00'), now).label).toBe('13:00');
+  });
+
+  test.each([
+    ['inside the notice period', slotAt('12:00')],
+    ['not on a slot boundary', slotAt('13:10')],
+    ['after closing', slotAt('20:00')],
+    ['too many days ahead', slotAt('13:00', '2026-01-17')]
+  ])('refuses a slot %s', (reason, pickupAt) => {
+    expect(findPickupSlot(pickupAt, now)).toBeNull();
+  });
+});
+
+describe('slot capacity', () => {
+  test('defaults to no limit', () => {
+    expect(getSlotCapacity(slotAt('12:30'))).toEqual({ maxOrders: 0, maxUnits: 0 });
+  });
+
+  test('applies overrides by IST start time and skips malformed entries', () => {
+    Object.assign(process.env, {
+      PICKUP_SLOT_MAX_ORDERS: '20',
+      PICKUP_SLOT_MAX_UNITS: '60',
+      PICKUP_SLOT_CAPACITY_OVERRIDES: '12:00-14:00=40/120, junk, 25:00-26:00=1/1,16:00-17:00=10/0'
+    });
+
+    expect(getCapacityConfig().overrides).toHaveLength(2);
+    expect(getSlotCapacity(slotAt('11:30'))).toEqual({ maxOrders: 20, maxUnits: 60 });
+    expect(getSlotCapacity(slotAt('12:00'))).toEqual({ maxOrders: 40, maxUnits: 120 });
+    expect(getSlotCapacity(slotAt('13:30'))).toEqual({ maxOrders: 40, maxUnits: 120 });
+    expect(getSlotCapacity(slotAt('14:00'))).toEqual({ maxOrders: 20, maxUnits: 60 });
+    expect(getSlotCapacity(slotAt('16:30'))).toEqual({ maxOrders: 10, maxUnits: 0 });
+  });
+});
+
+describe('withSlotLoad', () => {
+  const slots = () => listPickupSlots(now).slice(0, 3);
+
+  test('counts the orders and prep units booked into each slot', () => {
+    Object.assign(process.env, { PICKUP_SLOT_MAX_ORDERS: '2', PICKUP_SLOT_MAX_UNITS: '5' });
+
+    const [first, second, third] = withSlotLoad(slots(), [
+      { pickup_at: slotAt('12:30'), units: 3 },
+      { pickup_at: slotAt('12:30'), units: 2 },
+      { pickup_at: slotAt('13:00'), units: 1 }
+    ]);
+
+    expect(first).toMatchObject({ booked: { orders: 2, units: 5 }, remaining: { orders: 0, units: 0 }, isFull: true });
+    expect(second).toMatchObject({ booked: { orders: 1, units: 1 }, remaining: { orders: 1, units: 4 }, isFull: false });
+    expect(third).toMatchObject({ booked: { orders: 0, units: 0 }, remaining: { orders: 2, units: 5 }, isFull: false });
+  });
+
+  test('fills up on units alone', () => {
+    process.env.PICKUP_SLOT_MAX_UNITS = '4';
+
+    const [slot] = withSlotLoad(slots(), [{ pickup_at: slotAt('12:30'), units: 4 }]);
+
+    expect(slot.remaining).toEqual({ orders: null, units: 0 });
+    expect(slot.isFull).toBe(true);
+  });
+
+  test('never fills without limits', () => {
+    const bookings = Array.from({ length: 50 }, () => ({ pickup_at: slotAt('12:30'), units: 10 }));
+    const [slot] = withSlotLoad(slots(), bookings);
+
+    expect(slot.remaining).toEqual({ orders: null, units: null });
+    expect(hasRoomFor(slot, 100)).toBe(true);
+  });
+});
+
+describe('hasRoomFor', () => {
+  test('needs a free order place and enough units for the order', () => {
+    Object.assign(process.env, { PICKUP_SLOT_MAX_ORDERS: '3', PICKUP_SLOT_MAX_UNITS: '6' });
+
+    const [slot] = withSlotLoad(listPickupSlots(now).slice(0, 1), [
+      { pickup_at: slotAt('12:30'), units: 2 },
+      { pickup_at: slotAt('12:30'), units: 2 }
+    ]);
+
+    expect(hasRoomFor(slot, 2)).toBe(true);
+    expect(hasRoomFor(slot, 3)).toBe(false);
+  });
+
+  test('refuses a slot with every order place taken', () => {
+    process.env.PICKUP_SLOT_MAX_ORDERS = '1';
+
+    const [slot] = withSlotLoad(listPickupSlots(now).slice(0, 1), [{ pickup_at: slotAt('12:30'), units: 0 }]);
+
+    expect(hasRoomFor(slot, 0)).toBe(false);
+  });
+});
+
+describe('kitchen release', () => {
+  test('releases scheduled orders a lead time before their slot', () => {
+    expect(getKitchenReleaseAt(slotAt('13:00'), now)).toBe(slotAt('12:40'));
+  });
+
+  test('releases straight away when there is no slot or the lead time has passed', () => {
+    expect(getKitchenReleaseAt(null, now)).toBe(now.toISOString());
+    expect(getKitchenReleaseAt(slotAt('12:00'), now)).toBe(now.toISOString());
+  });
+
+  test('treats started and older orders as released', () => {
+    const later = slotAt('12:40');
+
+    expect(isReleasedToKitchen({ status: 'pending', release_at: later }, now)).toBe(false);
+    expect(isReleasedToKitchen({ status: 'preparing', release_at: later }, now)).toBe(true);
+    expect(isReleasedToKitchen({ status: 'pending', release_at: null }, now)).toBe(true);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Wait-time estimates: learning prep times and spreading the queue over the cooks
+ */
+
+jest.mock('../src/services/database', () => ({
+  getDatabaseService: jest.fn()
+}));
+
+const { getDatabaseService } = require('../src/services/database');
+const { WaitTimeService } = require('../src/services/waitTime');
+
+const at = (minutes) => new Date(Date.UTC(2026, 0, 15, 6, minutes)).toISOString();
+
+const readied = (items, preparingMinute, readyMinute) => ({
+  items,
+  preparing_at: at(preparingMinute),
+  ready_at: at(readyMinute)
+});
+
+describe('learnPrepTimes', () => {
+  const service = new WaitTimeService();
+
+  test('learns the median per item from single-item orders and timed lines', () => {
+    const learned = service.learnPrepTimes([
+      readied([{ id: 1 }], 0, 4),
+      readied([{ id: 1 }], 0, 6),
+      readied([{ id: 1 }], 0, 10),
+      readied([{ id: '2', preparing_at: at(0), ready_at: at(2) }, { id: 1 }], 0, 8),
+      readied([{ id: '2', preparing_at: at(0), ready_at: at(3) }], 0, 3),
+      readied([{ id: '2', preparing_at: at(0), ready_at: at(5) }], 0, 5)
+    ]);
+
+    expect(learned.items).toEqual({ 1: 6, 2: 3 });
+    expect(learned.defaultMinutes).toBe(5.5);
+    expect(learned.sampleCount).toBe(6);
+  });
+
+  test('ignores mixed orders without line timings and implausible samples', () => {
+    const learned = service.learnPrepTimes([
+      readied([{ id: 1 }, { id: 2 }], 0, 5),
+      readied([{ id: 1 }], 0, 0),
+      readied([{ id: 1 }], 0, 200),
+      readied([{ id: 1 }], 0, 7)
+    ]);
+
+    expect(learned.items).toEqual({});
+    expect(learned.sampleCount).toBe(2);
+  });
+
+  test('falls back to the default without enough history', () => {
+    expect(service.learnPrepTimes([])).toEqual({ items: {}, defaultMinutes: 5, sampleCount: 0 });
+  });
+});
+
+describe('getOrderPrepMinutes', () => {
+  const service = new WaitTimeService();
+  const prepTimes = { items: { 1: 8, 2: 3 }, defaultMinutes: 5 };
+
+  test('takes the slowest line, since lines cook side by side', () => {
+    expect(service.getOrderPrepMinutes({ items: [{ id: 1 }, { id: '2' }] }, prepTimes)).toBe(8);
+    expect(service.getOrderPrepMinutes({ items: [{ id: 2 }, { id: 9 }] }, prepTimes)).toBe(5);
+    expect(service.getOrderPrepMinutes({ items: [] }, prepTimes)).toBe(5);
+  });
+});
+
+describe('estimateQueue', () => {
+  const now = new Date(at(30));
+  let openOrders;
+
+  beforeEach(() => {
+    process.env.KITCHEN_STAFF_COUNT = '2';
+    openOrders = [];
+    getDatabaseService.mockReturnValue({
+      getOrdersByStatus: jest.fn(async () => openOrders),
+      getRecentlyReadiedOrders: jest.fn(async () => [])
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.KITCHEN_STAFF_COUNT;
+  });
+
+  const estimate = async () => {
+    const service = new WaitTimeService();
+    return service.estimateQueue(now);
+  };
+
+  test('gives pending orders to whichever cook frees up first', async () => {
+    openOrders = [
+      { id: 'a', status: 'pending', items: [{ id: 1 }] },
+      { id: 'b', status: 'pending', items: [{ id: 1 }] },
+      { id: 'c', status: 'pending', items: [{ id: 1 }] }
+    ];
+
+    const { activeStaff, queueLength, estimates, newOrder } = await estimate();
+
+    expect(activeStaff).toBe(2);
+    expect(queueLength).toBe(3);
+    expect([...estimates.values()].map(value => value.estimatedWaitMinutes)).toEqual([5, 5, 10]);
+    expect(newOrder.estimatedWaitMinutes).toBe(10);
+  });
+
+  test('keeps orders being prepared with their cook and never calls them done', async () => {
+    openOrders = [
+      { id: 'late', status: 'preparing', preparing_at: at(20), items: [{ id: 1 }] },
+      { id: 'started', status: 'preparing', preparing_at: at(28), items: [{ id: 1 }] },
+      { id: 'next', status: 'pending', items: [{ id: 1 }] }
+    ];
+
+    const { estimates } = await estimate();
+
+    expect(estimates.get('late').estimatedWaitMinutes).toBe(1);
+    expect(estimates.get('started').estimatedWaitMinutes).toBe(3);
+    expect(estimates.get('next').estimatedWaitMinutes).toBe(6);
+  });
+
+  test('leaves scheduled orders out until they are released', async () => {
+    openOrders = [
+      { id: 'scheduled', status: 'pending', release_at: at(45), items: [{ id: 1 }] },
+      { id: 'released', status: 'pending', release_at: at(25), items: [{ id: 1 }] }
+    ];
+
+    const { queueLength, estimates } = await estimate();
+
+    expect(queueLength).toBe(1);
+    expect(estimates.has('scheduled')).toBe(false);
+  });
+});
@@ -0,0 +1,75 @@
+import { createHash } from "node:crypto";
+import { readFileSync, readdirSync } from "node:fs";
+import path from "node:path";
+
+// Builds src/service-worker.js into /sw.js. Production builds inject every emitted
+// file as the precache manifest, plus a version hashed from their contents, so each
+// deploy installs a new worker with fresh caches. The dev server precaches public files only.
+
+const SW_SOURCE = "src/service-worker.js";
+const SW_FILE = "sw.js";
+
+// Source maps are never requested by users, and the worker must not cache itself
+const isPrecached = (fileName) => !fileName.endsWith(".map") && fileName !== SW_FILE;
+
+const listFiles = (dir, prefix = "") =>
+  readdirSync(dir, { withFileTypes: true }).flatMap((entry) =>
+    entry.isDirectory()
+      ? listFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+      : [`${prefix}${entry.name}`]
+  );
+
+const renderServiceWorker = (config, fileNames, version) =>
+  readFileSync(path.resolve(config.root, SW_SOURCE), "utf-8")
+    .replace("self.__PRECACHE_MANIFEST", JSON.stringify(fileNames.map((fileName) => `${config.base}${fileName}`), null, 2))
+    .replace("self.__SW_VERSION", JSON.stringify(version));
+
+export default function serviceWorker() {
+  let config;
+
+  return {
+    name: "canteen-service-worker",
+    // Run after Vite has emitted index.html and the CSS, so they are precached too
+    enforce: "post",
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+
+    configureServer(server) {
+      // A new version per server start, so restarting dev picks up worker changes
+      const version = `dev-${Date.now()}`;
+      const publicFiles = config.publicDir ? listFiles(config.publicDir).filter(isPrecached) : [];
+
+      server.middlewares.use(`/${SW_FILE}`, (req, res) => {
+        res.setHeader("Content-Type", "application/javascript");
+        res.setHeader("Cache-Control", "no-cache");
+        res.end(renderServiceWorker(config, publicFiles, version));
+      });
+    },
+
+    generateBundle(options, bundle) {
+      const hash = createHash("sha256");
+      const fileNames = [];
+
+      for (const fileName of Object.keys(bundle).sort()) {
+        if (!isPrecached(fileName)) continue;
+        const output = bundle[fileName];
+        fileNames.push(fileName);
+        hash.update(fileName).update(output.type === "chunk" ? output.code : output.source);
+      }
+
+      const publicFiles = config.publicDir ? listFiles(config.publicDir).filter(isPrecached).sort() : [];
+      for (const fileName of publicFiles) {
+        fileNames.push(fileName);
+        hash.update(fileName).update(readFileSync(path.join(config.publicDir, fileName)));
+      }
+
+      this.emitFile({
+        type: "asset",
+        fileName: SW_FILE,
+        source: renderServiceWorker(config, fileNames, hash.digest("hex").slice(0, 12)),
+      });
+    },
+  };
+}
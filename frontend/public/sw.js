@@ -1,40 +0,0 @@
-// Basic service worker for PWA offline shell
-const CACHE_NAME = 'canteen-qr-v1';
-const urlsToCache = [
-  '/',
-  '/static/css/main.css',
-  '/static/js/main.js',
-  '/manifest.json'
-];
-
-self.addEventListener('install', event => {
-  event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => {
-        return cache.addAll(urlsToCache);
-      })
-      .catch(() => {
-        // Fail silently - PWA will work without caching
-        console.log('Service worker cache failed to install');
-      })
-  );
-});
-
-self.addEventListener('fetch', event => {
-  // Only cache GET requests
-  if (event.request.method !== 'GET') {
-    return;
-  }
-
-  event.respondWith(
-    caches.match(event.request)
-      .then(response => {
-        // Return cached version or fetch from network
-        return response || fetch(event.request);
-      })
-      .catch(() => {
-        // Fail gracefully
-        return fetch(event.request);
-      })
-  );
-});
\ No newline at end of file
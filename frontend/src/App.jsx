@@ -1,17 +1,23 @@
 import React from "react";
 import { GoogleOAuthProvider } from '@react-oauth/google';
+import { Provider } from 'react-redux';
 import { AuthProvider } from './context/AuthContext';
+import { store } from './store';
 import Routes from "./Routes";
+import UpdatePrompt from "./components/UpdatePrompt";
 
 function App() {
   const clientId = import.meta.env?.VITE_GOOGLE_CLIENT_ID;
 
   return (
-    <GoogleOAuthProvider clientId={clientId}>
-      <AuthProvider>
-        <Routes />
-      </AuthProvider>
-    </GoogleOAuthProvider>
+    <Provider store={store}>
+      <GoogleOAuthProvider clientId={clientId}>
+        <AuthProvider>
+          <Routes />
+          <UpdatePrompt />
+        </AuthProvider>
+      </GoogleOAuthProvider>
+    </Provider>
   );
 }
 
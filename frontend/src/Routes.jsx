@@ -2,6 +2,7 @@ import React from "react";
 import { BrowserRouter, Routes as RouterRoutes, Route } from "react-router-dom";
 import ScrollToTop from "components/ScrollToTop";
 import ErrorBoundary from "components/ErrorBoundary";
+import StaffRoute from "components/StaffRoute";
 import NotFound from "pages/NotFound";
 import OrderSuccessToken from './pages/order-success-token';
 import CartCheckout from './pages/cart-checkout';
@@ -11,6 +12,7 @@ import OrderHistory from './pages/order-history';
 import StaffVerification from './pages/staff-verification';
 import StaffDashboard from './pages/staff-dashboard';
 import StaffLogin from './pages/staff-login';
+import KitchenDisplay from './pages/kitchen';
 
 const Routes = () => {
   return (
@@ -27,8 +29,9 @@ const Routes = () => {
             <Route path="/menu-landing" element={<MenuLanding />} />
             <Route path="/order-history" element={<OrderHistory />} />
             <Route path="/staff-login" element={<StaffLogin />} />
-            <Route path="/staff-verification" element={<StaffVerification />} />
-            <Route path="/staff-dashboard" element={<StaffDashboard />} />
+            <Route path="/staff-verification" element={<StaffRoute permission="orders:pickup"><StaffVerification /></StaffRoute>} />
+            <Route path="/staff-dashboard" element={<StaffRoute permission="orders:view"><StaffDashboard /></StaffRoute>} />
+            <Route path="/kitchen" element={<StaffRoute permission="orders:view"><KitchenDisplay /></StaffRoute>} />
             <Route path="*" element={<NotFound />} />
           </RouterRoutes>
         </div>
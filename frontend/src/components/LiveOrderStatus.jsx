@@ -0,0 +1,74 @@
+import React from "react";
+import Icon from "./AppIcon";
+
+const STEPS = [
+  { status: 'pending', label: 'Received', icon: 'ClipboardList' },
+  { status: 'preparing', label: 'Preparing', icon: 'ChefHat' },
+  { status: 'ready', label: 'Ready', icon: 'Bell' },
+  { status: 'completed', label: 'Collected', icon: 'CheckCircle2' }
+];
+
+const MESSAGES = {
+  pending: 'Your order is in the queue.',
+  preparing: 'The kitchen is preparing your order.',
+  ready: 'Your order is ready! Show your token at the counter.',
+  completed: 'Order collected. Enjoy your meal!',
+  cancelled: 'This order was cancelled. Your refund is on its way.',
+  refunded: 'This order was cancelled and refunded.'
+};
+
+// Order progress pushed live from the server (see useOrderUpdates)
+const LiveOrderStatus = ({ order }) => {
+  if (!order) {
+    return null;
+  }
+
+  const isCancelled = ['cancelled', 'refunded'].includes(order.status);
+  const currentStep = STEPS.findIndex((step) => step.status === order.status);
+
+  return (
+    <div className="bg-card rounded-lg md:rounded-xl p-4 md:p-6 border border-border shadow-sm space-y-4" aria-live="polite">
+      <div className="flex items-center justify-between">
+        <h3 className="text-base md:text-lg font-semibold text-foreground">Order Status</h3>
+        <span className="flex items-center gap-1.5 text-xs text-muted-foreground">
+          <span className="w-2 h-2 rounded-full bg-success animate-pulse"></span>
+          Live
+        </span>
+      </div>
+
+      {!isCancelled && (
+        <div className="flex items-center justify-between gap-2">
+          {STEPS.map((step, index) => {
+            const reached = index <= currentStep;
+            return (
+              <div key={step.status} className="flex-1 flex flex-col items-center gap-1.5">
+                <div className={`w-10 h-10 rounded-full flex items-center justify-center ${
+                  reached ? 'bg-primary text-primary-foreground' : 'bg-muted text-muted-foreground'
+                }`}>
+                  <Icon name={step.icon} size={20} />
+                </div>
+                <span className={`text-xs md:text-sm ${reached ? 'font-medium text-foreground' : 'text-muted-foreground'}`}>
+                  {step.label}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {order.notice?.event === 'delayed' && ['pending', 'preparing'].includes(order.status) && (
+        <p className="text-sm md:text-base p-3 rounded-lg bg-warning/10 border border-warning/20 text-foreground">
+          ⏳ {order.notice.message}
+        </p>
+      )}
+
+      <p className={`text-sm md:text-base ${
+        isCancelled ? 'text-error' : order.status === 'ready' ? 'font-semibold text-success' : 'text-muted-foreground'
+      }`}>
+        {MESSAGES[order.status]}
+      </p>
+    </div>
+  );
+};
+
+export default LiveOrderStatus;
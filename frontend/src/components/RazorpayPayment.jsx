@@ -5,6 +5,7 @@
 
 import React, { useEffect, useState } from 'react';
 import { usePayment } from '../hooks/useApi';
+import { saveWalletToken } from '../utils/tokenWallet';
 
 // Load Razorpay script dynamically
 const loadRazorpayScript = () => {
@@ -33,7 +34,7 @@ const RazorpayPayment = ({
   className = '',
   autoTrigger = false, // New prop to auto-trigger payment
 }) => {
-  const { paymentConfig, fetchPaymentConfig, createPaymentOrder, verifyPayment, loading } = usePayment();
+  const { paymentConfig, fetchPaymentConfig, createPaymentOrder, verifyPayment, abandonCheckout, loading } = usePayment();
   const [razorpayLoaded, setRazorpayLoaded] = useState(false);
   const [paymentTriggered, setPaymentTriggered] = useState(false);
 
@@ -93,6 +94,10 @@ const RazorpayPayment = ({
         },
         modal: {
           ondismiss: () => {
+            // Let the backend know this checkout will not be paid
+            abandonCheckout(orderId).catch((error) => {
+              console.warn('⚠️ Failed to mark checkout as abandoned:', error.message);
+            });
             onClose?.();
           },
           // Mobile optimizations
@@ -127,20 +132,14 @@ const RazorpayPayment = ({
         handler: async (response) => {
           try {
             // Step 3: Verify payment with backend
+            // The backend builds the order from the cart it priced in Step 1
             const verificationData = {
               razorpay_order_id: response.razorpay_order_id,
               razorpay_payment_id: response.razorpay_payment_id,
               razorpay_signature: response.razorpay_signature,
-              orderData,
             };
 
-            console.log('🔍 Sending payment verification data:', {
-              ...verificationData,
-              orderData: {
-                ...verificationData.orderData,
-                itemCount: verificationData.orderData?.items?.length
-              }
-            });
+            console.log('🔍 Sending payment verification data:', verificationData);
 
             const verificationResponse = await verifyPayment(verificationData);
             
@@ -150,10 +149,13 @@ const RazorpayPayment = ({
               // Store order data in localStorage for order success page
               const orderDetailsForStorage = {
                 ...verificationResponse.data,
-                items: orderData.items // Include cart items
+                items: verificationResponse.data.order?.items // Server-priced items
               };
               localStorage.setItem('order_data', JSON.stringify(orderDetailsForStorage));
-              localStorage.setItem('current_order_id', verificationResponse.data.id);
+              localStorage.setItem('current_order_id', verificationResponse.data.order?.id);
+              // Keep the token and QR on the device for showing it offline
+              await saveWalletToken(verificationResponse.data.order)
+                .catch((walletError) => console.error('⚠️ Failed to save token to wallet:', walletError));
               
               onSuccess?.(verificationResponse.data);
             } else {
@@ -0,0 +1,43 @@
+import React, { useEffect, useState } from 'react';
+import { outletsAPI, getStaffSession, getStaffOutlet, setStaffOutlet } from '../services/api';
+
+// Outlet picker for staff who work across outlets; staff assigned to one outlet never see it.
+// onChange receives the picked outlet ID ('' for every outlet) after it has been saved.
+const StaffOutletSelect = ({ onChange, className = '' }) => {
+  const [outlets, setOutlets] = useState([]);
+  const [outletId, setOutletId] = useState(getStaffOutlet());
+  const isAssigned = !!getStaffSession()?.user?.outletId;
+
+  useEffect(() => {
+    if (isAssigned) return;
+    outletsAPI.getOutlets()
+      .then((result) => setOutlets(result.data.outlets || []))
+      .catch((err) => console.error('Failed to fetch outlets:', err));
+  }, [isAssigned]);
+
+  if (isAssigned || outlets.length < 2) {
+    return null;
+  }
+
+  const select = (value) => {
+    setStaffOutlet(value);
+    setOutletId(value);
+    onChange?.(value);
+  };
+
+  return (
+    <select
+      value={outletId}
+      onChange={(e) => select(e.target.value)}
+      aria-label="Outlet"
+      className={`min-h-[44px] px-3 rounded-lg border bg-card text-foreground text-base ${className}`}
+    >
+      <option value="">All outlets</option>
+      {outlets.map((outlet) => (
+        <option key={outlet.id} value={outlet.id}>{outlet.name}</option>
+      ))}
+    </select>
+  );
+};
+
+export default StaffOutletSelect;
@@ -0,0 +1,40 @@
+import React from "react";
+import { Navigate, useLocation, useNavigate } from "react-router-dom";
+import { getStaffSession } from "../services/api";
+import Header from "./navigation/Header";
+import Button from "./ui/Button";
+
+// Staff-only page: sends signed-out visitors to the staff login and blocks roles without the permission
+const StaffRoute = ({ permission, children }) => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const session = getStaffSession();
+
+  if (!session) {
+    return <Navigate to="/staff-login" replace state={{ from: location.pathname }} />;
+  }
+
+  if (permission && !session.user?.permissions?.includes(permission)) {
+    return (
+      <div className="min-h-screen bg-background">
+        <Header hasActiveToken={false} />
+        <main className="pt-[120px] pb-8 px-4">
+          <div className="max-w-md mx-auto text-center space-y-4">
+            <div className="text-4xl">🔒</div>
+            <h1 className="text-xl font-semibold text-foreground">Not available for your role</h1>
+            <p className="text-muted-foreground">
+              Signed in as {session.user.name} ({session.user.role}). Ask a manager if you need access.
+            </p>
+            <Button variant="outline" onClick={() => navigate('/staff-login')}>
+              Back to Staff Portal
+            </Button>
+          </div>
+        </main>
+      </div>
+    );
+  }
+
+  return children;
+};
+
+export default StaffRoute;
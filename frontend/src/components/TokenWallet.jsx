@@ -0,0 +1,76 @@
+import React from "react";
+import Icon from "./AppIcon";
+import { formatPickupDay, formatPickupTime } from "../utils/pickup";
+
+const STATUS_LABELS = {
+  pending: 'In queue',
+  preparing: 'Preparing',
+  ready: 'Ready for pickup'
+};
+
+const formatSyncedAt = (syncedAt) =>
+  new Date(syncedAt).toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour: '2-digit', minute: '2-digit', hour12: true });
+
+// Tokens saved on this device (see useTokenWallet), with their pickup QR codes; works offline
+const TokenWallet = ({ wallet, excludeOrderId = null, title = 'Your Tokens' }) => {
+  const tokens = wallet.tokens.filter((entry) => entry.orderId !== excludeOrderId);
+
+  if (!wallet.loaded || tokens.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="space-y-3 md:space-y-4" aria-label={title}>
+      <div className="flex items-center justify-between gap-3">
+        <h2 className="text-lg md:text-xl font-semibold text-foreground flex items-center gap-2">
+          <Icon name="Wallet" size={22} color="var(--color-primary)" />
+          {title}
+        </h2>
+        <span className="text-xs md:text-sm text-muted-foreground text-right">
+          {wallet.isOffline
+            ? 'Offline - saved on this device'
+            : wallet.syncing
+              ? 'Syncing...'
+              : wallet.syncedAt && `Updated ${formatSyncedAt(wallet.syncedAt)}`}
+        </span>
+      </div>
+
+      {tokens.map((entry) => (
+        <div key={entry.orderId} className="bg-card rounded-lg md:rounded-xl p-4 md:p-6 border border-border shadow-sm">
+          <div className="flex items-center gap-4 md:gap-6">
+            {entry.qrCodeUrl ? (
+              <img
+                src={entry.qrCodeUrl}
+                alt={`Pickup QR code for token ${entry.token}`}
+                className="w-28 h-28 md:w-36 md:h-36 border border-gray-200 rounded-lg flex-shrink-0"
+              />
+            ) : (
+              <div className="w-28 h-28 md:w-36 md:h-36 rounded-lg bg-muted flex items-center justify-center flex-shrink-0">
+                <Icon name="QrCode" size={32} color="var(--color-muted-foreground)" />
+              </div>
+            )}
+            <div className="flex-1 min-w-0 space-y-1">
+              <p className="text-3xl md:text-4xl font-bold text-primary tracking-wider">{entry.token}</p>
+              <p className={`text-sm md:text-base ${entry.status === 'ready' ? 'font-semibold text-success' : 'text-muted-foreground'}`}>
+                {STATUS_LABELS[entry.status] || entry.status}
+              </p>
+              <p className="text-sm text-muted-foreground">
+                {entry.pickupAt
+                  ? `Pickup ${formatPickupTime(entry.pickupAt)}`
+                  : `${formatPickupDay(entry.createdAt)} · ${entry.items.length} item${entry.items.length === 1 ? '' : 's'} · ₹${entry.totalAmount}`}
+              </p>
+            </div>
+          </div>
+        </div>
+      ))}
+
+      {wallet.isOffline && (
+        <p className="text-xs md:text-sm text-muted-foreground">
+          Statuses may be out of date until you're back online. The QR codes still work at the counter.
+        </p>
+      )}
+    </section>
+  );
+};
+
+export default TokenWallet;
@@ -0,0 +1,46 @@
+import React, { useEffect, useState } from 'react';
+import Icon from './AppIcon';
+import Button from './ui/Button';
+import { registerServiceWorker, applyServiceWorkerUpdate } from '../utils/serviceWorker';
+
+// Registers the service worker and offers to reload when a new version is deployed
+const UpdatePrompt = () => {
+  const [registration, setRegistration] = useState(null);
+  const [dismissed, setDismissed] = useState(false);
+  const [updating, setUpdating] = useState(false);
+
+  useEffect(() => {
+    registerServiceWorker({ onUpdate: setRegistration });
+  }, []);
+
+  if (!registration || dismissed) {
+    return null;
+  }
+
+  const handleUpdate = () => {
+    setUpdating(true);
+    applyServiceWorkerUpdate(registration);
+  };
+
+  return (
+    <div className="fixed bottom-20 md:bottom-6 left-4 right-4 md:left-auto md:right-6 md:w-96 z-50 bg-card border border-border rounded-lg shadow-lg p-4" role="status">
+      <div className="flex items-start gap-3">
+        <Icon name="RefreshCw" size={20} color="var(--color-primary)" className="flex-shrink-0 mt-0.5" />
+        <div className="flex-1">
+          <p className="text-sm md:text-base font-semibold text-foreground">Update available</p>
+          <p className="text-sm text-muted-foreground">A new version of the app is ready. Reload to use it.</p>
+          <div className="flex gap-2 mt-3">
+            <Button size="sm" onClick={handleUpdate} loading={updating}>
+              Reload
+            </Button>
+            <Button size="sm" variant="ghost" onClick={() => setDismissed(true)} disabled={updating}>
+              Later
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UpdatePrompt;
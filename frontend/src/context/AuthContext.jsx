@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import Cookies from 'js-cookie';
 import api from '../services/api';
+import { clearTokenWallet } from '../utils/tokenWallet';
 
 const AuthContext = createContext(null);
 
@@ -267,6 +268,8 @@ export const AuthProvider = ({ children }) => {
       // Clear local state regardless of API call success
       clearAuthData();
       localStorage.removeItem('order_reference');
+      // Tokens on a shared device must not outlive the session
+      clearTokenWallet().catch((error) => console.error('⚠️ Failed to clear token wallet:', error));
     }
   };
 
@@ -3,8 +3,9 @@
  * Custom hooks for managing API state and operations
  */
 
-import { useState, useEffect, useCallback } from 'react';
-import api, { authAPI, orderAPI, tokenAPI, utilityAPI } from '../services/api';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import api, { authAPI, orderAPI, tokenAPI, utilityAPI, eventsAPI } from '../services/api';
+import { getWalletTokens, syncTokenWallet, getWalletSyncedAt } from '../utils/tokenWallet';
 
 // Custom hook for API calls with loading states
 export const useApiCall = () => {
@@ -170,6 +171,10 @@ export const usePayment = () => {
     return await apiCall(api.payment.verifyPayment, paymentData);
   }, [apiCall]);
 
+  const abandonCheckout = useCallback(async (razorpayOrderId) => {
+    return await api.payment.abandonCheckout(razorpayOrderId);
+  }, []);
+
   return {
     paymentConfig,
     loading,
@@ -177,6 +182,7 @@ export const usePayment = () => {
     fetchPaymentConfig,
     createPaymentOrder,
     verifyPayment,
+    abandonCheckout,
   };
 };
 
@@ -215,6 +221,124 @@ export const useTokenLookup = () => {
   };
 };
 
+// Statuses an order never leaves, so there is nothing left to listen for
+const FINAL_ORDER_STATUSES = ['completed', 'refunded'];
+
+// Live status for one order. Returns the latest { id, token, status, refundStatus, updatedAt }
+// pushed by the server, plus the last notification as notice ({ event, title, message, at }),
+// or null until the stream connects.
+export const useOrderUpdates = (orderId) => {
+  const [liveOrder, setLiveOrder] = useState(null);
+
+  useEffect(() => {
+    if (!orderId) return undefined;
+
+    let unsubscribe = null;
+    const handleOrder = ({ order }) => {
+      setLiveOrder((current) => ({ ...order, notice: current?.notice || null }));
+      if (FINAL_ORDER_STATUSES.includes(order.status)) {
+        unsubscribe?.();
+      }
+    };
+
+    unsubscribe = eventsAPI.subscribeToOrder(orderId, {
+      'order.snapshot': handleOrder,
+      'order.status_changed': handleOrder,
+      'order.notification': (notice) => {
+        setLiveOrder((current) => current && { ...current, notice });
+      },
+    });
+
+    return () => unsubscribe();
+  }, [orderId]);
+
+  return liveOrder;
+};
+
+// Staff feed of every order event. onEvent(type, payload) receives 'ready' on each
+// (re)connect, so callers can reload anything they may have missed. Changing outletId
+// reopens the feed for that outlet.
+export const useStaffOrderEvents = (onEvent, enabled = true, outletId = '') => {
+  const onEventRef = useRef(onEvent);
+  onEventRef.current = onEvent;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const forward = (type) => (payload) => onEventRef.current(type, payload);
+
+    return eventsAPI.subscribeToStaffEvents({
+      ready: forward('ready'),
+      'order.created': forward('order.created'),
+      'order.status_changed': forward('order.status_changed'),
+      'order.updated': forward('order.updated'),
+    });
+  }, [enabled, outletId]);
+};
+
+// Tokens in the offline wallet. Reads IndexedDB first, so it works without a connection,
+// then syncs with the server for signed-in students on mount and whenever the network returns.
+export const useTokenWallet = (isAuthenticated) => {
+  const [tokens, setTokens] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const [syncedAt, setSyncedAt] = useState(getWalletSyncedAt);
+  const [isOffline, setIsOffline] = useState(() => !navigator.onLine);
+
+  const reload = useCallback(async () => {
+    try {
+      setTokens(await getWalletTokens());
+    } catch (err) {
+      console.error('Token wallet unavailable:', err);
+    } finally {
+      setLoaded(true);
+    }
+  }, []);
+
+  const sync = useCallback(async () => {
+    if (!isAuthenticated || !navigator.onLine) {
+      return;
+    }
+
+    setSyncing(true);
+    try {
+      setSyncedAt(await syncTokenWallet());
+    } catch (err) {
+      console.error('Token wallet sync failed:', err);
+    } finally {
+      setSyncing(false);
+      await reload();
+    }
+  }, [isAuthenticated, reload]);
+
+  useEffect(() => {
+    reload().then(sync);
+  }, [reload, sync]);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOffline(false);
+      sync();
+    };
+    const handleOffline = () => setIsOffline(true);
+    // Drops tokens that expired while the page sat in the background
+    const handleVisible = () => {
+      if (document.visibilityState === 'visible') reload();
+    };
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    document.addEventListener('visibilitychange', handleVisible);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      document.removeEventListener('visibilitychange', handleVisible);
+    };
+  }, [reload, sync]);
+
+  return { tokens, loaded, syncing, syncedAt, isOffline, reload, sync };
+};
+
 // Health monitoring hook
 export const useHealth = () => {
   const [healthStatus, setHealthStatus] = useState(null);
@@ -257,5 +381,8 @@ export default {
   useOrders,
   usePayment,
   useTokenLookup,
+  useOrderUpdates,
+  useStaffOrderEvents,
+  useTokenWallet,
   useHealth,
 };
\ No newline at end of file
@@ -0,0 +1,41 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+
+// Items the current menu removed from the cart or repriced since they were added
+const CartChanges = ({ changes, onDismiss }) => {
+  if (!changes?.length) return null;
+
+  return (
+    <div className="bg-warning/10 border border-warning/30 rounded-lg p-4 md:p-5" role="alert">
+      <div className="flex items-start gap-3">
+        <Icon name="AlertCircle" size={20} className="text-warning flex-shrink-0 mt-0.5" />
+        <div className="flex-1 min-w-0">
+          <h3 className="font-heading font-semibold text-foreground text-base md:text-lg mb-2">
+            The menu changed since you added these items
+          </h3>
+          <ul className="space-y-1 text-sm md:text-base text-muted-foreground">
+            {changes.map((change) => (
+              <li key={change.id}>
+                {change.type === 'price' ? (
+                  <>
+                    <span className="font-medium text-foreground">{change.name}</span> now costs ₹{change.to?.toLocaleString('en-IN')} (was ₹{change.from?.toLocaleString('en-IN')})
+                  </>
+                ) : (
+                  <>
+                    <span className="font-medium text-foreground">{change.name}</span> is no longer available and was removed
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+          <Button variant="outline" size="sm" onClick={onDismiss} className="mt-3">
+            OK, continue with updated cart
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CartChanges;
@@ -2,7 +2,7 @@ import React from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
 
-const CartItem = ({ item, onUpdateQuantity, onRemove }) => {
+const CartItem = ({ item, onUpdateQuantity, onUpdateNotes, onRemove }) => {
   const handleIncrement = () => {
     onUpdateQuantity(item?.id, item?.quantity + 1);
   };
@@ -65,6 +65,16 @@ const CartItem = ({ item, onUpdateQuantity, onRemove }) => {
               Remove
             </Button>
           </div>
+
+          <input
+            type="text"
+            value={item?.notes || ''}
+            onChange={(e) => onUpdateNotes(item?.id, e?.target?.value)}
+            placeholder="Note for the kitchen, e.g. less spicy"
+            maxLength={100}
+            aria-label={`Note for ${item?.name}`}
+            className="mt-3 w-full h-10 px-3 rounded-md border border-input bg-background text-base placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring" // 16px font prevents iOS zoom
+          />
         </div>
 
         <div className="text-right">
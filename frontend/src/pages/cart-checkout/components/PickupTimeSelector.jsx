@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import { formatPickupDay } from '../../../utils/pickup';
+
+// Slots running low show how many orders they can still take
+const LOW_REMAINING = 3;
+
+const slotAvailability = (slot) => {
+  if (slot.isFull) return 'Full';
+  const left = slot.remaining?.orders;
+  return left != null && left <= LOW_REMAINING ? `${left} left` : '\u00a0';
+};
+
+// value is the chosen slot's startsAt, or '' to collect as soon as possible
+const PickupTimeSelector = ({ slots, value, onChange, error }) => {
+  const [isScheduling, setIsScheduling] = useState(!!value);
+
+  const days = [...new Set(slots.map((slot) => slot.date))];
+  const selectedDay = slots.find((slot) => slot.startsAt === value)?.date;
+  const [activeDay, setActiveDay] = useState(selectedDay || days[0]);
+  const visibleDay = days.includes(activeDay) ? activeDay : days[0];
+
+  const chooseAsap = () => {
+    setIsScheduling(false);
+    onChange('');
+  };
+
+  const optionClass = (selected) => `flex-1 flex items-center gap-3 p-4 rounded-lg border-2 text-left transition-colors ${
+    selected ? 'border-primary bg-primary/5' : 'border-border hover:border-primary/50'
+  }`;
+
+  return (
+    <div className="bg-card rounded-lg p-4 md:p-5 lg:p-6 shadow-md border border-border">
+      <h2 className="font-heading font-semibold text-foreground text-xl md:text-2xl mb-4 md:mb-5">
+        Pickup Time
+      </h2>
+
+      <div className="flex flex-col sm:flex-row gap-3">
+        <button type="button" onClick={chooseAsap} className={optionClass(!isScheduling)}>
+          <Icon name="Zap" size={20} color="var(--color-primary)" />
+          <div>
+            <p className="font-medium text-foreground text-sm md:text-base">As soon as possible</p>
+            <p className="text-xs md:text-sm text-muted-foreground">We start cooking right away</p>
+          </div>
+        </button>
+
+        <button
+          type="button"
+          onClick={() => setIsScheduling(true)}
+          disabled={slots.length === 0}
+          className={`${optionClass(isScheduling)} disabled:opacity-50 disabled:cursor-not-allowed`}
+        >
+          <Icon name="CalendarClock" size={20} color="var(--color-primary)" />
+          <div>
+            <p className="font-medium text-foreground text-sm md:text-base">Schedule for later</p>
+            <p className="text-xs md:text-sm text-muted-foreground">
+              {slots.length === 0 ? 'No slots available right now' : 'Pick a slot, collect it fresh'}
+            </p>
+          </div>
+        </button>
+      </div>
+
+      {isScheduling && slots.length > 0 && (
+        <div className="mt-4 space-y-3">
+          {days.length > 1 && (
+            <div className="flex gap-2">
+              {days.map((day) => (
+                <button
+                  key={day}
+                  type="button"
+                  onClick={() => setActiveDay(day)}
+                  className={`px-3 py-1.5 rounded-full text-sm font-medium ${
+                    day === visibleDay ? 'bg-primary text-primary-foreground' : 'bg-muted text-muted-foreground'
+                  }`}
+                >
+                  {formatPickupDay(`${day}T12:00:00+05:30`)}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="grid grid-cols-3 sm:grid-cols-4 md:grid-cols-6 gap-2">
+            {slots.filter((slot) => slot.date === visibleDay).map((slot) => (
+              <button
+                key={slot.startsAt}
+                type="button"
+                onClick={() => onChange(slot.startsAt)}
+                disabled={slot.isFull}
+                className={`py-2 rounded-lg border text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed ${
+                  slot.startsAt === value
+                    ? 'border-primary bg-primary text-primary-foreground'
+                    : 'border-border text-foreground hover:border-primary'
+                }`}
+              >
+                {slot.label}
+                <span className="block text-xs font-normal">{slotAvailability(slot)}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <p className="mt-3 text-sm text-error">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default PickupTimeSelector;
@@ -80,6 +80,21 @@ const StudentDetailsForm = ({ formData, errors, onChange }) => {
             />
           </>
         )}
+
+        <div className="space-y-2">
+          <label htmlFor="specialInstructions" className="text-sm font-medium leading-none text-foreground">
+            Special Instructions
+          </label>
+          <textarea
+            id="specialInstructions"
+            value={formData?.specialInstructions}
+            onChange={(e) => onChange('specialInstructions', e?.target?.value)}
+            placeholder="Anything the kitchen should know about this order"
+            maxLength={500}
+            className="w-full h-24 px-4 py-3 rounded-md border border-input bg-background text-base resize-none placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring" // 16px font prevents iOS zoom
+          />
+          <p className="text-sm text-muted-foreground">Optional</p>
+        </div>
       </div>
     </div>
   );
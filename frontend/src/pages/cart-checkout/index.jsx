@@ -7,86 +7,57 @@ import CartItem from './components/CartItem';
 import OrderSummary from './components/OrderSummary';
 import StudentDetailsForm from './components/StudentDetailsForm';
 import PaymentSection from './components/PaymentSection';
+import PickupTimeSelector from './components/PickupTimeSelector';
 import EmptyCart from './components/EmptyCart';
+import CartChanges from './components/CartChanges';
 import LoginModal from '../../components/modals/LoginModal';
 import RazorpayPayment from '../../components/RazorpayPayment';
+import { slotsAPI } from '../../services/api';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  clearCart,
+  dismissCartChanges,
+  removeItem,
+  selectCartChanges,
+  selectCartItems,
+  selectCartOutletId,
+  setItemNotes,
+  setItemQuantity,
+  validateCart,
+} from '../../store/cartSlice';
 
 const CartCheckout = () => {
   const navigate = useNavigate();
   const { isAuthenticated, user, login } = useAuth();
   const [showLoginModal, setShowLoginModal] = useState(false);
   const [showPayment, setShowPayment] = useState(false);
-  const [cartItems, setCartItems] = useState([
-    {
-      id: "1",
-      name: 'Masala Dosa',
-      price: 60,
-      quantity: 2
-    },
-    {
-      id: "2", 
-      name: 'Idli Sambar',
-      price: 40,
-      quantity: 1
-    },
-    {
-      id: "3",
-      name: 'Vada Pav',
-      price: 25,
-      quantity: 3
-    }
-  ]);
+  const dispatch = useDispatch();
+  const cartItems = useSelector(selectCartItems);
+  const cartChanges = useSelector(selectCartChanges);
+  // Outlet picked on the menu page; the whole cart is ordered from it
+  const outletId = useSelector(selectCartOutletId);
 
   const [formData, setFormData] = useState({
     name: '',
-    phone: ''
+    phone: '',
+    specialInstructions: '',
+    pickupAt: '' // Empty for as soon as possible
   });
 
   const [errors, setErrors] = useState({
     name: '',
-    phone: ''
+    phone: '',
+    pickupAt: ''
   });
 
+  const [pickupSlots, setPickupSlots] = useState([]);
+
   const [isProcessing, setIsProcessing] = useState(false);
 
-  // Mock menu data (same as in menu-landing page)
-  const mockMenuData = [
-    { id: 1, name: "Masala Dosa", price: 45, category: "South Indian" },
-    { id: 2, name: "Paneer Butter Masala", price: 85, category: "Main Course" },
-    { id: 3, name: "Veg Biryani", price: 70, category: "Rice & Biryani" },
-    { id: 4, name: "Samosa (2 pcs)", price: 20, category: "Snacks" },
-    { id: 5, name: "Chole Bhature", price: 60, category: "North Indian" },
-    { id: 6, name: "Idli Sambar (3 pcs)", price: 35, category: "South Indian" },
-    { id: 7, name: "Veg Fried Rice", price: 65, category: "Rice & Biryani" },
-    { id: 8, name: "Dal Tadka", price: 40, category: "Dal & Curry" },
-    { id: 9, name: "Aloo Paratha", price: 30, category: "North Indian" },
-    { id: 10, name: "Veg Sandwich", price: 25, category: "Snacks" }
-  ];
-
-  // Load cart from localStorage
+  // Bring a saved cart up to date with the current menu before it is reviewed
   useEffect(() => {
-    const savedCart = localStorage.getItem('canteen_cart');
-    if (savedCart) {
-      try {
-        const cartData = JSON.parse(savedCart);
-        // Convert cart object to array format with actual menu item details
-        const items = Object.entries(cartData)?.map(([id, quantity]) => {
-          const menuItem = mockMenuData.find(item => item.id === parseInt(id));
-          return {
-            id: String(id),
-            name: menuItem?.name || `Item ${id}`, // Use actual menu item name
-            price: menuItem?.price || 50, // Use actual menu item price
-            quantity: Number(quantity)
-          };
-        });
-        if (items?.length > 0) {
-          setCartItems(items);
-        }
-      } catch (error) {
-        console.error('Failed to parse cart:', error);
-      }
-    }
-  }, []);
+    dispatch(validateCart());
+  }, [dispatch]);
 
   useEffect(() => {
     if (isAuthenticated && user) {
@@ -105,16 +76,30 @@ const CartCheckout = () => {
     window.scrollTo(0, 0);
   }, []);
 
+  const fetchPickupSlots = async () => {
+    try {
+      const result = await slotsAPI.getSlots(outletId);
+      setPickupSlots(result.data.slots || []);
+    } catch (error) {
+      console.error('Failed to load pickup slots:', error);
+    }
+  };
+
+  // Each outlet has its own slot capacity
+  useEffect(() => {
+    fetchPickupSlots();
+  }, [outletId]);
+
   const handleUpdateQuantity = (itemId, newQuantity) => {
-    setCartItems(prevItems =>
-      prevItems?.map(item =>
-        item?.id === itemId ? { ...item, quantity: newQuantity } : item
-      )
-    );
+    dispatch(setItemQuantity({ item: { id: itemId }, quantity: newQuantity }));
+  };
+
+  const handleUpdateNotes = (itemId, notes) => {
+    dispatch(setItemNotes({ id: itemId, notes }));
   };
 
   const handleRemoveItem = (itemId) => {
-    setCartItems(prevItems => prevItems?.filter(item => item?.id !== itemId));
+    dispatch(removeItem(itemId));
   };
 
   const handleFormChange = (field, value) => {
@@ -167,6 +152,17 @@ const CartCheckout = () => {
 
     // Show loading state and trigger payment
     setIsProcessing(true);
+
+    // Prices and availability may have changed since the cart was filled: show what
+    // changed and let the student pay for the updated cart. If the menu cannot be
+    // reached, the server still prices the order and rejects unavailable items.
+    const validation = await dispatch(validateCart());
+    if (validateCart.fulfilled.match(validation) && validation.payload.length > 0) {
+      setIsProcessing(false);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+      return;
+    }
+
     setShowPayment(true);
   };
 
@@ -182,7 +178,7 @@ const CartCheckout = () => {
     localStorage.setItem('payment_id', paymentData.razorpay_payment_id);
     
     // Clear cart after successful payment
-    localStorage.removeItem('canteen_cart');
+    dispatch(clearCart());
     
     // Navigate to success page and clear states
     setShowPayment(false);
@@ -194,7 +190,12 @@ const CartCheckout = () => {
     console.error('❌ Payment failed:', error);
     setShowPayment(false);
     setIsProcessing(false);
-    // You can show an error message here
+
+    // The chosen slot may have gone while paying
+    if (formData.pickupAt) {
+      setErrors(prev => ({ ...prev, pickupAt: error?.message || 'Could not book this pickup slot' }));
+      fetchPickupSlots();
+    }
   };
 
   const calculateTotal = () => {
@@ -207,9 +208,13 @@ const CartCheckout = () => {
         id: String(item.id), // Ensure ID is string
         name: item.name,
         price: Number(item.price),
-        quantity: Number(item.quantity)
+        quantity: Number(item.quantity),
+        ...(item.notes?.trim() && { notes: item.notes.trim() })
       })),
-      phone: formData.phone // Phone as direct field, not nested
+      phone: formData.phone, // Phone as direct field, not nested
+      ...(formData.specialInstructions?.trim() && { specialInstructions: formData.specialInstructions.trim() }),
+      ...(formData.pickupAt && { pickupAt: formData.pickupAt }),
+      ...(outletId && { outletId })
     };
     
     console.log('📦 Prepared order data:', orderData);
@@ -229,6 +234,11 @@ const CartCheckout = () => {
         <Header />
         <ProgressIndicator />
         <main className="pt-[60px] md:pt-[80px]">
+          {cartChanges.length > 0 && (
+            <div className="max-w-md mx-auto px-4 pt-[60px]">
+              <CartChanges changes={cartChanges} onDismiss={() => dispatch(dismissCartChanges())} />
+            </div>
+          )}
           <EmptyCart />
         </main>
       </div>
@@ -252,12 +262,15 @@ const CartCheckout = () => {
 
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 md:gap-8 lg:gap-10">
             <div className="lg:col-span-2 space-y-4 md:space-y-5 lg:space-y-6">
+              <CartChanges changes={cartChanges} onDismiss={() => dispatch(dismissCartChanges())} />
+
               <div className="space-y-3 md:space-y-4">
                 {cartItems?.map(item => (
                   <CartItem
                     key={item?.id}
                     item={item}
                     onUpdateQuantity={handleUpdateQuantity}
+                    onUpdateNotes={handleUpdateNotes}
                     onRemove={handleRemoveItem}
                   />
                 ))}
@@ -268,6 +281,13 @@ const CartCheckout = () => {
                 errors={errors}
                 onChange={handleFormChange}
               />
+
+              <PickupTimeSelector
+                slots={pickupSlots}
+                value={formData.pickupAt}
+                onChange={(value) => handleFormChange('pickupAt', value)}
+                error={errors.pickupAt}
+              />
             </div>
 
             <div className="lg:col-span-1 space-y-4 md:space-y-5 lg:space-y-6">
@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { Helmet } from 'react-helmet';
 import { useAuth } from '../../context/AuthContext';
 import { tokenAPI } from '../../services/api';
+import { useOrderUpdates, useTokenWallet } from '../../hooks/useApi';
 import Header from '../../components/navigation/Header';
 import ProgressIndicator from '../../components/navigation/ProgressIndicator';
 import PhoneInputForm from './components/PhoneInputForm';
@@ -9,6 +10,8 @@ import TokenDisplay from './components/TokenDisplay';
 import ErrorMessage from './components/ErrorMessage';
 import InstructionCard from './components/InstructionCard';
 import Icon from '../../components/AppIcon';
+import LiveOrderStatus from '../../components/LiveOrderStatus';
+import TokenWallet from '../../components/TokenWallet';
 
 const FindMyToken = () => {
   const { user, isAuthenticated } = useAuth();
@@ -16,6 +19,8 @@ const FindMyToken = () => {
   const [tokenData, setTokenData] = useState(null);
   const [error, setError] = useState('');
   const [searchMethod, setSearchMethod] = useState('phone');
+  const liveOrder = useOrderUpdates(tokenData?.orderId);
+  const wallet = useTokenWallet(isAuthenticated);
 
   const handlePhoneSubmit = async (phoneNumber) => {
     setLoading(true);
@@ -28,6 +33,7 @@ const FindMyToken = () => {
       if (response.success && response.data?.order) {
         const order = response.data.order;
         setTokenData({
+          orderId: order.id,
           token: order.token,
           orderDetails: {
             time: new Date(order.createdAt).toLocaleString('en-IN', {
@@ -71,6 +77,7 @@ const FindMyToken = () => {
       if (response.success && response.data?.order) {
         const order = response.data.order;
         setTokenData({
+          orderId: order.id,
           token: order.token,
           orderDetails: {
             time: new Date(order.createdAt).toLocaleString('en-IN', {
@@ -133,6 +140,8 @@ const FindMyToken = () => {
                 </p>
               </div>
 
+              <TokenWallet wallet={wallet} title="Saved On This Device" />
+
               <div className="bg-card rounded-lg p-6 md:p-8 lg:p-10 shadow-md border border-border">
                 {isAuthenticated && (
                   <div className="flex gap-2 mb-6">
@@ -170,6 +179,10 @@ const FindMyToken = () => {
                 />
               )}
 
+              {tokenData && (
+                <LiveOrderStatus order={liveOrder} />
+              )}
+
               {error && (
                 <ErrorMessage message={error} />
               )}
@@ -0,0 +1,136 @@
+import React from 'react';
+import { getItemStatus, getItemStation } from '../../../utils/orderItems';
+import { formatPickupTime } from '../../../utils/pickup';
+
+// Minutes after which a ticket is flagged as running late
+const WARN_AFTER_MINUTES = 10;
+const LATE_AFTER_MINUTES = 20;
+
+const BUMP_LABELS = {
+  pending: '▶ Start',
+  preparing: '✅ Ready',
+  ready: '🤝 Collected'
+};
+
+const ITEM_STATUS_STYLES = {
+  pending: 'bg-muted text-muted-foreground',
+  preparing: 'bg-blue-100 text-blue-800',
+  ready: 'bg-green-100 text-green-800'
+};
+
+const NEXT_ITEM_STATUS = {
+  pending: { status: 'preparing', label: 'Start' },
+  preparing: { status: 'ready', label: 'Ready' }
+};
+
+// How much later a ticket gets when the kitchen says it is running late
+const DELAY_MINUTES = 10;
+
+const formatElapsed = (minutes) => {
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+// station limits the card to that station's lines and lets staff mark each line;
+// onDelay tells the student the order is running late (delayedBy is the last delay sent)
+const TicketCard = ({ order, now, onBump, isBumping, canBump, station, onItemStatus, updatingItems, onDelay, delayedBy }) => {
+  // Ready tickets age from when they became ready, the rest from when they reached the kitchen
+  const since = order.status === 'ready' ? order.updated_at : order.release_at || order.created_at;
+  const elapsedMinutes = Math.max(0, Math.floor((now - new Date(since).getTime()) / 60000));
+
+  const ageColor = elapsedMinutes >= LATE_AFTER_MINUTES
+    ? 'bg-red-100 text-red-800 border-red-300'
+    : elapsedMinutes >= WARN_AFTER_MINUTES
+      ? 'bg-yellow-100 text-yellow-800 border-yellow-300'
+      : 'bg-muted text-muted-foreground border-border';
+
+  const lines = station
+    ? (order.items || []).filter((item) => getItemStation(item) === station)
+    : order.items || [];
+  const otherLines = (order.items?.length || 0) - lines.length;
+  const canMarkLines = station && canBump && ['pending', 'preparing'].includes(order.status);
+
+  return (
+    <div className="bg-card rounded-xl border-2 border-border shadow-sm flex flex-col">
+      <div className="flex items-center justify-between gap-3 p-4 border-b">
+        <div>
+          <span className="text-3xl font-bold text-primary tracking-wide">{order.token}</span>
+          {order.pickup_at && (
+            <p className="text-sm font-semibold text-purple-700">🕒 Pickup {formatPickupTime(order.pickup_at)}</p>
+          )}
+        </div>
+        <span className={`px-3 py-1 rounded-full border text-sm font-semibold ${ageColor}`}>
+          ⏱ {formatElapsed(elapsedMinutes)}
+        </span>
+      </div>
+
+      <ul className="p-4 space-y-2 flex-1">
+        {lines.map((item, index) => {
+          const itemStatus = getItemStatus(item, order);
+          const next = NEXT_ITEM_STATUS[itemStatus];
+          const isUpdating = updatingItems?.[`${order.id}:${item.id}`];
+
+          return (
+            <li key={`${item.id}-${index}`} className="text-lg">
+              <div className="flex items-center gap-3">
+                <span className="min-w-[2.5rem] text-2xl font-bold text-foreground">{item.quantity}×</span>
+                <span className="flex-1 font-medium text-foreground">{item.name}</span>
+                {canMarkLines && next ? (
+                  <button
+                    onClick={() => onItemStatus(order, item, next.status)}
+                    disabled={isUpdating}
+                    className="min-h-[48px] min-w-[88px] px-4 rounded-lg border-2 border-primary text-primary text-base font-semibold active:scale-[0.98] disabled:opacity-50"
+                  >
+                    {isUpdating ? '…' : next.label}
+                  </button>
+                ) : (
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${ITEM_STATUS_STYLES[itemStatus]}`}>
+                    {itemStatus}
+                  </span>
+                )}
+              </div>
+              {item.notes && (
+                <p className="ml-[3.25rem] text-base text-orange-700">↳ {item.notes}</p>
+              )}
+            </li>
+          );
+        })}
+        {otherLines > 0 && (
+          <li className="text-sm text-muted-foreground">+ {otherLines} item(s) from other stations</li>
+        )}
+      </ul>
+
+      {order.special_instructions && (
+        <div className="mx-4 mb-4 p-3 rounded-lg bg-orange-50 border border-orange-200 text-orange-800 text-base">
+          📝 {order.special_instructions}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between gap-3 px-4 pb-4 text-sm text-muted-foreground">
+        <span className="truncate">{order.user_name}</span>
+        {canBump && ['pending', 'preparing'].includes(order.status) && (
+          <button
+            onClick={() => onDelay(order, DELAY_MINUTES)}
+            className="min-h-[40px] px-3 rounded-lg border border-yellow-400 text-yellow-800 font-medium whitespace-nowrap active:scale-[0.98]"
+          >
+            {delayedBy ? `⏳ Told +${delayedBy} min` : `⏳ +${DELAY_MINUTES} min`}
+          </button>
+        )}
+      </div>
+
+      {/* Station views move lines, not whole tickets, until the order is ready */}
+      {canBump && (!station || order.status === 'ready') && (
+        <button
+          onClick={() => onBump(order)}
+          disabled={isBumping}
+          className="m-4 mt-0 min-h-[64px] rounded-lg bg-primary text-primary-foreground text-xl font-semibold active:scale-[0.98] transition-transform disabled:opacity-50"
+        >
+          {isBumping ? 'Updating…' : BUMP_LABELS[order.status]}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TicketCard;
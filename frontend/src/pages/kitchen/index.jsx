@@ -0,0 +1,236 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { vendorAPI, getStaffSession, getStaffOutlet } from '../../services/api';
+import { useStaffOrderEvents } from '../../hooks/useApi';
+import StaffOutletSelect from '../../components/StaffOutletSelect';
+import { getItemStation } from '../../utils/orderItems';
+import { isReleasedToKitchen } from '../../utils/pickup';
+import TicketCard from './components/TicketCard';
+
+const COLUMNS = [
+  { status: 'pending', title: '🆕 New', accent: 'border-yellow-400' },
+  { status: 'preparing', title: '🍳 Preparing', accent: 'border-blue-400' },
+  { status: 'ready', title: '🔔 Ready', accent: 'border-green-500' }
+];
+
+const NEXT_STATUS = {
+  pending: 'preparing',
+  preparing: 'ready',
+  ready: 'completed'
+};
+
+const EMPTY_BOARD = { pending: [], preparing: [], ready: [] };
+
+// Each kitchen screen remembers which station it sits at
+const STATION_STORAGE_KEY = 'kitchenStation';
+
+// Oldest ticket first: ready tickets by when they became ready, the rest by when they reached the kitchen
+const waitingSince = (order) => new Date(order.status === 'ready' ? order.updated_at : order.release_at || order.created_at);
+const byAge = (a, b) => waitingSince(a) - waitingSince(b);
+
+const KitchenDisplay = () => {
+  const navigate = useNavigate();
+  const [board, setBoard] = useState(EMPTY_BOARD);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [bumping, setBumping] = useState({});
+  const [now, setNow] = useState(Date.now());
+  const [stations, setStations] = useState([]);
+  const [station, setStation] = useState(localStorage.getItem(STATION_STORAGE_KEY) || '');
+  const [updatingItems, setUpdatingItems] = useState({});
+  const [delays, setDelays] = useState({});
+  const [outletId, setOutletId] = useState(getStaffOutlet());
+
+  const staff = getStaffSession()?.user;
+  const canPrepare = staff?.permissions?.includes('orders:prepare');
+  // Bumping a ready ticket hands the order over, which also needs the pickup permission
+  const canHandOver = canPrepare && staff?.permissions?.includes('orders:pickup');
+
+  const fetchBoard = useCallback(async () => {
+    try {
+      const [queueResult, readyResult] = await Promise.all([
+        vendorAPI.getQueue(),
+        vendorAPI.getReadyOrders()
+      ]);
+
+      setBoard({
+        pending: queueResult.data.queue.pending,
+        preparing: queueResult.data.queue.preparing,
+        ready: readyResult.data.orders
+      });
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load orders');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // Move an order into the column for its status (or off the board once it leaves the kitchen).
+  // Scheduled orders are announced again when they are released to the kitchen.
+  const placeOrder = useCallback((order) => {
+    setBoard((current) => {
+      const next = {};
+      COLUMNS.forEach(({ status }) => {
+        next[status] = current[status].filter((existing) => existing.id !== order.id);
+      });
+
+      if (next[order.status] && isReleasedToKitchen(order)) {
+        next[order.status] = [...next[order.status], order].sort(byAge);
+      }
+
+      return next;
+    });
+  }, []);
+
+  useEffect(() => {
+    setIsLoading(true);
+    fetchBoard();
+    vendorAPI.getStations()
+      .then((result) => setStations(result.data.stations || []))
+      .catch((err) => console.error('Failed to fetch stations:', err));
+  }, [fetchBoard, outletId]);
+
+  const selectStation = (value) => {
+    setStation(value);
+    if (value) {
+      localStorage.setItem(STATION_STORAGE_KEY, value);
+    } else {
+      localStorage.removeItem(STATION_STORAGE_KEY);
+    }
+  };
+
+  // Keep elapsed times current
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useStaffOrderEvents((type, { order }) => {
+    if (type === 'ready') {
+      fetchBoard(); // Catch up on anything missed while disconnected
+      return;
+    }
+    placeOrder(order);
+  }, true, outletId);
+
+  const bumpOrder = async (order) => {
+    setBumping((current) => ({ ...current, [order.id]: true }));
+
+    try {
+      const result = await vendorAPI.updateOrderStatus(order.id, NEXT_STATUS[order.status]);
+      placeOrder(result.data.order);
+    } catch (err) {
+      alert(err.message || 'Failed to update order');
+      fetchBoard();
+    } finally {
+      setBumping(({ [order.id]: _, ...rest }) => rest);
+    }
+  };
+
+  const markItem = async (order, item, status) => {
+    const key = `${order.id}:${item.id}`;
+    setUpdatingItems((current) => ({ ...current, [key]: true }));
+
+    try {
+      const result = await vendorAPI.updateItemStatus(order.id, item.id, status);
+      placeOrder(result.data.order);
+    } catch (err) {
+      alert(err.message || 'Failed to update item');
+      fetchBoard();
+    } finally {
+      setUpdatingItems(({ [key]: _, ...rest }) => rest);
+    }
+  };
+
+  const delayOrder = async (order, minutes) => {
+    try {
+      await vendorAPI.delayOrder(order.id, minutes);
+      setDelays((current) => ({ ...current, [order.id]: (current[order.id] || 0) + minutes }));
+    } catch (err) {
+      alert(err.message || 'Failed to notify the student');
+    }
+  };
+
+  // A station only sees tickets with at least one of its items
+  const visibleOrders = (status) => (station
+    ? board[status].filter((order) => order.items?.some((item) => getItemStation(item) === station))
+    : board[status]);
+
+  return (
+    <div className="min-h-screen bg-muted/40 flex flex-col">
+      {/* Top bar */}
+      <div className="flex items-center justify-between gap-4 px-4 md:px-6 py-3 bg-card border-b">
+        <h1 className="text-xl md:text-2xl font-bold text-foreground">👨‍🍳 Kitchen Display</h1>
+        <div className="flex items-center gap-3 text-sm text-muted-foreground">
+          <StaffOutletSelect onChange={setOutletId} />
+          <select
+            value={station}
+            onChange={(e) => selectStation(e.target.value)}
+            aria-label="Station"
+            className="min-h-[44px] px-3 rounded-lg border bg-card text-foreground text-base"
+          >
+            <option value="">All stations</option>
+            {stations.map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <span className="hidden sm:inline">{staff?.name} ({staff?.role})</span>
+          <button
+            onClick={() => navigate('/staff-login')}
+            className="px-3 py-2 rounded-lg border hover:bg-muted"
+          >
+            Staff Portal
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mx-4 md:mx-6 mt-4 bg-red-50 border border-red-200 text-red-700 p-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex-1 flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary"></div>
+        </div>
+      ) : (
+        <div className="flex-1 grid grid-cols-1 lg:grid-cols-3 gap-4 p-4 md:p-6">
+          {COLUMNS.map(({ status, title, accent }) => (
+            <section key={status} className={`flex flex-col min-h-0 bg-card/60 rounded-xl border-t-4 ${accent}`}>
+              <h2 className="flex items-center justify-between px-4 py-3 text-xl font-semibold text-foreground">
+                <span>{title}</span>
+                <span className="px-3 py-0.5 rounded-full bg-muted text-lg">{visibleOrders(status).length}</span>
+              </h2>
+
+              <div className="flex-1 space-y-4 px-3 pb-4 overflow-y-auto">
+                {visibleOrders(status).length === 0 ? (
+                  <p className="text-center text-muted-foreground py-8">No tickets</p>
+                ) : (
+                  visibleOrders(status).map((order) => (
+                    <TicketCard
+                      key={order.id}
+                      order={order}
+                      now={now}
+                      onBump={bumpOrder}
+                      isBumping={!!bumping[order.id]}
+                      canBump={status === 'ready' ? canHandOver : canPrepare}
+                      station={station}
+                      onItemStatus={markItem}
+                      updatingItems={updatingItems}
+                      onDelay={delayOrder}
+                      delayedBy={delays[order.id]}
+                    />
+                  ))
+                )}
+              </div>
+            </section>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KitchenDisplay;
@@ -0,0 +1,36 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+
+// Which outlet the menu, cart and pickup belong to; hidden when the campus has a single outlet
+const OutletPicker = ({ outlets, selectedOutletId, onOutletChange }) => {
+  if (!outlets || outlets.length < 2) return null;
+
+  return (
+    <div className="bg-card border-b border-border">
+      <div className="px-4 pt-3 pb-2">
+        <p className="text-xs font-medium text-muted-foreground mb-2">Order from</p>
+        <div className="flex overflow-x-auto gap-2 pb-1 scrollbar-hide">
+          {outlets.map((outlet) => (
+            <button
+              key={outlet.id}
+              onClick={() => onOutletChange(outlet.id)}
+              className={`flex-shrink-0 text-left px-3 py-2 rounded-lg border transition-colors ${
+                selectedOutletId === outlet.id
+                  ? 'border-primary bg-primary/10 text-foreground'
+                  : 'border-border text-muted-foreground hover:bg-muted'
+              }`}
+            >
+              <span className="block text-sm font-semibold">{outlet.name}</span>
+              <span className="flex items-center gap-1 text-xs">
+                <Icon name="MapPin" size={10} />
+                {outlet.pickupLocation}
+              </span>
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OutletPicker;
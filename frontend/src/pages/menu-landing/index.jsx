@@ -5,41 +5,69 @@ import Header from '../../components/navigation/Header';
 import ProgressIndicator from '../../components/navigation/ProgressIndicator';
 import MenuItemCard from './components/MenuItemCard';
 import CategoryFilter from './components/CategoryFilter';
+import OutletPicker from './components/OutletPicker';
 import StickyCartButton from './components/StickyCartButton';
 import EmptyMenuState from './components/EmptyMenuState';
 import LoadingState from './components/LoadingState';
 import ErrorState from './components/ErrorState';
 import LoginModal from '../../components/modals/LoginModal';
 import Icon from '../../components/AppIcon';
+import { outletsAPI } from '../../services/api';
+import { useDispatch, useSelector } from 'react-redux';
+import { fetchMenu, selectMenu } from '../../store/menuSlice';
+import {
+  selectCartOutletId,
+  selectCartQuantities,
+  selectCartSummary,
+  selectOutlet,
+  setItemQuantity,
+} from '../../store/cartSlice';
 
 
 const MenuLanding = () => {
   const { isAuthenticated, login } = useAuth();
   const navigate = useNavigate();
-  const [menuItems, setMenuItems] = useState([]);
-  const [cart, setCart] = useState({});
+  const dispatch = useDispatch();
+  const menu = useSelector(selectMenu);
+  const outletId = useSelector(selectCartOutletId);
+  const cartQuantities = useSelector(selectCartQuantities);
+  const cartSummary = useSelector(selectCartSummary);
   const [selectedCategory, setSelectedCategory] = useState('all');
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(false);
   const [showLoginModal, setShowLoginModal] = useState(false);
+  const [outlets, setOutlets] = useState([]);
 
-  // Load cart from localStorage on mount
+  // The menu of another outlet (or a failed load) is never shown for this one
+  const menuItems = menu.outletId === outletId ? menu.items : [];
+  const loading = menu.status === 'loading' && menuItems.length === 0;
+  const error = menu.status === 'failed' && menuItems.length === 0;
+
+  // Load outlets; a remembered outlet that stopped taking orders falls back to the first one
   useEffect(() => {
-    const savedCart = localStorage.getItem('canteen_cart');
-    if (savedCart) {
-      try {
-        setCart(JSON.parse(savedCart));
-      } catch (error) {
-        console.error('Failed to parse saved cart:', error);
-        localStorage.removeItem('canteen_cart');
-      }
-    }
+    outletsAPI.getOutlets()
+      .then((result) => {
+        const openOutlets = result.data.outlets || [];
+        setOutlets(openOutlets);
+        if (openOutlets.length > 0 && !openOutlets.some((outlet) => outlet.id === outletId)) {
+          changeOutlet(openOutlets[0].id);
+        }
+      })
+      .catch((err) => console.error('Failed to fetch outlets:', err));
   }, []);
 
-  // Save cart to localStorage whenever it changes
-  useEffect(() => {
-    localStorage.setItem('canteen_cart', JSON.stringify(cart));
-  }, [cart]);
+  const changeOutlet = (id) => {
+    dispatch(selectOutlet(id));
+    setSelectedCategory('all');
+  };
+
+  // One cart per outlet: switching with items in the cart empties it
+  const handleOutletChange = (id) => {
+    if (id === outletId) return;
+
+    if (cartSummary.itemCount > 0 && !window.confirm('Your cart has items from another outlet. Switch outlets and empty the cart?')) {
+      return;
+    }
+    changeOutlet(id);
+  };
 
   const handleLoginSuccess = (credentialResponse) => {
     login(credentialResponse);
@@ -50,143 +78,10 @@ const MenuLanding = () => {
     console.error('Google Login Failed');
   };
 
-  const mockMenuData = [
-    {
-      id: 1,
-      name: "Masala Dosa",
-      description: "Crispy rice crepe filled with spiced potato filling, served with sambar and chutney",
-      price: 45,
-      category: "South Indian"
-    },
-    {
-      id: 2,
-      name: "Paneer Butter Masala",
-      description: "Cottage cheese cubes cooked in rich tomato-based gravy with butter and cream",
-      price: 85,
-      category: "Main Course"
-    },
-    {
-      id: 3,
-      name: "Veg Biryani",
-      description: "Fragrant basmati rice cooked with mixed vegetables and aromatic spices",
-      price: 70,
-      category: "Rice & Biryani"
-    },
-    {
-      id: 4,
-      name: "Samosa (2 pcs)",
-      description: "Crispy fried pastry filled with spiced potatoes and peas",
-      price: 20,
-      category: "Snacks"
-    },
-    {
-      id: 5,
-      name: "Chole Bhature",
-      description: "Spicy chickpea curry served with fluffy deep-fried bread",
-      price: 60,
-      category: "North Indian"
-    },
-    {
-      id: 6,
-      name: "Idli Sambar (3 pcs)",
-      description: "Steamed rice cakes served with lentil-based vegetable stew and coconut chutney",
-      price: 35,
-      category: "South Indian"
-    },
-    {
-      id: 7,
-      name: "Veg Fried Rice",
-      description: "Stir-fried rice with mixed vegetables and Indo-Chinese spices",
-      price: 65,
-      category: "Rice & Biryani"
-    },
-    {
-      id: 8,
-      name: "Aloo Paratha",
-      description: "Whole wheat flatbread stuffed with spiced potato filling, served with curd and pickle",
-      price: 40,
-      category: "North Indian"
-    },
-    {
-      id: 9,
-      name: "Pav Bhaji",
-      description: "Spicy mixed vegetable curry served with buttered bread rolls",
-      price: 55,
-      category: "Snacks"
-    },
-    {
-      id: 10,
-      name: "Dal Tadka",
-      description: "Yellow lentils tempered with ghee, cumin, and aromatic spices",
-      price: 50,
-      category: "Main Course"
-    },
-    {
-      id: 11,
-      name: "Vada Pav",
-      description: "Spiced potato fritter sandwiched in bread roll with chutneys",
-      price: 25,
-      category: "Snacks"
-    },
-    {
-      id: 12,
-      name: "Rajma Chawal",
-      description: "Red kidney beans curry served with steamed basmati rice",
-      price: 60,
-      category: "Rice & Biryani"
-    },
-    {
-      id: 13,
-      name: "Medu Vada (3 pcs)",
-      description: "Crispy fried lentil donuts served with sambar and coconut chutney",
-      price: 40,
-      category: "South Indian"
-    },
-    {
-      id: 14,
-      name: "Paneer Tikka",
-      description: "Marinated cottage cheese cubes grilled with bell peppers and onions",
-      price: 95,
-      category: "Snacks"
-    },
-    {
-      id: 15,
-      name: "Veg Pulao",
-      description: "Mildly spiced rice cooked with mixed vegetables and whole spices",
-      price: 55,
-      category: "Rice & Biryani"
-    }
-  ];
-
+  // Loading the menu also drops cart items that left it and updates changed prices
   useEffect(() => {
-    const fetchMenuData = async () => {
-      try {
-        setLoading(true);
-        setError(false);
-        
-        // Fetch menu items from API
-        const response = await fetch(`${import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api'}/menu`);
-        const result = await response.json();
-        
-        if (result.success) {
-          setMenuItems(result.data);
-        } else {
-          throw new Error(result.message || 'Failed to load menu');
-        }
-        
-        setLoading(false);
-      } catch (err) {
-        console.error('Error fetching menu:', err);
-        setError(true);
-        
-        // Fallback to mock data if API fails
-        setMenuItems(mockMenuData);
-        setLoading(false);
-      }
-    };
-
-    fetchMenuData();
-  }, []);
+    dispatch(fetchMenu({ outletId }));
+  }, [dispatch, outletId]);
 
   const categories = useMemo(() => {
     const uniqueCategories = [...new Set(menuItems.map(item => item.category))];
@@ -207,34 +102,14 @@ const MenuLanding = () => {
       return;
     }
 
-    setCart(prevCart => {
-      if (newQuantity === 0) {
-        const { [itemId]: removed, ...rest } = prevCart;
-        return rest;
-      }
-      return {
-        ...prevCart,
-        [itemId]: newQuantity
-      };
-    });
+    const item = menuItems.find(menuItem => menuItem.id === itemId);
+    if (item) {
+      dispatch(setItemQuantity({ item, quantity: newQuantity }));
+    }
   };
 
-  const cartSummary = useMemo(() => {
-    const itemCount = Object.values(cart)?.reduce((sum, qty) => sum + qty, 0);
-    const totalAmount = Object.entries(cart)?.reduce((sum, [itemId, qty]) => {
-      const item = menuItems?.find(i => i?.id === parseInt(itemId));
-      return sum + (item ? item?.price * qty : 0);
-    }, 0);
-    return { itemCount, totalAmount };
-  }, [cart, menuItems]);
-
   const handleRetry = () => {
-    setError(false);
-    setLoading(true);
-    setTimeout(() => {
-      setMenuItems(mockMenuData);
-      setLoading(false);
-    }, 1200);
+    dispatch(fetchMenu({ outletId }));
   };
 
   return (
@@ -250,6 +125,13 @@ const MenuLanding = () => {
           <ErrorState onRetry={handleRetry} />
         ) : (
           <>
+            {/* Outlet Picker */}
+            <OutletPicker
+              outlets={outlets}
+              selectedOutletId={outletId}
+              onOutletChange={handleOutletChange}
+            />
+
             {/* Category Filter */}
             {menuItems?.length > 0 && (
               <CategoryFilter
@@ -288,7 +170,7 @@ const MenuLanding = () => {
                         key={item?.id}
                         item={item}
                         onQuantityChange={handleQuantityChange}
-                        quantity={cart?.[item?.id] || 0}
+                        quantity={cartQuantities[item?.id] || 0}
                         isAuthenticated={isAuthenticated}
                       />
                     ))}
@@ -3,9 +3,26 @@ import { format } from 'date-fns';
 import Button from '../../../components/ui/Button';
 import Icon from '../../../components/AppIcon';
 
-const OrderCard = ({ order, onReorder }) => {
+const STATUS_STYLES = {
+  pending: { dot: 'bg-warning', text: 'text-warning' },
+  preparing: { dot: 'bg-primary', text: 'text-primary' },
+  ready: { dot: 'bg-success', text: 'text-success' },
+  completed: { dot: 'bg-success', text: 'text-success' },
+  cancelled: { dot: 'bg-error', text: 'text-error' },
+  refunded: { dot: 'bg-muted-foreground', text: 'text-muted-foreground' }
+};
+
+const REFUND_LABELS = {
+  pending: 'Refund in progress (5-7 working days)',
+  processed: 'Refunded',
+  failed: 'Refund delayed - canteen staff will retry',
+  not_required: 'No payment to refund'
+};
+
+const OrderCard = ({ order, onReorder, onCancel, isCancelling = false }) => {
   const formattedDate = format(new Date(order?.orderDate), 'dd MMM yyyy, hh:mm a');
   const itemCount = order?.items?.reduce((sum, item) => sum + item?.quantity, 0);
+  const statusStyle = STATUS_STYLES[order?.status] || STATUS_STYLES.completed;
 
   return (
     <div className="bg-card rounded-lg p-4 md:p-5 lg:p-6 shadow-sm border border-border hover:shadow-md transition-shadow">
@@ -60,6 +77,21 @@ const OrderCard = ({ order, onReorder }) => {
               ₹{order?.totalAmount?.toLocaleString('en-IN')}
             </span>
           </div>
+
+          {/* Refund Status */}
+          {order?.refundStatus && (
+            <div className="flex items-center justify-between mt-2 text-sm md:text-base">
+              <span className="text-muted-foreground flex items-center gap-1.5">
+                <Icon name="RotateCcw" size={14} />
+                {REFUND_LABELS[order?.refundStatus] || order?.refundStatus}
+              </span>
+              {order?.refundStatus === 'processed' && (
+                <span className="font-medium text-foreground">
+                  ₹{order?.refundedAmount?.toLocaleString('en-IN')}
+                </span>
+              )}
+            </div>
+          )}
         </div>
 
         {/* Reorder Button */}
@@ -74,13 +106,28 @@ const OrderCard = ({ order, onReorder }) => {
           >
             Reorder
           </Button>
+
+          {order?.status === 'pending' && onCancel && (
+            <Button
+              variant="outline"
+              size="lg"
+              onClick={() => onCancel(order)}
+              loading={isCancelling}
+              disabled={isCancelling}
+              iconName="XCircle"
+              iconPosition="left"
+              className="flex-1 md:flex-none md:min-w-[140px] text-error"
+            >
+              Cancel
+            </Button>
+          )}
           
           <div className="hidden md:block">
             <div className="bg-muted rounded-lg px-3 py-2 text-center">
               <p className="text-xs text-muted-foreground mb-0.5">Status</p>
               <div className="flex items-center justify-center gap-1">
-                <div className="w-2 h-2 rounded-full bg-success"></div>
-                <span className="text-xs font-medium text-success capitalize">
+                <div className={`w-2 h-2 rounded-full ${statusStyle.dot}`}></div>
+                <span className={`text-xs font-medium capitalize ${statusStyle.text}`}>
                   {order?.status}
                 </span>
               </div>
@@ -92,8 +139,8 @@ const OrderCard = ({ order, onReorder }) => {
       {/* Mobile Status Badge */}
       <div className="md:hidden mt-3 pt-3 border-t border-border">
         <div className="flex items-center justify-center gap-2 bg-muted rounded-lg py-2">
-          <div className="w-2 h-2 rounded-full bg-success"></div>
-          <span className="text-sm font-medium text-success capitalize">
+          <div className={`w-2 h-2 rounded-full ${statusStyle.dot}`}></div>
+          <span className={`text-sm font-medium capitalize ${statusStyle.text}`}>
             Order {order?.status}
           </span>
         </div>
@@ -7,13 +7,33 @@ import OrderCard from './components/OrderCard';
 import EmptyOrderHistory from './components/EmptyOrderHistory';
 import LoadingState from './components/LoadingState';
 import LoginModal from '../../components/modals/LoginModal';
+import { orderAPI } from '../../services/api';
+import { useDispatch } from 'react-redux';
+import { replaceCart } from '../../store/cartSlice';
+
+// Map an order row from the API to the shape used by OrderCard
+const formatHistoryOrder = (order) => ({
+  id: order?.id,
+  tokenNumber: order?.token,
+  orderDate: order?.created_at,
+  outletId: order?.outlet_id,
+  items: order?.items || [],
+  totalAmount: parseFloat(order?.total_amount) || 0,
+  status: order?.status,
+  refundStatus: order?.refund_status,
+  refundedAmount: order?.refunded_amount != null ? parseFloat(order?.refunded_amount) : null,
+  cancellationReason: order?.cancellation_reason
+});
 
 const OrderHistory = () => {
   const { user, isAuthenticated, login } = useAuth();
   const navigate = useNavigate();
+  const dispatch = useDispatch();
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showLoginModal, setShowLoginModal] = useState(false);
+  const [error, setError] = useState('');
+  const [cancellingId, setCancellingId] = useState(null);
 
   useEffect(() => {
     if (!isAuthenticated) {
@@ -22,57 +42,16 @@ const OrderHistory = () => {
       return;
     }
 
-    // Simulate API call to fetch order history
     const fetchOrderHistory = async () => {
       try {
         setLoading(true);
-        
-        // Mock order history data - In production, replace with actual API call
-        // Example: const response = await axios.get(`/api/orders?email=${user?.email}`);
-        const mockOrders = [
-          {
-            id: 'ORD-001',
-            tokenNumber: 'A247',
-            orderDate: new Date('2026-02-03T14:30:00')?.toISOString(),
-            items: [
-              { id: 1, name: 'Veg Biryani', price: 80, quantity: 2 },
-              { id: 2, name: 'Paneer Tikka', price: 120, quantity: 1 },
-              { id: 3, name: 'Cold Coffee', price: 50, quantity: 2 }
-            ],
-            totalAmount: 330,
-            status: 'completed'
-          },
-          {
-            id: 'ORD-002',
-            tokenNumber: 'B156',
-            orderDate: new Date('2026-02-01T12:15:00')?.toISOString(),
-            items: [
-              { id: 4, name: 'Masala Dosa', price: 60, quantity: 1 },
-              { id: 5, name: 'Filter Coffee', price: 30, quantity: 2 }
-            ],
-            totalAmount: 120,
-            status: 'completed'
-          },
-          {
-            id: 'ORD-003',
-            tokenNumber: 'C089',
-            orderDate: new Date('2026-01-30T13:45:00')?.toISOString(),
-            items: [
-              { id: 6, name: 'Chole Bhature', price: 70, quantity: 1 },
-              { id: 7, name: 'Lassi', price: 40, quantity: 1 },
-              { id: 8, name: 'Samosa', price: 20, quantity: 3 }
-            ],
-            totalAmount: 170,
-            status: 'completed'
-          }
-        ];
-
-        // Simulate network delay
-        await new Promise(resolve => setTimeout(resolve, 800));
-        
-        setOrders(mockOrders);
+        setError('');
+
+        const result = await orderAPI.getMyOrders(1, 50);
+        setOrders((result?.data?.orders || []).map(formatHistoryOrder));
       } catch (error) {
         console.error('Failed to fetch order history:', error);
+        setError(error.message || 'Failed to load your orders');
       } finally {
         setLoading(false);
       }
@@ -82,17 +61,28 @@ const OrderHistory = () => {
   }, [isAuthenticated, user]);
 
   const handleReorder = (order) => {
-    // Convert order items to cart format
-    const cartItems = {};
-    order?.items?.forEach(item => {
-      cartItems[item?.id] = item?.quantity;
-    });
+    // The menu page checks the items against today's menu and flags new prices
+    dispatch(replaceCart({ outletId: order?.outletId, items: order?.items || [] }));
+    navigate('/menu-landing');
+  };
 
-    // Save to localStorage
-    localStorage.setItem('canteen_cart', JSON.stringify(cartItems));
+  const handleCancel = async (order) => {
+    if (!window.confirm(`Cancel token ${order?.tokenNumber}? The full amount will be refunded to your original payment method.`)) {
+      return;
+    }
 
-    // Navigate to menu page
-    navigate('/menu-landing');
+    try {
+      setCancellingId(order?.id);
+      const result = await orderAPI.cancelOrder(order?.id);
+      const cancelledOrder = formatHistoryOrder(result?.data?.order);
+
+      setOrders(prev => prev.map(o => (o?.id === cancelledOrder?.id ? cancelledOrder : o)));
+      alert(result?.message);
+    } catch (error) {
+      alert(error.message || 'Failed to cancel order');
+    } finally {
+      setCancellingId(null);
+    }
   };
 
   const handleLoginSuccess = (credentialResponse) => {
@@ -150,6 +140,10 @@ const OrderHistory = () => {
 
           {loading ? (
             <LoadingState />
+          ) : error ? (
+            <div className="bg-error/10 text-error rounded-lg p-4 text-center">
+              {error}
+            </div>
           ) : orders?.length === 0 ? (
             <EmptyOrderHistory />
           ) : (
@@ -159,6 +153,8 @@ const OrderHistory = () => {
                   key={order?.id}
                   order={order}
                   onReorder={handleReorder}
+                  onCancel={handleCancel}
+                  isCancelling={cancellingId === order?.id}
                 />
               ))}
             </div>
@@ -0,0 +1,93 @@
+import React, { useEffect, useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import { pushAPI } from '../../../services/api';
+import { isPushSupported, getPushSubscription, enablePushNotifications } from '../../../utils/push';
+
+// Offers browser notifications for "ready" and "delayed", so students can close the tab
+const PushPrompt = ({ isAuthenticated }) => {
+  const [state, setState] = useState('hidden'); // hidden | prompt | enabling | enabled | blocked
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isAuthenticated || !isPushSupported() || Notification.permission === 'denied') {
+      setState('hidden');
+      return undefined;
+    }
+
+    let cancelled = false;
+    Promise.all([pushAPI.getPublicKey(), getPushSubscription()])
+      .then(([result, subscription]) => {
+        if (cancelled || !result.data.enabled) return;
+
+        if (subscription && Notification.permission === 'granted') {
+          // Re-register in case the subscription was made while signed in as someone else
+          pushAPI.subscribe(subscription.toJSON()).catch(() => {});
+          setState('enabled');
+        } else {
+          setState('prompt');
+        }
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isAuthenticated]);
+
+  const handleEnable = async () => {
+    setState('enabling');
+    setError('');
+
+    try {
+      const enabled = await enablePushNotifications();
+      setState(enabled ? 'enabled' : 'blocked');
+    } catch (err) {
+      setError(err.message || 'Could not turn on notifications');
+      setState('prompt');
+    }
+  };
+
+  if (state === 'hidden') {
+    return null;
+  }
+
+  if (state === 'enabled' || state === 'blocked') {
+    return (
+      <div className="flex items-center gap-2 text-sm md:text-base text-muted-foreground">
+        <Icon name={state === 'enabled' ? 'BellRing' : 'BellOff'} size={18} />
+        {state === 'enabled'
+          ? "We'll notify you when your order is ready, even if you close this page."
+          : 'Notifications are blocked. Keep this page open to follow your order.'}
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-card rounded-lg md:rounded-xl p-4 md:p-6 border border-border shadow-sm">
+      <div className="flex flex-col sm:flex-row sm:items-center gap-3 md:gap-4">
+        <div className="flex items-start gap-3 flex-1">
+          <Icon name="Bell" size={24} color="var(--color-primary)" className="flex-shrink-0 mt-0.5" />
+          <div>
+            <p className="text-base md:text-lg font-semibold text-foreground">Get notified when it's ready</p>
+            <p className="text-sm md:text-base text-muted-foreground">
+              No need to keep this page open - we'll send a notification when your food is ready or running late.
+            </p>
+            {error && <p className="text-sm text-error mt-1">{error}</p>}
+          </div>
+        </div>
+        <Button
+          onClick={handleEnable}
+          loading={state === 'enabling'}
+          iconName="BellRing"
+          iconPosition="left"
+          className="sm:flex-shrink-0"
+        >
+          Notify Me
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default PushPrompt;
@@ -1,7 +1,12 @@
 import React from 'react';
 import Icon from '../../../components/AppIcon';
+import { formatPickupTime } from '../../../utils/pickup';
+
+const StatusMessage = ({ estimatedReadyAt, estimatedWaitMinutes, pickupAt, email }) => {
+  const readyTime = estimatedReadyAt
+    ? new Date(estimatedReadyAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+    : null;
 
-const StatusMessage = ({ estimatedTime, email }) => {
   return (
     <div className="space-y-4 md:space-y-6">
       <div className="bg-success/10 rounded-xl md:rounded-2xl p-4 md:p-6 lg:p-8 border-2 border-success/20">
@@ -52,7 +57,31 @@ const StatusMessage = ({ estimatedTime, email }) => {
         </div>
       )}
 
-      {estimatedTime && (
+      {pickupAt && (
+        <div className="bg-card rounded-lg md:rounded-xl p-4 md:p-5 lg:p-6 border border-border shadow-sm">
+          <div className="flex items-center gap-3">
+            <Icon 
+              name="CalendarClock" 
+              size={24} 
+              color="var(--color-primary)" 
+              className="flex-shrink-0"
+            />
+            <div>
+              <p className="text-sm md:text-base text-muted-foreground">
+                Scheduled Pickup
+              </p>
+              <p className="text-lg md:text-xl lg:text-2xl font-semibold text-foreground mt-1">
+                {formatPickupTime(pickupAt)}
+              </p>
+              <p className="text-xs md:text-sm text-muted-foreground mt-1">
+                The kitchen starts your order shortly before this time. Your token is valid on the pickup day.
+              </p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {readyTime && !pickupAt && (
         <div className="bg-card rounded-lg md:rounded-xl p-4 md:p-5 lg:p-6 border border-border shadow-sm">
           <div className="flex items-center gap-3">
             <Icon 
@@ -63,10 +92,13 @@ const StatusMessage = ({ estimatedTime, email }) => {
             />
             <div>
               <p className="text-sm md:text-base text-muted-foreground">
-                Estimated Preparation Time
+                {estimatedWaitMinutes > 0 ? 'Expected Ready Time' : 'Ready Since'}
               </p>
               <p className="text-lg md:text-xl lg:text-2xl font-semibold text-foreground mt-1">
-                {estimatedTime} minutes
+                {readyTime}
+                {estimatedWaitMinutes > 0 && (
+                  <span className="text-sm md:text-base font-normal text-muted-foreground"> · about {estimatedWaitMinutes} min</span>
+                )}
               </p>
             </div>
           </div>
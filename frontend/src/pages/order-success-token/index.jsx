@@ -1,18 +1,27 @@
 import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import { useOrderUpdates, useTokenWallet } from '../../hooks/useApi';
+import { tokenAPI } from '../../services/api';
 import Header from '../../components/navigation/Header';
 import ProgressIndicator from '../../components/navigation/ProgressIndicator';
 import TokenDisplay from './components/TokenDisplay';
 import OrderSummary from './components/OrderSummary';
 import StatusMessage from './components/StatusMessage';
 import ActionButtons from './components/ActionButtons';
+import LiveOrderStatus from '../../components/LiveOrderStatus';
+import PushPrompt from './components/PushPrompt';
+import TokenWallet from '../../components/TokenWallet';
+import { getWalletTokens, updateWalletTokenStatus } from '../../utils/tokenWallet';
 import QRCode from 'qrcode';
 
 const OrderSuccessToken = () => {
   const navigate = useNavigate();
   const { user, isAuthenticated } = useAuth();
   const [orderData, setOrderData] = useState(null);
+  const [estimate, setEstimate] = useState(null);
+  const liveOrder = useOrderUpdates(orderData?.orderId);
+  const wallet = useTokenWallet(isAuthenticated);
 
   useEffect(() => {
     const fetchOrderData = async () => {
@@ -21,34 +30,36 @@ const OrderSuccessToken = () => {
         const orderId = localStorage.getItem('current_order_id');
         
         if (!orderId) {
-          console.error('No order ID found');
+          await showWalletToken(null);
           return;
         }
 
         // For now, use the stored order data if available
         const storedOrderData = localStorage.getItem('order_data');
-        if (storedOrderData) {
+        if (!storedOrderData) {
+          await showWalletToken(orderId);
+        } else {
           const parsedData = JSON.parse(storedOrderData);
+          const order = parsedData.order || parsedData;
           
-          // Generate QR code data
-          const qrData = {
-            orderId: parsedData.id || orderId,
-            token: parsedData.token,
-            date: new Date().toISOString().split('T')[0],
-            customerName: parsedData.user_name || user?.name
-          };
-          
-          // Generate QR code
-          const qrCodeUrl = await QRCode.toDataURL(JSON.stringify(qrData));
+          // Render the signed pickup code issued by the server
+          const qrCodeUrl = order.qrCode ? await QRCode.toDataURL(order.qrCode) : null;
           
           setOrderData({
             ...parsedData,
+            orderId,
             qrCodeUrl,
-            tokenNumber: parsedData.token,
+            tokenNumber: order.token,
+            totalAmount: order.totalAmount,
+            tokenDate: order.tokenDate,
+            pickupAt: order.pickupAt,
             studentName: parsedData.user_name || user?.name,
             email: parsedData.user_email || user?.email,
-            orderReference: orderReference,
-            estimatedTime: 15
+            orderReference: orderReference
+          });
+          setEstimate({
+            estimatedReadyAt: order.estimatedReadyAt,
+            estimatedWaitMinutes: order.estimatedWaitMinutes
           });
         }
       } catch (error) {
@@ -56,10 +67,60 @@ const OrderSuccessToken = () => {
       }
     };
 
+    // Without the last order's details, show a token from the offline wallet instead
+    const showWalletToken = async (orderId) => {
+      const tokens = await getWalletTokens();
+      const entry = tokens.find((token) => token.orderId === orderId) || tokens[0];
+
+      if (!entry) {
+        console.error('No order found');
+        return;
+      }
+
+      setOrderData({
+        orderId: entry.orderId,
+        items: entry.items,
+        qrCodeUrl: entry.qrCodeUrl,
+        tokenNumber: entry.token,
+        totalAmount: entry.totalAmount,
+        tokenDate: entry.tokenDate,
+        pickupAt: entry.pickupAt,
+        studentName: user?.name,
+        email: user?.email
+      });
+    };
+
     fetchOrderData();
     window.scrollTo(0, 0);
   }, [user]);
 
+  // The expected ready time shifts as the kitchen works through the queue
+  const tokenNumber = orderData?.tokenNumber;
+  const tokenDate = orderData?.tokenDate;
+  const liveStatus = liveOrder?.status;
+  useEffect(() => {
+    if (!tokenNumber || !liveStatus) {
+      return;
+    }
+
+    tokenAPI.getTokenStatus(tokenNumber, tokenDate)
+      .then((result) => setEstimate(result.data))
+      .catch((error) => console.error('Error refreshing ready time:', error));
+  }, [tokenNumber, tokenDate, liveStatus]);
+
+  // Keep the wallet's copy current; collected and cancelled tokens leave it
+  const orderId = orderData?.orderId;
+  const reloadWallet = wallet.reload;
+  useEffect(() => {
+    if (!orderId || !liveStatus) {
+      return;
+    }
+
+    updateWalletTokenStatus(orderId, liveStatus)
+      .then(reloadWallet)
+      .catch((error) => console.error('Error updating token wallet:', error));
+  }, [orderId, liveStatus, reloadWallet]);
+
   if (!orderData) {
     return (
       <div className="min-h-screen bg-background">
@@ -81,12 +142,23 @@ const OrderSuccessToken = () => {
       <ProgressIndicator />
       <main className="pt-[140px] md:pt-[160px] pb-8 md:pb-12 lg:pb-16 px-4 md:px-6 lg:px-8">
         <div className="max-w-4xl mx-auto space-y-6 md:space-y-8 lg:space-y-10">
-          <StatusMessage estimatedTime={orderData?.estimatedTime} email={orderData?.email} />
+          <StatusMessage
+            estimatedReadyAt={estimate?.estimatedReadyAt}
+            estimatedWaitMinutes={estimate?.estimatedWaitMinutes}
+            pickupAt={orderData?.pickupAt}
+            email={orderData?.email}
+          />
+
+          <LiveOrderStatus order={liveOrder} />
+
+          <PushPrompt isAuthenticated={isAuthenticated} />
           
           <TokenDisplay 
             tokenNumber={orderData?.tokenNumber} 
             qrCodeUrl={orderData?.qrCodeUrl}
           />
+
+          <TokenWallet wallet={wallet} excludeOrderId={orderData?.orderId} title="Your Other Tokens" />
           
           <OrderSummary 
             items={orderData?.items} 
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import Button from '../../../components/ui/Button';
+
+// Items summed across pending and preparing orders, so the kitchen can cook in batches
+const BatchPanel = ({ batches, canComplete, onComplete }) => {
+  const [cooked, setCooked] = useState({});
+  const [completing, setCompleting] = useState(null);
+
+  const handleComplete = async (batch) => {
+    setCompleting(batch.itemId);
+    try {
+      await onComplete(batch.itemId, Number(cooked[batch.itemId]) || batch.totalQuantity);
+      setCooked(({ [batch.itemId]: _, ...rest }) => rest);
+    } finally {
+      setCompleting(null);
+    }
+  };
+
+  return (
+    <div className="bg-card rounded-lg border">
+      <div className="p-4 border-b">
+        <h2 className="text-lg font-semibold">🍳 Batch Cooking</h2>
+        <p className="text-sm text-muted-foreground">
+          Portions to cook across open orders. Marking a batch done moves orders it fully covers to ready.
+        </p>
+      </div>
+
+      {batches.length === 0 ? (
+        <div className="p-6 text-center text-muted-foreground">
+          ✨ Nothing left to cook
+        </div>
+      ) : (
+        <ul className="divide-y">
+          {batches.map((batch) => (
+            <li key={batch.itemId} className="p-4 flex flex-col md:flex-row md:items-center gap-3">
+              <div className="flex-1 min-w-0">
+                <p className="text-lg font-semibold">
+                  <span className="text-primary">{batch.totalQuantity}×</span> {batch.name}
+                </p>
+                <div className="flex flex-wrap gap-1.5 mt-1">
+                  {batch.orders.map((entry) => (
+                    <span
+                      key={entry.orderId}
+                      title={entry.coversOrder ? 'Completed by this batch' : 'Also waiting on other items'}
+                      className={`px-2 py-0.5 rounded text-xs font-mono ${
+                        entry.coversOrder ? 'bg-green-100 text-green-800' : 'bg-muted text-muted-foreground'
+                      }`}
+                    >
+                      {entry.token}{entry.quantity > 1 ? ` ×${entry.quantity}` : ''}
+                    </span>
+                  ))}
+                </div>
+              </div>
+
+              {canComplete && (
+                <div className="flex items-center gap-2">
+                  <input
+                    type="number"
+                    min="1"
+                    aria-label={`Portions of ${batch.name} cooked`}
+                    value={cooked[batch.itemId] ?? batch.totalQuantity}
+                    onChange={(e) => setCooked((current) => ({ ...current, [batch.itemId]: e.target.value }))}
+                    className="w-20 px-2 py-1.5 border rounded-lg text-center"
+                  />
+                  <Button
+                    size="sm"
+                    onClick={() => handleComplete(batch)}
+                    loading={completing === batch.itemId}
+                    className="bg-green-600 hover:bg-green-700"
+                  >
+                    Batch Done
+                  </Button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default BatchPanel;
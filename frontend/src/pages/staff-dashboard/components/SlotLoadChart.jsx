@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import {
+  ResponsiveContainer, ComposedChart, Bar, Line, Cell, XAxis, YAxis, Tooltip, CartesianGrid,
+} from 'recharts';
+import { formatPickupDay } from '../../../utils/pickup';
+
+// Booked load per pickup slot against its capacity, in orders or prep units
+const SlotLoadChart = ({ slots }) => {
+  const [measure, setMeasure] = useState('orders');
+  const [activeDay, setActiveDay] = useState(null);
+
+  const days = [...new Set(slots.map((slot) => slot.date))];
+  const visibleDay = days.includes(activeDay) ? activeDay : days[0];
+  const limitKey = measure === 'orders' ? 'maxOrders' : 'maxUnits';
+
+  const data = slots
+    .filter((slot) => slot.date === visibleDay)
+    .map((slot) => ({
+      label: slot.label,
+      booked: slot.booked[measure],
+      // 0 means the slot has no limit of this kind
+      capacity: slot.capacity[limitKey] || null,
+      isFull: slot.isFull,
+    }));
+
+  const barColor = (entry) => {
+    if (entry.isFull) return '#dc2626';
+    if (entry.capacity && entry.booked >= entry.capacity * 0.75) return '#d97706';
+    return 'var(--color-primary)';
+  };
+
+  const fullCount = data.filter((entry) => entry.isFull).length;
+
+  return (
+    <div className="bg-card rounded-lg border">
+      <div className="p-4 border-b flex flex-col md:flex-row md:items-center gap-3">
+        <div className="flex-1">
+          <h2 className="text-lg font-semibold">📅 Pickup Slot Load</h2>
+          <p className="text-sm text-muted-foreground">
+            Scheduled orders and unpaid checkouts per slot. {fullCount > 0 ? `${fullCount} full.` : 'No full slots.'}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          {days.length > 1 && days.map((day) => (
+            <button
+              key={day}
+              onClick={() => setActiveDay(day)}
+              className={`px-3 py-1.5 rounded-lg text-sm ${day === visibleDay ? 'bg-primary text-primary-foreground' : 'hover:bg-muted'}`}
+            >
+              {formatPickupDay(`${day}T12:00:00+05:30`)}
+            </button>
+          ))}
+          {['orders', 'units'].map((option) => (
+            <button
+              key={option}
+              onClick={() => setMeasure(option)}
+              className={`px-3 py-1.5 rounded-lg text-sm capitalize ${option === measure ? 'bg-muted font-medium' : 'text-muted-foreground hover:bg-muted'}`}
+            >
+              {option === 'units' ? 'Prep units' : 'Orders'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {data.length === 0 ? (
+        <div className="p-6 text-center text-muted-foreground">
+          No pickup slots configured
+        </div>
+      ) : (
+        <div className="p-4 h-64">
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={data} margin={{ top: 8, right: 8, bottom: 0, left: -16 }}>
+              <CartesianGrid strokeDasharray="3 3" vertical={false} />
+              <XAxis dataKey="label" tick={{ fontSize: 12 }} interval="preserveStartEnd" />
+              <YAxis allowDecimals={false} tick={{ fontSize: 12 }} />
+              <Tooltip
+                formatter={(value, name) => [value ?? 'No limit', name === 'booked' ? 'Booked' : 'Capacity']}
+              />
+              <Bar dataKey="booked" radius={[4, 4, 0, 0]}>
+                {data.map((entry) => (
+                  <Cell key={entry.label} fill={barColor(entry)} />
+                ))}
+              </Bar>
+              <Line dataKey="capacity" type="stepAfter" stroke="#6b7280" strokeDasharray="4 4" dot={false} connectNulls={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SlotLoadChart;
@@ -1,7 +1,12 @@
-import React, { useState, useEffect } from 'react';
-import { vendorAPI } from '../../services/api';
+import React, { useState, useEffect, useRef } from 'react';
+import { vendorAPI, getStaffSession, getStaffOutlet } from '../../services/api';
+import { useStaffOrderEvents } from '../../hooks/useApi';
 import Button from '../../components/ui/Button';
 import Header from '../../components/navigation/Header';
+import StaffOutletSelect from '../../components/StaffOutletSelect';
+import BatchPanel from './components/BatchPanel';
+import SlotLoadChart from './components/SlotLoadChart';
+import { formatPickupTime } from '../../utils/pickup';
 
 const StaffDashboard = () => {
   const [orders, setOrders] = useState([]);
@@ -9,11 +14,68 @@ const StaffDashboard = () => {
   const [error, setError] = useState('');
   const [filter, setFilter] = useState('all');
   const [dashboard, setDashboard] = useState(null);
+  const [batches, setBatches] = useState([]);
+  const [slotLoad, setSlotLoad] = useState([]);
+  const [outletId, setOutletId] = useState(getStaffOutlet());
+  const hasConnected = useRef(false);
+  const dashboardTimer = useRef(null);
+
+  // Actions are shown only when the staff role allows them (the API enforces the same rules)
+  const staff = getStaffSession()?.user;
+  const can = (permission) => staff?.permissions?.includes(permission);
 
   useEffect(() => {
     fetchOrders();
     fetchDashboard();
-  }, [filter]);
+  }, [filter, outletId]);
+
+  useEffect(() => {
+    fetchBatches();
+    fetchSlotLoad();
+  }, [outletId]);
+
+  useEffect(() => {
+    return () => clearTimeout(dashboardTimer.current);
+  }, []);
+
+  // The event stream reopens for the new outlet; its 'ready' must not count as a reconnect
+  const changeOutlet = (value) => {
+    hasConnected.current = false;
+    setOutletId(value);
+  };
+
+  // Live updates: orders change in place as anyone on staff (or the payment flow) moves them
+  useStaffOrderEvents((type, { order }) => {
+    if (type === 'ready') {
+      // Reload whatever changed while the stream was down
+      if (hasConnected.current) {
+        fetchOrders();
+        fetchDashboard();
+        fetchBatches();
+        fetchSlotLoad();
+      }
+      hasConnected.current = true;
+      return;
+    }
+
+    setOrders((current) => {
+      const others = current.filter((existing) => existing.id !== order.id);
+      if (filter !== 'all' && order.status !== filter) {
+        return others;
+      }
+      return current.some((existing) => existing.id === order.id)
+        ? current.map((existing) => (existing.id === order.id ? order : existing))
+        : [order, ...others];
+    });
+
+    // Stats, batches and slot load come from the server; refresh them once a burst of events settles
+    clearTimeout(dashboardTimer.current);
+    dashboardTimer.current = setTimeout(() => {
+      fetchDashboard();
+      fetchBatches();
+      fetchSlotLoad();
+    }, 1000);
+  }, true, outletId);
 
   const fetchOrders = async () => {
     setIsLoading(true);
@@ -37,22 +99,80 @@ const StaffDashboard = () => {
     }
   };
 
+  const fetchBatches = async () => {
+    try {
+      const result = await vendorAPI.getBatches();
+      setBatches(result.data.batches || []);
+    } catch (err) {
+      console.error('Failed to fetch batches:', err);
+    }
+  };
+
+  const fetchSlotLoad = async () => {
+    try {
+      const result = await vendorAPI.getSlotLoad();
+      setSlotLoad(result.data.slots || []);
+    } catch (err) {
+      console.error('Failed to fetch slot load:', err);
+    }
+  };
+
+  const completeBatch = async (itemId, quantity) => {
+    try {
+      const result = await vendorAPI.completeBatch(itemId, quantity);
+      const { readied, stillWaiting } = result.data;
+      alert(`${result.message}${readied.length ? `: ${readied.join(', ')}` : ''}${stillWaiting.length ? `\nStill waiting: ${stillWaiting.join(', ')}` : ''}`);
+    } catch (err) {
+      alert(err.message || 'Failed to complete batch');
+    }
+  };
+
   const updateOrderStatus = async (orderId, status) => {
     try {
       await vendorAPI.updateOrderStatus(orderId, status);
-      fetchOrders(); // Refresh orders
-      fetchDashboard(); // Refresh stats
     } catch (err) {
       alert(err.message || 'Failed to update order status');
     }
   };
 
+  const cancelOrder = async (order) => {
+    const reason = window.prompt(`Cancel token ${order.token} and refund ₹${order.total_amount}? Enter a reason:`, 'Item unavailable');
+    if (reason === null) return;
+
+    try {
+      const result = await vendorAPI.cancelOrder(order.id, reason.trim() || undefined);
+      alert(result.message);
+    } catch (err) {
+      alert(err.message || 'Failed to cancel order');
+    }
+  };
+
+  const retryRefund = async (orderId) => {
+    try {
+      const result = await vendorAPI.retryRefund(orderId);
+      alert(result.message);
+    } catch (err) {
+      alert(err.message || 'Failed to retry refund');
+    }
+  };
+
+  const getRefundColor = (refundStatus) => {
+    switch (refundStatus) {
+      case 'pending': return 'text-yellow-700';
+      case 'processed': return 'text-green-700';
+      case 'failed': return 'text-red-700';
+      default: return 'text-gray-600';
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'pending': return 'bg-yellow-100 text-yellow-800';
       case 'preparing': return 'bg-blue-100 text-blue-800';
       case 'ready': return 'bg-green-100 text-green-800';
       case 'completed': return 'bg-gray-100 text-gray-800';
+      case 'cancelled': return 'bg-red-100 text-red-800';
+      case 'refunded': return 'bg-purple-100 text-purple-800';
       default: return 'bg-gray-100 text-gray-800';
     }
   };
@@ -78,8 +198,9 @@ const StaffDashboard = () => {
               📊 Canteen Staff Dashboard
             </h1>
             <p className="text-muted-foreground">
-              Manage orders and view analytics
+              Manage orders and view analytics · {staff?.name} ({staff?.role})
             </p>
+            <StaffOutletSelect onChange={changeOutlet} />
           </div>
 
           {/* Quick Stats */}
@@ -104,15 +225,24 @@ const StaffDashboard = () => {
             </div>
           )}
 
+          {/* Refunds needing attention */}
+          {dashboard?.today?.refunds?.failed > 0 && (
+            <div className="bg-red-50 border border-red-200 text-red-800 p-4 rounded-lg">
+              ⚠️ {dashboard.today.refunds.failed} refund(s) failed today. Open the Cancelled tab to retry.
+            </div>
+          )}
+
           {/* Quick Actions */}
           <div className="flex flex-wrap gap-3">
-            <Button
-              onClick={() => window.open('/staff-verification', '_blank')}
-              variant="default"
-              className="bg-green-600 hover:bg-green-700"
-            >
-              📱 QR Verification
-            </Button>
+            {can('orders:pickup') && (
+              <Button
+                onClick={() => window.open('/staff-verification', '_blank')}
+                variant="default"
+                className="bg-green-600 hover:bg-green-700"
+              >
+                📱 QR Verification
+              </Button>
+            )}
             <Button
               onClick={fetchOrders}
               variant="outline"
@@ -122,9 +252,19 @@ const StaffDashboard = () => {
             </Button>
           </div>
 
+          {/* Batch Cooking */}
+          <BatchPanel
+            batches={batches}
+            canComplete={can('orders:prepare')}
+            onComplete={completeBatch}
+          />
+
+          {/* Pickup Slot Load */}
+          <SlotLoadChart slots={slotLoad} />
+
           {/* Filter Tabs */}
-          <div className="flex gap-2 bg-card p-2 rounded-lg border">
-            {['all', 'pending', 'preparing', 'ready', 'completed'].map((status) => (
+          <div className="flex gap-2 bg-card p-2 rounded-lg border overflow-x-auto">
+            {['all', 'pending', 'preparing', 'ready', 'completed', 'cancelled', 'refunded'].map((status) => (
               <button
                 key={status}
                 onClick={() => setFilter(status)}
@@ -179,17 +319,35 @@ const StaffDashboard = () => {
                         <td className="p-3">{order.user_name}</td>
                         <td className="p-3 text-sm">
                           {order.items?.length} items
+                          {order.items?.some(item => item.notes) && (
+                            <p className="text-xs text-orange-700 mt-1">
+                              {order.items.filter(item => item.notes).map(item => `${item.name}: ${item.notes}`).join(' · ')}
+                            </p>
+                          )}
+                          {order.special_instructions && (
+                            <p className="text-xs text-orange-700 mt-1">📝 {order.special_instructions}</p>
+                          )}
                         </td>
                         <td className="p-3 font-semibold">₹{order.total_amount}</td>
                         <td className="p-3">
                           <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(order.status)}`}>
                             {order.status}
                           </span>
+                          {order.refund_status && (
+                            <p className={`text-xs mt-1 ${getRefundColor(order.refund_status)}`}>
+                              Refund: {order.refund_status.replace('_', ' ')}
+                            </p>
+                          )}
+                        </td>
+                        <td className="p-3 text-sm">
+                          {formatTime(order.created_at)}
+                          {order.pickup_at && (
+                            <p className="text-xs text-purple-700 mt-1">🕒 Pickup {formatPickupTime(order.pickup_at)}</p>
+                          )}
                         </td>
-                        <td className="p-3 text-sm">{formatTime(order.created_at)}</td>
                         <td className="p-3">
                           <div className="flex gap-1">
-                            {order.status === 'pending' && (
+                            {can('orders:prepare') && order.status === 'pending' && (
                               <Button
                                 size="sm"
                                 onClick={() => updateOrderStatus(order.id, 'preparing')}
@@ -198,7 +356,7 @@ const StaffDashboard = () => {
                                 Start
                               </Button>
                             )}
-                            {order.status === 'preparing' && (
+                            {can('orders:prepare') && order.status === 'preparing' && (
                               <Button
                                 size="sm"
                                 onClick={() => updateOrderStatus(order.id, 'ready')}
@@ -207,7 +365,7 @@ const StaffDashboard = () => {
                                 Ready
                               </Button>
                             )}
-                            {order.status === 'ready' && (
+                            {can('orders:prepare') && can('orders:pickup') && order.status === 'ready' && (
                               <Button
                                 size="sm"
                                 onClick={() => updateOrderStatus(order.id, 'completed')}
@@ -216,6 +374,25 @@ const StaffDashboard = () => {
                                 Complete
                               </Button>
                             )}
+                            {can('orders:cancel') && ['pending', 'preparing', 'ready'].includes(order.status) && (
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                onClick={() => cancelOrder(order)}
+                                className="text-red-600 text-xs"
+                              >
+                                Cancel
+                              </Button>
+                            )}
+                            {can('refunds:manage') && order.status === 'cancelled' && order.refund_status === 'failed' && (
+                              <Button
+                                size="sm"
+                                onClick={() => retryRefund(order.id)}
+                                className="bg-red-600 hover:bg-red-700 text-xs"
+                              >
+                                Retry Refund
+                              </Button>
+                            )}
                           </div>
                         </td>
                       </tr>
@@ -1,15 +1,53 @@
-import React from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import Button from '../../components/ui/Button';
+import Input from '../../components/ui/Input';
 import Header from '../../components/navigation/Header';
+import { staffAPI, getStaffSession } from '../../services/api';
 
 const StaffLogin = () => {
   const navigate = useNavigate();
+  const location = useLocation();
+  const [session, setSession] = useState(getStaffSession());
+  const [username, setUsername] = useState('');
+  const [secret, setSecret] = useState('');
+  const [usePin, setUsePin] = useState(true);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const staff = session?.user;
+  const can = (permission) => staff?.permissions?.includes(permission);
+
+  const handleLogin = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsLoading(true);
+
+    try {
+      await staffAPI.login(username.trim(), usePin ? { pin: secret } : { password: secret });
+      setSecret('');
+      setSession(getStaffSession());
+
+      // Return to the staff page that sent us here
+      if (location.state?.from) {
+        navigate(location.state.from, { replace: true });
+      }
+    } catch (err) {
+      setError(err.message || 'Login failed');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleLogout = () => {
+    staffAPI.logout();
+    setSession(null);
+  };
 
   return (
     <div className="min-h-screen bg-background">
       <Header hasActiveToken={false} />
-      
+
       <main className="pt-[120px] pb-8 px-4 md:px-6 lg:px-8">
         <div className="max-w-md mx-auto space-y-6">
           {/* Header */}
@@ -21,59 +59,135 @@ const StaffLogin = () => {
               Canteen Staff Portal
             </h1>
             <p className="text-muted-foreground">
-              Choose your operation
+              {staff ? `Signed in as ${staff.name} (${staff.role})` : 'Sign in with your staff account'}
             </p>
           </div>
 
-          {/* Staff Options */}
-          <div className="space-y-4">
-            <Button
-              onClick={() => navigate('/staff-verification')}
-              variant="default"
-              size="lg"
-              fullWidth
-              className="h-16 text-left justify-start gap-4"
-            >
-              <div className="text-2xl">📱</div>
-              <div>
-                <div className="font-semibold">QR Code Verification</div>
-                <div className="text-sm opacity-75">Scan student QR codes to complete orders</div>
-              </div>
-            </Button>
+          {!staff ? (
+            /* Login Form */
+            <form onSubmit={handleLogin} className="space-y-4 bg-card p-6 rounded-lg border">
+              <Input
+                label="Username"
+                placeholder="e.g. ravi.kitchen"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                autoComplete="username"
+                autoCapitalize="none"
+                required
+                disabled={isLoading}
+              />
+              <Input
+                type="password"
+                label={usePin ? 'PIN' : 'Password'}
+                placeholder={usePin ? '4-6 digit PIN' : 'Your password'}
+                value={secret}
+                onChange={(e) => setSecret(e.target.value)}
+                inputMode={usePin ? 'numeric' : undefined}
+                autoComplete={usePin ? 'one-time-code' : 'current-password'}
+                error={error}
+                required
+                disabled={isLoading}
+              />
+              <Button
+                type="submit"
+                variant="default"
+                size="lg"
+                fullWidth
+                loading={isLoading}
+                iconName="LogIn"
+                iconPosition="left"
+              >
+                Sign In
+              </Button>
+              <button
+                type="button"
+                onClick={() => { setUsePin(!usePin); setSecret(''); setError(''); }}
+                className="w-full text-sm text-primary hover:underline"
+              >
+                {usePin ? 'Use password instead' : 'Use PIN instead'}
+              </button>
+            </form>
+          ) : (
+            /* Staff Options */
+            <div className="space-y-4">
+              {can('orders:pickup') && (
+                <Button
+                  onClick={() => navigate('/staff-verification')}
+                  variant="default"
+                  size="lg"
+                  fullWidth
+                  className="h-16 text-left justify-start gap-4"
+                >
+                  <div className="text-2xl">📱</div>
+                  <div>
+                    <div className="font-semibold">QR Code Verification</div>
+                    <div className="text-sm opacity-75">Scan student QR codes to complete orders</div>
+                  </div>
+                </Button>
+              )}
 
-            <Button
-              onClick={() => navigate('/staff-dashboard')}
-              variant="outline"
-              size="lg"
-              fullWidth
-              className="h-16 text-left justify-start gap-4"
-            >
-              <div className="text-2xl">📊</div>
-              <div>
-                <div className="font-semibold">Staff Dashboard</div>
-                <div className="text-sm opacity-75">Manage orders and view analytics</div>
-              </div>
-            </Button>
+              {can('orders:view') && (
+                <Button
+                  onClick={() => navigate('/staff-dashboard')}
+                  variant="outline"
+                  size="lg"
+                  fullWidth
+                  className="h-16 text-left justify-start gap-4"
+                >
+                  <div className="text-2xl">📊</div>
+                  <div>
+                    <div className="font-semibold">Staff Dashboard</div>
+                    <div className="text-sm opacity-75">Manage orders and view analytics</div>
+                  </div>
+                </Button>
+              )}
 
-            <Button
-              onClick={() => navigate('/')}
-              variant="secondary"
-              size="lg"
-              fullWidth
-              className="h-12"
-            >
-              🔙 Back to Student Portal
-            </Button>
-          </div>
+              {can('orders:prepare') && (
+                <Button
+                  onClick={() => navigate('/kitchen')}
+                  variant="outline"
+                  size="lg"
+                  fullWidth
+                  className="h-16 text-left justify-start gap-4"
+                >
+                  <div className="text-2xl">👨‍🍳</div>
+                  <div>
+                    <div className="font-semibold">Kitchen Display</div>
+                    <div className="text-sm opacity-75">Ticket board for the kitchen screen</div>
+                  </div>
+                </Button>
+              )}
+
+              <Button
+                onClick={handleLogout}
+                variant="secondary"
+                size="lg"
+                fullWidth
+                className="h-12"
+              >
+                🚪 Sign Out
+              </Button>
+            </div>
+          )}
+
+          <Button
+            onClick={() => navigate('/')}
+            variant="ghost"
+            size="lg"
+            fullWidth
+            className="h-12"
+          >
+            🔙 Back to Student Portal
+          </Button>
 
           {/* Quick Info */}
           <div className="bg-blue-50 rounded-lg p-4 border border-blue-200">
             <h3 className="font-medium text-blue-900 mb-2">📋 Quick Guide:</h3>
             <ul className="text-sm text-blue-700 space-y-1">
-              <li>• Use <strong>QR Verification</strong> for order pickup</li>
-              <li>• Use <strong>Dashboard</strong> to manage order status</li>
-              <li>• Students show QR codes from their phones/emails</li>
-              <li>• System validates orders automatically</li>
+              <li>• <strong>Cashiers</strong> verify QR codes at pickup and cancel orders</li>
+              <li>• <strong>Kitchen</strong> staff move orders to preparing and ready</li>
+              <li>• <strong>Managers</strong> also see analytics, retry refunds and edit the menu</li>
+              <li>• Ask an admin to create or reset your account</li>
             </ul>
           </div>
         </div>
@@ -82,4 +196,4 @@ const StaffLogin = () => {
   );
 };
 
-export default StaffLogin;
\ No newline at end of file
+export default StaffLogin;
@@ -1,5 +1,16 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { vendorAPI } from '../../services/api';
+import {
+  dismissRedemption,
+  findRedemption,
+  getRedemptions,
+  getScannerKit,
+  queueRedemption,
+  recordOnlineRedemption,
+  saveScannerKit,
+  syncRedemptions,
+  verifyQrOffline,
+} from '../../utils/offlineScanner';
 import Button from '../../components/ui/Button';
 import Input from '../../components/ui/Input';
 import Header from '../../components/navigation/Header';
@@ -14,6 +25,12 @@ const StaffVerification = () => {
   const [hasCamera, setHasCamera] = useState(false);
   const [isSecureContext, setIsSecureContext] = useState(true);
   const [cameraError, setCameraError] = useState('');
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [offlineKit, setOfflineKit] = useState(null);
+  const [redemptions, setRedemptions] = useState([]);
+  const [offlineResult, setOfflineResult] = useState(null);
+  const [unlistedScan, setUnlistedScan] = useState(null);
+  const [isSyncing, setIsSyncing] = useState(false);
   const fileInputRef = useRef(null);
   const videoRef = useRef(null);
   const qrScannerRef = useRef(null);
@@ -49,6 +66,55 @@ const StaffVerification = () => {
     };
   }, []);
 
+  const loadRedemptions = useCallback(async () => {
+    try {
+      setRedemptions(await getRedemptions());
+    } catch (err) {
+      console.error('Failed to read offline redemptions:', err);
+    }
+  }, []);
+
+  // Push queued pickups, then fetch a fresh kit so the key and order list stay current
+  const syncOffline = useCallback(async () => {
+    if (!navigator.onLine) return;
+
+    setIsSyncing(true);
+    try {
+      await syncRedemptions();
+    } catch (err) {
+      console.error('Offline redemption sync failed:', err);
+    }
+
+    try {
+      const response = await vendorAPI.getOfflineKit();
+      setOfflineKit(await saveScannerKit(response.data));
+    } catch (err) {
+      console.error('Failed to refresh offline scanning kit:', err);
+    }
+
+    await loadRedemptions();
+    setIsSyncing(false);
+  }, [loadRedemptions]);
+
+  // Work from the saved kit and queue straight away, then sync whenever the connection is back
+  useEffect(() => {
+    getScannerKit().then((kit) => kit && setOfflineKit(kit)).catch(() => {});
+    loadRedemptions().then(syncOffline);
+
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncOffline();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [loadRedemptions, syncOffline]);
+
   const startScanning = async () => {
     if (!hasCamera || !videoRef.current) {
       setError('Camera not available on this device');
@@ -125,20 +191,101 @@ const StaffVerification = () => {
     setIsLoading(true);
     setError('');
     setVerificationResult(null);
+    setOfflineResult(null);
+    setUnlistedScan(null);
 
     try {
+      if (!navigator.onLine) {
+        await handleVerifyOffline(dataToVerify);
+        return;
+      }
+
       const result = await vendorAPI.scanQR(dataToVerify.trim());
       setVerificationResult(result);
       setQrData(''); // Clear input after successful verification
+      await recordOnlineRedemption(dataToVerify);
+      loadRedemptions();
     } catch (err) {
-      setError(err.message || 'Verification failed');
+      // fetch throws a TypeError when the server cannot be reached
+      if (err instanceof TypeError) {
+        await handleVerifyOffline(dataToVerify);
+      } else {
+        setError(err.message || 'Verification failed');
+      }
     } finally {
       setIsLoading(false);
     }
   };
 
+  const showDuplicate = (token, duplicate) => {
+    const at = new Date(duplicate.scannedAt).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' });
+    setError(`Token #${token} was already redeemed on this device at ${at}. Do not hand the order over again.`);
+  };
+
+  // Check the signature on this device and queue the pickup for the next sync. Orders
+  // missing from the saved order list may have been cancelled or refunded since, so staff
+  // confirm those before handing over.
+  const handleVerifyOffline = async (dataToVerify) => {
+    try {
+      const qrInfo = await verifyQrOffline(dataToVerify, offlineKit);
+      if (!qrInfo.valid) {
+        setError(qrInfo.error);
+        return;
+      }
+
+      const duplicate = await findRedemption(qrInfo.orderId);
+      if (duplicate) {
+        showDuplicate(qrInfo.token, duplicate);
+        return;
+      }
+
+      if (!offlineKit?.orders?.some((order) => order.id === qrInfo.orderId)) {
+        setUnlistedScan({ qrData: dataToVerify, qrInfo });
+        return;
+      }
+
+      await queueOfflinePickup(dataToVerify, qrInfo);
+    } catch (err) {
+      console.error('Offline verification failed:', err);
+      setError('Could not verify this QR code offline');
+    }
+  };
+
+  const queueOfflinePickup = async (dataToVerify, qrInfo) => {
+    const { entry, duplicate } = await queueRedemption(dataToVerify, qrInfo);
+    if (duplicate) {
+      showDuplicate(qrInfo.token, duplicate);
+      return;
+    }
+
+    setOfflineResult({
+      ...entry,
+      order: offlineKit?.orders?.find((order) => order.id === qrInfo.orderId) || null,
+    });
+    setQrData('');
+    loadRedemptions();
+  };
+
+  const handleConfirmUnlisted = async () => {
+    const { qrData: dataToVerify, qrInfo } = unlistedScan;
+    setUnlistedScan(null);
+    try {
+      await queueOfflinePickup(dataToVerify, qrInfo);
+    } catch (err) {
+      console.error('Offline verification failed:', err);
+      setError('Could not queue this pickup');
+    }
+  };
+
+  const handleDismissConflict = async (id) => {
+    await dismissRedemption(id);
+    loadRedemptions();
+  };
+
   const handleClearResult = () => {
     setVerificationResult(null);
+    setOfflineResult(null);
+    setUnlistedScan(null);
     setError('');
   };
 
@@ -147,11 +294,15 @@ const StaffVerification = () => {
     setError('');
   };
 
+  const pendingCount = redemptions.filter((entry) => entry.status === 'pending').length;
+  const conflicts = redemptions.filter((entry) => entry.status === 'conflict' && !entry.dismissed);
+
   const formatItems = (items) => {
     if (!items || !Array.isArray(items)) return 'No items';
     
     return items.map(item => 
-      `${item.name} (Qty: ${item.quantity}) - ₹${(item.price * item.quantity).toFixed(2)}`
+      `${item.name} (Qty: ${item.quantity}) - ₹${(item.price * item.quantity).toFixed(2)}` +
+      (item.notes ? ` [${item.notes}]` : '')
     ).join(', ');
   };
 
@@ -186,6 +337,57 @@ const StaffVerification = () => {
             </p>
           </div>
 
+          {/* Offline Status */}
+          {(!isOnline || pendingCount > 0) && (
+            <div className={`rounded-lg p-4 border ${isOnline ? 'bg-blue-50 border-blue-200' : 'bg-yellow-50 border-yellow-200'}`}>
+              <div className="flex items-center justify-between gap-3">
+                <div>
+                  <p className={`font-medium ${isOnline ? 'text-blue-800' : 'text-yellow-800'}`}>
+                    {isOnline ? '🔄 Pickups waiting to sync' : '📴 Offline - scans are checked on this device'}
+                  </p>
+                  <p className={`text-sm mt-1 ${isOnline ? 'text-blue-700' : 'text-yellow-700'}`}>
+                    {pendingCount} pickup{pendingCount === 1 ? '' : 's'} queued
+                    {offlineKit?.savedAt && ` • order list from ${new Date(offlineKit.savedAt).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}`}
+                  </p>
+                  {!isOnline && !offlineKit?.enabled && (
+                    <p className="text-sm text-red-600 mt-1">
+                      Offline checks are unavailable until this device has synced with a server that signs QR codes.
+                    </p>
+                  )}
+                </div>
+                {isOnline && (
+                  <Button onClick={syncOffline} variant="outline" size="sm" disabled={isSyncing}>
+                    {isSyncing ? 'Syncing...' : 'Sync now'}
+                  </Button>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Sync Conflicts */}
+          {conflicts.length > 0 && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+              <p className="font-medium text-red-700 mb-2">
+                ⚠️ {conflicts.length} offline pickup{conflicts.length === 1 ? '' : 's'} could not be completed
+              </p>
+              <ul className="space-y-2">
+                {conflicts.map((conflict) => (
+                  <li key={conflict.id} className="flex items-start justify-between gap-3 bg-white rounded p-3 border border-red-100">
+                    <div className="text-sm">
+                      <p className="font-semibold text-gray-800">
+                        Token #{conflict.token || '?'} • scanned {new Date(conflict.scannedAt).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}
+                      </p>
+                      <p className="text-red-600">{conflict.message}</p>
+                    </div>
+                    <Button onClick={() => handleDismissConflict(conflict.id)} variant="outline" size="sm">
+                      Dismiss
+                    </Button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           {/* QR Input Section */}
           <div className="bg-card rounded-xl p-6 shadow-lg border">
             <h2 className="text-lg font-semibold text-foreground mb-4">
@@ -242,7 +444,7 @@ const StaffVerification = () => {
                   id="qrData"
                   value={qrData}
                   onChange={handleQRInput}
-                  placeholder='Paste QR data here (JSON format like: {"orderId":"...","token":"T-001",...})'
+                  placeholder='Paste QR data here (signed code starting with "CQ1." or "CQ2.")'
                   className="w-full h-24 sm:h-28 px-4 py-3 border border-border rounded-lg resize-none focus:outline-none focus:ring-2 focus:ring-primary text-base" // 16px font prevents iOS zoom
                   disabled={isLoading || isScanning}
                 />
@@ -282,7 +484,7 @@ const StaffVerification = () => {
               <ul className="text-sm text-blue-700 space-y-1">
                 <li>• <strong>Camera Method:</strong> Click "Start Camera Scanner" and point at QR code</li>
                 <li>• <strong>Manual Method:</strong> Ask student to copy QR data and paste below</li>
-                <li>• System validates: token match, today's date, ready status</li>
+                <li>• System validates: QR signature, token match, today's date, ready status</li>
                 <li>• Order completes automatically after successful scan</li>
               </ul>
               {!hasCamera && (
@@ -364,6 +566,17 @@ const StaffVerification = () => {
                     </div>
                   </div>
                 )}
+
+                {verificationResult.data.specialInstructions && (
+                  <div>
+                    <p className="text-sm font-medium text-gray-600 mb-2">📝 Special Instructions:</p>
+                    <div className="bg-yellow-50 rounded-lg p-3 border border-yellow-200">
+                      <p className="text-sm text-gray-700 whitespace-pre-line">
+                        {verificationResult.data.specialInstructions}
+                      </p>
+                    </div>
+                  </div>
+                )}
                 
                 <div className="text-center pt-2">
                   <p className="text-green-600 font-medium">
@@ -374,12 +587,110 @@ const StaffVerification = () => {
             </div>
           )}
 
-          {/* Sample QR Data for Testing */}
+          {/* Offline Scan Not In The Order List */}
+          {unlistedScan && (
+            <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-6">
+              <div className="flex items-center gap-2 mb-2">
+                <span className="text-yellow-600 text-xl">⚠️</span>
+                <h3 className="font-semibold text-yellow-800">
+                  Token #{unlistedScan.qrInfo.token} is not in this device's order list
+                </h3>
+              </div>
+              <p className="text-sm text-yellow-800">
+                The QR code is genuine, but the order was not collectable when the list was saved
+                {offlineKit?.savedAt && ` at ${new Date(offlineKit.savedAt).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}`}.
+                It may have been cancelled or refunded, or placed after the last sync. Check the student's order before handing it over.
+              </p>
+              <div className="flex flex-col sm:flex-row gap-3 mt-4">
+                <Button onClick={handleConfirmUnlisted} variant="outline" className="flex-1">
+                  Hand over anyway
+                </Button>
+                <Button onClick={handleClearResult} variant="destructive" className="flex-1">
+                  Don't hand over
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {/* Offline Result */}
+          {offlineResult && (
+            <div className="bg-green-50 border border-green-200 rounded-lg p-6">
+              <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2">
+                  <span className="text-green-500 text-xl">✅</span>
+                  <h3 className="font-semibold text-green-700">QR Code Valid - Verified Offline</h3>
+                </div>
+                <Button
+                  onClick={handleClearResult}
+                  variant="outline"
+                  size="sm"
+                >
+                  ✕
+                </Button>
+              </div>
+
+              <div className="space-y-3">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <p className="text-sm font-medium text-gray-600">Token Number:</p>
+                    <p className="text-lg font-bold text-green-700">
+                      {offlineResult.token}
+                    </p>
+                  </div>
+
+                  {offlineResult.order && (
+                    <div>
+                      <p className="text-sm font-medium text-gray-600">Customer Name:</p>
+                      <p className="text-lg font-semibold text-gray-800">
+                        {offlineResult.order.customerName}
+                      </p>
+                    </div>
+                  )}
+                </div>
+
+                {offlineResult.order ? (
+                  <>
+                    <div>
+                      <p className="text-sm font-medium text-gray-600 mb-2">Order Items:</p>
+                      <div className="bg-white rounded-lg p-3 border">
+                        <p className="text-sm text-gray-700">
+                          {formatItems(offlineResult.order.items)}
+                        </p>
+                      </div>
+                    </div>
+
+                    {offlineResult.order.specialInstructions && (
+                      <div>
+                        <p className="text-sm font-medium text-gray-600 mb-2">📝 Special Instructions:</p>
+                        <div className="bg-yellow-50 rounded-lg p-3 border border-yellow-200">
+                          <p className="text-sm text-gray-700 whitespace-pre-line">
+                            {offlineResult.order.specialInstructions}
+                          </p>
+                        </div>
+                      </div>
+                    )}
+                  </>
+                ) : (
+                  <p className="text-sm text-gray-600">
+                    This order was placed after the last sync, so its items are not on this device. Check them with the student.
+                  </p>
+                )}
+
+                <div className="text-center pt-2">
+                  <p className="text-green-600 font-medium">
+                    🎉 Hand the order over. The pickup is completed when this device is back online.
+                  </p>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* QR Format for Testing */}
           <div className="bg-gray-50 rounded-lg p-4">
-            <h3 className="font-medium text-gray-700 mb-2">🧪 Sample QR Data (for testing):</h3>
-            <code className="text-xs text-gray-600 block bg-white p-2 rounded border">
-              {`{"orderId":"sample-id","token":"T-001","date":"${new Date().toISOString().split('T')[0]}","customerName":"Test Student"}`}
-            </code>
+            <h3 className="font-medium text-gray-700 mb-2">🧪 Testing:</h3>
+            <p className="text-xs text-gray-600">
+              QR codes are signed by the server, so hand-written JSON is rejected. Run <code className="bg-white px-1 rounded border">node test-qr.js</code> in the backend to print a valid sample code.
+            </p>
           </div>
         </div>
       </main>
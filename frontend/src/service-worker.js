@@ -0,0 +1,147 @@
+// Service worker: precached app, offline fallback page and Web Push notifications.
+// plugins/serviceWorker.mjs fills in the precache manifest and version at build time.
+const VERSION = self.__SW_VERSION;
+const PRECACHE_URLS = self.__PRECACHE_MANIFEST;
+
+const CACHE_PREFIX = 'canteen-qr-';
+const PRECACHE = `${CACHE_PREFIX}precache-${VERSION}`;
+const MENU_CACHE = `${CACHE_PREFIX}menu-${VERSION}`;
+
+const APP_SHELL = '/index.html';
+const OFFLINE_PAGE = '/offline.html';
+
+// Pages that still work offline (the menu is served from MENU_CACHE, tokens from the
+// IndexedDB token wallet); others get OFFLINE_PAGE
+const OFFLINE_ROUTES = ['/', '/menu-landing', '/order-success-token', '/find-my-token', '/staff-verification'];
+
+self.addEventListener('install', event => {
+  // Wait in the background until the app asks to update (see SKIP_WAITING below)
+  event.waitUntil(
+    caches.open(PRECACHE).then(cache => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+self.addEventListener('activate', event => {
+  // Drop the caches of previous versions
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== PRECACHE && key !== MENU_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', event => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  const url = new URL(request.url);
+
+  // The API may live on another origin, so match it by path
+  if (url.pathname.startsWith('/api/')) {
+    if (url.pathname === '/api/menu') {
+      event.respondWith(staleWhileRevalidate(event, MENU_CACHE));
+    }
+    // Everything else is network-only: orders, tokens and payments must never be stale
+    return;
+  }
+
+  if (url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request, url));
+    return;
+  }
+
+  // Build assets have hashed names, so a precached copy is always current
+  event.respondWith(
+    caches.match(request, { cacheName: PRECACHE })
+      .then(response => response || fetch(request))
+  );
+});
+
+// Answer from the cache straight away and refresh it in the background. Requests made
+// with cache: 'no-cache' (checkout checking prices) wait for the network instead and
+// only get the cached copy offline.
+async function staleWhileRevalidate(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request);
+
+  const refresh = fetch(event.request)
+    .then(response => {
+      if (response.ok) {
+        return cache.put(event.request, response.clone()).then(() => response);
+      }
+      return response;
+    });
+
+  if (cached && event.request.cache === 'no-cache') {
+    return refresh.catch(() => cached);
+  }
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+// Network first; offline, serve the app for OFFLINE_ROUTES and the offline page otherwise
+async function handleNavigation(request, url) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const fallback = OFFLINE_ROUTES.includes(url.pathname) ? APP_SHELL : OFFLINE_PAGE;
+    const response = await caches.match(fallback, { cacheName: PRECACHE });
+    return response || Response.error();
+  }
+}
+
+// Web Push: order ready / delayed notifications sent by the backend
+self.addEventListener('push', event => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch (error) {
+    payload = { body: event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title || 'Canteen order update', {
+      body: payload.body || '',
+      tag: payload.tag,
+      renotify: Boolean(payload.tag),
+      icon: '/favicon.ico',
+      data: { url: payload.url || '/' }
+    })
+  );
+});
+
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then(windows => {
+        // Reuse an open tab of the app rather than opening another one
+        const existing = windows.find(client => client.url === url) || windows[0];
+        if (existing) {
+          return existing.navigate(url).then(client => (client || existing).focus());
+        }
+        return self.clients.openWindow(url);
+      })
+  );
+});
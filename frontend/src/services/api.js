@@ -38,15 +38,64 @@ const getAuthHeaders = () => {
   return token ? { Authorization: `Bearer ${token}` } : {};
 };
 
+// Staff session management (kept apart from the student Google login)
+const getStaffSession = () => {
+  const token = localStorage.getItem('staffAuthToken');
+  const user = localStorage.getItem('staffUser');
+  return token && user ? { token, user: JSON.parse(user) } : null;
+};
+
+const setStaffSession = (session) => {
+  // A new sign-in starts from the staff member's own outlet (or every outlet)
+  localStorage.removeItem('staffOutlet');
+
+  if (session?.token) {
+    localStorage.setItem('staffAuthToken', session.token);
+    localStorage.setItem('staffUser', JSON.stringify(session.user));
+  } else {
+    localStorage.removeItem('staffAuthToken');
+    localStorage.removeItem('staffUser');
+  }
+};
+
+// Outlet the staff screens show: staff assigned to an outlet always see it, others may
+// pick one ('' for every outlet)
+const getStaffOutlet = () => {
+  return getStaffSession()?.user?.outletId || localStorage.getItem('staffOutlet') || '';
+};
+
+const setStaffOutlet = (outletId) => {
+  if (outletId) {
+    localStorage.setItem('staffOutlet', outletId);
+  } else {
+    localStorage.removeItem('staffOutlet');
+  }
+};
+
+// Staff requests for unassigned staff carry the picked outlet (the API scopes assigned staff itself)
+const withStaffOutlet = (endpoint) => {
+  const outletId = localStorage.getItem('staffOutlet');
+  if (!outletId || getStaffSession()?.user?.outletId || endpoint.startsWith('/staff')) {
+    return endpoint;
+  }
+  return `${endpoint}${endpoint.includes('?') ? '&' : '?'}outlet=${encodeURIComponent(outletId)}`;
+};
+
+const getStaffAuthHeaders = () => {
+  const session = getStaffSession();
+  return session ? { Authorization: `Bearer ${session.token}` } : {};
+};
+
 // Generic API call function with auto-retry on token expiry
-const apiCall = async (endpoint, options = {}, isRetry = false) => {
+// Pass { staff: true } to authenticate with the staff session instead of the student token
+const apiCall = async (endpoint, { staff = false, ...options } = {}, isRetry = false) => {
   try {
-    const url = `${apiConfig.baseURL}${endpoint}`;
+    const url = `${apiConfig.baseURL}${staff ? withStaffOutlet(endpoint) : endpoint}`;
     const config = {
       method: 'GET',
       headers: {
         ...apiConfig.headers,
-        ...getAuthHeaders(),
+        ...(staff ? getStaffAuthHeaders() : getAuthHeaders()),
         ...options.headers,
       },
       ...options,
@@ -64,8 +113,14 @@ const apiCall = async (endpoint, options = {}, isRetry = false) => {
     }
 
     if (!response.ok) {
+      // Staff sessions are not refreshed; sign in again at the staff portal
+      if (staff && response.status === 401 && endpoint !== '/staff/login') {
+        setStaffSession(null);
+        window.location.assign('/staff-login');
+      }
+
       // Handle 401 unauthorized - try token refresh once
-      if (response.status === 401 && !isRetry && endpoint !== '/auth/refresh' && endpoint !== '/auth/google-login') {
+      if (response.status === 401 && !staff && !isRetry && endpoint !== '/auth/refresh' && endpoint !== '/auth/google-login') {
         console.warn('🔄 Token expired, attempting refresh...');
         try {
           await authAPI.refreshToken();
@@ -79,7 +134,7 @@ const apiCall = async (endpoint, options = {}, isRetry = false) => {
       }
       
       // Handle other 401s by clearing token
-      if (response.status === 401) {
+      if (response.status === 401 && !staff) {
         setAuthToken(null);
         console.warn('🔐 Authentication token expired or invalid');
       }
@@ -170,6 +225,13 @@ export const paymentAPI = {
     });
   },
 
+  // Mark a checkout as abandoned when the payment window is dismissed
+  abandonCheckout: async (razorpayOrderId) => {
+    return await apiCall(`/payments/abandon/${razorpayOrderId}`, {
+      method: 'POST',
+    });
+  },
+
   // Get order status
   getOrderStatus: async (orderId) => {
     return await apiCall(`/payments/order-status/${orderId}`);
@@ -205,9 +267,14 @@ export const orderAPI = {
     return await apiCall('/orders/active-order');
   },
 
-  // Get queue status
-  getQueueStatus: async () => {
-    return await apiCall('/orders/queue-status');
+  // Get every token the user can still collect, with pickup QR codes (offline token wallet)
+  getActiveTokens: async () => {
+    return await apiCall('/orders/active-tokens');
+  },
+
+  // Get queue status of an outlet (the main outlet when none is given)
+  getQueueStatus: async (outletId) => {
+    return await apiCall(`/orders/queue-status${outletId ? `?outlet=${encodeURIComponent(outletId)}` : ''}`);
   },
 
   // Cancel order
@@ -233,9 +300,10 @@ export const tokenAPI = {
     return await apiCall(`/tokens/${token}`);
   },
 
-  // Get token status
-  getTokenStatus: async (token) => {
-    return await apiCall(`/tokens/${token}/status`);
+  // Get token status (date: token day of a pickup scheduled for a later day)
+  getTokenStatus: async (token, date) => {
+    const query = date ? `?${new URLSearchParams({ date })}` : '';
+    return await apiCall(`/tokens/${token}/status${query}`);
   },
 
   // Validate token
@@ -246,7 +314,58 @@ export const tokenAPI = {
   // Search tokens
   searchTokens: async (searchTerm, limit = 10) => {
     const params = new URLSearchParams({ limit });
-    return await apiCall(`/tokens/search/${searchTerm}?${params}`);
+    return await apiCall(`/tokens/search/${searchTerm}?${params}`, { staff: true });
+  },
+};
+
+// Staff accounts API
+export const staffAPI = {
+  // Sign in with a password or PIN
+  login: async (username, { password, pin }) => {
+    const response = await apiCall('/staff/login', {
+      method: 'POST',
+      body: JSON.stringify(pin ? { username, pin } : { username, password }),
+      staff: true,
+    });
+
+    if (response.success && response.data.token) {
+      setStaffSession({ token: response.data.token, user: response.data.user });
+    }
+
+    return response;
+  },
+
+  // Sign out of the staff portal
+  logout: () => {
+    setStaffSession(null);
+  },
+
+  // Get the signed-in staff member
+  getMe: async () => {
+    return await apiCall('/staff/me', { staff: true });
+  },
+
+  // List staff accounts (admin)
+  getStaff: async () => {
+    return await apiCall('/staff', { staff: true });
+  },
+
+  // Create a staff account (admin)
+  createStaff: async (staffData) => {
+    return await apiCall('/staff', {
+      method: 'POST',
+      body: JSON.stringify(staffData),
+      staff: true,
+    });
+  },
+
+  // Update a staff account (admin)
+  updateStaff: async (staffId, updates) => {
+    return await apiCall(`/staff/${staffId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates),
+      staff: true,
+    });
   },
 };
 
@@ -257,6 +376,21 @@ export const vendorAPI = {
     return await apiCall('/vendor/scan-qr', {
       method: 'POST',
       body: JSON.stringify({ qrData }),
+      staff: true,
+    });
+  },
+
+  // Get the QR public key and today's collectable orders for scanning offline
+  getOfflineKit: async () => {
+    return await apiCall('/vendor/offline-kit', { staff: true });
+  },
+
+  // Sync pickups scanned offline: [{ id, qrData, scannedAt }]
+  redeemBatch: async (redemptions) => {
+    return await apiCall('/vendor/redemptions/batch', {
+      method: 'POST',
+      body: JSON.stringify({ redemptions }),
+      staff: true,
     });
   },
 
@@ -264,25 +398,209 @@ export const vendorAPI = {
   getOrders: async (page = 1, limit = 20, status = null) => {
     const params = new URLSearchParams({ page, limit });
     if (status) params.append('status', status);
-    return await apiCall(`/vendor/orders?${params}`);
+    return await apiCall(`/vendor/orders?${params}`, { staff: true });
+  },
+
+  // Get pending and preparing orders, oldest first
+  getQueue: async () => {
+    return await apiCall('/vendor/orders/queue', { staff: true });
+  },
+
+  // Get orders waiting for pickup, oldest first
+  getReadyOrders: async () => {
+    return await apiCall('/vendor/orders/ready', { staff: true });
   },
 
   // Get specific order details
   getOrder: async (orderId) => {
-    return await apiCall(`/vendor/orders/${orderId}`);
+    return await apiCall(`/vendor/orders/${orderId}`, { staff: true });
   },
 
   // Update order status
   updateOrderStatus: async (orderId, status) => {
     return await apiCall(`/vendor/orders/${orderId}/status`, {
-      method: 'PUT',
+      method: 'PATCH',
+      body: JSON.stringify({ status }),
+      staff: true,
+    });
+  },
+
+  // Mark one line of an order as preparing or ready
+  updateItemStatus: async (orderId, itemId, status) => {
+    return await apiCall(`/vendor/orders/${orderId}/items/${itemId}/status`, {
+      method: 'PATCH',
       body: JSON.stringify({ status }),
+      staff: true,
+    });
+  },
+
+  // List kitchen stations for the station filter
+  getStations: async () => {
+    return await apiCall('/vendor/stations', { staff: true });
+  },
+
+  // Tell the student an order will take longer than expected
+  delayOrder: async (orderId, minutes, reason) => {
+    return await apiCall(`/vendor/orders/${orderId}/delay`, {
+      method: 'POST',
+      body: JSON.stringify(reason ? { minutes, reason } : { minutes }),
+      staff: true,
+    });
+  },
+
+  // Cancel an order and refund the student
+  cancelOrder: async (orderId, reason) => {
+    return await apiCall(`/vendor/orders/${orderId}/cancel`, {
+      method: 'POST',
+      body: JSON.stringify(reason ? { reason } : {}),
+      staff: true,
     });
   },
 
+  // Retry a failed refund
+  retryRefund: async (orderId) => {
+    return await apiCall(`/vendor/orders/${orderId}/refund`, {
+      method: 'POST',
+      staff: true,
+    });
+  },
+
+  // Get item quantities summed across open orders
+  getBatches: async () => {
+    return await apiCall('/vendor/batches', { staff: true });
+  },
+
+  // Mark a cooked batch done (quantity defaults to the whole batch)
+  completeBatch: async (itemId, quantity) => {
+    return await apiCall(`/vendor/batches/${itemId}/complete`, {
+      method: 'POST',
+      body: JSON.stringify(quantity ? { quantity } : {}),
+      staff: true,
+    });
+  },
+
+  // Get booked load against capacity for each pickup slot
+  getSlotLoad: async () => {
+    return await apiCall('/vendor/slots', { staff: true });
+  },
+
   // Get vendor dashboard stats
   getDashboard: async () => {
-    return await apiCall('/vendor/dashboard');
+    return await apiCall('/vendor/dashboard', { staff: true });
+  },
+};
+
+// Live order updates (Server-Sent Events)
+const EVENT_STREAM_RETRY_MS = 5000;
+
+// EventSource reconnects dropped streams by itself but gives up when the server
+// rejects one (e.g. an expired staff ticket), so reopen it with a fresh URL.
+// handlers maps event names to callbacks that receive the parsed JSON payload.
+const openEventStream = (getUrl, handlers) => {
+  let source = null;
+  let retryTimer = null;
+  let closed = false;
+
+  const reconnect = () => {
+    source?.close();
+    if (!closed) {
+      retryTimer = setTimeout(connect, EVENT_STREAM_RETRY_MS);
+    }
+  };
+
+  const connect = async () => {
+    try {
+      const url = await getUrl();
+      if (closed) return;
+
+      source = new EventSource(url);
+      Object.entries(handlers).forEach(([event, handler]) => {
+        source.addEventListener(event, (e) => handler(JSON.parse(e.data)));
+      });
+      source.onerror = () => {
+        if (source.readyState === EventSource.CLOSED) {
+          reconnect();
+        }
+      };
+    } catch (error) {
+      console.error('Live updates unavailable:', error.message);
+      reconnect();
+    }
+  };
+
+  connect();
+
+  // Call the returned function to stop listening
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    source?.close();
+  };
+};
+
+export const eventsAPI = {
+  // Follow one order: 'order.snapshot' on connect, then 'order.status_changed' and
+  // 'order.notification' (messages such as delays)
+  subscribeToOrder: (orderId, handlers) => {
+    return openEventStream(() => `${API_BASE_URL}/events/orders/${orderId}`, handlers);
+  },
+
+  // Follow every order (staff): 'ready' on connect, then 'order.created', 'order.status_changed'
+  // and 'order.updated' (item-level changes)
+  subscribeToStaffEvents: (handlers) => {
+    return openEventStream(async () => {
+      const response = await apiCall('/events/ticket', { method: 'POST', staff: true });
+      return `${API_BASE_URL}/events/staff?ticket=${encodeURIComponent(response.data.ticket)}`;
+    }, handlers);
+  },
+};
+
+// Menu API
+export const menuAPI = {
+  // Get the available menu items of an outlet (the main outlet without one). Pass
+  // { fresh: true } to skip the service worker's cached copy, e.g. to check prices before paying
+  getMenu: async (outletId, { fresh = false } = {}) => {
+    return await apiCall(`/menu${outletId ? `?outlet=${encodeURIComponent(outletId)}` : ''}`, fresh ? { cache: 'no-cache' } : {});
+  },
+};
+
+// Pickup slots API
+export const slotsAPI = {
+  // Get the pickup slots that can still be booked, with the room left in each at an outlet
+  getSlots: async (outletId) => {
+    return await apiCall(`/slots${outletId ? `?outlet=${encodeURIComponent(outletId)}` : ''}`);
+  },
+};
+
+// Outlets API
+export const outletsAPI = {
+  // Get the outlets taking orders, in display order
+  getOutlets: async () => {
+    return await apiCall('/outlets');
+  },
+};
+
+// Web Push API
+export const pushAPI = {
+  // Get the server's VAPID public key ({ enabled: false } when Web Push is off)
+  getPublicKey: async () => {
+    return await apiCall('/push/public-key');
+  },
+
+  // Send order notifications for the signed-in student to this browser
+  subscribe: async (subscription) => {
+    return await apiCall('/push/subscriptions', {
+      method: 'POST',
+      body: JSON.stringify(subscription),
+    });
+  },
+
+  // Stop order notifications to this browser
+  unsubscribe: async (endpoint) => {
+    return await apiCall('/push/subscriptions', {
+      method: 'DELETE',
+      body: JSON.stringify({ endpoint }),
+    });
   },
 };
 
@@ -306,12 +624,12 @@ export const utilityAPI = {
 
   // Check services health
   checkServicesHealth: async () => {
-    return await apiCall('/vendor/health');
+    return await apiCall('/vendor/health', { staff: true });
   },
 };
 
 // Export token management functions
-export { getAuthToken, setAuthToken, getAuthHeaders };
+export { getAuthToken, setAuthToken, getAuthHeaders, getStaffSession, setStaffSession, getStaffOutlet, setStaffOutlet };
 
 // Export API base URL for external use
 export { API_BASE_URL };
@@ -322,7 +640,13 @@ export default {
   payment: paymentAPI,
   orders: orderAPI,
   tokens: tokenAPI,
+  menu: menuAPI,
   vendor: vendorAPI,
+  staff: staffAPI,
+  events: eventsAPI,
+  slots: slotsAPI,
+  outlets: outletsAPI,
+  push: pushAPI,
   utility: utilityAPI,
   setAuthToken,
   getAuthToken,
@@ -0,0 +1,160 @@
+// The student's cart. Items keep the name and price they were added at; every menu
+// loaded for the cart's outlet is checked against them, so items that left the menu
+// are dropped and new prices are taken over, each recorded in changes for the student.
+import { createAsyncThunk, createSelector, createSlice } from '@reduxjs/toolkit';
+import { fetchMenu } from './menuSlice';
+
+const CART_KEY = 'canteen_cart';
+const OUTLET_KEY = 'canteen_outlet';
+
+const toCartItem = ({ id, name = null, price = null, quantity, notes = '' }) => ({
+  id: String(id),
+  name,
+  price: price != null ? Number(price) : null,
+  quantity: Number(quantity),
+  notes,
+});
+
+// Saved carts are a list of items; older ones (and reorders) were { id: quantity }
+const loadSavedCart = () => {
+  let items = [];
+  try {
+    const saved = JSON.parse(localStorage.getItem(CART_KEY) || '[]');
+    items = Array.isArray(saved)
+      ? saved.map(toCartItem)
+      : Object.entries(saved).map(([id, quantity]) => toCartItem({ id, quantity }));
+  } catch (error) {
+    console.error('Failed to parse saved cart:', error);
+    localStorage.removeItem(CART_KEY);
+  }
+
+  return {
+    // The whole cart is ordered from this outlet ('' until outlets load: the API then uses its main outlet)
+    outletId: localStorage.getItem(OUTLET_KEY) || '',
+    items: items.filter((item) => item.quantity > 0),
+    changes: [], // { id, name, type: 'unavailable' | 'price', from, to } not yet acknowledged
+  };
+};
+
+export const saveCart = ({ outletId, items }) => {
+  localStorage.setItem(CART_KEY, JSON.stringify(items));
+  if (outletId) {
+    localStorage.setItem(OUTLET_KEY, outletId);
+  }
+};
+
+// Reload the cart's menu past any cached copy; resolves the changes still to be shown
+export const validateCart = createAsyncThunk('cart/validate', async (_, { dispatch, getState }) => {
+  await dispatch(fetchMenu({ outletId: getState().cart.outletId, fresh: true })).unwrap();
+  return getState().cart.changes;
+});
+
+const cartSlice = createSlice({
+  name: 'cart',
+  initialState: loadSavedCart,
+  reducers: {
+    // Set a menu item's quantity; 0 removes it
+    setItemQuantity: (state, action) => {
+      const { item, quantity } = action.payload;
+      const id = String(item.id);
+      const existing = state.items.find((cartItem) => cartItem.id === id);
+
+      if (quantity <= 0) {
+        state.items = state.items.filter((cartItem) => cartItem.id !== id);
+      } else if (existing) {
+        existing.quantity = quantity;
+      } else {
+        state.items.push(toCartItem({ ...item, quantity }));
+      }
+    },
+    setItemNotes: (state, action) => {
+      const item = state.items.find((cartItem) => cartItem.id === action.payload.id);
+      if (item) {
+        item.notes = action.payload.notes;
+      }
+    },
+    removeItem: (state, action) => {
+      state.items = state.items.filter((cartItem) => cartItem.id !== action.payload);
+      state.changes = state.changes.filter((change) => change.id !== action.payload);
+    },
+    // Switching outlets empties the cart (it starts on '' before outlets load, which keeps it)
+    selectOutlet: (state, action) => {
+      if (state.outletId && state.outletId !== action.payload) {
+        state.items = [];
+        state.changes = [];
+      }
+      state.outletId = action.payload;
+    },
+    // Start a new cart, e.g. to reorder a past order: { outletId, items }
+    replaceCart: (state, action) => {
+      const { outletId, items } = action.payload;
+      if (outletId) {
+        state.outletId = outletId;
+      }
+      state.items = items.map(toCartItem).filter((item) => item.quantity > 0);
+      state.changes = [];
+    },
+    clearCart: (state) => {
+      state.items = [];
+      state.changes = [];
+    },
+    dismissCartChanges: (state) => {
+      state.changes = [];
+    },
+  },
+  extraReducers: (builder) => {
+    builder.addCase(fetchMenu.fulfilled, (state, action) => {
+      if (action.payload.outletId !== state.outletId) return;
+
+      const menuById = new Map(action.payload.items.map((item) => [item.id, item]));
+      const changes = [];
+
+      state.items = state.items.filter((cartItem) => {
+        const menuItem = menuById.get(cartItem.id);
+        if (!menuItem || menuItem.isAvailable === false) {
+          changes.push({ id: cartItem.id, name: menuItem?.name || cartItem.name || 'An item', type: 'unavailable' });
+          return false;
+        }
+
+        // Items restored without a price (older carts) simply take the menu's
+        if (cartItem.price != null && cartItem.price !== menuItem.price) {
+          changes.push({ id: cartItem.id, name: menuItem.name, type: 'price', from: cartItem.price, to: menuItem.price });
+        }
+        cartItem.name = menuItem.name;
+        cartItem.price = menuItem.price;
+        return true;
+      });
+
+      if (changes.length > 0) {
+        const changedIds = new Set(changes.map((change) => change.id));
+        state.changes = [...state.changes.filter((change) => !changedIds.has(change.id)), ...changes];
+      }
+    });
+  },
+});
+
+export const {
+  setItemQuantity,
+  setItemNotes,
+  removeItem,
+  selectOutlet,
+  replaceCart,
+  clearCart,
+  dismissCartChanges,
+} = cartSlice.actions;
+
+export const selectCart = (state) => state.cart;
+export const selectCartItems = (state) => state.cart.items;
+export const selectCartOutletId = (state) => state.cart.outletId;
+export const selectCartChanges = (state) => state.cart.changes;
+
+export const selectCartQuantities = createSelector(selectCartItems, (items) =>
+  Object.fromEntries(items.map((item) => [item.id, item.quantity]))
+);
+
+export const selectCartSummary = createSelector(selectCartItems, (items) => ({
+  itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+  totalAmount: items.reduce((sum, item) => sum + (item.price || 0) * item.quantity, 0),
+}));
+
+export default cartSlice.reducer;
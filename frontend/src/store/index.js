@@ -0,0 +1,23 @@
+// App-wide Redux store: the menu and the cart built from it (see menuSlice.js and cartSlice.js)
+import { configureStore } from '@reduxjs/toolkit';
+import menuReducer from './menuSlice';
+import cartReducer, { saveCart } from './cartSlice';
+
+export const store = configureStore({
+  reducer: {
+    menu: menuReducer,
+    cart: cartReducer,
+  },
+});
+
+// Keep the cart across reloads
+let savedCart = store.getState().cart;
+store.subscribe(() => {
+  const { cart } = store.getState();
+  if (cart !== savedCart) {
+    savedCart = cart;
+    saveCart(cart);
+  }
+});
+
+export default store;
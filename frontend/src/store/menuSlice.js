@@ -0,0 +1,53 @@
+// Menu of the outlet being ordered from, as served by GET /api/menu
+import { createAsyncThunk, createSlice } from '@reduxjs/toolkit';
+import { menuAPI } from '../services/api';
+
+// Load an outlet's menu ('' for the main outlet); fresh skips the service worker's cached copy
+export const fetchMenu = createAsyncThunk('menu/fetch', async ({ outletId = '', fresh = false } = {}) => {
+  const result = await menuAPI.getMenu(outletId, { fresh });
+  return {
+    outletId,
+    items: (result.data || []).map((item) => ({ ...item, id: String(item.id) })),
+    loadedAt: new Date().toISOString(),
+  };
+});
+
+const menuSlice = createSlice({
+  name: 'menu',
+  initialState: {
+    outletId: null, // Outlet the items belong to (null until the first load)
+    items: [],
+    status: 'idle', // idle | loading | succeeded | failed
+    error: null,
+    loadedAt: null,
+    requestId: null,
+  },
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchMenu.pending, (state, action) => {
+        state.status = 'loading';
+        state.error = null;
+        state.requestId = action.meta.requestId;
+      })
+      .addCase(fetchMenu.fulfilled, (state, action) => {
+        // A slower response for an outlet the student already left is dropped
+        if (action.meta.requestId !== state.requestId) return;
+
+        state.status = 'succeeded';
+        state.outletId = action.payload.outletId;
+        state.items = action.payload.items;
+        state.loadedAt = action.payload.loadedAt;
+      })
+      .addCase(fetchMenu.rejected, (state, action) => {
+        if (action.meta.requestId !== state.requestId) return;
+
+        state.status = 'failed';
+        state.error = action.error.message || 'Failed to load menu';
+      });
+  },
+});
+
+export const selectMenu = (state) => state.menu;
+
+export default menuSlice.reducer;
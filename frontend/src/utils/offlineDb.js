@@ -0,0 +1,70 @@
+// IndexedDB for data the app needs without a connection: the student token wallet
+// (tokenWallet.js) and the staff pickup scanner (offlineScanner.js)
+
+const DB_NAME = 'canteen-qr';
+const DB_VERSION = 2;
+
+export const STORES = {
+  tokens: 'tokens', // Wallet tokens by orderId
+  redemptions: 'redemptions', // Pickups scanned on this device by id
+  scanner: 'scanner', // Offline scanning kit under the key 'kit'
+};
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      let blocked = false;
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          db.createObjectStore(STORES.tokens, { keyPath: 'orderId' });
+        }
+        if (event.oldVersion < 2) {
+          db.createObjectStore(STORES.redemptions, { keyPath: 'id' });
+          db.createObjectStore(STORES.scanner);
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Opened after we gave up on it (see onblocked): close it, or nothing would and it
+        // would block the next upgrade in turn
+        if (blocked) {
+          db.close();
+          return;
+        }
+        // Let a newer version of the app in another tab upgrade the database; the next
+        // call here reopens it
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      // Another tab still has the old version open: fail now instead of waiting for it
+      request.onblocked = () => {
+        blocked = true;
+        reject(new Error('Offline storage is being upgraded. Close other Canteen QR tabs and try again.'));
+      };
+    }).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+// Run fn(store) in one transaction; resolves with fn's request result once it commits
+export const withStore = async (storeName, mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = fn(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
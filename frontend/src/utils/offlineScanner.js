@@ -0,0 +1,181 @@
+// Offline pickup scanning: verify signed QR codes on the device with the server's public
+// key, queue the redemptions in IndexedDB and sync them to /vendor/redemptions/batch.
+import { vendorAPI } from '../services/api';
+import { STORES, withStore } from './offlineDb';
+
+// Only ECDSA-signed codes can be checked without the server (see backend/src/services/orderQr.js)
+const OFFLINE_QR_VERSION = 'CQ2';
+const SYNC_BATCH_SIZE = 100;
+
+const istDay = (date) => new Date(date).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+
+const fromBase64Url = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(window.atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4)), (char) => char.charCodeAt(0));
+};
+
+// Read the order a QR code points at, without checking the signature
+export const decodeQr = (qrData) => {
+  try {
+    const [version, payload] = String(qrData || '').trim().split('.');
+    const claims = JSON.parse(new TextDecoder().decode(fromBase64Url(payload)));
+    return { version, orderId: claims.o, token: claims.t, tokenDate: claims.d, expiresAt: claims.x * 1000 };
+  } catch (error) {
+    return null;
+  }
+};
+
+let verifyKey = null;
+
+const getVerifyKey = async (publicKey) => {
+  if (verifyKey?.x !== publicKey.x) {
+    verifyKey = {
+      x: publicKey.x,
+      key: await window.crypto.subtle.importKey('jwk', publicKey, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']),
+    };
+  }
+  return verifyKey.key;
+};
+
+// Same checks as the server's verifyOrderQr: signature, then expiry.
+// Resolves { valid, error } or { valid, orderId, token, tokenDate, expiresAt }.
+export async function verifyQrOffline(qrData, kit) {
+  const parts = String(qrData || '').trim().split('.');
+  const claims = parts.length === 3 ? decodeQr(qrData) : null;
+
+  if (!claims || !['CQ1', OFFLINE_QR_VERSION].includes(parts[0])) {
+    return { valid: false, error: 'Unrecognised QR code' };
+  }
+
+  if (parts[0] !== OFFLINE_QR_VERSION || !kit?.publicKey) {
+    return { valid: false, error: 'This QR code can only be checked online. Reconnect or verify the token manually.' };
+  }
+
+  let signatureValid = false;
+  try {
+    signatureValid = await window.crypto.subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      await getVerifyKey(kit.publicKey),
+      fromBase64Url(parts[2]),
+      new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+    );
+  } catch (error) {
+    signatureValid = false;
+  }
+
+  if (!signatureValid) {
+    return { valid: false, error: 'QR code signature is invalid' };
+  }
+
+  if (Date.now() > claims.expiresAt) {
+    return { valid: false, error: 'QR code expired. Valid only on order date.' };
+  }
+
+  return { valid: true, ...claims };
+}
+
+// The kit from GET /vendor/offline-kit: public key plus today's orders at the time it was saved
+export async function saveScannerKit(kit) {
+  const saved = { ...kit, savedAt: new Date().toISOString() };
+  await withStore(STORES.scanner, 'readwrite', (store) => store.put(saved, 'kit'));
+  return saved;
+}
+
+export const getScannerKit = () => withStore(STORES.scanner, 'readonly', (store) => store.get('kit'));
+
+// Redemptions on this device, oldest first; earlier days' synced ones are dropped
+export async function getRedemptions() {
+  const entries = (await withStore(STORES.redemptions, 'readonly', (store) => store.getAll())) || [];
+  const today = istDay(Date.now());
+  const stale = entries.filter((entry) => entry.status !== 'pending' && istDay(entry.scannedAt) !== today);
+
+  if (stale.length > 0) {
+    await withStore(STORES.redemptions, 'readwrite', (store) => {
+      stale.forEach((entry) => store.delete(entry.id));
+    });
+  }
+
+  return entries
+    .filter((entry) => !stale.includes(entry))
+    .sort((a, b) => a.scannedAt.localeCompare(b.scannedAt));
+}
+
+// The redemption of an order on this device today, if any
+export async function findRedemption(orderId) {
+  return (await getRedemptions()).find((entry) => entry.orderId === orderId) || null;
+}
+
+// Queue a pickup verified offline. Resolves { entry } or, when this device already
+// handed the order over, { duplicate } with the earlier redemption.
+export async function queueRedemption(qrData, qrInfo) {
+  const duplicate = await findRedemption(qrInfo.orderId);
+  if (duplicate) {
+    return { duplicate };
+  }
+
+  const entry = {
+    id: window.crypto.randomUUID(),
+    orderId: qrInfo.orderId,
+    token: qrInfo.token,
+    qrData: qrData.trim(),
+    scannedAt: new Date().toISOString(),
+    status: 'pending',
+  };
+  await withStore(STORES.redemptions, 'readwrite', (store) => store.put(entry));
+  return { entry };
+}
+
+// Remember a pickup completed online, so the same code is caught if scanned again offline
+export async function recordOnlineRedemption(qrData) {
+  const claims = decodeQr(qrData);
+  if (!claims?.orderId) return;
+
+  await withStore(STORES.redemptions, 'readwrite', (store) => store.put({
+    id: window.crypto.randomUUID(),
+    orderId: claims.orderId,
+    token: claims.token,
+    scannedAt: new Date().toISOString(),
+    status: 'redeemed',
+  }));
+}
+
+// Push queued redemptions to the server in scan order and store each result.
+// Resolves the results of this sync ([] when nothing was queued).
+export async function syncRedemptions() {
+  const pending = (await getRedemptions()).filter((entry) => entry.status === 'pending');
+  const results = [];
+
+  for (let start = 0; start < pending.length; start += SYNC_BATCH_SIZE) {
+    const batch = pending.slice(start, start + SYNC_BATCH_SIZE);
+    const response = await vendorAPI.redeemBatch(
+      batch.map(({ id, qrData, scannedAt }) => ({ id, qrData, scannedAt }))
+    );
+
+    await withStore(STORES.redemptions, 'readwrite', (store) => {
+      response.data.results.forEach((result) => {
+        const entry = batch.find((candidate) => candidate.id === result.id);
+        store.put({
+          ...entry,
+          status: result.result,
+          reason: result.reason,
+          message: result.message,
+          syncedAt: new Date().toISOString(),
+        });
+      });
+    });
+    results.push(...response.data.results);
+  }
+
+  return results;
+}
+
+// Hide a conflict once staff have dealt with it
+export async function dismissRedemption(id) {
+  await withStore(STORES.redemptions, 'readwrite', (store) => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) store.put({ ...request.result, dismissed: true });
+    };
+    return request;
+  });
+}
@@ -0,0 +1,14 @@
+// Order line helpers, matching backend/src/services/orderItems.js
+
+// Lines of ready or collected orders count as ready even if nobody marked them
+export function getItemStatus(item, order) {
+  if (['ready', 'completed'].includes(order.status)) {
+    return 'ready';
+  }
+  return item.status || 'pending';
+}
+
+// Lines from before stations existed fall back to their category
+export function getItemStation(item) {
+  return item.station || item.category || 'Kitchen';
+}
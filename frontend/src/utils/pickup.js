@@ -0,0 +1,25 @@
+// Pickup slot helpers, matching backend/src/services/pickupSlots.js
+
+const IST = 'Asia/Kolkata';
+
+const istDay = (date) => new Date(date).toLocaleDateString('en-CA', { timeZone: IST });
+
+// Scheduled orders stay off kitchen screens until their release time; started orders always show
+export function isReleasedToKitchen(order, now = Date.now()) {
+  return order.status !== 'pending' || !order.release_at || new Date(order.release_at).getTime() <= now;
+}
+
+// "Today", "Tomorrow" or a short date for the IST day of a slot
+export function formatPickupDay(date) {
+  const day = istDay(date);
+  if (day === istDay(Date.now())) return 'Today';
+  if (day === istDay(Date.now() + 86400000)) return 'Tomorrow';
+  return new Date(date).toLocaleDateString('en-IN', { timeZone: IST, weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+// "12:30 pm", prefixed with the day when the slot is not today
+export function formatPickupTime(pickupAt) {
+  const time = new Date(pickupAt).toLocaleTimeString('en-IN', { timeZone: IST, hour: '2-digit', minute: '2-digit', hour12: true });
+  const day = formatPickupDay(pickupAt);
+  return day === 'Today' ? time : `${day}, ${time}`;
+}
@@ -0,0 +1,46 @@
+// Web Push helpers: subscribe this browser to order notifications (see backend/src/routes/push.js)
+import { pushAPI } from '../services/api';
+
+export const isPushSupported = () =>
+  typeof window !== 'undefined' &&
+  'serviceWorker' in navigator &&
+  'PushManager' in window &&
+  'Notification' in window;
+
+// VAPID keys are URL-safe base64; PushManager wants the raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(window.atob(base64), (char) => char.charCodeAt(0));
+};
+
+// Current push subscription of this browser, or null
+export async function getPushSubscription() {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager.getSubscription();
+}
+
+// Ask for permission, subscribe and register the subscription with the server.
+// Resolves true once notifications are on; false if the student declined.
+export async function enablePushNotifications() {
+  const { data } = await pushAPI.getPublicKey();
+  if (!data.enabled) {
+    throw new Error('Notifications are not available right now');
+  }
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    return false;
+  }
+
+  const registration = await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.getSubscription() ||
+    await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(data.publicKey),
+    });
+
+  await pushAPI.subscribe(subscription.toJSON());
+  return true;
+}
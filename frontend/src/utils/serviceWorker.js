@@ -0,0 +1,52 @@
+// Service worker registration and updates (the worker is built from src/service-worker.js)
+
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Register /sw.js and call onUpdate(registration) when a new version is waiting
+export function registerServiceWorker({ onUpdate }) {
+  if (!('serviceWorker' in navigator)) {
+    return;
+  }
+
+  const register = () => navigator.serviceWorker.register('/sw.js')
+    .then((registration) => {
+      // A new version may already be waiting from an earlier visit
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        onUpdate(registration);
+      }
+
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+          // Without a controller this is the first install, not an update
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            onUpdate(registration);
+          }
+        });
+      });
+
+      // Long-lived tabs (kitchen, staff) would otherwise only check on reload
+      setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL_MS);
+    })
+    .catch((registrationError) => {
+      console.log('❌ SW registration failed: ', registrationError);
+    });
+
+  // Precaching competes with the first page load, so wait for it
+  if (document.readyState === 'complete') {
+    register();
+  } else {
+    window.addEventListener('load', register, { once: true });
+  }
+}
+
+// Activate the waiting version and reload once it controls the page
+export function applyServiceWorkerUpdate(registration) {
+  if (!registration.waiting) {
+    window.location.reload();
+    return;
+  }
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+}
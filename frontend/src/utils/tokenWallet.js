@@ -0,0 +1,101 @@
+// Offline token wallet: the student's collectable tokens and pickup QR codes, kept in
+// IndexedDB so they can be shown at the counter without a connection.
+import QRCode from 'qrcode';
+import { orderAPI } from '../services/api';
+import { STORES, withStore } from './offlineDb';
+
+const SYNCED_AT_KEY = 'token_wallet_synced_at';
+
+// Statuses that can still be collected at the counter (the backend's ACTIVE_STATUSES)
+const COLLECTABLE_STATUSES = ['pending', 'preparing', 'ready'];
+
+const withTokens = (mode, fn) => withStore(STORES.tokens, mode, fn);
+
+// Tokens (and their signed QR codes) expire at the end of their day, India time
+export const getTokenExpiry = (tokenDate) => new Date(`${tokenDate}T23:59:59.999+05:30`).getTime();
+
+const isCollectable = (entry) =>
+  COLLECTABLE_STATUSES.includes(entry.status) && (!entry.expiresAt || entry.expiresAt > Date.now());
+
+// Build a wallet entry from an order in the payment verification or active-tokens shape
+const toWalletEntry = async (order) => ({
+  orderId: order.orderId || order.id,
+  token: order.token,
+  tokenDate: order.tokenDate,
+  status: order.status || 'pending',
+  items: order.items || [],
+  specialInstructions: order.specialInstructions || null,
+  totalAmount: order.totalAmount,
+  createdAt: order.createdAt,
+  pickupAt: order.pickupAt || null,
+  outletId: order.outletId || null,
+  qrCode: order.qrCode || null,
+  // Rendered once here so the QR shows offline without re-encoding
+  qrCodeUrl: order.qrCode ? await QRCode.toDataURL(order.qrCode) : null,
+  expiresAt: order.tokenDate ? getTokenExpiry(order.tokenDate) : null,
+});
+
+// Add or replace one token, e.g. right after payment
+export async function saveWalletToken(order) {
+  const entry = await toWalletEntry(order);
+  await withTokens('readwrite', (store) => store.put(entry));
+  return entry;
+}
+
+// Record a status change; tokens that can no longer be collected leave the wallet
+export async function updateWalletTokenStatus(orderId, status) {
+  await withTokens('readwrite', (store) => {
+    const request = store.get(orderId);
+    request.onsuccess = () => {
+      const entry = request.result;
+      if (!entry || entry.status === status) return;
+
+      if (COLLECTABLE_STATUSES.includes(status)) {
+        store.put({ ...entry, status });
+      } else {
+        store.delete(orderId);
+      }
+    };
+    return request;
+  });
+}
+
+// Collectable tokens, soonest pickup first (orders for as soon as possible by when they
+// were placed); expired and collected ones are dropped
+export async function getWalletTokens() {
+  const entries = (await withTokens('readonly', (store) => store.getAll())) || [];
+  const stale = entries.filter((entry) => !isCollectable(entry));
+
+  if (stale.length > 0) {
+    await withTokens('readwrite', (store) => {
+      stale.forEach((entry) => store.delete(entry.orderId));
+    });
+  }
+
+  return entries
+    .filter(isCollectable)
+    .sort((a, b) => new Date(a.pickupAt || a.createdAt) - new Date(b.pickupAt || b.createdAt));
+}
+
+// Replace the wallet with the server's list of collectable tokens (needs a signed-in student)
+export async function syncTokenWallet() {
+  const response = await orderAPI.getActiveTokens();
+  const entries = await Promise.all(response.data.tokens.map(toWalletEntry));
+
+  await withTokens('readwrite', (store) => {
+    store.clear();
+    entries.forEach((entry) => store.put(entry));
+  });
+
+  const syncedAt = new Date().toISOString();
+  localStorage.setItem(SYNCED_AT_KEY, syncedAt);
+  return syncedAt;
+}
+
+export const getWalletSyncedAt = () => localStorage.getItem(SYNCED_AT_KEY);
+
+// Forget every token, e.g. when the student signs out on a shared device
+export async function clearTokenWallet() {
+  localStorage.removeItem(SYNCED_AT_KEY);
+  await withTokens('readwrite', (store) => store.clear());
+}
@@ -1,6 +1,7 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 import tsconfigPaths from "vite-tsconfig-paths";
+import serviceWorker from "./plugins/serviceWorker.mjs";
 
 // https://vitejs.dev/config/
 export default defineConfig({
@@ -10,7 +11,7 @@ export default defineConfig({
     outDir: "build",
     chunkSizeWarningLimit: 2000,
   },
-  plugins: [tsconfigPaths(), react()],
+  plugins: [tsconfigPaths(), react(), serviceWorker()],
   server: {
     port: "4028",
     host: "0.0.0.0",